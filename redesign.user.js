@@ -18,7 +18,9 @@
 // @grant           GM_getValue
 // @grant           GM_setValue
 // @grant           GM_listValues
+// @grant           GM_deleteValue
 // @grant           GM_addValueChangeListener
+// @grant           GM_removeValueChangeListener
 // @grant           GM_info
 // @grant           GM_notification
 // @grant           GM_xmlhttpRequest
@@ -56,12 +58,20 @@ const TRANSLATIONS = {
             name: 'Bezeichnung',
             url: 'URL',
             empty: 'Bislang sind keine Lesezeichen vorhanden!',
+            emptyFolder: 'Dieser Ordner ist leer.',
+            folder: 'Ordner',
+            rootFolder: 'Kein Ordner',
+            untitledFolder: 'Neuer Ordner',
+            tags: 'Tags',
+            tagsPlaceholder: 'Tags, durch Kommas getrennt',
+            filterTag: 'Nur Lesezeichen mit dem Tag „{{tag}}“ anzeigen',
+            drag: 'Zum Verschieben ziehen',
+            addBookmark: 'Lesezeichen hinzufügen',
+            addFolder: 'Ordner hinzufügen',
         },
         christmasCountdown: {
-            countdown: [
-                'Noch <b>{{days}}</b> Tag bis Heiligabend.',
-                'Noch <b>{{days}}</b> Tage bis Heiligabend.',
-            ],
+            countdown:
+                'Noch {days, plural, one {<b>#</b> Tag} other {<b>#</b> Tage}} bis Heiligabend.',
             christmas: '🎄 Heute ist Heiligabend. Frohe Weihnachten! 🎄',
         },
         courses: {
@@ -75,6 +85,84 @@ const TRANSLATIONS = {
             today: 'Heute: <b>{{event}}</b> um {{start}} Uhr ({{location}})',
             now: 'Jetzt: <b>{{event}}</b> ({{location}})',
         },
+        messages: {
+            preview: {
+                title: 'Vorschau',
+                toggle: 'Vorschau ein- oder ausblenden',
+                empty: 'Hier erscheint die Vorschau deiner Mitteilung.',
+                warning:
+                    'Moodle entfernt beim Senden: {{elements}}. Diese Teile werden beim Empfänger anders dargestellt.',
+                stripped: {
+                    checkbox: 'Checkboxen von Aufgabenlisten',
+                    details: 'aufklappbare Abschnitte',
+                    mark: 'Markierungen',
+                },
+            },
+            snippets: {
+                insert: 'Textbaustein einfügen',
+                title: 'Titel',
+                text: 'Text (Markdown und $Formeln$ sind erlaubt)',
+            },
+            drafts: {
+                indicator: 'Entwurf',
+            },
+            export: {
+                title: 'Unterhaltung exportieren',
+                format: 'Format',
+                formats: {
+                    md: 'Markdown',
+                    html: 'HTML-Datei',
+                    json: 'JSON',
+                },
+                export: 'Exportieren',
+                loading: 'Die Unterhaltung wird geladen…',
+                noConversation:
+                    'Öffne zuerst die Unterhaltung, die du exportieren möchtest.',
+                error: 'Die Unterhaltung konnte nicht geladen werden.',
+                exportedAt: 'Exportiert am {{date}} um {{time}} Uhr',
+                attachments: 'Anhänge',
+            },
+            sendLater: {
+                title: 'Später senden',
+                dueAt: 'Senden am',
+                schedule: 'Planen',
+                queue: 'Geplante Mitteilungen',
+                showQueue: 'Geplante Mitteilungen anzeigen',
+                empty: 'Es sind keine Mitteilungen geplant.',
+                noConversation:
+                    'Öffne zuerst die Unterhaltung, in der die Mitteilung gesendet werden soll.',
+                noMessage: 'Schreibe zuerst eine Mitteilung.',
+                pastDueAt: 'Der Zeitpunkt muss in der Zukunft liegen.',
+                interrupted:
+                    'Das Senden wurde unterbrochen. Bitte prüfe, ob die Mitteilung angekommen ist.',
+                table: {
+                    recipient: 'Empfänger',
+                    dueAt: 'Zeitpunkt',
+                    message: 'Mitteilung',
+                    status: 'Status',
+                    actions: 'Aktionen',
+                },
+                status: {
+                    scheduled: 'Geplant',
+                    sending: 'Wird gesendet',
+                    failed: 'Fehlgeschlagen',
+                },
+                edit: 'Bearbeiten',
+                remove: 'Nicht senden',
+                save: 'Speichern',
+                cancelEdit: 'Abbrechen',
+                notification: {
+                    sent: {
+                        title: 'Mitteilung gesendet',
+                        text: 'Deine geplante Mitteilung an {{recipient}} wurde gesendet.',
+                    },
+                    failed: {
+                        title: 'Mitteilung nicht gesendet',
+                        text: 'Deine geplante Mitteilung an {{recipient}} konnte nicht gesendet werden: {{error}}',
+                    },
+                },
+            },
+        },
         myCourses: {
             lists: {
                 empty: 'Keine Kurse im aktuellen Filter vorhanden.',
@@ -116,22 +204,15 @@ const TRANSLATIONS = {
                     'Die von Ihnen abgerufene Warnmeldung ist nicht mehr vorhanden. Es liegt ggf. eine Entwarnung für diese Meldung vor.',
             },
             panic: 'PANIK!!!!',
+            period: '{onset, datetime} - {expires, datetime}',
             providedBy: 'Herausgegeben von',
             severity: {
                 name: 'Warnstufe',
-                3: 'Extreme Gefahr',
-                2: 'Gefahr',
-                1: 'Gefahreninformation',
-                0: 'Keine Gefahr',
-                [-1]: 'Unbekannt',
+                level: '{severity, select, 3 {Extreme Gefahr} 2 {Gefahr} 1 {Gefahreninformation} 0 {Keine Gefahr} other {Unbekannt}}',
             },
             severityWeather: {
                 name: 'Warnstufe',
-                3: 'Amtliche Warnung vor extremem Unwetter',
-                2: 'Amtliche Unwetterwarnung',
-                1: 'Amtliche Warnung vor markantem Wetter',
-                0: 'Keine Gefahr',
-                [-1]: 'Unbekannt',
+                level: '{severity, select, 3 {Amtliche Warnung vor extremem Unwetter} 2 {Amtliche Unwetterwarnung} 1 {Amtliche Warnung vor markantem Wetter} 0 {Keine Gefahr} other {Unbekannt}}',
             },
             showMore: 'Mehr anzeigen',
             status: {
@@ -177,14 +258,13 @@ const TRANSLATIONS = {
                 start: 'Beginn',
                 end: 'Ende',
                 finished: 'Fortschritt',
+                finishedBy: '{finished, number, percent}',
                 show: 'Im Balken anzeigen?',
                 holiday: 'Feiertag',
             },
             category: {
-                semester: {
-                    summer: 'SoSe {{year}}',
-                    winter: 'WiSe {{year}}',
-                },
+                semester:
+                    '{season, select, summer {SoSe {year}} other {WiSe {year}}}',
                 period: {
                     lecture: 'Vorlesungszeit',
                     exam: {
@@ -195,6 +275,58 @@ const TRANSLATIONS = {
                 },
             },
         },
+        profiles: {
+            title: 'Einstellungsprofil',
+            defaultName: 'Standard',
+            newName: 'Neues Profil',
+            copyName: '{{name}} (Kopie)',
+            name: 'Name des Profils',
+            create: 'Neues Profil erstellen',
+            rename: 'Profil umbenennen',
+            duplicate: 'Profil duplizieren',
+            delete: 'Profil löschen',
+            deleteConfirm:
+                'Soll das Profil "{{name}}" wirklich gelöscht werden? Die Einstellungen dieses Profils gehen dabei verloren.',
+            goBack: 'Zurück zum Nutzermenü',
+        },
+        courseOverrides: {
+            link: 'Better-Moodle-Einstellungen für diesen Kurs',
+            title: 'Better-Moodle-Einstellungen für {{course}}',
+            description:
+                'Hier kannst du einzelne Einstellungen nur für diesen Kurs abweichend von deinen globalen Einstellungen festlegen.',
+            inherit: 'Wie global ({{value}})',
+            on: 'An',
+            off: 'Aus',
+            overview: 'Kursspezifische Einstellungen',
+            empty: 'Es gibt noch keine kursspezifischen Einstellungen. Du kannst sie über den Link im Kursindex eines Kurses festlegen.',
+            course: 'Kurs',
+            setting: 'Einstellung',
+            value: 'Wert',
+            remove: 'Entfernen',
+        },
+        sync: {
+            now: 'Jetzt synchronisieren',
+            title: 'Synchronisation',
+            notConfigured:
+                'Die Synchronisation ist noch nicht eingerichtet. Aktiviere sie in den Einstellungen und gib eine WebDAV-Datei an.',
+            results: {
+                upToDate: 'Alles ist auf dem neusten Stand.',
+                pushed: 'Die lokalen Daten wurden hochgeladen.',
+                pulled: 'Die Daten aus der Cloud wurden übernommen.',
+            },
+            reloadHint:
+                'Einige Änderungen werden erst nach dem Neuladen der Seite sichtbar.',
+            error: 'Die Synchronisation ist fehlgeschlagen: {{error}}',
+            conflict: {
+                title: 'Synchronisationskonflikt',
+                description:
+                    'Sowohl die lokalen Daten als auch die Daten in der Cloud wurden seit der letzten Synchronisation geändert. Welche Daten sollen behalten werden?',
+                local: 'Lokale Daten hochladen',
+                remote: 'Daten aus der Cloud übernehmen',
+                notification:
+                    'Bitte löse den Synchronisationskonflikt in den Better-Moodle-Einstellungen.',
+            },
+        },
         quickRoleChange: {
             defaultSwitchRole: 'Zur Moodle Rollenwechsel-Seite gehen',
             goBack: 'Zurück zum Nutzermenü',
@@ -310,6 +442,165 @@ const TRANSLATIONS = {
                 updateBtn: 'Update installieren',
                 import: 'Einstellungen importieren',
                 export: 'Einstellungen exportieren',
+                search: {
+                    placeholder: 'Einstellungen durchsuchen…',
+                    onlyChanged: 'Nur geänderte Einstellungen anzeigen',
+                    noResults: 'Keine passenden Einstellungen gefunden.',
+                },
+                validation: {
+                    required: 'Dieses Feld darf nicht leer sein.',
+                    number: 'Bitte eine Zahl eingeben.',
+                    min: 'Der Wert muss mindestens {{min}} sein.',
+                    max: 'Der Wert darf höchstens {{max}} sein.',
+                    step: 'Der Wert muss ein Vielfaches von {{step}} sein.',
+                    url: 'Bitte eine gültige http(s)-Adresse eingeben.',
+                    apiKey: 'Das Format des API-Schlüssels ist ungültig. Wurde er vollständig und ohne Leerzeichen kopiert?',
+                    test: {
+                        button: 'Verbindung testen',
+                        running: 'Verbindung wird getestet…',
+                        success: 'Verbindung erfolgreich.',
+                        unauthorized: 'Der API-Schlüssel wurde abgelehnt.',
+                        network: 'Der Server ist nicht erreichbar.',
+                        failed: 'Verbindungstest fehlgeschlagen: {{error}}',
+                    },
+                },
+                hotkey: {
+                    none: 'Keine Tastenkombination',
+                    record: 'Klicken und die gewünschte Tastenkombination drücken',
+                    clear: 'Tastenkombination entfernen',
+                },
+                history: {
+                    button: 'Verlauf',
+                    title: 'Verlauf der Einstellungen',
+                    hint: 'Die letzten {{max}} Änderungen an Einstellungen werden auf diesem Gerät gespeichert. Geheime Einstellungen wie API-Schlüssel werden nicht aufgezeichnet.',
+                    empty: 'Bisher wurden keine Änderungen aufgezeichnet.',
+                    time: 'Zeitpunkt',
+                    setting: 'Einstellung',
+                    oldValue: 'vorher',
+                    newValue: 'nachher',
+                    source: 'Quelle',
+                    sources: {
+                        modal: 'Einstellungen',
+                        import: 'Import',
+                        sync: 'Synchronisation',
+                        history: 'Verlauf',
+                    },
+                    undo: 'Änderung rückgängig machen',
+                    restoreLabel: 'Zustand vom',
+                    restore: 'wiederherstellen',
+                },
+                copyLink: 'Link zu dieser Einstellung kopieren',
+                linkCopied: 'Link kopiert!',
+                reset: {
+                    setting: 'Auf Standardwert zurücksetzen',
+                    group: 'Alle Einstellungen dieser Gruppe auf Standardwerte zurücksetzen',
+                    modified: 'vom Standardwert abweichend',
+                    all: 'Alle Einstellungen zurücksetzen',
+                    allConfirm:
+                        'Sollen wirklich alle Einstellungen auf ihre Standardwerte zurückgesetzt werden? Lesezeichen, Profile und kursspezifische Einstellungen bleiben erhalten.\n\nDie Änderungen werden erst beim Speichern der Einstellungen übernommen.',
+                },
+                modules: {
+                    button: 'Module',
+                    title: 'Module auf dieser Seite',
+                    module: 'Modul',
+                    pages: 'Seiten',
+                    requires: 'Benötigt',
+                    status: 'Status',
+                    allPages: 'alle Seiten',
+                    enabled: 'aktiv',
+                    disabled: 'ausgeschaltet',
+                    inactive: 'nicht auf dieser Seite',
+                    live: 'live',
+                    liveHint:
+                        'Änderungen an den Einstellungen dieses Moduls werden ohne Neuladen übernommen.',
+                },
+                languagePacks: {
+                    title: 'Sprachpakete',
+                    hint: 'Sprachpakete ergänzen Better-Moodle um weitere Sprachen oder ersetzen einzelne Übersetzungen. Ein Sprachpaket ist eine JSON-Datei in folgendem Format, deren Übersetzungen genauso aufgebaut sind wie die englischen. Fehlende Übersetzungen werden auf Englisch angezeigt.',
+                    option: '{{name}} ({completeness, number, percent})',
+                    percent: '{completeness, number, percent}',
+                    installed: 'Installierte Sprachpakete',
+                    none: 'Es sind noch keine Sprachpakete installiert.',
+                    language: 'Sprache',
+                    name: 'Name',
+                    completeness: 'Vollständigkeit',
+                    source: 'Quelle',
+                    file: 'Datei',
+                    remove: 'Sprachpaket entfernen',
+                    fromFile: 'Aus Datei laden',
+                    url: 'URL des Sprachpakets',
+                    fromUrl: 'Von URL laden',
+                    success:
+                        'Das Sprachpaket "{{name}}" wurde installiert und ist zu {completeness, number, percent} vollständig.',
+                    ignoredKeys:
+                        '{count, plural, one {# Eintrag ist} other {# Einträge sind}} nicht in der englischen Übersetzung vorhanden oder {count, plural, one {hat} other {haben}} einen ungültigen Wert und {count, plural, one {wurde} other {wurden}} ignoriert:',
+                    errors: {
+                        parse: 'Die Datei ist kein gültiges JSON.',
+                        network: 'Das Sprachpaket konnte nicht geladen werden.',
+                        structure:
+                            'Das Sprachpaket muss ein Objekt mit den Einträgen "language", "name" und "translations" sein.',
+                        language:
+                            'Der Sprachcode unter "language" ist ungültig (z. B. "da" oder "nds").',
+                        name: 'Unter "name" muss ein Name für die Sprache angegeben werden.',
+                        empty: 'Das Sprachpaket enthält keine gültigen Übersetzungen.',
+                    },
+                },
+                translations: {
+                    button: 'Übersetzungen',
+                    title: 'Übersetzungen prüfen',
+                    hint: 'Fehlende Übersetzungen in allen Sprachen. Fehlende Übersetzungen werden in dieser Reihenfolge ersetzt: {{chain}}.',
+                    refresh: 'Aktualisieren',
+                    close: 'Schließen',
+                    missing: 'Fehlende Übersetzungen ({{count}})',
+                    key: 'Schlüssel',
+                    languages: 'Fehlt in',
+                    places: 'Angefragt von',
+                    notRequested: 'nicht angefragt',
+                    none: 'Keine 🎉',
+                },
+                exportDialog: {
+                    description:
+                        'Wähle aus, welche Daten exportiert werden sollen.',
+                    categories: {
+                        settings: 'Einstellungen (inkl. Einstellungsprofile)',
+                        bookmarks: 'Lesezeichen',
+                        caches: 'Zwischenspeicher (z. B. Wetterdaten)',
+                        internal:
+                            'Interner Zustand (z. B. aktive NINA Warnungen, gesehene Einstellungen)',
+                    },
+                    secrets: 'API-Keys und andere Geheimnisse einschließen',
+                    secretsHint:
+                        'Teile Exporte mit Geheimnissen niemals mit anderen Personen!',
+                    export: 'Exportieren',
+                },
+                importWizard: {
+                    title: 'Einstellungen importieren',
+                    parseError:
+                        'Die ausgewählte Datei konnte nicht gelesen werden. Bitte wähle eine von Better-Moodle exportierte JSON-Datei aus.',
+                    unknownKeys:
+                        'Die folgenden Einträge sind Better-Moodle unbekannt und werden nicht importiert:',
+                    invalidValues:
+                        'Die folgenden Einträge haben ungültige Werte und werden nicht importiert:',
+                    noChanges:
+                        'Die Datei enthält keine Änderungen gegenüber deinen aktuellen Einstellungen.',
+                    unchanged:
+                        '{{count}} Einträge sind bereits identisch und werden übersprungen.',
+                    apply: 'Ausgewählte Gruppen übernehmen',
+                    setting: 'Einstellung',
+                    current: 'Aktuell',
+                    incoming: 'Import',
+                    groups: {
+                        bookmarks: 'Lesezeichen',
+                        profiles: 'Einstellungsprofile',
+                        courseOverrides: 'Kursspezifische Einstellungen',
+                        languagePacks: 'Sprachpakete',
+                        messageDrafts: 'Entwürfe von Mitteilungen',
+                        messageQueue: 'Geplante Mitteilungen',
+                        ninaState: 'Aktive NINA Warnungen',
+                        caches: 'Zwischenspeicher',
+                        internal: 'Interne Daten',
+                    },
+                },
             },
             update: {
                 title: 'Better-Moodle aktualisieren',
@@ -493,7 +784,7 @@ Viele Grüße
                 bookmarkManager: {
                     name: 'Lesezeichen-Manager',
                     description:
-                        'Aktiviert einen kleinen internen Lesezeichen-Manager, um direkt im Moodle zu bestimmten Orten zu springen.',
+                        'Aktiviert einen kleinen internen Lesezeichen-Manager, um direkt im Moodle zu bestimmten Orten zu springen. Lesezeichen lassen sich in Ordnern sortieren und mit Tags versehen.',
                 },
                 noDownload: {
                     name: 'Download unterbinden',
@@ -533,6 +824,17 @@ Viele Grüße
                         en: '🇬🇧 Englisch',
                     },
                 },
+                languagePacks: {
+                    name: 'Sprachpakete',
+                    description:
+                        'Installiere weitere Sprachen für Better-Moodle aus einer Datei oder von einer URL.',
+                    btn: 'Sprachpakete verwalten',
+                },
+                translationDevMode: {
+                    name: 'Übersetzungs-Entwicklermodus',
+                    description:
+                        'Sammelt fehlende Übersetzungen und zeigt sie in den Einstellungen unter "Übersetzungen" an. Hilfreich beim Übersetzen von Better-Moodle und beim Prüfen von Übersetzungs-PRs.',
+                },
                 prideLogo: {
                     name: 'Pride-Logo',
                     description: '🏳️‍🌈',
@@ -711,18 +1013,38 @@ Viele Grüße
                 sendHotkey: {
                     name: 'Mitteilungen per Tastenkombination absenden',
                     description:
-                        'Ermöglicht das Absenden von Mitteilungen per Tastenkombination (z. B. Strg + Enter).',
-                    options: {
-                        '': '[Deaktiviert] Kein Absenden per Tastenkombination',
-                        'shiftEnter': 'Umschalt + Enter',
-                        'ctrlEnter': 'Strg + Enter',
-                    },
+                        'Ermöglicht das Absenden von Mitteilungen per Tastenkombination (z. B. Strg + Enter). Zum Festlegen in das Feld klicken und die gewünschte Tastenkombination drücken.',
                 },
                 markdown: {
                     name: 'Markdown in Mitteilungen',
                     description:
                         'Erlaubt die Verwendung von Markdown in Mitteilungen.',
                 },
+                markdownPreview: {
+                    name: 'Markdown-Vorschau',
+                    description:
+                        'Zeigt unter dem Eingabefeld eine Live-Vorschau der Mitteilung an. Die Vorschau lässt sich auch direkt neben dem Senden-Button ein- und ausblenden.',
+                },
+                snippets: {
+                    name: 'Textbausteine',
+                    description:
+                        'Textbausteine lassen sich über das Menü neben dem Senden-Button in Mitteilungen einfügen. Platzhalter: {{course}} (Name des aktuellen Kurses), {{recipient}} (Name des Empfängers) und {{date}} (heutiges Datum). Markdown und Formeln werden wie beim Tippen umgewandelt.',
+                },
+                drafts: {
+                    name: 'Entwürfe speichern',
+                    description:
+                        'Speichert angefangene Mitteilungen für jede Unterhaltung, sodass sie nach dem Neuladen oder Wechseln der Unterhaltung erhalten bleiben. Unterhaltungen mit Entwurf werden in der Liste markiert.',
+                },
+                export: {
+                    name: 'Unterhaltungen exportieren',
+                    description:
+                        'Fügt neben dem Senden-Button eine Schaltfläche hinzu, mit der sich der gesamte Verlauf der geöffneten Unterhaltung als Markdown, HTML oder JSON herunterladen lässt.',
+                },
+                sendLater: {
+                    name: 'Später senden',
+                    description:
+                        'Mitteilungen lassen sich für einen späteren Zeitpunkt planen. Sie werden von einem beliebigen geöffneten Moodle-Tab gesendet, sobald der Zeitpunkt erreicht ist.',
+                },
             },
             nina: {
                 _title: 'NINA Warnungen',
@@ -854,6 +1176,33 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
                     },
                 },
             },
+            sync: {
+                _title: 'Synchronisation',
+                enabled: {
+                    name: 'Synchronisation aktivieren',
+                    description:
+                        'Synchronisiert Einstellungen und Lesezeichen über einen WebDAV-Speicher (z. B. die Nextcloud der Uni) zwischen deinen Geräten. Die Einstellungen zur Synchronisation und API-Keys werden nicht synchronisiert.',
+                },
+                url: {
+                    name: 'WebDAV-Datei',
+                    description:
+                        'Die vollständige URL der Datei, in der die Einstellungen gespeichert werden, z. B. https://cloud.rz.uni-kiel.de/remote.php/dav/files/stu000000/better-moodle.json',
+                },
+                username: {
+                    name: 'Nutzername',
+                    description: 'Dein Nutzername für den WebDAV-Speicher.',
+                },
+                password: {
+                    name: 'Passwort',
+                    description:
+                        'Verwende am besten ein App-Passwort, das du in den Sicherheits-Einstellungen der Nextcloud erstellen kannst.',
+                },
+                interval: {
+                    name: 'Intervall (in Minuten)',
+                    description:
+                        'Wie oft soll im Hintergrund synchronisiert werden?',
+                },
+            },
         },
     },
     en: {
@@ -872,12 +1221,20 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
             name: 'Description',
             url: 'URL',
             empty: 'There are no bookmarks set yet!',
+            emptyFolder: 'This folder is empty.',
+            folder: 'Folder',
+            rootFolder: 'No folder',
+            untitledFolder: 'New folder',
+            tags: 'Tags',
+            tagsPlaceholder: 'Tags, separated by commas',
+            filterTag: 'Only show bookmarks tagged “{{tag}}”',
+            drag: 'Drag to move',
+            addBookmark: 'Add bookmark',
+            addFolder: 'Add folder',
         },
         christmasCountdown: {
-            countdown: [
-                '<b>{{days}}</b> day until Christmas Eve.',
-                '<b>{{days}}</b> days until Christmas Eve.',
-            ],
+            countdown:
+                '{days, plural, one {<b>#</b> day} other {<b>#</b> days}} until Christmas Eve.',
             christmas: '🎄 Today is Christmas Eve. Merry Christmas! 🎄',
         },
         courses: {
@@ -890,6 +1247,84 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
             today: 'Today: <b>{{event}}</b> at {{start}} ({{location}})',
             now: 'Now: <b>{{event}}</b> ({{location}})',
         },
+        messages: {
+            preview: {
+                title: 'Preview',
+                toggle: 'Show or hide preview',
+                empty: 'The preview of your message will appear here.',
+                warning:
+                    'Moodle removes when sending: {{elements}}. These parts will look different for the recipient.',
+                stripped: {
+                    checkbox: 'checkboxes of task lists',
+                    details: 'collapsible sections',
+                    mark: 'highlights',
+                },
+            },
+            snippets: {
+                insert: 'Insert snippet',
+                title: 'Title',
+                text: 'Text (Markdown and $formulas$ are allowed)',
+            },
+            drafts: {
+                indicator: 'Draft',
+            },
+            export: {
+                title: 'Export conversation',
+                format: 'Format',
+                formats: {
+                    md: 'Markdown',
+                    html: 'HTML file',
+                    json: 'JSON',
+                },
+                export: 'Export',
+                loading: 'Loading the conversation…',
+                noConversation:
+                    'Open the conversation you want to export first.',
+                error: 'The conversation could not be loaded.',
+                exportedAt: 'Exported on {{date}} at {{time}}',
+                attachments: 'Attachments',
+            },
+            sendLater: {
+                title: 'Send later',
+                dueAt: 'Send on',
+                schedule: 'Schedule',
+                queue: 'Scheduled messages',
+                showQueue: 'Show scheduled messages',
+                empty: 'There are no scheduled messages.',
+                noConversation:
+                    'Open the conversation the message should be sent to first.',
+                noMessage: 'Write a message first.',
+                pastDueAt: 'The time must be in the future.',
+                interrupted:
+                    'Sending was interrupted. Please check whether the message has arrived.',
+                table: {
+                    recipient: 'Recipient',
+                    dueAt: 'Time',
+                    message: 'Message',
+                    status: 'Status',
+                    actions: 'Actions',
+                },
+                status: {
+                    scheduled: 'Scheduled',
+                    sending: 'Sending',
+                    failed: 'Failed',
+                },
+                edit: 'Edit',
+                remove: 'Do not send',
+                save: 'Save',
+                cancelEdit: 'Cancel',
+                notification: {
+                    sent: {
+                        title: 'Message sent',
+                        text: 'Your scheduled message to {{recipient}} has been sent.',
+                    },
+                    failed: {
+                        title: 'Message not sent',
+                        text: 'Your scheduled message to {{recipient}} could not be sent: {{error}}',
+                    },
+                },
+            },
+        },
         myCourses: {
             lists: {
                 empty: 'No courses with currently selected filter available.',
@@ -932,22 +1367,15 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
                     'The warning message you have called up no longer exists. There may be an all-clear for this message.',
             },
             panic: 'PANIC!!!!',
+            period: '{onset, datetime} - {expires, datetime}',
             providedBy: 'Provided by',
             severity: {
                 name: 'Severity',
-                3: 'Extreme',
-                2: 'Severe',
-                1: 'Moderate',
-                0: 'Minor',
-                [-1]: 'Unknown',
+                level: '{severity, select, 3 {Extreme} 2 {Severe} 1 {Moderate} 0 {Minor} other {Unknown}}',
             },
             severityWeather: {
                 name: 'Severity',
-                3: 'Extreme storm',
-                2: 'Storm',
-                1: 'Significant weather',
-                0: 'Minor',
-                [-1]: 'Unknown',
+                level: '{severity, select, 3 {Extreme storm} 2 {Storm} 1 {Significant weather} 0 {Minor} other {Unknown}}',
             },
             showMore: 'Show more',
             status: {
@@ -993,14 +1421,13 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
                 start: 'Start',
                 end: 'End',
                 finished: 'Progress',
+                finishedBy: '{finished, number, percent}',
                 show: 'Show in Progress bar?',
                 holiday: 'Public Holiday',
             },
             category: {
-                semester: {
-                    summer: 'Summer semester {{year}}',
-                    winter: 'Winter semester {{year}}',
-                },
+                semester:
+                    '{season, select, summer {Summer semester {year}} other {Winter semester {year}}}',
                 period: {
                     lecture: 'Lecture period',
                     exam: {
@@ -1011,6 +1438,58 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
                 },
             },
         },
+        profiles: {
+            title: 'Preferences profile',
+            defaultName: 'Default',
+            newName: 'New profile',
+            copyName: '{{name}} (copy)',
+            name: 'Profile name',
+            create: 'Create new profile',
+            rename: 'Rename profile',
+            duplicate: 'Duplicate profile',
+            delete: 'Delete profile',
+            deleteConfirm:
+                'Do you really want to delete the profile "{{name}}"? The preferences of this profile will be lost.',
+            goBack: 'Go back to user menu',
+        },
+        courseOverrides: {
+            link: 'Better-Moodle preferences for this course',
+            title: 'Better-Moodle preferences for {{course}}',
+            description:
+                'Here you can set single preferences for this course only, differing from your global preferences.',
+            inherit: 'Like global ({{value}})',
+            on: 'On',
+            off: 'Off',
+            overview: 'Course specific preferences',
+            empty: 'There are no course specific preferences yet. You can set them via the link in the course index of a course.',
+            course: 'Course',
+            setting: 'Preference',
+            value: 'Value',
+            remove: 'Remove',
+        },
+        sync: {
+            now: 'Synchronise now',
+            title: 'Synchronisation',
+            notConfigured:
+                'Synchronisation is not set up yet. Enable it in the preferences and enter a WebDAV file.',
+            results: {
+                upToDate: 'Everything is up to date.',
+                pushed: 'The local data has been uploaded.',
+                pulled: 'The data from the cloud has been applied.',
+            },
+            reloadHint:
+                'Some changes are only visible after reloading the page.',
+            error: 'Synchronisation failed: {{error}}',
+            conflict: {
+                title: 'Synchronisation conflict',
+                description:
+                    'Both the local data and the data in the cloud have been changed since the last synchronisation. Which data shall be kept?',
+                local: 'Upload local data',
+                remote: 'Apply data from the cloud',
+                notification:
+                    'Please resolve the synchronisation conflict in the Better-Moodle preferences.',
+            },
+        },
         quickRoleChange: {
             defaultSwitchRole: 'Go to Moodle switch role page',
             goBack: 'Go back to user menu',
@@ -1124,6 +1603,165 @@ Better-Moodle funktioniert bei allen angebotenen Anbiertern mit den jeweiligen k
                 updateBtn: 'install update',
                 import: 'import preferences',
                 export: 'export preferences',
+                search: {
+                    placeholder: 'Search preferences…',
+                    onlyChanged: 'Show only changed preferences',
+                    noResults: 'No matching preferences found.',
+                },
+                validation: {
+                    required: 'This field must not be empty.',
+                    number: 'Please enter a number.',
+                    min: 'The value must be at least {{min}}.',
+                    max: 'The value must be at most {{max}}.',
+                    step: 'The value must be a multiple of {{step}}.',
+                    url: 'Please enter a valid http(s) address.',
+                    apiKey: 'The format of the API key is invalid. Has it been copied completely and without spaces?',
+                    test: {
+                        button: 'Test connection',
+                        running: 'Testing connection…',
+                        success: 'Connection successful.',
+                        unauthorized: 'The API key has been rejected.',
+                        network: 'The server could not be reached.',
+                        failed: 'Connection test failed: {{error}}',
+                    },
+                },
+                hotkey: {
+                    none: 'No key combination',
+                    record: 'Click and press the desired key combination',
+                    clear: 'Remove key combination',
+                },
+                history: {
+                    button: 'History',
+                    title: 'Preferences history',
+                    hint: 'The last {{max}} changes of preferences are stored on this device. Secret preferences such as API keys are not recorded.',
+                    empty: 'No changes have been recorded yet.',
+                    time: 'Time',
+                    setting: 'Preference',
+                    oldValue: 'before',
+                    newValue: 'after',
+                    source: 'Source',
+                    sources: {
+                        modal: 'Preferences',
+                        import: 'Import',
+                        sync: 'Sync',
+                        history: 'History',
+                    },
+                    undo: 'Undo change',
+                    restoreLabel: 'State of',
+                    restore: 'restore',
+                },
+                copyLink: 'Copy link to this preference',
+                linkCopied: 'Link copied!',
+                reset: {
+                    setting: 'Reset to default',
+                    group: 'Reset all preferences of this group to default',
+                    modified: 'differs from default',
+                    all: 'Reset all preferences',
+                    allConfirm:
+                        'Do you really want to reset all preferences to their defaults? Bookmarks, profiles and course specific preferences are kept.\n\nThe changes are only applied when saving the preferences.',
+                },
+                modules: {
+                    button: 'Modules',
+                    title: 'Modules on this page',
+                    module: 'Module',
+                    pages: 'Pages',
+                    requires: 'Requires',
+                    status: 'Status',
+                    allPages: 'all pages',
+                    enabled: 'active',
+                    disabled: 'turned off',
+                    inactive: 'not on this page',
+                    live: 'live',
+                    liveHint:
+                        'Changes to the preferences of this module are applied without a reload.',
+                },
+                languagePacks: {
+                    title: 'Language packs',
+                    hint: 'Language packs add further languages to Better-Moodle or replace single translations. A language pack is a JSON file in the following format whose translations are structured exactly like the English ones. Missing translations are shown in English.',
+                    option: '{{name}} ({completeness, number, percent})',
+                    percent: '{completeness, number, percent}',
+                    installed: 'Installed language packs',
+                    none: 'No language packs have been installed yet.',
+                    language: 'Language',
+                    name: 'Name',
+                    completeness: 'Completeness',
+                    source: 'Source',
+                    file: 'File',
+                    remove: 'Remove language pack',
+                    fromFile: 'Load from file',
+                    url: 'URL of the language pack',
+                    fromUrl: 'Load from URL',
+                    success:
+                        'The language pack "{{name}}" has been installed and is {completeness, number, percent} complete.',
+                    ignoredKeys:
+                        '{count, plural, one {# entry does} other {# entries do}} not exist in the English translation or {count, plural, one {has} other {have}} an invalid value and {count, plural, one {has} other {have}} been ignored:',
+                    errors: {
+                        parse: 'The file is not valid JSON.',
+                        network: 'The language pack could not be loaded.',
+                        structure:
+                            'The language pack must be an object with the entries "language", "name" and "translations".',
+                        language:
+                            'The language code in "language" is invalid (e.g. "da" or "nds").',
+                        name: 'A name for the language must be given in "name".',
+                        empty: 'The language pack does not contain any valid translations.',
+                    },
+                },
+                translations: {
+                    button: 'Translations',
+                    title: 'Check translations',
+                    hint: 'Missing translations in all languages. Missing translations are replaced in this order: {{chain}}.',
+                    refresh: 'Refresh',
+                    close: 'Close',
+                    missing: 'Missing translations ({{count}})',
+                    key: 'Key',
+                    languages: 'Missing in',
+                    places: 'Requested from',
+                    notRequested: 'not requested',
+                    none: 'None 🎉',
+                },
+                exportDialog: {
+                    description: 'Choose which data shall be exported.',
+                    categories: {
+                        settings:
+                            'Preferences (including preferences profiles)',
+                        bookmarks: 'Bookmarks',
+                        caches: 'Caches (e.g. weather data)',
+                        internal:
+                            'Internal state (e.g. active NINA warnings, seen preferences)',
+                    },
+                    secrets: 'Include API keys and other secrets',
+                    secretsHint:
+                        'Never share exports containing secrets with other people!',
+                    export: 'Export',
+                },
+                importWizard: {
+                    title: 'import preferences',
+                    parseError:
+                        'The selected file could not be read. Please select a JSON file exported by Better-Moodle.',
+                    unknownKeys:
+                        'The following entries are unknown to Better-Moodle and will not be imported:',
+                    invalidValues:
+                        'The following entries have invalid values and will not be imported:',
+                    noChanges:
+                        'The file does not contain any changes compared to your current preferences.',
+                    unchanged:
+                        '{{count}} entries are already identical and will be skipped.',
+                    apply: 'Apply selected groups',
+                    setting: 'Preference',
+                    current: 'Current',
+                    incoming: 'Import',
+                    groups: {
+                        bookmarks: 'Bookmarks',
+                        profiles: 'Preferences profiles',
+                        courseOverrides: 'Course specific preferences',
+                        languagePacks: 'Language packs',
+                        messageDrafts: 'Message drafts',
+                        messageQueue: 'Scheduled messages',
+                        ninaState: 'Active NINA warnings',
+                        caches: 'Caches',
+                        internal: 'Internal data',
+                    },
+                },
             },
             update: {
                 title: 'Update Better-Moodle',
@@ -1310,7 +1948,7 @@ Best regards
                 bookmarkManager: {
                     name: 'Bookmark Manager',
                     description:
-                        'Enables a small internal bookmark manager to jump directly to specific locations in Moodle.',
+                        'Enables a small internal bookmark manager to jump directly to specific locations in Moodle. Bookmarks can be sorted into folders and tagged.',
                 },
                 noDownload: {
                     name: 'Prevent download',
@@ -1350,6 +1988,17 @@ Best regards
                         en: '🇬🇧 English',
                     },
                 },
+                languagePacks: {
+                    name: 'Language packs',
+                    description:
+                        'Install additional languages for Better-Moodle from a file or a URL.',
+                    btn: 'Manage language packs',
+                },
+                translationDevMode: {
+                    name: 'Translation developer mode',
+                    description:
+                        'Collects missing translations and shows them in the preferences under "Translations". Useful when translating Better-Moodle and when reviewing translation PRs.',
+                },
                 prideLogo: {
                     name: 'Pride-Logo',
                     description: '🏳️‍🌈',
@@ -1522,22 +2171,42 @@ Best regards
                 sendHotkey: {
                     name: 'Send messages by hotkey',
                     description:
-                        'Allows messages to be sent using a key combination (e.g. Ctrl + Enter).',
-                    options: {
-                        '': '[Disabled] Do not send by hotkey',
-                        'shiftEnter': 'Shift + Enter',
-                        'ctrlEnter': 'Ctrl + Enter',
-                    },
+                        'Allows messages to be sent using a key combination (e.g. Ctrl + Enter). Click into the field and press the desired key combination to set it.',
                 },
                 markdown: {
                     name: 'Markdown in messages',
                     description: 'Allows the use of Markdown in messages.',
                 },
+                markdownPreview: {
+                    name: 'Markdown preview',
+                    description:
+                        'Shows a live preview of the message below the input field. The preview can also be shown or hidden right next to the send button.',
+                },
+                snippets: {
+                    name: 'Snippets',
+                    description:
+                        "Snippets can be inserted into messages using the menu next to the send button. Placeholders: {{course}} (name of the current course), {{recipient}} (name of the recipient) and {{date}} (today's date). Markdown and formulas are converted just like when typing.",
+                },
+                drafts: {
+                    name: 'Save drafts',
+                    description:
+                        'Saves unfinished messages for each conversation so that they are kept after reloading or switching the conversation. Conversations with a draft are marked in the list.',
+                },
+                export: {
+                    name: 'Export conversations',
+                    description:
+                        'Adds a button next to the send button to download the full history of the open conversation as Markdown, HTML or JSON.',
+                },
+                sendLater: {
+                    name: 'Send later',
+                    description:
+                        'Messages can be scheduled for a later time. They are sent by any open Moodle tab once the time has come.',
+                },
             },
             nina: {
                 _title: 'NINA Warnings',
                 _description:
-                    '<p>Find out more about warnings by clicking on the notifications. <br>Note: This feature might not always work in english as the BBK often only provides warnings in german.</p>',
+                    'Find out more about warnings by clicking on the notifications.\\\nNote: This feature might not always work in english as the BBK often only provides warnings in german.',
                 enabled: {
                     name: 'Enable NINA warnings',
                     description:
@@ -1665,6 +2334,33 @@ Better-Moodle never requires more than the free plan of the respective provider
                     },
                 },
             },
+            sync: {
+                _title: 'Synchronisation',
+                enabled: {
+                    name: 'Enable synchronisation',
+                    description:
+                        'Synchronises preferences and bookmarks between your devices via a WebDAV storage (e.g. the Nextcloud of the university). The synchronisation preferences and API keys are not synchronised.',
+                },
+                url: {
+                    name: 'WebDAV file',
+                    description:
+                        'The full URL of the file the preferences are stored in, e.g. https://cloud.rz.uni-kiel.de/remote.php/dav/files/stu000000/better-moodle.json',
+                },
+                username: {
+                    name: 'Username',
+                    description: 'Your username for the WebDAV storage.',
+                },
+                password: {
+                    name: 'Password',
+                    description:
+                        'Preferably use an app password that you can create in the security settings of the Nextcloud.',
+                },
+                interval: {
+                    name: 'Interval (in minutes)',
+                    description:
+                        'How often shall be synchronised in the background?',
+                },
+            },
         },
     },
 };
@@ -1704,6 +2400,11 @@ ${unindent(stringTemplate(...args))}
 const IS_NEW_INSTALLATION = GM_listValues().length === 0;
 
 const MyCoursesFilterSyncChangeKey = PREFIX('myCourses.filterSyncChange');
+const BOOKMARKS_STORAGE = PREFIX('bookmarks');
+const MESSAGE_DRAFTS_STORAGE = PREFIX('message-drafts');
+const MESSAGE_QUEUE_STORAGE = PREFIX('message-queue');
+const MESSAGE_QUEUE_LOCK_STORAGE = PREFIX('message-queue-lock');
+const SYNC_STATE_STORAGE = PREFIX('sync.state');
 
 /**
  * Awaits the DOM to be ready and then calls the callback.
@@ -1921,1439 +2622,2750 @@ const updateAvailable = () =>
             );
         });
 
-// this is adopted from https://github.com/p01/mmd.js
+// region Markdown
+// a CommonMark renderer with the GitHub Flavored Markdown extensions tables, strikethrough, autolinks and task lists
+
+const MD_HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+};
+const MD_ENTITY = /&(?:#\d{1,7}|#x[\da-f]{1,6}|[a-z][a-z\d]{1,31});/iy;
+const MD_ESCAPABLE = /[!-/:-@[-`{-~]/;
+const MD_PUNCTUATION = /[\p{P}\p{S}]/u;
+
 /**
- * converts a Markdown text into HTML
- * @param {string} md
- * @param {number} [headingStart]
- * @param {boolean} [escaped] whether to escape the HTML
+ * escapes a string so that it can be used as HTML text or attribute value
+ * @param {string} string
+ * @param {boolean} [keepEntities] whether entities like `&amp;` are kept as they are
+ * @returns {string}
  */
-const mdToHtml = (md, headingStart = 1, escaped = true) => {
-    let html = '';
-
-    const escape = string => new Option(string).innerHTML;
-    const inlineEscape = string =>
-        (escaped ? escape(string) : string)
-            .replace(/!\[([^\]]*)]\(([^(]+)\)/g, '<img alt="$1" src="$2">') // image
-            .replace(/\[([^\]]+)]\(([^(]+?)\)/g, '<a href="$2">$1</a>') // link
-            .replace(/`([^`]+)`/g, '<code>$1</code>') // code
-            .replace(
-                /(\*\*|__)(?=\S)([^\r]*?\S[*_]*)\1/g,
-                '<strong>$2</strong>'
-            ) // bold
-            .replace(/([*_])(?=\S)([^\r]*?\S)\1/g, '<em>$2</em>'); // italic
-
-    const replacements = {
-        '*': [/\n\* /, '<ul><li>', '</li></ul>'],
-        '1': [/\n[1-9]\d*\.? /, '<ol><li>', '</li></ol>'],
-        ' ': [/\n {4}/, '<pre><code>', '</code></pre>', '\n'],
-        '>': [/\n> /, '<blockquote>', '</blockquote>', '\n'],
-    };
+const escapeMdHtml = (string, keepEntities = false) =>
+    string.replace(/[&<>"]/g, (char, offset) => {
+        MD_ENTITY.lastIndex = offset;
+        return char === '&' && keepEntities && MD_ENTITY.test(string) ?
+                char
+            :   MD_HTML_ESCAPES[char];
+    });
 
-    md.replace(/^\s+|\r|\s+$/g, '')
-        .replace(/\t/g, '    ')
-        .split(/\n\n+/)
-        .forEach(b => {
-            const firstChar = b[0];
-            const secondChar = b[1];
-            const replacement =
-                firstChar === '1' || secondChar === ' ' ?
-                    replacements[firstChar]
-                :   undefined;
-            let i;
-            html +=
-                replacement ?
-                    replacement[1] +
-                    `\n${b}`
-                        .split(replacement[0])
-                        .slice(1)
-                        .map(replacement[3] ? escape : inlineEscape)
-                        .join(replacement[3] || '</li>\n<li>') +
-                    replacement[2]
-                : firstChar === '#' ?
-                    `<h${(i =
-                        b.indexOf(' ') + (headingStart - 1))}>${inlineEscape(
-                        b.slice(i + 1 - (headingStart - 1))
-                    )}</h${i}>`
-                : firstChar === '<' ? b
-                : b.startsWith('---') ? '<hr />'
-                : `<p>${inlineEscape(b)}</p>`;
-        });
+/**
+ * removes backslash escapes, e.g. in link destinations
+ * @param {string} string
+ * @returns {string}
+ */
+const unescapeMd = string => string.replace(/\\([!-/:-@[-`{-~])/g, '$1');
 
-    return html;
-};
+/**
+ * @typedef {Object} MdDelimiter a run of `*`, `_` or `~` that may open or close emphasis
+ * @property {'*' | '_' | '~'} char
+ * @property {number} count the number of delimiters that have not been used yet
+ * @property {number} originalCount
+ * @property {boolean} canOpen
+ * @property {boolean} canClose
+ * @property {boolean} active whether this run may still be used for emphasis
+ * @property {string} openTags
+ * @property {string} closeTags
+ */
 
-const noExternalLinkIconClass = PREFIX('no-external-icon');
+/**
+ * matches emphasis delimiters as described in the CommonMark spec
+ * @param {Array<{html: string} | MdDelimiter>} nodes
+ */
+const processMdEmphasis = nodes =>
+    nodes.forEach((closer, closerIndex) => {
+        if (!closer.char || !closer.canClose || !closer.active) return;
+        while (closer.count) {
+            let openerIndex = closerIndex - 1;
+            for (; openerIndex >= 0; openerIndex--) {
+                const opener = nodes[openerIndex];
+                if (
+                    opener.char !== closer.char ||
+                    !opener.canOpen ||
+                    !opener.active ||
+                    !opener.count
+                ) {
+                    continue;
+                }
+                if (closer.char === '~') {
+                    if (opener.count === closer.count) break;
+                    continue;
+                }
+                // the "rule of 3"
+                if (
+                    (opener.canClose || closer.canOpen) &&
+                    (opener.originalCount + closer.originalCount) % 3 === 0 &&
+                    (opener.originalCount % 3 || closer.originalCount % 3)
+                ) {
+                    continue;
+                }
+                break;
+            }
+            if (openerIndex < 0) break;
+
+            const opener = nodes[openerIndex];
+            const use =
+                closer.char === '~' ? closer.count
+                : opener.count >= 2 && closer.count >= 2 ? 2
+                : 1;
+            const tag =
+                closer.char === '~' ? 'del'
+                : use === 2 ? 'strong'
+                : 'em';
+            opener.openTags = `<${tag}>${opener.openTags}`;
+            closer.closeTags += `</${tag}>`;
+            opener.count -= use;
+            closer.count -= use;
+            // delimiters between opener and closer can't be matched anymore
+            nodes
+                .slice(openerIndex + 1, closerIndex)
+                .forEach(node => node.char && (node.active = false));
+        }
+    });
 
-const githubPath = path =>
-    `https://github.com/YorikHansen/better-moodle${path}`;
-const rawGithubPath = path =>
-    `https://raw.githubusercontent.com/YorikHansen/better-moodle/main/${path}`;
-const githubLink = (path, icon = true, externalIcon = false) => {
-    const link = document.createElement('a');
-    link.href = githubPath(path);
-    link.target = '_blank';
+/**
+ * finds the closing bracket of a link label
+ * @param {string} text
+ * @param {number} start the index of `[`
+ * @returns {number} the index of `]`, `text.length` if the label is not closed
+ */
+const findMdLabelEnd = (text, start) => {
+    let depth = 0;
+    let labelEnd = start;
+    for (; labelEnd < text.length; labelEnd++) {
+        const char = text[labelEnd];
+        if (char === '\\') {
+            labelEnd++;
+        } else if (char === '`') {
+            const run = /`+/y;
+            run.lastIndex = labelEnd;
+            const [backticks] = run.exec(text);
+            const closing = text.indexOf(
+                backticks,
+                labelEnd + backticks.length
+            );
+            labelEnd =
+                (closing === -1 ? labelEnd : closing) + backticks.length - 1;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']' && --depth === 0) {
+            break;
+        }
+    }
+    return labelEnd;
+};
 
-    if (icon) {
-        const icon = document.createElement('i');
-        icon.classList.add('fa', 'fa-github', 'fa-fw');
-        link.appendChild(icon);
+/**
+ * parses an inline link or image starting at the opening bracket
+ * @param {string} text
+ * @param {number} start the index of `[`
+ * @returns {{label: string, destination: string, title?: string, end: number} | null} null if there is no valid link
+ */
+const parseMdLink = (text, start) => {
+    const labelEnd = findMdLabelEnd(text, start);
+    if (labelEnd >= text.length || text[labelEnd + 1] !== '(') return null;
+
+    const whitespace = /[ \t\n]*/y;
+    const skipWhitespace = index => {
+        whitespace.lastIndex = index;
+        whitespace.exec(text);
+        return whitespace.lastIndex;
+    };
+
+    let index = skipWhitespace(labelEnd + 2);
+    let destination;
+    if (text[index] === '<') {
+        const end = text.indexOf('>', index);
+        if (end === -1 || text.slice(index, end).includes('\n')) return null;
+        destination = text.slice(index + 1, end);
+        index = end + 1;
+    } else {
+        const destinationStart = index;
+        let parens = 0;
+        for (; index < text.length; index++) {
+            const char = text[index];
+            if (char === '\\' && MD_ESCAPABLE.test(text[index + 1] ?? '')) {
+                index++;
+            } else if (/\s/.test(char)) {
+                break;
+            } else if (char === '(') {
+                parens++;
+            } else if (char === ')') {
+                if (!parens) break;
+                parens--;
+            }
+        }
+        destination = text.slice(destinationStart, index);
     }
 
-    if (!externalIcon) {
-        link.classList.add(noExternalLinkIconClass);
+    const destinationEnd = index;
+    index = skipWhitespace(index);
+    let title;
+    const titleClosing = { '"': '"', "'": "'", '(': ')' }[text[index]];
+    // the title has to be separated from the destination by whitespace
+    if (titleClosing && index > destinationEnd) {
+        let end = index + 1;
+        while (end < text.length && text[end] !== titleClosing) {
+            if (text[end] === '\\') end++;
+            end++;
+        }
+        if (end >= text.length) return null;
+        title = unescapeMd(text.slice(index + 1, end));
+        index = skipWhitespace(end + 1);
     }
+    if (text[index] !== ')') return null;
 
-    return link;
+    return {
+        label: text.slice(start + 1, labelEnd),
+        destination: unescapeMd(destination),
+        title,
+        end: index + 1,
+    };
 };
 
 /**
- * @typedef {Object} CourseGrouping
- * @property {string} classification
- * @property {string} customfieldname
- * @property {string} customfieldvalue
- * @property {boolean} active
- * @property {string} name
+ * @typedef {Object} MdReference
+ * @property {string} destination
+ * @property {string} [title]
  */
 
+const MD_REFERENCE_DEFINITION = {
+    start: /^ {0,3}\[((?:[^\\[\]]|\\[^]){1,999})\]:[ \t]*\n?[ \t]*(<(?:[^\\<>\n]|\\.)*>|[^\s<]\S*)/,
+    title: /^(?:[ \t]+|[ \t]*\n[ \t]*)("(?:[^"\\]|\\[^])*"|'(?:[^'\\]|\\[^])*'|\((?:[^()\\]|\\[^])*\))[ \t]*(?:\n|$)/,
+    end: /^[ \t]*(?:\n|$)/,
+};
+
 /**
- * gets all course groupings as available in my courses view
- * @return {Promise<CourseGrouping[]>}
+ * normalizes a link label, so that labels differing only in case and whitespace match
+ * @param {string} label
+ * @returns {string}
  */
-const getCourseGroupings = () =>
-    window.location.pathname.startsWith('/login') ?
-        Promise.resolve([])
-    :   fetch('/my/courses.php')
-            .then(res => res.text())
-            .then(html => new DOMParser().parseFromString(html, 'text/html'))
-            .then(doc => {
-                const customfieldname =
-                    doc.querySelector('[data-region="courses-view"]')?.dataset
-                        .customfieldname ?? '';
-                return Array.from(
-                    doc.querySelectorAll(
-                        '#groupingdropdown + .dropdown-menu [data-filter="grouping"]'
-                    )
-                ).map(group => ({
-                    classification: group.dataset.pref,
-                    customfieldname,
-                    customfieldvalue: group.dataset.customfieldvalue,
-                    active: group.ariaCurrent === 'true',
-                    name: group.textContent.trim(),
-                }));
-            });
-/** gets all course groupings as options for a select */
-const getCourseGroupingOptions = () =>
-    getCourseGroupings().then(groupings => [
-        {
-            key: '_sync',
-            title: $t('courseGroupings.sync'),
-        },
-        ...groupings.map(group => {
-            delete group.active;
-            return {
-                key: JSON.stringify(group),
-                title: group.name,
-            };
-        }),
-    ]);
+const normalizeMdLabel = label =>
+    label.trim().replace(/\s+/g, ' ').toLowerCase();
 
-/** @type {(...elements: Node[]) => [Node, Node][]} */
-const addMarqueeItems = (() => {
-    const navItem = document.createElement('div');
-    navItem.classList.add('flex-shrink-1');
-    navItem.style.setProperty('overflow', 'hidden');
+/**
+ * removes link reference definitions (`[label]: destination "title"`) from the start of a paragraph and stores them
+ * @param {string} text
+ * @param {Map<string, MdReference>} references
+ * @returns {string} the remaining text of the paragraph
+ */
+const takeMdReferenceDefinitions = (text, references) => {
+    let remaining = text;
+    for (;;) {
+        const definition = MD_REFERENCE_DEFINITION.start.exec(remaining);
+        if (!definition?.[1].trim()) return remaining;
+        const rest = remaining.slice(definition[0].length);
+        const title = MD_REFERENCE_DEFINITION.title.exec(rest);
+        const end = title ?? MD_REFERENCE_DEFINITION.end.exec(rest);
+        if (!end) return remaining;
+
+        const label = normalizeMdLabel(definition[1]);
+        // the first definition of a label takes precedence
+        if (!references.has(label)) {
+            references.set(label, {
+                destination: unescapeMd(
+                    definition[2].replace(/^<([^]*)>$/, '$1')
+                ),
+                title: title ? unescapeMd(title[1].slice(1, -1)) : undefined,
+            });
+        }
+        remaining = rest.slice(end[0].length);
+    }
+};
 
-    const navLink = document.createElement('a');
-    navLink.classList.add('nav-link', 'position-relative');
-    navLink.id = PREFIX('nav-marquee-wrapper');
+/**
+ * parses a full (`[text][label]`), collapsed (`[text][]`) or shortcut (`[text]`) reference link or image starting at the opening bracket
+ * @param {string} text
+ * @param {number} start the index of `[`
+ * @param {Map<string, MdReference>} references
+ * @returns {{label: string, destination: string, title?: string, end: number} | null} null if there is no link with a matching definition
+ */
+const parseMdReferenceLink = (text, start, references) => {
+    const labelEnd = findMdLabelEnd(text, start);
+    if (labelEnd >= text.length) return null;
+    const label = text.slice(start + 1, labelEnd);
+
+    const reference = /\[((?:[^\\[\]]|\\[^]){0,999})\]/y;
+    reference.lastIndex = labelEnd + 1;
+    const referenceLabel = reference.exec(text)?.[1];
+    const definition = references.get(
+        normalizeMdLabel(referenceLabel || label)
+    );
+    if (!definition) return null;
+    return {
+        label,
+        ...definition,
+        end: referenceLabel === undefined ? labelEnd + 1 : reference.lastIndex,
+    };
+};
 
-    const content = document.createElement('span');
-    const textSpanClass = PREFIX('nav-marquee');
-    content.classList.add(textSpanClass);
+/**
+ * @param {string} href
+ * @param {string} content the HTML content of the link
+ * @param {string} [title]
+ * @returns {string}
+ */
+const mdLink = (href, content, title) =>
+    `<a href="${escapeMdHtml(href.replaceAll(' ', '%20'))}"${
+        title ? ` title="${escapeMdHtml(title)}"` : ''
+    }>${content}</a>`;
+
+const MD_INLINE = {
+    backticks: /`+/y,
+    autolink: /<([a-z][a-z\d+.-]{1,31}:[^\s<>]*)>/iy,
+    emailAutolink:
+        /<([\w.!#$%&'*+/=?^`{|}~-]+@[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)*)>/iy,
+    bareAutolink: /(?:https?:\/\/|www\.)[^\s<]+/iy,
+    bareEmailAutolink: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/y,
+    html: /<!--[\s\S]*?-->|<\/?[a-z][a-z\d-]*(?:\s+[a-z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>/iy,
+    delimiterRun: /([*_~])\1*/y,
+    lineStart: / */y,
+};
 
-    const keyFrames = `${textSpanClass}-keyframes`;
-    const scrollStartVar = '--nav-marquee-scroll-start';
-    const scrollEndVar = '--nav-marquee-scroll-end';
-    const scrollDurationVar = '--nav-marquee-scroll-duration';
+/**
+ * @param {RegExp} regex a sticky regex
+ * @param {string} text
+ * @param {number} index
+ * @returns {RegExpExecArray | null}
+ */
+const matchMdAt = (regex, text, index) => {
+    regex.lastIndex = index;
+    return regex.exec(text);
+};
 
-    const SCROLL_SPEED_MS_PER_PX = 100;
-    const durationForPx = px => px * SCROLL_SPEED_MS_PER_PX;
+/**
+ * renders the inline content of a block, e.g. emphasis, code spans and links
+ * @param {string} text
+ * @param {boolean} escaped whether raw HTML is escaped
+ * @param {Map<string, MdReference>} references the link reference definitions of the document
+ * @returns {string}
+ */
+const renderMdInline = (text, escaped, references) => {
+    /** @type {Array<{html: string} | MdDelimiter>} */
+    const nodes = [];
+    let buffer = '';
+    const pushHtml = html => {
+        if (buffer) nodes.push({ html: buffer });
+        buffer = '';
+        nodes.push({ html });
+    };
 
-    GM_addStyle(css`
-        #${navLink.id} {
-            ${scrollStartVar}: 100%;
-            ${scrollEndVar}: 100%;
-            ${scrollDurationVar}: 10s;
-        }
-        #${navLink.id}.animated {
-            animation: ${keyFrames} var(${scrollDurationVar}) linear infinite;
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const prevChar = text[i - 1] ?? ' ';
+
+        if (char === '\\') {
+            const next = text[i + 1] ?? '';
+            if (next === '\n') {
+                pushHtml('<br />\n');
+                matchMdAt(MD_INLINE.lineStart, text, i + 2);
+                i = MD_INLINE.lineStart.lastIndex;
+                continue;
+            }
+            if (MD_ESCAPABLE.test(next)) {
+                buffer += escapeMdHtml(next);
+                i += 2;
+                continue;
+            }
         }
-        #${navLink.id}:not(.animated) > .${textSpanClass}:nth-child(2) {
-            display: none;
+
+        if (char === '`') {
+            const [backticks] = matchMdAt(MD_INLINE.backticks, text, i);
+            const closing = new RegExp(`(?<!\`)${backticks}(?!\`)`, 'g');
+            closing.lastIndex = i + backticks.length;
+            const end = closing.exec(text)?.index;
+            if (end === undefined) {
+                buffer += backticks;
+                i += backticks.length;
+                continue;
+            }
+            let code = text
+                .slice(i + backticks.length, end)
+                .replace(/\n/g, ' ');
+            if (/^ [^]*[^ ][^]* $/.test(code)) code = code.slice(1, -1);
+            pushHtml(`<code>${escapeMdHtml(code)}</code>`);
+            i = end + backticks.length;
+            continue;
         }
 
-        #${navLink.id} > .${textSpanClass} > *::after {
-            content: '${'\xa0'.repeat(11)}';
-            background-image: url('https://www.fs-infmath.uni-kiel.de/favicon.ico'); /* TODO */
-            background-repeat: no-repeat;
-            background-position: center;
-            background-size: contain;
+        if (char === '<') {
+            const autolink = matchMdAt(MD_INLINE.autolink, text, i);
+            const emailAutolink =
+                !autolink && matchMdAt(MD_INLINE.emailAutolink, text, i);
+            const html = escaped ? null : matchMdAt(MD_INLINE.html, text, i);
+            if (autolink) {
+                pushHtml(mdLink(autolink[1], escapeMdHtml(autolink[1])));
+                i += autolink[0].length;
+                continue;
+            }
+            if (emailAutolink) {
+                pushHtml(
+                    mdLink(
+                        `mailto:${emailAutolink[1]}`,
+                        escapeMdHtml(emailAutolink[1])
+                    )
+                );
+                i += emailAutolink[0].length;
+                continue;
+            }
+            if (html) {
+                pushHtml(html[0]);
+                i += html[0].length;
+                continue;
+            }
         }
-        #${navLink.id}:not(.animated)
-            > .${textSpanClass}
-            > *:last-child::after {
-            display: none;
+
+        if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+            const image = char === '!';
+            const link =
+                parseMdLink(text, image ? i + 1 : i) ??
+                parseMdReferenceLink(text, image ? i + 1 : i, references);
+            if (link) {
+                const content = renderMdInline(link.label, escaped, references);
+                pushHtml(
+                    image ?
+                        `<img src="${escapeMdHtml(
+                            link.destination.replaceAll(' ', '%20')
+                        )}" alt="${escapeMdHtml(
+                            content.replace(/<[^>]*>/g, '')
+                        )}"${
+                            link.title ?
+                                ` title="${escapeMdHtml(link.title)}"`
+                            :   ''
+                        } />`
+                    :   mdLink(link.destination, content, link.title)
+                );
+                i = link.end;
+                continue;
+            }
         }
 
-        @keyframes ${keyFrames} {
-            from {
-                transform: translateX(0);
+        if (char === '*' || char === '_' || char === '~') {
+            const [run] = matchMdAt(MD_INLINE.delimiterRun, text, i);
+            const nextChar = text[i + run.length] ?? ' ';
+            const leftFlanking =
+                !/\s/.test(nextChar) &&
+                (!MD_PUNCTUATION.test(nextChar) ||
+                    /\s/.test(prevChar) ||
+                    MD_PUNCTUATION.test(prevChar));
+            const rightFlanking =
+                !/\s/.test(prevChar) &&
+                (!MD_PUNCTUATION.test(prevChar) ||
+                    /\s/.test(nextChar) ||
+                    MD_PUNCTUATION.test(nextChar));
+            // underscores within words (snake_case) are no emphasis
+            const canOpen =
+                char === '_' ?
+                    leftFlanking &&
+                    (!rightFlanking || MD_PUNCTUATION.test(prevChar))
+                :   leftFlanking;
+            const canClose =
+                char === '_' ?
+                    rightFlanking &&
+                    (!leftFlanking || MD_PUNCTUATION.test(nextChar))
+                :   rightFlanking;
+            if (char === '~' && run.length > 2) {
+                buffer += run;
+            } else {
+                if (buffer) nodes.push({ html: buffer });
+                buffer = '';
+                nodes.push({
+                    char,
+                    count: run.length,
+                    originalCount: run.length,
+                    canOpen,
+                    canClose,
+                    active: true,
+                    openTags: '',
+                    closeTags: '',
+                });
             }
-            to {
-                transform: translateX(var(${scrollEndVar}));
+            i += run.length;
+            continue;
+        }
+
+        if (char === '\n') {
+            if (/ {2,}$/.test(buffer)) {
+                buffer = buffer.replace(/ +$/, '');
+                pushHtml('<br />\n');
+            } else {
+                buffer = `${buffer.replace(/ +$/, '')}\n`;
             }
+            matchMdAt(MD_INLINE.lineStart, text, i + 1);
+            i = MD_INLINE.lineStart.lastIndex;
+            continue;
         }
-    `);
 
-    const updateScrollWidth = () => {
-        const navLinkWidth = Math.floor(navLink.getBoundingClientRect().width);
-        let textSpanWidth = Math.floor(content.getBoundingClientRect().width);
-        if (textSpanWidth <= navLinkWidth) {
-            navLink.classList.remove('animated');
-        } else {
-            navLink.classList.add('animated');
+        if (
+            (char === 'h' || char === 'w') &&
+            (i === 0 || /[\s*_~(]/.test(prevChar))
+        ) {
+            const bareAutolink = matchMdAt(MD_INLINE.bareAutolink, text, i);
+            if (bareAutolink) {
+                let url = bareAutolink[0];
+                // trailing punctuation and unbalanced closing parentheses are not part of the link
+                for (;;) {
+                    const trimmed = url.replace(/[?!.,:*_~'"]+$/, '');
+                    if (
+                        trimmed.endsWith(')') &&
+                        trimmed.split(')').length > trimmed.split('(').length
+                    ) {
+                        url = trimmed.slice(0, -1);
+                    } else {
+                        url = trimmed;
+                        break;
+                    }
+                }
+                if (url.includes('.')) {
+                    pushHtml(
+                        mdLink(
+                            url.startsWith('www.') ? `http://${url}` : url,
+                            escapeMdHtml(url)
+                        )
+                    );
+                    i += url.length;
+                    continue;
+                }
+            }
+        }
 
-            textSpanWidth = Math.floor(content.getBoundingClientRect().width);
+        if (/[\w.+-]/.test(char) && (i === 0 || /[\s*_~(]/.test(prevChar))) {
+            const email = matchMdAt(MD_INLINE.bareEmailAutolink, text, i);
+            // addresses ending with - or _ are not linked
+            if (email && !/[-_]$/.test(email[0])) {
+                pushHtml(mdLink(`mailto:${email[0]}`, escapeMdHtml(email[0])));
+                i += email[0].length;
+                continue;
+            }
+        }
 
-            navLink.style.setProperty(scrollEndVar, `-${textSpanWidth}px`);
-            navLink.style.setProperty(
-                scrollDurationVar,
-                `${durationForPx(textSpanWidth)}ms`
-            );
+        if (char === '&') {
+            MD_ENTITY.lastIndex = i;
+            buffer += MD_ENTITY.test(text) ? char : '&amp;';
+        } else {
+            buffer += escapeMdHtml(char);
         }
-    };
+        i++;
+    }
+    if (buffer) nodes.push({ html: buffer });
+
+    processMdEmphasis(nodes);
+    return nodes
+        .map(node =>
+            node.char ?
+                `${node.closeTags}${node.char.repeat(node.count)}${node.openTags}`
+            :   node.html
+        )
+        .join('')
+        .replace(/[ \t]+$/, '');
+};
 
-    new ResizeObserver(updateScrollWidth).observe(navLink);
+const MD_BLOCK = {
+    blank: /^[ \t]*$/,
+    atxHeading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    setextUnderline: /^ {0,3}(=+|-+)[ \t]*$/,
+    thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    fence: /^( {0,3})(`{3,}|~{3,})(.*)$/,
+    indentedCode: /^ {4}/,
+    blockquote: /^ {0,3}> ?/,
+    listItem: /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/,
+    taskListItem: /^\[([ xX])\][ \t]+/,
+    tableDelimiter:
+        /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    html: /^ {0,3}<(?:\/?[a-z][a-z\d-]*(?:[\s/>]|$)|!--)/i,
+};
 
-    const cloneEl = content.cloneNode(true);
+/**
+ * splits a table row into its cells
+ * @param {string} row
+ * @returns {string[]}
+ */
+const splitMdTableRow = row =>
+    row
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replaceAll('\\|', '|'));
 
-    navLink.append(content, cloneEl);
-    navItem.append(navLink);
-    ready(() => {
-        document.getElementById('usernavigation')?.prepend(navItem);
-        updateScrollWidth();
-    });
+/**
+ * whether a line starts a block that interrupts a paragraph
+ * @param {string} line
+ * @returns {boolean}
+ */
+const interruptsMdParagraph = line => {
+    if (
+        MD_BLOCK.atxHeading.test(line) ||
+        MD_BLOCK.thematicBreak.test(line) ||
+        MD_BLOCK.fence.test(line) ||
+        MD_BLOCK.blockquote.test(line)
+    ) {
+        return true;
+    }
+    // only non-empty lists that start with 1 interrupt a paragraph
+    const listItem = MD_BLOCK.listItem.exec(line);
+    return Boolean(
+        listItem?.[4]?.trim() &&
+            (!/\d/.test(listItem[2]) || parseInt(listItem[2]) === 1)
+    );
+};
 
-    /** @type {Node[]} */
-    const marqueeElements = [];
-    /** @type {Node[]} */
-    const clonedMarqueeElements = [];
+/**
+ * renders block level Markdown
+ * @param {string[]} lines
+ * @param {{headingStart: number, escaped: boolean, references: Map<string, MdReference>}} options definitions found while rendering are added to `references`
+ * @param {boolean} [tight] whether paragraphs are rendered without `<p>`, as in tight lists
+ * @returns {string}
+ */
+const renderMdBlocks = (lines, options, tight = false) => {
+    const { headingStart, escaped, references } = options;
+    const blocks = [];
+    /** @type {string[]} */
+    let paragraph = [];
+    /**
+     * ends the current paragraph
+     * @returns {string} the text of the paragraph without link reference definitions
+     */
+    const takeParagraph = () => {
+        const text = takeMdReferenceDefinitions(
+            paragraph.map(line => line.trimStart()).join('\n'),
+            references
+        );
+        paragraph = [];
+        return text;
+    };
+    const closeParagraph = () => {
+        if (!paragraph.length) return;
+        const text = takeParagraph();
+        if (!text) return;
+        const inline = renderMdInline(text, escaped, references);
+        blocks.push(tight ? inline : `<p>${inline}</p>`);
+    };
+    const heading = (level, text) => {
+        const tag = `h${Math.min(6, level + headingStart - 1)}`;
+        return `<${tag}>${renderMdInline(
+            text.trim(),
+            escaped,
+            references
+        )}</${tag}>`;
+    };
 
-    /** @type {(...elements: Node[]) => [Node, Node][]} */
-    const addItems = (...elements) => {
-        marqueeElements.push(...elements);
-        clonedMarqueeElements.push(...elements.map(e => e.cloneNode(true)));
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
 
-        const newElements = marqueeElements.slice(-elements.length);
-        const newClonedElements = clonedMarqueeElements.slice(-elements.length);
+        if (MD_BLOCK.blank.test(line)) {
+            closeParagraph();
+            i++;
+            continue;
+        }
 
-        content.append(...newElements);
-        cloneEl.append(...newClonedElements);
+        const setextUnderline =
+            paragraph.length && MD_BLOCK.setextUnderline.exec(line);
+        // a paragraph consisting of link reference definitions only can't become a heading
+        const setextText = setextUnderline && takeParagraph();
+        if (setextText) {
+            blocks.push(
+                heading(setextUnderline[1][0] === '=' ? 1 : 2, setextText)
+            );
+            i++;
+            continue;
+        }
 
-        updateScrollWidth();
+        // a table starts with a header row followed by a delimiter row with the same number of cells
+        const headerRow = paragraph.at(-1) ?? line;
+        const delimiterRow = paragraph.length ? line : lines[i + 1];
+        if (
+            headerRow.includes('|') &&
+            delimiterRow &&
+            MD_BLOCK.tableDelimiter.test(delimiterRow) &&
+            splitMdTableRow(headerRow).length ===
+                splitMdTableRow(delimiterRow).length
+        ) {
+            if (paragraph.length) {
+                paragraph.pop();
+                closeParagraph();
+                i++;
+            } else {
+                i += 2;
+            }
+            const alignments = splitMdTableRow(delimiterRow).map(cell =>
+                cell.startsWith(':') && cell.endsWith(':') ? 'center'
+                : cell.endsWith(':') ? 'right'
+                : cell.startsWith(':') ? 'left'
+                : ''
+            );
+            const row = (cells, tag) =>
+                `<tr>${alignments
+                    .map(
+                        (align, index) =>
+                            `<${tag}${align ? ` align="${align}"` : ''}>${renderMdInline(
+                                cells[index] ?? '',
+                                escaped,
+                                references
+                            )}</${tag}>`
+                    )
+                    .join('')}</tr>`;
+            const bodyRows = [];
+            while (
+                i < lines.length &&
+                !MD_BLOCK.blank.test(lines[i]) &&
+                !interruptsMdParagraph(lines[i])
+            ) {
+                bodyRows.push(row(splitMdTableRow(lines[i]), 'td'));
+                i++;
+            }
+            blocks.push(
+                `<table><thead>${row(splitMdTableRow(headerRow), 'th')}</thead>${
+                    bodyRows.length ? `<tbody>${bodyRows.join('')}</tbody>` : ''
+                }</table>`
+            );
+            continue;
+        }
 
-        return newElements.map((e, i) => [e, newClonedElements[i]]);
-    };
+        if (paragraph.length && !interruptsMdParagraph(line)) {
+            paragraph.push(line);
+            i++;
+            continue;
+        }
+        closeParagraph();
 
-    // TODO: Parse the ICS file from the CAU Cloud (https://cloud.rz.uni-kiel.de/remote.php/dav/public-calendars/6i9dfBcXyqsLYKZK/?export) on client side
+        const atxHeading = MD_BLOCK.atxHeading.exec(line);
+        if (atxHeading) {
+            blocks.push(heading(atxHeading[1].length, atxHeading[2] ?? ''));
+            i++;
+            continue;
+        }
 
-    // we can add information about oncoming events here.
-    // the getSetting method cannot be used as SETTINGS is not defined there yet
-    if (GM_getValue(getSettingKey('general.eventAdvertisements'), true)) {
-        fetch(
-            'https://better-moodle.yorik.dev/events.json?cal=https://cloud.rz.uni-kiel.de/remote.php/dav/public-calendars/6i9dfBcXyqsLYKZK/?export'
-        )
-            .then(res => res.json())
-            .then(events =>
-                // Filter out events that are already over
-                events.filter(event => new Date(event.end) > Date.now())
-            )
-            .then(
-                events => events.filter(event => event.status === 'CONFIRMED') // TODO: Add message for canceled events
-            )
-            .then(events =>
-                events.map(event => {
-                    const startDate = new Date(event.start);
-                    const endDate = new Date(event.end);
-                    const startDateDay = new Date(event.start.slice(0, 10));
-                    const beforeStartDateDay =
-                        new Date(event.start.slice(0, 10)) -
-                        1000 * 60 * 60 * 24;
-                    const startAdDay =
-                        startDateDay -
-                        (() => {
-                            switch (event.priority) {
-                                case 1:
-                                    return 1000 * 60 * 60 * 24 * 7; // 1 week
-                                case 2:
-                                    return 1000 * 60 * 60 * 24 * 7; // 1 week
-                                case 3:
-                                    return 1000 * 60 * 60 * 24 * 5; // 5 days
-                                case 4:
-                                    return 1000 * 60 * 60 * 24 * 3; // 3 days
-                                case 5:
-                                    return 1000 * 60 * 60 * 24; // Normal priority
-                                case 0:
-                                    return 0; // Not set
-                                default:
-                                    return startDateDay + startDate; // low priority
-                            }
-                        })();
-                    const now = new Date();
+        if (MD_BLOCK.thematicBreak.test(line)) {
+            blocks.push('<hr />');
+            i++;
+            continue;
+        }
 
-                    const mainAdElement = document.createElement('span');
-                    mainAdElement.innerText = `${startDate.toISOString()}: ${event.title}`; // Not visible, just for debugging
+        const fence = MD_BLOCK.fence.exec(line);
+        if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+            const [, indent, marker, info] = fence;
+            const closingFence = new RegExp(
+                `^ {0,3}${marker[0]}{${marker.length},}[ \\t]*$`
+            );
+            const code = [];
+            i++;
+            while (i < lines.length && !closingFence.test(lines[i])) {
+                code.push(
+                    lines[i].replace(new RegExp(`^ {0,${indent.length}}`), '')
+                );
+                i++;
+            }
+            i++;
+            const language = unescapeMd(info.trim().split(/\s+/)[0]);
+            blocks.push(
+                `<pre><code${
+                    language ?
+                        ` class="language-${escapeMdHtml(language)}"`
+                    :   ''
+                }>${code.map(codeLine => `${escapeMdHtml(codeLine)}\n`).join('')}</code></pre>`
+            );
+            continue;
+        }
 
-                    const showEvent = (time, template) => {
-                        if (time > now) {
-                            const delta = time - now;
-                            if (!(delta > MAX_TIMEOUT)) {
-                                setTimeout(() => {
-                                    mainAdElement.classList.remove('hidden');
-                                    mainAdElement.innerHTML = template;
-                                }, delta);
-                            }
-                        } else {
-                            mainAdElement.innerHTML = template;
-                        }
-                    };
+        if (MD_BLOCK.indentedCode.test(line)) {
+            const code = [];
+            while (
+                i < lines.length &&
+                (MD_BLOCK.indentedCode.test(lines[i]) ||
+                    MD_BLOCK.blank.test(lines[i]))
+            ) {
+                code.push(lines[i].slice(4));
+                i++;
+            }
+            while (MD_BLOCK.blank.test(code.at(-1))) code.pop();
+            blocks.push(
+                `<pre><code>${code.map(codeLine => `${escapeMdHtml(codeLine)}\n`).join('')}</code></pre>`
+            );
+            continue;
+        }
 
-                    const ad = {
-                        // TODO: Add attach url as link with icon.
-                        event: event.title,
-                        date: new Date(event.start).toLocaleDateString(
-                            BETTER_MOODLE_LANG,
-                            {
-                                weekday: 'long',
-                                year: 'numeric',
-                                month: 'long',
-                                day: 'numeric',
-                            }
-                        ),
-                        start: new Date(event.start).toLocaleTimeString(
-                            BETTER_MOODLE_LANG,
-                            { hour: '2-digit', minute: '2-digit' }
-                        ),
-                        location: event.location,
-                    };
+        if (MD_BLOCK.blockquote.test(line)) {
+            const quoted = [];
+            while (
+                i < lines.length &&
+                (MD_BLOCK.blockquote.test(lines[i]) ||
+                    // lazy continuation of a paragraph
+                    (!MD_BLOCK.blank.test(lines[i]) &&
+                        !MD_BLOCK.blank.test(quoted.at(-1)) &&
+                        !interruptsMdParagraph(lines[i])))
+            ) {
+                quoted.push(lines[i].replace(MD_BLOCK.blockquote, ''));
+                i++;
+            }
+            blocks.push(
+                `<blockquote>${renderMdBlocks(quoted, options)}</blockquote>`
+            );
+            continue;
+        }
 
-                    if (startAdDay > now || endDate < now) {
-                        mainAdElement.classList.add('hidden');
+        const listItem = MD_BLOCK.listItem.exec(line);
+        if (listItem) {
+            const ordered = /\d/.test(listItem[2]);
+            const listType = ordered ? listItem[2].at(-1) : listItem[2];
+            const items = [];
+            let loose = false;
+            let blankLineBeforeNextItem = false;
+            let item;
+            while (
+                i < lines.length &&
+                (item = MD_BLOCK.listItem.exec(lines[i])) &&
+                (/\d/.test(item[2]) ? item[2].at(-1) : item[2]) === listType &&
+                !MD_BLOCK.thematicBreak.test(lines[i])
+            ) {
+                // blank lines between items or between the blocks of an item make a list loose
+                if (blankLineBeforeNextItem) loose = true;
+                const [, indent, marker, spaces = '', content = ''] = item;
+                // content that is indented by 5 or more spaces is indented code within the item
+                const padding =
+                    spaces.length > 4 || !content ? 1 : spaces.length;
+                const contentIndent = indent.length + marker.length + padding;
+                const itemLines = [
+                    `${' '.repeat(spaces.length - padding)}${content}`,
+                ];
+                i++;
+                while (i < lines.length) {
+                    const itemLine = lines[i];
+                    if (MD_BLOCK.blank.test(itemLine)) {
+                        itemLines.push('');
+                    } else if (
+                        itemLine.length - itemLine.trimStart().length >=
+                        contentIndent
+                    ) {
+                        itemLines.push(itemLine.slice(contentIndent));
+                    } else if (
+                        !MD_BLOCK.blank.test(itemLines.at(-1)) &&
+                        !interruptsMdParagraph(itemLine) &&
+                        !MD_BLOCK.listItem.test(itemLine)
+                    ) {
+                        // lazy continuation of a paragraph
+                        itemLines.push(itemLine);
+                    } else {
+                        break;
                     }
+                    i++;
+                }
+                blankLineBeforeNextItem = false;
+                while (itemLines.length > 1 && !itemLines.at(-1).trim()) {
+                    itemLines.pop();
+                    blankLineBeforeNextItem = true;
+                }
+                if (itemLines.slice(1).some(itemLine => !itemLine.trim())) {
+                    loose = true;
+                }
+                items.push({ lines: itemLines, start: parseInt(marker) });
+            }
 
-                    if (
-                        event.priority !== 0 &&
-                        event.priority < 5 &&
-                        beforeStartDateDay > now
-                    ) {
-                        showEvent(
-                            startAdDay,
-                            $t('eventAdvertisements.saveTheDate', ad)
-                        );
-                    }
-                    if (
-                        event.priority !== 0 &&
-                        event.priority <= 5 &&
-                        startDateDay > now
-                    ) {
-                        showEvent(
-                            beforeStartDateDay,
-                            $t('eventAdvertisements.tomorrow', ad)
-                        );
-                    }
-                    if (event.priority <= 5 && startDate > now) {
-                        showEvent(
-                            startDateDay,
-                            $t('eventAdvertisements.today', ad)
-                        );
-                    }
-                    if (endDate > now) {
-                        showEvent(startDate, $t('eventAdvertisements.now', ad));
-
-                        if (endDate - now < MAX_TIMEOUT) {
-                            setTimeout(() => {
-                                mainAdElement.classList.add('hidden');
-                            }, endDate - now);
+            const tag = ordered ? 'ol' : 'ul';
+            const start = items[0].start;
+            blocks.push(
+                `<${tag}${ordered && start !== 1 ? ` start="${start}"` : ''}>${items
+                    .map(({ lines: itemLines }) => {
+                        const task = MD_BLOCK.taskListItem.exec(itemLines[0]);
+                        if (task) {
+                            itemLines[0] = itemLines[0].slice(task[0].length);
                         }
-                    }
-                    return mainAdElement;
-                })
-            )
-            .then(eventItems => {
-                marqueeElements.unshift(...eventItems);
-                clonedMarqueeElements.unshift(
-                    ...eventItems.map(e => e.cloneNode(true))
-                );
-
-                const newElements = marqueeElements.slice(0, eventItems.length);
-                const newClonedElements = clonedMarqueeElements.slice(
-                    0,
-                    eventItems.length
-                );
+                        return `<li>${
+                            task ?
+                                `<input type="checkbox" disabled${
+                                    task[1] === ' ' ? '' : ' checked'
+                                } /> `
+                            :   ''
+                        }${renderMdBlocks(itemLines, options, !loose)}</li>`;
+                    })
+                    .join('')}</${tag}>`
+            );
+            continue;
+        }
 
-                content.prepend(...newElements);
-                cloneEl.prepend(...newClonedElements);
+        if (!escaped && MD_BLOCK.html.test(line)) {
+            const html = [];
+            while (i < lines.length && !MD_BLOCK.blank.test(lines[i])) {
+                html.push(lines[i]);
+                i++;
+            }
+            blocks.push(html.join('\n'));
+            continue;
+        }
 
-                updateScrollWidth();
-            });
+        paragraph.push(line);
+        i++;
     }
+    closeParagraph();
 
-    return addItems;
-})();
+    return blocks.join('');
+};
 
+// elements that are removed including their content
+const SANITIZER_DROPPED_TAGS = new Set([
+    'script',
+    'style',
+    'template',
+    'iframe',
+    'frame',
+    'frameset',
+    'object',
+    'embed',
+    'noscript',
+    'textarea',
+    'select',
+    'button',
+    'form',
+    'svg',
+    'math',
+    'link',
+    'meta',
+    'base',
+    'title',
+]);
+// allowed elements and their allowed attributes, other elements are replaced by their content
+const SANITIZER_ALLOWED_TAGS = {
+    a: ['href'],
+    abbr: [],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: ['class'],
+    del: [],
+    details: ['open'],
+    div: [],
+    em: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    ins: [],
+    kbd: [],
+    li: [],
+    mark: [],
+    ol: ['start'],
+    p: [],
+    pre: [],
+    s: [],
+    small: [],
+    span: [],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['align', 'colspan', 'rowspan'],
+    th: ['align', 'colspan', 'rowspan'],
+    thead: [],
+    tr: [],
+    u: [],
+    ul: [],
+};
+const SANITIZER_GLOBAL_ATTRIBUTES = ['title', 'lang', 'dir'];
 
-/* 
- * Argh, Kiel Universities Moodle Team started messing with the navbar. 
- * This will (hopefully) be solved more elegantly in v2 (🥺)
+/**
+ * checks an attribute value, e.g. whether a link uses a safe protocol
+ * @param {string} tag
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean}
  */
-const localNavbarPlusDiv = document.createElement('div');
-localNavbarPlusDiv.id = PREFIX('localnavbarplus');
-
-GM_addStyle(css`
-    #${PREFIX('localnavbarplus')} {
-        display: flex;
-        gap: 1rem;
-        align-items: center;
-
-        overflow: auto hidden;
+const isAllowedAttributeValue = (tag, name, value) => {
+    if (name === 'href' || name === 'src') {
+        // browsers ignore whitespace and control characters in URLs, e.g. `java\nscript:`
+        const scheme = /^([a-z][a-z\d+.-]*):/i
+            .exec(
+                Array.from(value)
+                    .filter(char => char > ' ')
+                    .join('')
+            )?.[1]
+            ?.toLowerCase();
+        return (
+            !scheme ||
+            ['http', 'https'].includes(scheme) ||
+            (name === 'href' && scheme === 'mailto') ||
+            (name === 'src' &&
+                /^data:image\/(?:png|gif|jpe?g|webp);base64,/i.test(value))
+        );
     }
+    if (name === 'class') return /^language-[\w-]+$/.test(value);
+    if (name === 'align') return ['left', 'right', 'center'].includes(value);
+    if (name === 'type') return value === 'checkbox';
+    return true;
+};
 
-    @media (max-width: 767.98px) {
-        #${PREFIX('localnavbarplus')} {
-            position: absolute;
-            top: var(--navbar-height);
-            left: 0;
-            height: var(--navbar-height);
-            border-bottom: #dee2e6 1px solid;
-            width: 100%;
-            justify-content: center;
-        }
+/**
+ * removes all elements and attributes that are not on the allow-list from HTML
+ * @param {string} html
+ * @returns {string}
+ */
+const sanitizeHtml = html => {
+    // the content of a template is inert, so nothing is loaded or executed while sanitizing
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    /** @param {Node} parent */
+    const sanitizeChildren = parent =>
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.COMMENT_NODE) return node.remove();
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = node.localName;
+            if (SANITIZER_DROPPED_TAGS.has(tag)) return node.remove();
+            sanitizeChildren(node);
+            if (!Object.hasOwn(SANITIZER_ALLOWED_TAGS, tag)) {
+                return node.replaceWith(...node.childNodes);
+            }
+            Array.from(node.attributes).forEach(({ name, value }) => {
+                if (
+                    !(
+                        SANITIZER_GLOBAL_ATTRIBUTES.includes(name) ||
+                        SANITIZER_ALLOWED_TAGS[tag].includes(name)
+                    ) ||
+                    !isAllowedAttributeValue(tag, name, value)
+                ) {
+                    node.removeAttribute(name);
+                }
+            });
+            if (tag === 'input') {
+                if (node.getAttribute('type') !== 'checkbox') {
+                    return node.remove();
+                }
+                node.setAttribute('disabled', '');
+            }
+        });
+    sanitizeChildren(template.content);
 
-        #page {
-            margin-top: calc(2 * var(--navbar-height)) !important;
-        }
-    }
-`);
+    return template.innerHTML;
+};
 
-ready(() => {
-    localNavbarPlusDiv.append(
-        ...document.getElementsByClassName('localnavbarplus')
+/**
+ * converts a Markdown text into sanitized HTML
+ * @param {string} md
+ * @param {number} [headingStart] the level of top level headings
+ * @param {boolean} [escaped] whether to escape the HTML
+ * @returns {string}
+ */
+const mdToHtml = (md, headingStart = 1, escaped = true) => {
+    const lines = md.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    /** @type {Map<string, MdReference>} */
+    const references = new Map();
+    // links may refer to definitions further down, so the first pass only collects the definitions
+    renderMdBlocks(lines, { headingStart, escaped, references });
+    return sanitizeHtml(
+        renderMdBlocks(lines, { headingStart, escaped, references })
     );
-    document.getElementById('usernavigation').before(localNavbarPlusDiv);
-});
+};
 
-// that is the contact mail of Yorik
-const cntctAdr = 'yorik@better-moodle.dev';
+/**
+ * converts HTML back into Markdown, the counterpart of mdToHtml
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToMd = html => {
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeHtml(html);
 
-const getEmail = (subject = '', body = '') => {
-    const url = new URL(`mailto:${cntctAdr}`);
-    url.searchParams.set('subject', subject);
-    url.searchParams.set('body', body);
-    // e.g. Thunderbird does take the + literally instead of decoding it to a space
-    return url.href.replace(/\+/g, '%20');
+    /** @param {string} text */
+    const escapeText = text =>
+        text.replace(/\s+/g, ' ').replace(/[\\`*_~[\]<]/g, '\\$&');
+    /**
+     * wraps text into backticks that are not part of the text
+     * @param {string} text
+     * @param {number} [min] the minimal number of backticks
+     */
+    const fence = (text, min = 1) =>
+        '`'.repeat(
+            Math.max(
+                min,
+                ...Array.from(
+                    text.matchAll(/`+/g),
+                    ([ticks]) => ticks.length + 1
+                )
+            )
+        );
+    /** @param {Node} node */
+    const convertChildren = node =>
+        Array.from(node.childNodes, convert).join('');
+    /**
+     * @param {string} text
+     * @param {string} prefix
+     * @param {string} [firstPrefix]
+     */
+    const prefixLines = (text, prefix, firstPrefix = prefix) =>
+        text
+            .split('\n')
+            .map((line, index) =>
+                line ?
+                    `${index ? prefix : firstPrefix}${line}`
+                :   prefix.trimEnd()
+            )
+            .join('\n');
+    /** @param {string} block */
+    const asBlock = block => `\n\n${block.trim()}\n\n`;
+
+    /**
+     * @param {Node} node
+     * @returns {string}
+     */
+    const convert = node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeText(node.textContent);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.localName;
+        switch (tag) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return asBlock(
+                    `${'#'.repeat(Number(tag[1]))} ${convertChildren(node).trim()}`
+                );
+            case 'p':
+            case 'div':
+                return asBlock(convertChildren(node));
+            case 'br':
+                return '\\\n';
+            case 'hr':
+                return asBlock('---');
+            case 'strong':
+            case 'b':
+                return `**${convertChildren(node)}**`;
+            case 'em':
+            case 'i':
+                return `*${convertChildren(node)}*`;
+            case 'del':
+            case 's':
+                return `~~${convertChildren(node)}~~`;
+            case 'code': {
+                const ticks = fence(node.textContent);
+                return `${ticks} ${node.textContent} ${ticks}`;
+            }
+            case 'pre': {
+                const ticks = fence(node.textContent, 3);
+                const language =
+                    node
+                        .querySelector('code')
+                        ?.className.match(/language-(\S+)/)?.[1] ?? '';
+                return asBlock(
+                    `${ticks}${language}\n${node.textContent.replace(/\n$/, '')}\n${ticks}`
+                );
+            }
+            case 'a': {
+                const href = node.getAttribute('href') ?? '';
+                const text = convertChildren(node);
+                if (!href) return text;
+                return node.textContent === href ?
+                        `<${href}>`
+                    :   `[${text}](<${href}>)`;
+            }
+            case 'img':
+                return `![${escapeText(node.getAttribute('alt') ?? '')}](<${node.getAttribute('src') ?? ''}>)`;
+            case 'blockquote':
+                return asBlock(prefixLines(convertChildren(node).trim(), '> '));
+            case 'ul':
+            case 'ol': {
+                const start = Number(node.getAttribute('start') ?? 1);
+                return asBlock(
+                    Array.from(node.children)
+                        .filter(item => item.localName === 'li')
+                        .map((item, index) => {
+                            const marker =
+                                tag === 'ol' ? `${start + index}. ` : '- ';
+                            const checkbox = item.querySelector(
+                                ':scope > input[type="checkbox"], :scope > p:first-child > input[type="checkbox"]'
+                            );
+                            let content = convertChildren(item).trim();
+                            // tight lists do not contain paragraphs
+                            if (!item.querySelector(':scope > p')) {
+                                content = content.replace(/\n{2,}/g, '\n');
+                            }
+                            if (checkbox) {
+                                content = `[${checkbox.checked ? 'x' : ' '}] ${content}`;
+                            }
+                            return prefixLines(
+                                content,
+                                ' '.repeat(marker.length),
+                                marker
+                            );
+                        })
+                        .join('\n')
+                );
+            }
+            case 'table': {
+                const rows = Array.from(node.querySelectorAll('tr'), row =>
+                    Array.from(
+                        row.children,
+                        cell =>
+                            convertChildren(cell)
+                                .trim()
+                                .replace(/\n+/g, ' ')
+                                .replace(/\|/g, '\\|') || ' '
+                    )
+                );
+                if (!rows.length) return '';
+                return asBlock(
+                    [rows[0], rows[0].map(() => '---'), ...rows.slice(1)]
+                        .map(cells => `| ${cells.join(' | ')} |`)
+                        .join('\n')
+                );
+            }
+            case 'input':
+                return '';
+            default:
+                return convertChildren(node);
+        }
+    };
+
+    return convertChildren(template.content)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
 };
+// endregion
 
-const isDashboard =
-    window.location.pathname === '/my/' ||
-    window.location.pathname === '/my/index.php';
+const noExternalLinkIconClass = PREFIX('no-external-icon');
 
-const MOODLE_LANG = document.documentElement.lang.toLowerCase();
-const BETTER_MOODLE_LANG = (() => {
-    const savedLanguage = GM_getValue(
-        getSettingKey('general.language'),
-        'auto'
-    );
-    if (savedLanguage === 'auto') return MOODLE_LANG;
-    return savedLanguage;
-})();
-const DARK_MODE_SELECTOR = 'html[data-darkreader-scheme="dark"]';
+const githubPath = path =>
+    `https://github.com/YorikHansen/better-moodle${path}`;
+const rawGithubPath = path =>
+    `https://raw.githubusercontent.com/YorikHansen/better-moodle/main/${path}`;
+const githubLink = (path, icon = true, externalIcon = false) => {
+    const link = document.createElement('a');
+    link.href = githubPath(path);
+    link.target = '_blank';
 
-const $t = (key, args = {}) => {
-    // If an argument starts with an underscore, it will not be escaped
-    const escapeHTML = x =>
-        x ?
-            x
-                .toString()
-                .replaceAll('&', '&amp;')
-                .replaceAll('<', '&lt;')
-                .replaceAll('>', '&gt;')
-                .replaceAll('"', '&quot;')
-                .replaceAll("'", '&#039;')
-        :   '';
-    const t =
-        key
-            .split('.')
-            .reduce(
-                (prev, current) =>
-                    (prev || TRANSLATIONS[BETTER_MOODLE_LANG])[current],
-                TRANSLATIONS[BETTER_MOODLE_LANG]
-            ) ?? key;
-    if (t === key) {
-        console.warn(
-            `Better-Moodle: Translation for key "${key}" on locale ${BETTER_MOODLE_LANG} not found!`
-        );
+    if (icon) {
+        const icon = document.createElement('i');
+        icon.classList.add('fa', 'fa-github', 'fa-fw');
+        link.appendChild(icon);
     }
-    return Object.entries(args).reduce(
-        (t, [key, value]) =>
-            key[0] === '_' ?
-                t.replaceAll(`{{${key.slice(1)}}}`, value)
-            :   t.replaceAll(`{{${key}}}`, escapeHTML(value)),
-        t
-    );
+
+    if (!externalIcon) {
+        link.classList.add(noExternalLinkIconClass);
+    }
+
+    return link;
 };
 
 /**
- * @param {string} name
- * @param {string} [collapseBtnId]
- * @param {string} [containerId]
+ * @typedef {Object} CourseGrouping
+ * @property {string} classification
+ * @property {string} customfieldname
+ * @property {string} customfieldvalue
+ * @property {boolean} active
+ * @property {string} name
  */
-const createFieldset = (
-    name,
-    collapseBtnId = crypto.randomUUID(),
-    containerId = crypto.randomUUID()
-) => {
-    const fieldset = document.createElement('fieldset');
 
-    const legend = document.createElement('legend');
-    legend.classList.add('sr-only');
-    legend.textContent = name;
+/**
+ * gets all course groupings as available in my courses view
+ * @return {Promise<CourseGrouping[]>}
+ */
+const getCourseGroupings = () =>
+    window.location.pathname.startsWith('/login') ?
+        Promise.resolve([])
+    :   fetch('/my/courses.php')
+            .then(res => res.text())
+            .then(html => new DOMParser().parseFromString(html, 'text/html'))
+            .then(doc => {
+                const customfieldname =
+                    doc.querySelector('[data-region="courses-view"]')?.dataset
+                        .customfieldname ?? '';
+                return Array.from(
+                    doc.querySelectorAll(
+                        '#groupingdropdown + .dropdown-menu [data-filter="grouping"]'
+                    )
+                ).map(group => ({
+                    classification: group.dataset.pref,
+                    customfieldname,
+                    customfieldvalue: group.dataset.customfieldvalue,
+                    active: group.ariaCurrent === 'true',
+                    name: group.textContent.trim(),
+                }));
+            });
+/** gets all course groupings as options for a select */
+const getCourseGroupingOptions = () =>
+    getCourseGroupings().then(groupings => [
+        {
+            key: '_sync',
+            title: $t('courseGroupings.sync'),
+        },
+        ...groupings.map(group => {
+            delete group.active;
+            return {
+                key: JSON.stringify(group),
+                title: group.name,
+            };
+        }),
+    ]);
 
-    const headerRow = document.createElement('div');
-    headerRow.classList.add('d-flex', 'align-items-center', 'mb-2');
-    const headerWrapper = document.createElement('div');
-    headerWrapper.classList.add(
-        'position-relative',
-        'd-flex',
-        'ftoggler',
-        'align-items-center',
-        'position-relative',
-        'w-100'
-    );
-    const collapseBtn = document.createElement('a');
-    collapseBtn.classList.add(
-        'btn',
-        'btn-icon',
-        'mr-1',
-        'icons-collapse-expand',
-        'stretched-link',
-        'fheader',
-        'collapsed'
-    );
-    collapseBtn.dataset.toggle = 'collapse';
-    collapseBtn.id = PREFIX(collapseBtnId);
-    const expandedSpan = document.createElement('span');
-    expandedSpan.classList.add('expanded-icon', 'icon-no-margin', 'p-2');
-    expandedSpan.title = 'Einklappen';
-    const expandedIcon = document.createElement('i');
-    expandedIcon.classList.add('icon', 'fa', 'fa-chevron-down', 'fa-fw');
-    expandedSpan.append(expandedIcon);
-    const collapsedSpan = document.createElement('span');
-    collapsedSpan.classList.add('collapsed-icon', 'icon-no-margin', 'p-2');
-    collapsedSpan.title = 'Ausklappen';
-    const collapsedLTRIcon = document.createElement('i');
-    collapsedLTRIcon.classList.add(
-        'icon',
-        'fa',
-        'fa-chevron-right',
-        'fa-fw',
-        'dir-ltr-hide'
-    );
-    const collapsedRTLIcon = document.createElement('i');
-    collapsedRTLIcon.classList.add(
-        'icon',
-        'fa',
-        'fa-chevron-right',
-        'fa-fw',
-        'dir-rtl-hide'
-    );
-    collapsedSpan.append(collapsedLTRIcon, collapsedRTLIcon);
-    collapseBtn.append(expandedSpan, collapsedSpan);
+/** @type {[(...elements: Node[]) => [Node, Node][], (...elements: Node[]) => void]} */
+const [addMarqueeItems, removeMarqueeItems] = (() => {
+    const navItem = document.createElement('div');
+    navItem.classList.add('flex-shrink-1');
+    navItem.style.setProperty('overflow', 'hidden');
 
-    const heading = document.createElement('h3');
-    heading.classList.add(
-        'd-flex',
-        'align-self-stretch',
-        'align-items-center',
-        'mb-0',
-        'w-100'
-    );
-    heading.textContent = name;
+    const navLink = document.createElement('a');
+    navLink.classList.add('nav-link', 'position-relative');
+    navLink.id = PREFIX('nav-marquee-wrapper');
 
-    headerWrapper.append(collapseBtn, heading);
-    headerRow.append(headerWrapper);
+    const content = document.createElement('span');
+    const textSpanClass = PREFIX('nav-marquee');
+    content.classList.add(textSpanClass);
 
-    const container = document.createElement('div');
-    container.classList.add('fcontainer', 'collapseable', 'collapse');
-    container.id = PREFIX(containerId);
-    collapseBtn.href = `#${container.id}`;
+    const keyFrames = `${textSpanClass}-keyframes`;
+    const scrollStartVar = '--nav-marquee-scroll-start';
+    const scrollEndVar = '--nav-marquee-scroll-end';
+    const scrollDurationVar = '--nav-marquee-scroll-duration';
 
-    fieldset.append(legend, headerRow, container);
+    const SCROLL_SPEED_MS_PER_PX = 100;
+    const durationForPx = px => px * SCROLL_SPEED_MS_PER_PX;
 
-    return { fieldset, legend, headerRow, container, heading, collapseBtn };
-};
+    GM_addStyle(css`
+        #${navLink.id} {
+            ${scrollStartVar}: 100%;
+            ${scrollEndVar}: 100%;
+            ${scrollDurationVar}: 10s;
+        }
+        #${navLink.id}.animated {
+            animation: ${keyFrames} var(${scrollDurationVar}) linear infinite;
+        }
+        #${navLink.id}:not(.animated) > .${textSpanClass}:nth-child(2) {
+            display: none;
+        }
 
-const appendableListFormClass = PREFIX('appendable-list-form');
-GM_addStyle(css`
-    .${appendableListFormClass} {
-        color: inherit;
-    }
+        #${navLink.id} > .${textSpanClass} > *::after {
+            content: '${'\xa0'.repeat(11)}';
+            background-image: url('https://www.fs-infmath.uni-kiel.de/favicon.ico'); /* TODO */
+            background-repeat: no-repeat;
+            background-position: center;
+            background-size: contain;
+        }
+        #${navLink.id}:not(.animated)
+            > .${textSpanClass}
+            > *:last-child::after {
+            display: none;
+        }
 
-    .${appendableListFormClass} .fitem {
-        column-gap: 1em;
-    }
+        @keyframes ${keyFrames} {
+            from {
+                transform: translateX(0);
+            }
+            to {
+                transform: translateX(var(${scrollEndVar}));
+            }
+        }
+    `);
 
-    .${appendableListFormClass}
-        > .fcontainer
-        :is(
-            .fitem:first-child [data-button='up'],
-            .fitem:last-child [data-button='down']
-        ) {
-        opacity: 0.65;
-        pointer-events: none;
-        cursor: not-allowed;
-    }
-`);
+    const updateScrollWidth = () => {
+        const navLinkWidth = Math.floor(navLink.getBoundingClientRect().width);
+        let textSpanWidth = Math.floor(content.getBoundingClientRect().width);
+        if (textSpanWidth <= navLinkWidth) {
+            navLink.classList.remove('animated');
+        } else {
+            navLink.classList.add('animated');
 
-/**
- * @param {string} id
- * @template ALFData
- * @param {(data: ALFData) => HTMLDivElement[]} createFormItem
- * @param {ALFData} emptyData
- * @returns {{form: HTMLFormElement, addFormItems: (data: ALFData[]) => void}}
- */
-const createAppendableListForm = (id, createFormItem, emptyData) => {
-    const form = document.createElement('form');
-    form.classList.add('mform', appendableListFormClass);
-    form.id = PREFIX(id);
-    const container = document.createElement('div');
-    container.classList.add('fcontainer');
+            textSpanWidth = Math.floor(content.getBoundingClientRect().width);
 
-    /**
-     * @template ALFData
-     * @param {ALFData} data
-     */
-    const addFormItem = data => {
-        const group = document.createElement('div');
-        group.classList.add(
-            'form-group',
-            'd-flex',
-            'flex-wrap',
-            'flex-lg-nowrap',
-            'fitem'
-        );
+            navLink.style.setProperty(scrollEndVar, `-${textSpanWidth}px`);
+            navLink.style.setProperty(
+                scrollDurationVar,
+                `${durationForPx(textSpanWidth)}ms`
+            );
+        }
+    };
 
-        const btns = document.createElement('div');
-        btns.classList.add('btn-group', 'ml-auto');
-        const moveUpBtn = document.createElement('button');
-        moveUpBtn.classList.add('btn', 'btn-outline-secondary');
-        moveUpBtn.dataset.button = 'up';
-        const upIcon = document.createElement('i');
-        upIcon.classList.add('fa', 'fa-arrow-up', 'fa-fw');
-        moveUpBtn.append(upIcon);
-        const moveDownBtn = document.createElement('button');
-        moveDownBtn.classList.add('btn', 'btn-outline-secondary');
-        moveDownBtn.dataset.button = 'down';
-        const downIcon = document.createElement('i');
-        downIcon.classList.add('fa', 'fa-arrow-down', 'fa-fw');
-        moveDownBtn.append(downIcon);
-        const deleteBtn = document.createElement('button');
-        deleteBtn.classList.add('btn', 'btn-outline-danger');
-        deleteBtn.dataset.button = 'delete';
-        const deleteIcon = document.createElement('i');
-        deleteIcon.classList.add('fa', 'fa-trash', 'fa-fw');
-        deleteBtn.append(deleteIcon);
+    new ResizeObserver(updateScrollWidth).observe(navLink);
 
-        btns.append(moveUpBtn, moveDownBtn, deleteBtn);
+    const cloneEl = content.cloneNode(true);
 
-        const mobileLinebreak = document.createElement('div');
-        mobileLinebreak.classList.add('w-100', 'd-lg-none');
+    navLink.append(content, cloneEl);
+    navItem.append(navLink);
+    ready(() => {
+        document.getElementById('usernavigation')?.prepend(navItem);
+        updateScrollWidth();
+    });
 
-        group.append(...createFormItem(data), mobileLinebreak, btns);
-        container.append(group);
-    };
+    /** @type {Node[]} */
+    const marqueeElements = [];
+    /** @type {Node[]} */
+    const clonedMarqueeElements = [];
 
-    const addFormItems = data => data.forEach(d => addFormItem(d));
+    /** @type {(...elements: Node[]) => [Node, Node][]} */
+    const addItems = (...elements) => {
+        marqueeElements.push(...elements);
+        clonedMarqueeElements.push(...elements.map(e => e.cloneNode(true)));
 
-    const addBtn = document.createElement('button');
-    addBtn.classList.add('btn', 'btn-outline-success', 'd-block', 'ml-auto');
-    const addIcon = document.createElement('i');
-    addIcon.classList.add('fa', 'fa-plus', 'fa-fw');
-    addBtn.append(addIcon);
+        const newElements = marqueeElements.slice(-elements.length);
+        const newClonedElements = clonedMarqueeElements.slice(-elements.length);
 
-    form.addEventListener('click', e => {
-        const target = e.target;
-        if (!(target instanceof HTMLElement)) return;
-        const button = target.closest('[data-button]');
-        const row = target.closest('.fitem');
-        if (!button || !row) return;
+        content.append(...newElements);
+        cloneEl.append(...newClonedElements);
 
-        const action = button.dataset.button;
-        switch (action) {
-            case 'up':
-                row.previousSibling.before(row);
-                break;
-            case 'down':
-                row.nextSibling.after(row);
-                break;
-            case 'delete':
-                row.remove();
-                break;
-        }
-    });
+        updateScrollWidth();
 
-    addBtn.addEventListener('click', e => {
-        e.preventDefault();
-        addFormItem(emptyData);
-    });
+        return newElements.map((e, i) => [e, newClonedElements[i]]);
+    };
 
-    form.append(container, addBtn);
+    /** @type {(...elements: Node[]) => void} */
+    const removeItems = (...elements) => {
+        elements.forEach(element => {
+            const index = marqueeElements.indexOf(element);
+            if (index === -1) return;
+            marqueeElements.splice(index, 1)[0].remove();
+            clonedMarqueeElements.splice(index, 1)[0].remove();
+        });
 
-    return { form, addFormItems };
-};
+        updateScrollWidth();
+    };
 
-/**
- * @typedef {Object} SpeiseplanFilter
- * @property {string} title
- * @property {string} abk
- * @property {string} [img]
+    // TODO: Parse the ICS file from the CAU Cloud (https://cloud.rz.uni-kiel.de/remote.php/dav/public-calendars/6i9dfBcXyqsLYKZK/?export) on client side
+
+    // we can add information about oncoming events here.
+    // the getSetting method cannot be used as SETTINGS is not defined there yet
+    if (GM_getValue(getSettingKey('general.eventAdvertisements'), true)) {
+        fetch(
+            'https://better-moodle.yorik.dev/events.json?cal=https://cloud.rz.uni-kiel.de/remote.php/dav/public-calendars/6i9dfBcXyqsLYKZK/?export'
+        )
+            .then(res => res.json())
+            .then(events =>
+                // Filter out events that are already over
+                events.filter(event => new Date(event.end) > Date.now())
+            )
+            .then(
+                events => events.filter(event => event.status === 'CONFIRMED') // TODO: Add message for canceled events
+            )
+            .then(events =>
+                events.map(event => {
+                    const startDate = new Date(event.start);
+                    const endDate = new Date(event.end);
+                    const startDateDay = new Date(event.start.slice(0, 10));
+                    const beforeStartDateDay =
+                        new Date(event.start.slice(0, 10)) -
+                        1000 * 60 * 60 * 24;
+                    const startAdDay =
+                        startDateDay -
+                        (() => {
+                            switch (event.priority) {
+                                case 1:
+                                    return 1000 * 60 * 60 * 24 * 7; // 1 week
+                                case 2:
+                                    return 1000 * 60 * 60 * 24 * 7; // 1 week
+                                case 3:
+                                    return 1000 * 60 * 60 * 24 * 5; // 5 days
+                                case 4:
+                                    return 1000 * 60 * 60 * 24 * 3; // 3 days
+                                case 5:
+                                    return 1000 * 60 * 60 * 24; // Normal priority
+                                case 0:
+                                    return 0; // Not set
+                                default:
+                                    return startDateDay + startDate; // low priority
+                            }
+                        })();
+                    const now = new Date();
+
+                    const mainAdElement = document.createElement('span');
+                    mainAdElement.innerText = `${startDate.toISOString()}: ${event.title}`; // Not visible, just for debugging
+
+                    const showEvent = (time, template) => {
+                        if (time > now) {
+                            const delta = time - now;
+                            if (!(delta > MAX_TIMEOUT)) {
+                                setTimeout(() => {
+                                    mainAdElement.classList.remove('hidden');
+                                    mainAdElement.innerHTML = template;
+                                }, delta);
+                            }
+                        } else {
+                            mainAdElement.innerHTML = template;
+                        }
+                    };
+
+                    const ad = {
+                        // TODO: Add attach url as link with icon.
+                        event: event.title,
+                        date: new Date(event.start).toLocaleDateString(
+                            BETTER_MOODLE_LANG,
+                            {
+                                weekday: 'long',
+                                year: 'numeric',
+                                month: 'long',
+                                day: 'numeric',
+                            }
+                        ),
+                        start: new Date(event.start).toLocaleTimeString(
+                            BETTER_MOODLE_LANG,
+                            { hour: '2-digit', minute: '2-digit' }
+                        ),
+                        location: event.location,
+                    };
+
+                    if (startAdDay > now || endDate < now) {
+                        mainAdElement.classList.add('hidden');
+                    }
+
+                    if (
+                        event.priority !== 0 &&
+                        event.priority < 5 &&
+                        beforeStartDateDay > now
+                    ) {
+                        showEvent(
+                            startAdDay,
+                            $t('eventAdvertisements.saveTheDate', ad)
+                        );
+                    }
+                    if (
+                        event.priority !== 0 &&
+                        event.priority <= 5 &&
+                        startDateDay > now
+                    ) {
+                        showEvent(
+                            beforeStartDateDay,
+                            $t('eventAdvertisements.tomorrow', ad)
+                        );
+                    }
+                    if (event.priority <= 5 && startDate > now) {
+                        showEvent(
+                            startDateDay,
+                            $t('eventAdvertisements.today', ad)
+                        );
+                    }
+                    if (endDate > now) {
+                        showEvent(startDate, $t('eventAdvertisements.now', ad));
+
+                        if (endDate - now < MAX_TIMEOUT) {
+                            setTimeout(() => {
+                                mainAdElement.classList.add('hidden');
+                            }, endDate - now);
+                        }
+                    }
+                    return mainAdElement;
+                })
+            )
+            .then(eventItems => {
+                marqueeElements.unshift(...eventItems);
+                clonedMarqueeElements.unshift(
+                    ...eventItems.map(e => e.cloneNode(true))
+                );
+
+                const newElements = marqueeElements.slice(0, eventItems.length);
+                const newClonedElements = clonedMarqueeElements.slice(
+                    0,
+                    eventItems.length
+                );
+
+                content.prepend(...newElements);
+                cloneEl.prepend(...newClonedElements);
+
+                updateScrollWidth();
+            });
+    }
+
+    return [addItems, removeItems];
+})();
+
+
+/* 
+ * Argh, Kiel Universities Moodle Team started messing with the navbar. 
+ * This will (hopefully) be solved more elegantly in v2 (🥺)
+ */
+const localNavbarPlusDiv = document.createElement('div');
+localNavbarPlusDiv.id = PREFIX('localnavbarplus');
+
+GM_addStyle(css`
+    #${PREFIX('localnavbarplus')} {
+        display: flex;
+        gap: 1rem;
+        align-items: center;
+
+        overflow: auto hidden;
+    }
+
+    @media (max-width: 767.98px) {
+        #${PREFIX('localnavbarplus')} {
+            position: absolute;
+            top: var(--navbar-height);
+            left: 0;
+            height: var(--navbar-height);
+            border-bottom: #dee2e6 1px solid;
+            width: 100%;
+            justify-content: center;
+        }
+
+        #page {
+            margin-top: calc(2 * var(--navbar-height)) !important;
+        }
+    }
+`);
+
+ready(() => {
+    localNavbarPlusDiv.append(
+        ...document.getElementsByClassName('localnavbarplus')
+    );
+    document.getElementById('usernavigation').before(localNavbarPlusDiv);
+});
+
+// that is the contact mail of Yorik
+const cntctAdr = 'yorik@better-moodle.dev';
+
+const getEmail = (subject = '', body = '') => {
+    const url = new URL(`mailto:${cntctAdr}`);
+    url.searchParams.set('subject', subject);
+    url.searchParams.set('body', body);
+    // e.g. Thunderbird does take the + literally instead of decoding it to a space
+    return url.href.replace(/\+/g, '%20');
+};
+
+const isDashboard =
+    window.location.pathname === '/my/' ||
+    window.location.pathname === '/my/index.php';
+
+// region Language packs
+// languages that are shipped with Better-Moodle, in contrast to user-installed language packs
+const BUILTIN_LANGUAGES = Object.keys(TRANSLATIONS);
+const LANGUAGE_PACKS_STORAGE = PREFIX('language-packs');
+
+/**
+ * @typedef {Object} LanguagePack
+ * @property {string} language the language code, e.g. `da`
+ * @property {string} name the name that is shown in the language settings, e.g. `🇩🇰 Dansk`
+ * @property {object} translations the translations, structured like the `en` tree
+ * @property {number} completeness the share of `en` translations that are translated by this pack, between 0 and 1
+ * @property {string} [source] the URL the pack has been loaded from
  */
 
 /**
- * @typedef {Object} Speise
- * @property {boolean} mensa
- * @property {{name: string, zusatz?: string}[]} items
- * @property {string[]} allergene
- * @property {string[]} zusatzstoffe
- * @property {string[]} arten
- * @property {number[]} preise
+ * @typedef {Object} LanguagePackValidation
+ * @property {LanguagePack} [pack] the pack without any keys that do not exist in the `en` tree and with sanitized markup
+ * @property {'structure' | 'language' | 'name' | 'empty'} [error] why the pack is invalid
+ * @property {string[]} unknownKeys keys that do not exist in the `en` tree
+ * @property {string[]} invalidKeys keys whose value does not have the same type as in the `en` tree
  */
 
 /**
- * @typedef {Object} Speiseplan
- * @property {Record<string, Speise[]>} speisen
- * @property {SpeiseplanFilter} filters
+ * Collects the keys of all translations in a translation tree
+ *
+ * @param {object} tree the translation tree
+ * @param {string} [prefix] the key of the tree
+ * @returns {string[]} the dot-separated keys
  */
+const getTranslationKeys = (tree, prefix = '') =>
+    Object.entries(tree).flatMap(([key, value]) =>
+        typeof value === 'object' && value !== null ?
+            getTranslationKeys(value, `${prefix}${key}.`)
+        :   [`${prefix}${key}`]
+    );
 
 /**
- * get the speiseplan of this and next week
- * @returns {Promise<Speiseplan>}
+ * Deeply merges a translation tree into another one
+ *
+ * @param {object} target the tree to merge into, will be modified
+ * @param {object} source the tree to merge
+ * @returns {object} the target
  */
-const getSpeiseplan = async () => {
-    const filterTypes = {
-        1: 'allergene',
-        2: 'zusatzstoffe',
-        3: 'arten',
-    };
-    Object.seal(filterTypes);
-    Object.freeze(filterTypes);
+const mergeTranslations = (target, source) => {
+    Object.entries(source).forEach(([key, value]) => {
+        if (typeof value === 'object' && value !== null) {
+            target[key] = mergeTranslations(
+                typeof target[key] === 'object' && target[key] !== null ?
+                    target[key]
+                : Array.isArray(value) ? []
+                : {},
+                value
+            );
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+};
 
+/**
+ * User-installable translations that are merged over TRANSLATIONS.
+ * Packs are validated against the key structure of the `en` tree, unknown keys are dropped and markup is sanitized.
+ */
+const LANGUAGE_PACKS = {
+    /** @returns {Record<string, LanguagePack>} */
+    getAll: () => GM_getValue(LANGUAGE_PACKS_STORAGE, {}),
     /**
-     * @param {Document} doc
-     * @returns {Speiseplan['speisen']}
+     * @param {unknown} pack the parsed JSON of a language pack
+     * @param {string} [source] the URL the pack has been loaded from
+     * @returns {LanguagePackValidation}
      */
-    const getSpeisen = doc => {
-        const speisen = {};
-        doc.querySelectorAll('.mensa_menu_detail').forEach(speise => {
-            const day = speise.closest('[data-day]').dataset.day;
-            speisen[day] ??= [];
-            const items = [{ name: '' }];
-            speise.querySelector('.menu_name').childNodes.forEach(node => {
-                if (node.nodeType === Node.TEXT_NODE) {
-                    items.at(-1).name += node.textContent.trim();
+    validate: (pack, source) => {
+        const unknownKeys = [];
+        const invalidKeys = [];
+        const isTree = value => typeof value === 'object' && value !== null;
+        if (!isTree(pack) || !isTree(pack.translations)) {
+            return { error: 'structure', unknownKeys, invalidKeys };
+        }
+        if (
+            typeof pack.language !== 'string' ||
+            !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(pack.language)
+        ) {
+            return { error: 'language', unknownKeys, invalidKeys };
+        }
+        if (typeof pack.name !== 'string' || !pack.name.trim()) {
+            return { error: 'name', unknownKeys, invalidKeys };
+        }
+
+        /**
+         * @param {object} reference the corresponding `en` tree
+         * @param {object} tree the tree of the pack
+         * @param {string} prefix
+         * @returns {object} the tree without unknown or invalid keys
+         */
+        const validateTree = (reference, tree, prefix) => {
+            const result = Array.isArray(reference) ? [] : {};
+            Object.entries(tree).forEach(([key, value]) => {
+                const path = `${prefix}${key}`;
+                if (!Object.hasOwn(reference, key)) {
+                    unknownKeys.push(path);
+                } else if (isTree(reference[key]) !== isTree(value)) {
+                    invalidKeys.push(path);
+                } else if (isTree(value)) {
+                    result[key] = validateTree(
+                        reference[key],
+                        value,
+                        `${path}.`
+                    );
+                } else if (typeof value !== 'string') {
+                    invalidKeys.push(path);
+                } else {
+                    // translations are inserted as HTML, so markup from packs must not contain scripts or event handlers
+                    result[key] =
+                        value.includes('<') ? sanitizeHtml(value) : value;
                 }
-                if (node.nodeType === Node.ELEMENT_NODE) {
-                    if (node.tagName === 'BR') {
-                        items.push({ name: '' });
-                    } else if (node.classList.contains('mensa_zusatz')) {
-                        items.at(-1).zusatz = node.textContent.trim();
-                    }
-                }
-            });
-            speisen[day].push({
-                mensa: !!speise.querySelector('.mensatyp_mensa'),
-                items,
-                allergene: speise.dataset.allergene.split('|').filter(Boolean),
-                zusatzstoffe: speise.dataset.zusatzstoffe
-                    .split('|')
-                    .filter(Boolean),
-                arten: speise.dataset.arten.split('|').filter(Boolean),
-                preise: speise
-                    .querySelector('.menu_preis')
-                    ?.textContent?.trim()
-                    .split('/')
-                    .map(p => p.trim().replace(',', '.'))
-                    .map(p => parseFloat(p))
-                    .filter(Boolean),
             });
-        });
-        return speisen;
-    };
-
-    const SPEISEPLAN_LANG = (() => {
-        const savedLanguage = getSetting('speiseplan.language');
-        if (savedLanguage === 'auto') return BETTER_MOODLE_LANG;
-        return savedLanguage;
-    })();
-
-    const localizedPath = {
-        de: 'mensen-in-kiel',
-        en: 'food-overview',
-    };
-    Object.seal(localizedPath);
-    Object.freeze(localizedPath);
+            return result;
+        };
+        const translations = validateTree(
+            TRANSLATIONS.en,
+            pack.translations,
+            ''
+        );
+        const translatedKeys = getTranslationKeys(translations).length;
+        if (!translatedKeys) {
+            return { error: 'empty', unknownKeys, invalidKeys };
+        }
 
+        return {
+            pack: {
+                language: pack.language.toLowerCase(),
+                name: pack.name.trim(),
+                translations,
+                completeness:
+                    translatedKeys / getTranslationKeys(TRANSLATIONS.en).length,
+                source,
+            },
+            unknownKeys,
+            invalidKeys,
+        };
+    },
     /**
-     * Fetches the speiseplan from the studentenwerk website and returns it as a document
-     * @param {boolean} [nextWeek]
-     * @returns {Promise<Document>}
+     * merges a pack over TRANSLATIONS
+     * @param {LanguagePack} pack
      */
-    const getDoc = (nextWeek = false) =>
-        new Promise(resolve =>
-            GM_xmlhttpRequest({
-                url: `https://studentenwerk.sh/${SPEISEPLAN_LANG}/${
-                    localizedPath[SPEISEPLAN_LANG]
-                }?ort=1&mensa=${getSetting('speiseplan.canteen')}${nextWeek ? '&nw=1' : ''}`,
-                onload: ({ responseText }) =>
-                    resolve(
-                        new DOMParser().parseFromString(
-                            responseText,
-                            'text/html'
-                        )
-                    ),
-            })
+    apply: pack => {
+        TRANSLATIONS[pack.language] = mergeTranslations(
+            TRANSLATIONS[pack.language] ?? {},
+            pack.translations
         );
+    },
+    /**
+     * saves a validated pack and applies it
+     * @param {LanguagePack} pack
+     */
+    install: pack => {
+        GM_setValue(LANGUAGE_PACKS_STORAGE, {
+            ...LANGUAGE_PACKS.getAll(),
+            [pack.language]: pack,
+        });
+        LANGUAGE_PACKS.apply(pack);
+    },
+    /**
+     * removes a pack. Its translations stay in TRANSLATIONS until the page is reloaded
+     * @param {string} language
+     */
+    remove: language => {
+        const packs = LANGUAGE_PACKS.getAll();
+        delete packs[language];
+        GM_setValue(LANGUAGE_PACKS_STORAGE, packs);
+    },
+    /**
+     * the option for a language select setting
+     * @param {LanguagePack} pack
+     * @returns {{key: string, title: string}}
+     */
+    toOption: ({ language, name, completeness }) => ({
+        key: language,
+        title: $t('modals.settings.languagePacks.option', {
+            _name: name,
+            completeness: Math.floor(completeness * 100) / 100,
+        }).toString(),
+    }),
+};
 
-    const mensaplanDoc = await getDoc();
+// packs may have been imported, synced or stored by older versions, so they are validated and sanitized again before they are applied
+Object.values(LANGUAGE_PACKS.getAll()).forEach(storedPack => {
+    const { pack } = LANGUAGE_PACKS.validate(storedPack, storedPack?.source);
+    if (pack) LANGUAGE_PACKS.apply(pack);
+});
 
-    /** @type {Record<string, Record<string, SpeiseplanFilter>>} */
-    const filters = {
-        arten: {
-            SHT: {
-                // we need to define SH-Teller as it is not defined on english website
-                title: 'Schleswig-Holstein Teller',
-                abk: '',
-                img: 'https://studentenwerk.sh/upload/img/sh_teller1.png?h=80&t=2',
-            },
-        },
-    };
-    mensaplanDoc.querySelectorAll('.filterbutton').forEach(filter => {
-        const type = filterTypes[filter.dataset.typ];
-        filters[type] ??= {};
-        const img = filter.querySelector('img')?.src ?? undefined;
-        let imgUrl;
-        if (img) {
-            imgUrl = new URL(new URL(img).pathname, 'https://studentenwerk.sh');
-        }
-        filters[type][filter.dataset.wert] = {
-            title:
-                filter.querySelector('span:not(.abk)')?.textContent?.trim() ??
-                '',
-            abk: filter.querySelector('span.abk')?.textContent?.trim() ?? '',
-            ...(imgUrl ? { img: imgUrl.href } : {}),
-        };
-        // this is an inverted filter, so we need to find the matching text. Currently, Alcohol is the only case for this and at least there using the title of another alcohol bottle works
-        if (filter.dataset.ex === '1' && imgUrl) {
-            const alternativeTitle = mensaplanDoc.querySelector(
-                `:not(.filterbutton) > img[src="${imgUrl.pathname}"]`
-            )?.title;
-            if (alternativeTitle)
-                filters[type][filter.dataset.wert].title = alternativeTitle;
-        }
-    });
-    Object.freeze(filters);
+/**
+ * The options for settings that select a language: the builtin languages and all installed language packs
+ *
+ * @returns {Array<string | {key: string, title: string}>}
+ */
+const getLanguageOptions = () => [
+    'auto',
+    ...BUILTIN_LANGUAGES,
+    ...Object.values(LANGUAGE_PACKS.getAll())
+        .filter(({ language }) => !BUILTIN_LANGUAGES.includes(language))
+        .map(LANGUAGE_PACKS.toOption),
+];
+// endregion
 
-    return {
-        filters,
-        speisen: {
-            ...getSpeisen(mensaplanDoc),
-            ...getSpeisen(await getDoc(true)),
-        },
-    };
-};
+const MOODLE_LANG = document.documentElement.lang.toLowerCase();
+const BETTER_MOODLE_LANG = (() => {
+    const savedLanguage = GM_getValue(
+        getSettingKey('general.language'),
+        'auto'
+    );
+    if (savedLanguage === 'auto') return MOODLE_LANG;
+    return savedLanguage;
+})();
+const DARK_MODE_SELECTOR = 'html[data-darkreader-scheme="dark"]';
 
-const debounce = (fn, delay = 100) => {
-    let timeout;
-    return () => {
-        const context = this;
-        if (timeout) clearTimeout(timeout);
-        timeout = setTimeout(() => fn.apply(context, arguments), delay);
-    };
+// region Translation formatting
+const TRANSLATION_NUMBER_FORMATS = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent', maximumFractionDigits: 2 },
 };
 
 /**
- * @param {Date} date
- * @param {boolean} [year=true]
- * @param {boolean} [weekday=false]
+ * Escapes a value so that it can safely be inserted into HTML
+ *
+ * @param {unknown} value the value to escape
+ * @returns {string} the escaped string
  */
-const dateToString = (date, year = true, weekday = false) =>
-    date.toLocaleDateString(BETTER_MOODLE_LANG, {
-        weekday: weekday ? 'long' : undefined,
-        year: year ? 'numeric' : undefined,
-        month: '2-digit',
-        day: '2-digit',
-    });
+const escapeTranslationArg = value =>
+    (value ?? '')
+        .toString()
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#039;');
+
 /**
- * @param {Date} date
- * @param {boolean} [seconds=true]
+ * Finds the index of the brace closing the one at start
+ *
+ * @param {string} message the message to search in
+ * @param {number} start the index of the opening brace
+ * @returns {number} the index of the closing brace or -1 if there is none
  */
-const timeToString = (date, seconds = true) =>
-    date.toLocaleTimeString(BETTER_MOODLE_LANG, {
-        hour: '2-digit',
-        minute: '2-digit',
-        second: seconds ? '2-digit' : undefined,
-    });
+const findClosingBrace = (message, start) => {
+    let depth = 0;
+    for (let i = start; i < message.length; i++) {
+        if (message[i] === '{') depth++;
+        else if (message[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+};
 
 /**
- * @param {number} delay
- * @param {CallableFunction} callback
+ * Parses the branches of a plural or select argument, e.g. `one {# day} other {# days}`
+ *
+ * @param {string} branches the branches string
+ * @returns {Map<string, string>} a map of selectors to their messages
  */
-const animationInterval = (delay, callback, runImmediate = false) => {
-    if (runImmediate) {
-        callback();
+const parseTranslationBranches = branches => {
+    const result = new Map();
+    const selectorRegex = /\s*([^\s{}]+)\s*\{/y;
+    let i = 0;
+    while (i < branches.length) {
+        selectorRegex.lastIndex = i;
+        const match = selectorRegex.exec(branches);
+        if (!match) break;
+        const open = selectorRegex.lastIndex - 1;
+        const close = findClosingBrace(branches, open);
+        if (close === -1) break;
+        result.set(match[1], branches.slice(open + 1, close));
+        i = close + 1;
     }
+    return result;
+};
 
-    let last = 0;
-    let currentId;
-    /**
-     * @param {DOMHighResTimeStamp} now
-     */
-    const intervalCallback = now => {
-        currentId = requestAnimationFrame(intervalCallback);
-
-        const elapsed = now - last;
-
-        if (elapsed >= delay) {
-            last = now - (elapsed % delay);
-            callback();
+/**
+ * Formats a single ICU-style argument like `{count, plural, one {# item} other {# items}}`
+ *
+ * @param {unknown} value the value of the argument
+ * @param {string} type the type of the argument
+ * @param {string} style the style or the branches of the argument
+ * @param {Record<string, unknown>} args all arguments, used for nested messages
+ * @param {number} [pluralValue] the number `#` is replaced with in nested messages
+ * @returns {string | undefined} the formatted argument or undefined if the type is unknown
+ */
+const formatTranslationArg = (value, type, style, args, pluralValue) => {
+    switch (type) {
+        case 'number':
+            return Number(value).toLocaleString(
+                BETTER_MOODLE_LANG,
+                TRANSLATION_NUMBER_FORMATS[style] ?? {}
+            );
+        case 'date':
+            return new Intl.DateTimeFormat(BETTER_MOODLE_LANG, {
+                dateStyle: style || 'medium',
+            }).format(new Date(value));
+        case 'time':
+            return new Intl.DateTimeFormat(BETTER_MOODLE_LANG, {
+                timeStyle: style || 'short',
+            }).format(new Date(value));
+        case 'datetime':
+            return new Intl.DateTimeFormat(BETTER_MOODLE_LANG, {
+                dateStyle: style || 'medium',
+                timeStyle: 'short',
+            }).format(new Date(value));
+        case 'relative':
+            return new Intl.RelativeTimeFormat(BETTER_MOODLE_LANG, {
+                numeric: 'auto',
+            }).format(Number(value), style || 'day');
+        case 'plural':
+        case 'selectordinal': {
+            const number = Number(value);
+            const branches = parseTranslationBranches(style);
+            const category = new Intl.PluralRules(BETTER_MOODLE_LANG, {
+                type: type === 'plural' ? 'cardinal' : 'ordinal',
+            }).select(number);
+            return formatTranslation(
+                branches.get(`=${number}`) ??
+                    branches.get(category) ??
+                    branches.get('other') ??
+                    '',
+                args,
+                number
+            );
         }
-    };
-    currentId = requestAnimationFrame(intervalCallback);
-    return () => cancelAnimationFrame(currentId);
+        case 'select': {
+            const branches = parseTranslationBranches(style);
+            return formatTranslation(
+                branches.get(String(value)) ?? branches.get('other') ?? '',
+                args,
+                pluralValue
+            );
+        }
+        default:
+            return undefined;
+    }
 };
-// endregion
 
-// region Global styles
-// some general style
-GM_addStyle(css`
-    /* disable the weird scroll behaviour on login page (background image shall not be moved) */
-    #page-login-index {
-        overflow: hidden;
+/**
+ * Formats a translation message.
+ * Besides the plain `{{name}}` placeholders, ICU-style arguments are supported:
+ * - `{name}` inserts the plain value
+ * - `{name, number}`, `{name, number, integer}` and `{name, number, percent}`
+ * - `{name, date}`, `{name, time}` and `{name, datetime}` with an optional style (`short`, `medium`, `long` or `full`)
+ * - `{name, relative, unit}` formats a number of units relative to now, e.g. "in 2 days"
+ * - `{name, plural, =0 {…} one {…} other {…}}` and `{name, selectordinal, …}` select a branch by the plural category of the value in BETTER_MOODLE_LANG. `#` is replaced with the formatted value within the branch
+ * - `{name, select, a {…} b {…} other {…}}` selects a branch by the value
+ *
+ * Placeholders without a matching argument are kept as they are.
+ *
+ * @param {string} message the message to format
+ * @param {Record<string, unknown>} args the arguments. If an argument starts with an underscore, it will not be escaped
+ * @param {number} [pluralValue] the number `#` is replaced with
+ * @returns {string} the formatted message
+ */
+const formatTranslation = (message, args, pluralValue) => {
+    const hasArg = name => name in args || `_${name}` in args;
+    const getArg = name =>
+        `_${name}` in args ?
+            String(args[`_${name}`] ?? '')
+        :   escapeTranslationArg(args[name]);
+    const argRegex = /^\s*([\w$]+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/;
+
+    let result = '';
+    let i = 0;
+    while (i < message.length) {
+        const char = message[i];
+        if (message.startsWith('{{', i) && message.indexOf('}}', i) !== -1) {
+            const end = message.indexOf('}}', i);
+            const name = message.slice(i + 2, end);
+            result += hasArg(name) ? getArg(name) : message.slice(i, end + 2);
+            i = end + 2;
+            continue;
+        }
+        if (char === '{') {
+            const end = findClosingBrace(message, i);
+            const match =
+                end === -1 ? null : argRegex.exec(message.slice(i + 1, end));
+            if (match && hasArg(match[1])) {
+                const [, name, type, style = ''] = match;
+                const value = args[name] ?? args[`_${name}`];
+                const formatted =
+                    type ?
+                        formatTranslationArg(
+                            value,
+                            type,
+                            style.trim(),
+                            args,
+                            pluralValue
+                        )
+                    :   getArg(name);
+                if (formatted !== undefined) {
+                    result += formatted;
+                    i = end + 1;
+                    continue;
+                }
+            }
+        }
+        if (char === '#' && pluralValue !== undefined) {
+            result += pluralValue.toLocaleString(BETTER_MOODLE_LANG);
+        } else {
+            result += char;
+        }
+        i++;
     }
+    return result;
+};
 
-    #page-login-index #page-wrapper {
-        overflow: auto;
-    }
+// if a key is missing in the selected language, these languages are tried in this order
+const TRANSLATION_FALLBACK_CHAIN = [
+    ...new Set([BETTER_MOODLE_LANG, 'en', 'de']),
+].filter(lang => lang in TRANSLATIONS);
+// in translation developer mode, every requested key is recorded to find missing translations and the places they are requested from
+const TRANSLATION_DEV_MODE = GM_getValue(
+    getSettingKey('general.translationDevMode'),
+    false
+);
+/** @type {Map<string, Set<string>>} requested keys and the places they were requested from */
+const requestedTranslationKeys = new Map();
 
-    /* Use a pointer cursor on toggle buttons */
-    .custom-control.custom-switch .custom-control-label {
-        cursor: pointer;
-    }
+/**
+ * Looks up a translation key in a single language
+ *
+ * @param {string} lang the language to look in
+ * @param {string} key the dot-separated translation key
+ * @returns {unknown} the translation or undefined if the key does not exist in this language
+ */
+const getTranslation = (lang, key) =>
+    key
+        .split('.')
+        .reduce((prev, current) => prev?.[current], TRANSLATIONS[lang]);
 
-    /* avoid overflow of #usernavigation navigation bar */
-    #usernavigation {
-        max-width: calc(100% - 1rem); /* 1rem is the padding of the navbar */
-    }
+/**
+ * Returns the place $t has been called from, e.g. `updateCountdown@…/redesign.user.js:1234:5`
+ *
+ * @returns {string}
+ */
+const getTranslationCaller = () =>
+    (new Error().stack ?? '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && line !== 'Error')
+        .find(
+            line =>
+                !line.includes('getTranslationCaller') && !/\$t\b/.test(line)
+        ) ?? '?';
 
-    /* remove "external link" icon for specific classes (discouraged but sometimes it doesn't look good) */
-    body.dir-ltr
-        a.${noExternalLinkIconClass}::after,
-        body.dir-rtl
-        a.${noExternalLinkIconClass}::before {
-        display: none !important;
+/**
+ * Translates a key into the current language and formats the translation with the given arguments.
+ * Missing translations fall back to the languages in TRANSLATION_FALLBACK_CHAIN.
+ *
+ * @param {string} key the dot-separated translation key
+ * @param {Record<string, unknown>} [args] the arguments. If an argument starts with an underscore, it will not be escaped
+ * @returns {string} the formatted translation or the key if there is no translation
+ */
+const $t = (key, args = {}) => {
+    if (TRANSLATION_DEV_MODE) {
+        if (!requestedTranslationKeys.has(key)) {
+            requestedTranslationKeys.set(key, new Set());
+        }
+        requestedTranslationKeys.get(key).add(getTranslationCaller());
     }
-
-    /* fix info-buttons next to form labels to be aligned left instead of centered */
-    .form-label-addon [data-toggle='popover'] i.icon.fa {
-        margin-left: 0.25rem;
-        margin-right: 0.25rem;
+    let t = key;
+    for (const lang of TRANSLATION_FALLBACK_CHAIN) {
+        const translation = getTranslation(lang, key);
+        if (translation !== undefined && translation !== null) {
+            t = translation;
+            break;
+        }
     }
-`);
+    if (t === key) {
+        console.warn(
+            `Better-Moodle: Translation for key "${key}" on locale ${BETTER_MOODLE_LANG} not found!`
+        );
+    }
+    if (typeof t !== 'string' || !t.includes('{')) return t;
+    return formatTranslation(t, args);
+};
+
+/**
+ * Compares the translations of all languages with each other and with the keys requested on this page so far
+ *
+ * @returns {{missing: Array<{key: string, languages: string[], places: string[]}>}}
+ */
+const analyzeTranslations = () => {
+    const languages = Object.keys(TRANSLATIONS);
+    const definedKeys = new Set(
+        languages.flatMap(lang => getTranslationKeys(TRANSLATIONS[lang]))
+    );
+    const requestedKeys = Array.from(requestedTranslationKeys.keys());
+
+    const missing = Array.from(new Set([...definedKeys, ...requestedKeys]))
+        .map(key => ({
+            key,
+            languages: languages.filter(
+                lang => (getTranslation(lang, key) ?? null) === null
+            ),
+            places: Array.from(requestedTranslationKeys.get(key) ?? []),
+        }))
+        .filter(({ languages }) => languages.length)
+        .toSorted((a, b) => a.key.localeCompare(b.key));
+
+    return { missing };
+};
 // endregion
 
-// region Settings
-/** @template ValueType */
-class Setting {
-    /** @type {string} */
-    #id;
-    /** @type {ValueType} */
-    #default;
-    /** @type {HTMLInputElement} */
-    #input = document.createElement('input');
-    /** @type {(settings: Record<string, Setting>) => boolean} */
-    #disabledFn = () => false;
-    /** @type {HTMLLabelElement} */
-    #label;
-
-    /**
-     * @param {string} id
-     * @param {ValueType} defaultValue
-     */
-    constructor(id, defaultValue) {
-        // this makes this class an abstract class
-        if (this.constructor === Setting) {
-            throw new TypeError(
-                'Cannot create instance of abstract class Setting'
-            );
-        }
-        this.#id = id;
-        this.#default = defaultValue;
+/**
+ * @param {string} name
+ * @param {string} [collapseBtnId]
+ * @param {string} [containerId]
+ */
+const createFieldset = (
+    name,
+    collapseBtnId = crypto.randomUUID(),
+    containerId = crypto.randomUUID()
+) => {
+    const fieldset = document.createElement('fieldset');
 
-        // removing invalid characters from HTML id
-        this.#input.id = PREFIX(`settings-input-${this.id}`)
-            .replace(/ /gu, '_')
-            .replace(/["']/gu, '')
-            .replace(/[^\w-]/gu, '-');
-        this.#input.value = this.value;
-    }
+    const legend = document.createElement('legend');
+    legend.classList.add('sr-only');
+    legend.textContent = name;
 
-    /**
-     * @returns {string}
-     */
-    get id() {
-        return this.#id;
-    }
+    const headerRow = document.createElement('div');
+    headerRow.classList.add('d-flex', 'align-items-center', 'mb-2');
+    const headerWrapper = document.createElement('div');
+    headerWrapper.classList.add(
+        'position-relative',
+        'd-flex',
+        'ftoggler',
+        'align-items-center',
+        'position-relative',
+        'w-100'
+    );
+    const collapseBtn = document.createElement('a');
+    collapseBtn.classList.add(
+        'btn',
+        'btn-icon',
+        'mr-1',
+        'icons-collapse-expand',
+        'stretched-link',
+        'fheader',
+        'collapsed'
+    );
+    collapseBtn.dataset.toggle = 'collapse';
+    collapseBtn.id = PREFIX(collapseBtnId);
+    const expandedSpan = document.createElement('span');
+    expandedSpan.classList.add('expanded-icon', 'icon-no-margin', 'p-2');
+    expandedSpan.title = 'Einklappen';
+    const expandedIcon = document.createElement('i');
+    expandedIcon.classList.add('icon', 'fa', 'fa-chevron-down', 'fa-fw');
+    expandedSpan.append(expandedIcon);
+    const collapsedSpan = document.createElement('span');
+    collapsedSpan.classList.add('collapsed-icon', 'icon-no-margin', 'p-2');
+    collapsedSpan.title = 'Ausklappen';
+    const collapsedLTRIcon = document.createElement('i');
+    collapsedLTRIcon.classList.add(
+        'icon',
+        'fa',
+        'fa-chevron-right',
+        'fa-fw',
+        'dir-ltr-hide'
+    );
+    const collapsedRTLIcon = document.createElement('i');
+    collapsedRTLIcon.classList.add(
+        'icon',
+        'fa',
+        'fa-chevron-right',
+        'fa-fw',
+        'dir-rtl-hide'
+    );
+    collapsedSpan.append(collapsedLTRIcon, collapsedRTLIcon);
+    collapseBtn.append(expandedSpan, collapsedSpan);
 
-    /**
-     * @returns {string}
-     */
-    get settingKey() {
-        return getSettingKey(this.id);
-    }
+    const heading = document.createElement('h3');
+    heading.classList.add(
+        'd-flex',
+        'align-self-stretch',
+        'align-items-center',
+        'mb-0',
+        'w-100'
+    );
+    heading.textContent = name;
 
-    /**
-     * @returns {ValueType}
-     */
-    get inputValue() {
-        return this.#input.value;
-    }
+    headerWrapper.append(collapseBtn, heading);
+    headerRow.append(headerWrapper);
 
-    /**
-     * @returns {ValueType}
-     */
-    get value() {
-        return GM_getValue(this.settingKey, this.#default);
-    }
+    const container = document.createElement('div');
+    container.classList.add('fcontainer', 'collapseable', 'collapse');
+    container.id = PREFIX(containerId);
+    collapseBtn.href = `#${container.id}`;
 
-    /**
-     * @param {ValueType} newValue
-     */
-    set value(newValue) {
-        this.#input.value = newValue;
-        GM_setValue(this.settingKey, newValue);
-    }
+    fieldset.append(legend, headerRow, container);
 
-    /**
-     * @returns {string}
-     */
-    get title() {
-        return $t(`settings.${this.id}.name`).toString();
-    }
+    return { fieldset, legend, headerRow, container, heading, collapseBtn };
+};
 
-    /**
-     * @returns {string}
-     */
-    get description() {
-        return $t(`settings.${this.id}.description`).toString();
+const appendableListFormClass = PREFIX('appendable-list-form');
+GM_addStyle(css`
+    .${appendableListFormClass} {
+        color: inherit;
     }
 
-    /**
-     * @returns {HTMLInputElement}
-     */
-    get formControl() {
-        return this.#input;
+    .${appendableListFormClass} .fitem {
+        column-gap: 1em;
     }
 
-    /**
-     * @returns {string}
-     */
-    get inputId() {
-        return this.#input.id;
+    .${appendableListFormClass}
+        > .fcontainer
+        :is(
+            .fitem:first-child [data-button='up'],
+            .fitem:last-child [data-button='down']
+        ) {
+        opacity: 0.65;
+        pointer-events: none;
+        cursor: not-allowed;
     }
+`);
 
-    /**
-     * @param {function(Record<string, Setting>): boolean} disabledFn
-     * @returns {this}
-     */
-    setDisabledFn(disabledFn) {
-        this.#disabledFn = disabledFn;
-        return this;
-    }
+/**
+ * @param {string} id
+ * @template ALFData
+ * @param {(data: ALFData) => HTMLDivElement[]} createFormItem
+ * @param {ALFData} emptyData
+ * @returns {{form: HTMLFormElement, addFormItems: (data: ALFData[]) => void}}
+ */
+const createAppendableListForm = (id, createFormItem, emptyData) => {
+    const form = document.createElement('form');
+    form.classList.add('mform', appendableListFormClass);
+    form.id = PREFIX(id);
+    const container = document.createElement('div');
+    container.classList.add('fcontainer');
 
     /**
-     * @param {Record<string, Setting>} settings
-     * @returns {boolean}
+     * @template ALFData
+     * @param {ALFData} data
      */
-    toggleDisabled(settings) {
-        const disabled = this.#disabledFn(settings);
-        this.#input.disabled = disabled;
-        if (disabled) {
-            this.#input.classList.add('disabled');
-            this.#label?.classList.add('text-muted');
-        } else {
-            this.#input.classList.remove('disabled');
-            this.#label?.classList.remove('text-muted');
-        }
-        return disabled;
-    }
+    const addFormItem = data => {
+        const group = document.createElement('div');
+        group.classList.add(
+            'form-group',
+            'd-flex',
+            'flex-wrap',
+            'flex-lg-nowrap',
+            'fitem'
+        );
 
-    /**
-     * @param {HTMLLabelElement} label
-     */
-    setLabel(label) {
-        this.#label = label;
-    }
+        const btns = document.createElement('div');
+        btns.classList.add('btn-group', 'ml-auto');
+        const moveUpBtn = document.createElement('button');
+        moveUpBtn.classList.add('btn', 'btn-outline-secondary');
+        moveUpBtn.dataset.button = 'up';
+        const upIcon = document.createElement('i');
+        upIcon.classList.add('fa', 'fa-arrow-up', 'fa-fw');
+        moveUpBtn.append(upIcon);
+        const moveDownBtn = document.createElement('button');
+        moveDownBtn.classList.add('btn', 'btn-outline-secondary');
+        moveDownBtn.dataset.button = 'down';
+        const downIcon = document.createElement('i');
+        downIcon.classList.add('fa', 'fa-arrow-down', 'fa-fw');
+        moveDownBtn.append(downIcon);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.classList.add('btn', 'btn-outline-danger');
+        deleteBtn.dataset.button = 'delete';
+        const deleteIcon = document.createElement('i');
+        deleteIcon.classList.add('fa', 'fa-trash', 'fa-fw');
+        deleteBtn.append(deleteIcon);
 
-    saveInput() {
-        this.value = this.#input.value;
-    }
+        btns.append(moveUpBtn, moveDownBtn, deleteBtn);
 
-    resetInput() {
-        this.#input.value = this.value;
-    }
+        const mobileLinebreak = document.createElement('div');
+        mobileLinebreak.classList.add('w-100', 'd-lg-none');
 
-    /**
-     * @param {function(InputEvent): void} listener
-     * @returns {this}
-     */
-    onInput(listener) {
-        this.#input.addEventListener('input', listener);
-        return this;
-    }
-}
+        group.append(...createFormItem(data), mobileLinebreak, btns);
+        container.append(group);
+    };
 
-/** @extends {Setting<boolean>} */
-class BooleanSetting extends Setting {
-    /** @type {HTMLDivElement} */
-    #_formControl = document.createElement('div');
+    const addFormItems = data => data.forEach(d => addFormItem(d));
 
-    /**
-     * @param {string} id
-     * @param {boolean} defaultValue
-     */
-    constructor(id, defaultValue) {
-        super(id, defaultValue);
+    const addBtn = document.createElement('button');
+    addBtn.classList.add('btn', 'btn-outline-success', 'd-block', 'ml-auto');
+    const addIcon = document.createElement('i');
+    addIcon.classList.add('fa', 'fa-plus', 'fa-fw');
+    addBtn.append(addIcon);
 
-        // set up the real formControl to be used in settings modal
-        this.#_formControl.classList.add('custom-control', 'custom-switch');
-        super.formControl.classList.add('custom-control-input');
-        super.formControl.type = 'checkbox';
-        super.formControl.checked = this.value;
+    form.addEventListener('click', e => {
+        const target = e.target;
+        if (!(target instanceof HTMLElement)) return;
+        const button = target.closest('[data-button]');
+        const row = target.closest('.fitem');
+        if (!button || !row) return;
 
-        const switchLabel = document.createElement('label');
-        switchLabel.classList.add('custom-control-label');
-        switchLabel.htmlFor = super.formControl.id;
-        switchLabel.textContent = '';
+        const action = button.dataset.button;
+        switch (action) {
+            case 'up':
+                row.previousSibling.before(row);
+                break;
+            case 'down':
+                row.nextSibling.after(row);
+                break;
+            case 'delete':
+                row.remove();
+                break;
+        }
+    });
 
-        this.#_formControl.append(super.formControl, switchLabel);
-    }
+    addBtn.addEventListener('click', e => {
+        e.preventDefault();
+        addFormItem(emptyData);
+    });
 
-    /**
-     * @returns {boolean}
-     */
-    get inputValue() {
-        return super.formControl.checked;
-    }
+    form.append(container, addBtn);
 
-    /**
-     * @returns {HTMLDivElement}
-     */
-    get formControl() {
-        return this.#_formControl;
-    }
+    return { form, addFormItems };
+};
 
-    saveInput() {
-        this.value = super.formControl.checked;
-    }
+/**
+ * @typedef {Object} SpeiseplanFilter
+ * @property {string} title
+ * @property {string} abk
+ * @property {string} [img]
+ */
 
-    resetInput() {
-        super.formControl.checked = this.value;
-    }
-}
+/**
+ * @typedef {Object} Speise
+ * @property {boolean} mensa
+ * @property {{name: string, zusatz?: string}[]} items
+ * @property {string[]} allergene
+ * @property {string[]} zusatzstoffe
+ * @property {string[]} arten
+ * @property {number[]} preise
+ */
+
+/**
+ * @typedef {Object} Speiseplan
+ * @property {Record<string, Speise[]>} speisen
+ * @property {SpeiseplanFilter} filters
+ */
+
+/**
+ * get the speiseplan of this and next week
+ * @returns {Promise<Speiseplan>}
+ */
+const getSpeiseplan = async () => {
+    const filterTypes = {
+        1: 'allergene',
+        2: 'zusatzstoffe',
+        3: 'arten',
+    };
+    Object.seal(filterTypes);
+    Object.freeze(filterTypes);
 
-/** @extends {Setting<string>} */
-class StringSetting extends Setting {
     /**
-     * @param {string} id
-     * @param {string} defaultValue
+     * @param {Document} doc
+     * @returns {Speiseplan['speisen']}
      */
-    constructor(id, defaultValue) {
-        super(id, defaultValue);
+    const getSpeisen = doc => {
+        const speisen = {};
+        doc.querySelectorAll('.mensa_menu_detail').forEach(speise => {
+            const day = speise.closest('[data-day]').dataset.day;
+            speisen[day] ??= [];
+            const items = [{ name: '' }];
+            speise.querySelector('.menu_name').childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    items.at(-1).name += node.textContent.trim();
+                }
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    if (node.tagName === 'BR') {
+                        items.push({ name: '' });
+                    } else if (node.classList.contains('mensa_zusatz')) {
+                        items.at(-1).zusatz = node.textContent.trim();
+                    }
+                }
+            });
+            speisen[day].push({
+                mensa: !!speise.querySelector('.mensatyp_mensa'),
+                items,
+                allergene: speise.dataset.allergene.split('|').filter(Boolean),
+                zusatzstoffe: speise.dataset.zusatzstoffe
+                    .split('|')
+                    .filter(Boolean),
+                arten: speise.dataset.arten.split('|').filter(Boolean),
+                preise: speise
+                    .querySelector('.menu_preis')
+                    ?.textContent?.trim()
+                    .split('/')
+                    .map(p => p.trim().replace(',', '.'))
+                    .map(p => parseFloat(p))
+                    .filter(Boolean),
+            });
+        });
+        return speisen;
+    };
 
-        super.formControl.type = 'text';
-        super.formControl.classList.add('form-control');
-    }
-}
+    const localizedPath = {
+        de: 'mensen-in-kiel',
+        en: 'food-overview',
+    };
+    Object.seal(localizedPath);
+    Object.freeze(localizedPath);
+
+    // the Studentenwerk website is only available in German and English, so other languages fall back to English
+    const SPEISEPLAN_LANG = (() => {
+        const savedLanguage = getSetting('speiseplan.language');
+        const language =
+            savedLanguage === 'auto' ? BETTER_MOODLE_LANG : savedLanguage;
+        return language in localizedPath ? language : 'en';
+    })();
 
-/** @extends {Setting<number>} */
-class NumberSetting extends Setting {
     /**
-     * @param {string} id
-     * @param {number} defaultValue
-     * @param {number} [min]
-     * @param {number} [max]
-     * @param {number} [step]
+     * Fetches the speiseplan from the studentenwerk website and returns it as a document
+     * @param {boolean} [nextWeek]
+     * @returns {Promise<Document>}
      */
-    constructor(id, defaultValue, min, max, step = 1) {
-        super(id, defaultValue);
+    const getDoc = (nextWeek = false) =>
+        new Promise(resolve =>
+            GM_xmlhttpRequest({
+                url: `https://studentenwerk.sh/${SPEISEPLAN_LANG}/${
+                    localizedPath[SPEISEPLAN_LANG]
+                }?ort=1&mensa=${getSetting('speiseplan.canteen')}${nextWeek ? '&nw=1' : ''}`,
+                onload: ({ responseText }) =>
+                    resolve(
+                        new DOMParser().parseFromString(
+                            responseText,
+                            'text/html'
+                        )
+                    ),
+            })
+        );
 
-        super.formControl.type = 'number';
-        super.formControl.classList.add('form-control');
-        if (typeof min === 'number') {
-            super.formControl.min = min.toString();
-        }
-        if (typeof max === 'number') {
-            super.formControl.max = max.toString();
+    const mensaplanDoc = await getDoc();
+
+    /** @type {Record<string, Record<string, SpeiseplanFilter>>} */
+    const filters = {
+        arten: {
+            SHT: {
+                // we need to define SH-Teller as it is not defined on english website
+                title: 'Schleswig-Holstein Teller',
+                abk: '',
+                img: 'https://studentenwerk.sh/upload/img/sh_teller1.png?h=80&t=2',
+            },
+        },
+    };
+    mensaplanDoc.querySelectorAll('.filterbutton').forEach(filter => {
+        const type = filterTypes[filter.dataset.typ];
+        filters[type] ??= {};
+        const img = filter.querySelector('img')?.src ?? undefined;
+        let imgUrl;
+        if (img) {
+            imgUrl = new URL(new URL(img).pathname, 'https://studentenwerk.sh');
         }
-        if (typeof step === 'number') {
-            super.formControl.step = step.toString();
+        filters[type][filter.dataset.wert] = {
+            title:
+                filter.querySelector('span:not(.abk)')?.textContent?.trim() ??
+                '',
+            abk: filter.querySelector('span.abk')?.textContent?.trim() ?? '',
+            ...(imgUrl ? { img: imgUrl.href } : {}),
+        };
+        // this is an inverted filter, so we need to find the matching text. Currently, Alcohol is the only case for this and at least there using the title of another alcohol bottle works
+        if (filter.dataset.ex === '1' && imgUrl) {
+            const alternativeTitle = mensaplanDoc.querySelector(
+                `:not(.filterbutton) > img[src="${imgUrl.pathname}"]`
+            )?.title;
+            if (alternativeTitle)
+                filters[type][filter.dataset.wert].title = alternativeTitle;
         }
-    }
-
-    /** @returns {number} */
-    get inputValue() {
-        return Number(super.formControl.value);
-    }
-}
+    });
+    Object.freeze(filters);
 
-GM_addStyle(css`
-    /* Some style to show tick-mark labels on range inputs */
-    datalist[style*='--label-count'] {
-        display: grid;
-        grid-template-columns: repeat(var(--label-count), minmax(0, 1fr));
-        text-align: center;
-        /* WTF? idk how and why but it seems to work. It positions the labels almost correctly */
-        margin: 0
-            calc(
-                50% - 0.5 *
-                    calc((1 + 1 / (var(--label-count) - 1)) * (100% - 1em))
-            );
-    }
-    /* overlapping text is bad => hide with ellipsis */
-    datalist[style*='--label-count'] > option {
-        overflow: hidden;
-        text-overflow: ellipsis;
-    }
-    /* make first and last label have custom alignments for better visibility */
-    datalist[style*='--label-count'] > option:first-child {
-        text-align: left;
-        padding-left: calc(50% - 4px);
-    }
-    datalist[style*='--label-count'] > option:last-child {
-        text-align: right;
-        padding-right: calc(50% - 4px);
-    }
-    /* add ticks to labels */
-    datalist[style*='--label-count'] > option::after {
-        content: '';
-        position: absolute;
-        border: 1px solid grey;
-        height: 10px;
-        left: 50%;
-        transform: translateX(-50%) translateY(-50%);
-        top: 0;
-    }
+    return {
+        filters,
+        speisen: {
+            ...getSpeisen(mensaplanDoc),
+            ...getSpeisen(await getDoc(true)),
+        },
+    };
+};
 
-    /* style to show a bubble with current range input value */
-    input[type='range'] + output {
-        position: absolute;
-        text-align: center;
-        padding: 2px;
-        background-color: var(--primary);
-        color: white;
-        border-radius: 4px;
-        font-weight: bold;
-        z-index: 1;
+const debounce = (fn, delay = 100) => {
+    let timeout;
+    return () => {
+        const context = this;
+        if (timeout) clearTimeout(timeout);
+        timeout = setTimeout(() => fn.apply(context, arguments), delay);
+    };
+};
 
-        /* position the label correctly */
-        left: calc(1% * var(--percentage));
-        transform: translateX(calc(-1% * var(--percentage)));
-    }
+/**
+ * @param {Date} date
+ * @param {boolean} [year=true]
+ * @param {boolean} [weekday=false]
+ */
+const dateToString = (date, year = true, weekday = false) =>
+    date.toLocaleDateString(BETTER_MOODLE_LANG, {
+        weekday: weekday ? 'long' : undefined,
+        year: year ? 'numeric' : undefined,
+        month: '2-digit',
+        day: '2-digit',
+    });
+/**
+ * @param {Date} date
+ * @param {boolean} [seconds=true]
+ */
+const timeToString = (date, seconds = true) =>
+    date.toLocaleTimeString(BETTER_MOODLE_LANG, {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: seconds ? '2-digit' : undefined,
+    });
 
-    /* adds transparency to tick-mark labels of disabled range inputs  */
-    input:disabled[type='range'] + output {
-        background-color: color-mix(in srgb, var(--primary) 50%, transparent);
+/**
+ * @param {number} delay
+ * @param {CallableFunction} callback
+ */
+const animationInterval = (delay, callback, runImmediate = false) => {
+    if (runImmediate) {
+        callback();
     }
-`);
-
-/** @extends {NumberSetting} */
-class SliderSetting extends NumberSetting {
-    #wrapper = document.createElement('div');
 
+    let last = 0;
+    let currentId;
     /**
-     * @param {string} id
-     * @param {number} defaultValue
-     * @param {number} [min]
-     * @param {number} [max]
-     * @param {number} [step]
-     * @param {number | string[]} [labels]
+     * @param {DOMHighResTimeStamp} now
      */
-    constructor(
-        id,
-        defaultValue,
-        min,
-        max,
-        step = 1,
-        labels = (max - min + 1) / step
-    ) {
-        super(id, defaultValue, min, max, step);
+    const intervalCallback = now => {
+        currentId = requestAnimationFrame(intervalCallback);
 
-        super.formControl.type = 'range';
-        super.formControl.classList.add('custom-range');
-        super.formControl.classList.replace(
-            'form-control',
-            'form-control-range'
-        );
+        const elapsed = now - last;
 
-        const datalist = document.createElement('datalist');
-        if (step) {
-            const steps = (max - min + 1) / step;
-            datalist.id = `${super.formControl.id}-datalist`;
-            super.formControl.setAttribute('list', datalist.id);
-            for (
-                let currentStep = min;
-                currentStep <= max;
-                currentStep += (max - min + 1) / steps
-            ) {
-                const option = document.createElement('option');
-                option.value = currentStep.toString();
-                datalist.append(option);
-            }
+        if (elapsed >= delay) {
+            last = now - (elapsed % delay);
+            callback();
         }
+    };
+    currentId = requestAnimationFrame(intervalCallback);
+    return () => cancelAnimationFrame(currentId);
+};
+// endregion
 
-        const labelDatalist = document.createElement('datalist');
-        const fixLabels = Array.isArray(labels);
-        const labelCount =
-            fixLabels ? labels.length : Math.max(2, Math.min(10, labels)); // minimum 2, maximum 10 labels
-        /** @type {Map<number, string>} */
-        const valueToLabel = new Map();
+// region Global styles
+// some general style
+GM_addStyle(css`
+    /* disable the weird scroll behaviour on login page (background image shall not be moved) */
+    #page-login-index {
+        overflow: hidden;
+    }
 
-        for (
-            let currentStep = min;
-            currentStep <= max;
-            currentStep += (max - min) / (labelCount - 1)
-        ) {
-            const option = document.createElement('option');
-            option.value = currentStep.toString();
-            if (fixLabels) {
-                valueToLabel.set(
-                    currentStep,
-                    $t(
-                        `settings.${this.id}.labels.${labels.shift()}`
-                    ).toString()
-                );
-            }
-            option.title = option.label =
-                valueToLabel.get(currentStep) ??
-                currentStep.toLocaleString(BETTER_MOODLE_LANG);
-            labelDatalist.append(option);
-        }
-        labelDatalist.style.setProperty('--label-count', labelCount.toString());
+    #page-login-index #page-wrapper {
+        overflow: auto;
+    }
 
-        const outputEl = document.createElement('output');
-        outputEl.htmlFor = super.formControl.id;
-        const setOutput = () => {
-            const val = super.inputValue;
-            const percentageValue = ((val - min) / (max - min)) * 100;
-            outputEl.textContent =
-                valueToLabel.get(val) ?? val.toLocaleString(BETTER_MOODLE_LANG);
-            // see https://css-tricks.com/value-bubbles-for-range-inputs/
-            outputEl.style.setProperty(
-                '--percentage',
-                percentageValue.toString()
-            );
-        };
-        super.formControl.addEventListener('input', setOutput);
-        setOutput();
+    /* Use a pointer cursor on toggle buttons */
+    .custom-control.custom-switch .custom-control-label {
+        cursor: pointer;
+    }
 
-        this.#wrapper.classList.add('w-100', 'position-relative');
-        this.#wrapper.append(
-            super.formControl,
-            outputEl,
-            datalist,
-            labelDatalist
-        );
+    /* avoid overflow of #usernavigation navigation bar */
+    #usernavigation {
+        max-width: calc(100% - 1rem); /* 1rem is the padding of the navbar */
     }
 
-    get formControl() {
-        return this.#wrapper;
+    /* remove "external link" icon for specific classes (discouraged but sometimes it doesn't look good) */
+    body.dir-ltr
+        a.${noExternalLinkIconClass}::after,
+        body.dir-rtl
+        a.${noExternalLinkIconClass}::before {
+        display: none !important;
     }
 
-    resetInput() {
-        super.resetInput();
-        super.formControl.dispatchEvent(new Event('input'));
+    /* fix info-buttons next to form labels to be aligned left instead of centered */
+    .form-label-addon [data-toggle='popover'] i.icon.fa {
+        margin-left: 0.25rem;
+        margin-right: 0.25rem;
     }
-}
+`);
+// endregion
+
+// region Settings
+/** the id of the course the current page belongs to, undefined outside of courses */
+const CURRENT_COURSE_ID =
+    M.cfg?.courseId && M.cfg.courseId !== 1 ? M.cfg.courseId : undefined;
+
+const COURSE_OVERRIDES_STORAGE = PREFIX('course-overrides');
 
 /**
- * @template {string} Values
- * @extends {Setting<Values>}
+ * @typedef {Object} CourseOverrides
+ * @property {string} name the name of the course, used for the overview
+ * @property {Record<string, unknown>} settings setting id => value
  */
-class SelectSetting extends Setting {
-    /** @type {HTMLSelectElement} */
-    #input = document.createElement('select');
 
+/**
+ * Settings that differ per course. These shadow the global value of overridable settings.
+ */
+const COURSE_OVERRIDES = {
     /**
-     * @param {string} id
-     * @param {Values} defaultValue
-     * @param {(Values | {key: Values, title: string})[] || Promise<(Values | {key: Values, title: string})[]>} options
+     * @returns {Record<string, CourseOverrides>} course id => overrides
      */
-    constructor(id, defaultValue, options) {
-        super(id, defaultValue);
-
-        this.#input.id = this.inputId;
-        this.#input.classList.add('custom-select', 'col-12', 'col-md-auto');
-        this.#input.dataset.initialValue = this.value;
+    getAll: () => GM_getValue(COURSE_OVERRIDES_STORAGE, {}),
+    /**
+     * @param {number | string} courseId
+     * @returns {CourseOverrides}
+     */
+    get: courseId =>
+        COURSE_OVERRIDES.getAll()[courseId] ?? { name: '', settings: {} },
+    /**
+     * Saves the overrides of a course. Courses without any overrides are removed.
+     *
+     * @param {number | string} courseId
+     * @param {CourseOverrides} overrides
+     */
+    set: (courseId, overrides) => {
+        const all = COURSE_OVERRIDES.getAll();
+        if (Object.keys(overrides.settings).length) all[courseId] = overrides;
+        else delete all[courseId];
+        GM_setValue(COURSE_OVERRIDES_STORAGE, all);
+    },
+};
 
-        const optionsPromise =
-            options instanceof Promise ? options : Promise.resolve(options);
-        optionsPromise.then(options =>
-            options.forEach(option => {
-                const opt = document.createElement('option');
-                const value = typeof option === 'string' ? option : option.key;
-                if (typeof option === 'string') {
-                    opt.value = value;
-                    opt.textContent = $t(
-                        `settings.${this.id}.options.${option}`
-                    ).toString();
-                } else {
-                    opt.value = value;
-                    opt.textContent = option.title;
-                }
-                if (value === this.value) {
-                    opt.selected = true;
-                }
-                this.#input.append(opt);
-            })
-        );
+/**
+ * checks an input value and returns an error message if it is invalid
+ * @template ValueType
+ * @callback SettingValidator
+ * @param {ValueType} value
+ * @param {Record<string, Setting>} settings
+ * @returns {string | void | Promise<string | void>}
+ */
+
+/**
+ * checks an input value against an external service, e.g. whether an API key is accepted.
+ * Resolves with a success message and rejects with an error
+ * @template ValueType
+ * @callback SettingConnectionTest
+ * @param {ValueType} value
+ * @param {Record<string, Setting>} settings
+ * @returns {Promise<string>}
+ */
+
+/**
+ * @typedef {Object} SettingDependency
+ * @property {string} id the id of the setting this setting depends on
+ * @property {unknown[]} [values] the values the input of that setting needs to have, any truthy value if not set
+ */
+
+/** @template ValueType */
+class Setting {
+    /** @type {string} */
+    #id;
+    /** @type {ValueType} */
+    #default;
+    /** @type {HTMLInputElement} */
+    #input = document.createElement('input');
+    /** @type {(settings: Record<string, Setting>) => boolean} */
+    #disabledFn = () => false;
+    /** @type {HTMLLabelElement} */
+    #label;
+    /** @type {boolean} */
+    #secret = false;
+    /** @type {boolean} */
+    #overridable = false;
+    /** @type {SettingValidator<ValueType>} */
+    #validator = () => undefined;
+    /** @type {SettingConnectionTest<ValueType> | undefined} */
+    #connectionTest;
+    /** @type {SettingDependency[]} */
+    #dependencies = [];
+
+    /**
+     * @param {string} id
+     * @param {ValueType} defaultValue
+     */
+    constructor(id, defaultValue) {
+        // this makes this class an abstract class
+        if (this.constructor === Setting) {
+            throw new TypeError(
+                'Cannot create instance of abstract class Setting'
+            );
+        }
+        this.#id = id;
+        this.#default = defaultValue;
+
+        // removing invalid characters from HTML id
+        this.#input.id = PREFIX(`settings-input-${this.id}`)
+            .replace(/ /gu, '_')
+            .replace(/["']/gu, '')
+            .replace(/[^\w-]/gu, '-');
+        this.#input.value = this.value;
     }
 
     /**
-     * @returns {Values}
+     * @returns {string}
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get settingKey() {
+        return getSettingKey(this.id);
+    }
+
+    /**
+     * @returns {ValueType}
      */
     get inputValue() {
         return this.#input.value;
     }
 
     /**
+     * the value of this setting, respecting an override for the current course
      * @returns {ValueType}
      */
     get value() {
-        return super.value;
+        if (this.#overridable && CURRENT_COURSE_ID) {
+            const overrides = COURSE_OVERRIDES.get(CURRENT_COURSE_ID).settings;
+            if (Object.hasOwn(overrides, this.id)) return overrides[this.id];
+        }
+        return this.globalValue;
     }
 
     /**
-     * @param {Values} newValue
+     * the value of this setting, ignoring course overrides
+     * @returns {ValueType}
+     */
+    get globalValue() {
+        return GM_getValue(this.settingKey, this.#default);
+    }
+
+    /**
+     * @param {ValueType} newValue
      */
     set value(newValue) {
         this.#input.value = newValue;
@@ -3361,71 +5373,180 @@ class SelectSetting extends Setting {
     }
 
     /**
-     * @returns {HTMLSelectElement}
+     * @returns {ValueType}
+     */
+    get defaultValue() {
+        return this.#default;
+    }
+
+    /**
+     * whether the stored value differs from the default value
+     * @returns {boolean}
+     */
+    get isModified() {
+        return (
+            JSON.stringify(this.globalValue) !== JSON.stringify(this.#default)
+        );
+    }
+
+    /**
+     * @returns {string}
+     */
+    get title() {
+        return $t(`settings.${this.id}.name`).toString();
+    }
+
+    /**
+     * @returns {string}
+     */
+    get description() {
+        return $t(`settings.${this.id}.description`).toString();
+    }
+
+    /**
+     * @returns {HTMLInputElement}
      */
     get formControl() {
         return this.#input;
     }
 
     /**
+     * @returns {string}
+     */
+    get inputId() {
+        return this.#input.id;
+    }
+
+    /**
+     * @param {function(Record<string, Setting>): boolean} disabledFn
+     * @returns {this}
+     */
+    setDisabledFn(disabledFn) {
+        this.#disabledFn = disabledFn;
+        return this;
+    }
+
+    /**
+     * This setting is only relevant if another setting is enabled or has one of the given values.
+     * Dependencies are evaluated transitively and may be declared multiple times, all of them need to be met.
+     * @param {string} id
+     * @param {unknown} [values] a value or a list of values
+     * @returns {this}
+     */
+    dependsOn(id, values) {
+        this.#dependencies.push({
+            id,
+            values:
+                values === undefined ? undefined
+                : Array.isArray(values) ? values
+                : [values],
+        });
+        return this;
+    }
+
+    /**
+     * @returns {SettingDependency[]}
+     */
+    get dependencies() {
+        return this.#dependencies;
+    }
+
+    /**
+     * whether the dependencies of this setting and of all settings it depends on are met by the current inputs
      * @param {Record<string, Setting>} settings
      * @returns {boolean}
      */
-    toggleDisabled(settings) {
-        const disabled = super.toggleDisabled(settings);
-        this.#input.disabled = disabled;
-        if (disabled) {
-            this.#input.classList.add('disabled');
-        } else {
-            this.#input.classList.remove('disabled');
-        }
-        return disabled;
+    dependenciesMet(settings) {
+        return this.#dependencies.every(({ id, values }) => {
+            const parent = settings[id];
+            return (
+                parent.dependenciesMet(settings) &&
+                (values ?
+                    values.includes(parent.inputValue)
+                :   Boolean(parent.inputValue))
+            );
+        });
     }
 
-    saveInput() {
-        this.value = this.#input.value;
+    /**
+     * how deep this setting is nested in the dependency graph
+     * @param {Record<string, Setting>} settings
+     * @returns {number}
+     */
+    dependencyDepth(settings) {
+        return Math.max(
+            0,
+            ...this.#dependencies.map(
+                ({ id }) => settings[id].dependencyDepth(settings) + 1
+            )
+        );
     }
 
-    resetInput() {
-        this.#input.value = this.value;
+    /**
+     * marks this setting as secret (e.g. an API key), so that it is not exported by default
+     * @returns {this}
+     */
+    setSecret() {
+        this.#secret = true;
+        return this;
     }
 
     /**
-     * @param {function(InputEvent): void} listener
+     * @returns {boolean}
+     */
+    get isSecret() {
+        return this.#secret;
+    }
+
+    /**
+     * allows this setting to be overridden per course
      * @returns {this}
      */
-    onInput(listener) {
-        this.#input.addEventListener('change', listener);
+    setOverridable() {
+        this.#overridable = true;
         return this;
     }
-}
 
-/** @extends {Setting<void>} */
-class ActionSetting extends Setting {
-    constructor(id) {
-        super(id, void 0);
-        // this makes this class an abstract class
-        if (this.constructor === ActionSetting) {
-            throw new TypeError(
-                'Cannot create instance of abstract class ActionSetting'
-            );
-        }
+    /**
+     * @returns {boolean}
+     */
+    get isOverridable() {
+        return this.#overridable;
     }
-}
 
-/** @extends {ActionSetting} */
-class BtnActionSetting extends ActionSetting {
-    /** @type {HTMLButtonElement} */
-    #btn = document.createElement('button');
+    /**
+     * @param {SettingValidator<ValueType>} validator
+     * @returns {this}
+     */
+    setValidator(validator) {
+        this.#validator = validator;
+        return this;
+    }
 
-    constructor(id) {
-        super(id);
+    /**
+     * validates the current input. Disabled settings are always valid as they are not relevant
+     * @param {Record<string, Setting>} settings
+     * @returns {Promise<string | void>} the error message if the input is invalid
+     */
+    validateInput(settings) {
+        if (this.#input.disabled) return Promise.resolve();
+        return Promise.resolve(this.#validator(this.inputValue, settings));
+    }
 
-        this.#btn.classList.add('btn', 'btn-primary');
+    /**
+     * @param {SettingConnectionTest<ValueType>} connectionTest
+     * @returns {this}
+     */
+    setConnectionTest(connectionTest) {
+        this.#connectionTest = connectionTest;
+        return this;
     }
 
-    get formControl() {
-        return this.#btn;
+    /**
+     * @returns {SettingConnectionTest<ValueType> | undefined}
+     */
+    get connectionTest() {
+        return this.#connectionTest;
     }
 
     /**
@@ -3433,1700 +5554,4820 @@ class BtnActionSetting extends ActionSetting {
      * @returns {boolean}
      */
     toggleDisabled(settings) {
-        const disabled = super.toggleDisabled(settings);
-        this.#btn.disabled = disabled;
+        const disabled =
+            this.#disabledFn(settings) || !this.dependenciesMet(settings);
+        this.#input.disabled = disabled;
         if (disabled) {
-            this.#btn.classList.add('disabled');
+            this.#input.classList.add('disabled');
+            this.#label?.classList.add('text-muted');
         } else {
-            this.#btn.classList.remove('disabled');
+            this.#input.classList.remove('disabled');
+            this.#label?.classList.remove('text-muted');
         }
         return disabled;
     }
 
     /**
-     * @param {string | HTMLElement} content
-     * @returns {this}
+     * @param {HTMLLabelElement} label
      */
-    setContent(content) {
-        this.#btn.replaceChildren();
-        if (typeof content === 'string') {
-            this.#btn.textContent = content;
-        } else {
-            this.#btn.append(content);
-        }
-        return this;
+    setLabel(label) {
+        this.#label = label;
+    }
+
+    saveInput() {
+        this.value = this.#input.value;
     }
 
     /**
-     * @param {function(MouseEvent, BtnActionSetting): void} listener
-     * @returns {this}
+     * saves the input and records the change in the settings history
+     * @param {SettingsHistorySource} source
      */
-    setAction(listener) {
-        this.#btn.addEventListener('click', e => {
-            e.preventDefault();
-            listener(e, this);
-        });
-        return this;
+    saveInputToHistory(source) {
+        const oldValue = this.globalValue;
+        this.saveInput();
+        SETTINGS_HISTORY.record(
+            [{ setting: this.id, oldValue, newValue: this.globalValue }],
+            source
+        );
     }
-}
 
-/** @type {Array<Setting | string>} */
-const SETTINGS = [
-    'general',
-    new BooleanSetting('general.updateNotification', true),
-    new SelectSetting('general.language', 'auto', [
-        'auto',
-        ...Object.keys(TRANSLATIONS),
-    ]),
-    new BooleanSetting('general.highlightNewSettings', true),
-    new BooleanSetting(
-        'general.highlightNewSettings.navbar',
-        true
-    ).setDisabledFn(
-        settings => !settings['general.highlightNewSettings'].inputValue
-    ),
-    new BooleanSetting('general.fullwidth', true),
-    new BooleanSetting('general.externalLinks', true),
-    new BooleanSetting('general.truncatedTexts', true),
-    new BooleanSetting('general.bookmarkManager', false),
-    new BooleanSetting('general.noDownload', false),
-    new BooleanSetting('general.eventAdvertisements', true),
-    new BooleanSetting('general.christmasCountdown', false),
-    new BooleanSetting('general.speiseplan', false),
-    new BooleanSetting('general.googlyEyes', true),
-    new BooleanSetting('general.semesterzeiten', false),
-    new SelectSetting('general.prideLogo', 'rotated', [
-        'off',
-        'rainbow',
-        'agender',
-        'aro',
-        'ace',
-        'aroace',
-        'bi',
-        'genderfluid',
-        'intersex',
-        'lesbian',
-        'enby',
-        'pan',
-        'gay',
-        'trans',
-    ]),
-    new BooleanSetting('general.prideLogoRotated', true),
-    new BooleanSetting('general.quickRoleChange', true),
-    'darkmode',
-    $t('settings.darkmode._description'),
-    new SelectSetting('darkmode.mode', 'off', ['off', 'on', 'auto']).onInput(
-        () => updateDarkReaderMode(true)
-    ),
-    new SliderSetting('darkmode.brightness', 100, 0, 150, 1, 7)
-        .setDisabledFn(
-            settings => settings['darkmode.mode'].inputValue === 'off'
-        )
-        .onInput(debounce(() => updateDarkReaderMode(true))),
-    new SliderSetting('darkmode.contrast', 100, 0, 150, 1, 7)
-        .setDisabledFn(
-            settings => settings['darkmode.mode'].inputValue === 'off'
-        )
-        .onInput(debounce(() => updateDarkReaderMode(true))),
-    new SliderSetting('darkmode.grayscale', 0, 0, 100, 1, 6)
-        .setDisabledFn(
-            settings => settings['darkmode.mode'].inputValue === 'off'
-        )
-        .onInput(debounce(() => updateDarkReaderMode(true))),
-    new SliderSetting('darkmode.sepia', 0, 0, 100, 1, 6)
-        .setDisabledFn(
-            settings => settings['darkmode.mode'].inputValue === 'off'
-        )
-        .onInput(debounce(() => updateDarkReaderMode(true))),
-    new BtnActionSetting('darkmode.preview')
-        .setContent($t('settings.darkmode.preview.btn'))
-        .setDisabledFn(
-            settings => settings['darkmode.mode'].inputValue === 'off'
-        )
-        .setAction((_, { formControl }) => {
-            formControl.dispatchEvent(
-                new Event(SETTINGS_PREVIEW_EVENT, { bubbles: true })
-            );
-        }),
-    'dashboard',
-    // {Layout anpassen}
-    new StringSetting(
-        'dashboard.~layoutPlaceholder',
-        'Coming soon...'
-    ).setDisabledFn(() => true),
-    /** @type {SelectSetting<'_sync'>} */
-    new SelectSetting(
-        'dashboard.courseListFilter',
-        '_sync',
-        getCourseGroupingOptions()
-    ),
-    new BooleanSetting('dashboard.courseListFavouritesAtTop', true),
-    'myCourses',
-    new SliderSetting('myCourses.boxesPerRow', 4, 1, 10),
-    new BooleanSetting('myCourses.navbarDropdown', true),
-    new SelectSetting(
-        'myCourses.navbarDropdownFilter',
-        '_sync',
-        getCourseGroupingOptions()
-    ).setDisabledFn(
-        settings => !settings['myCourses.navbarDropdown'].inputValue
-    ),
-    new BooleanSetting(
-        'myCourses.navbarDropdownFavouritesAtTop',
-        true
-    ).setDisabledFn(
-        settings => !settings['myCourses.navbarDropdown'].inputValue
-    ),
-    'courses',
-    new BooleanSetting('courses.grades', true),
-    new BooleanSetting('courses.gradesNewTab', false).setDisabledFn(
-        settings => !settings['courses.grades'].inputValue
-    ),
-    new BooleanSetting('courses.collapseAll', true),
-    new BooleanSetting('courses.imgMaxWidth', true),
-    new BooleanSetting('courses.imageZoom', true),
-    new BooleanSetting('courses.hideSelfEnrolHint', false),
-    'clock',
-    new BooleanSetting('clock.clock', false),
-    new BooleanSetting('clock.clock.seconds', true).setDisabledFn(
-        settings => !settings['clock.clock'].inputValue
-    ),
-    new BooleanSetting('clock.fuzzyClock', false),
-    new SliderSetting('clock.fuzzyClock.fuzziness', 10, 10, 50, 10, [
-        '5min',
-        '15min',
-        'food',
-        'day',
-        'week',
-    ]).setDisabledFn(settings => !settings['clock.fuzzyClock'].inputValue),
-    'weatherDisplay',
-    new BooleanSetting('weatherDisplay.show', false),
-    new SelectSetting('weatherDisplay.units', 'metric', [
-        'metric',
-        'scientific',
-        'imperial',
-    ]).setDisabledFn(settings => !settings['weatherDisplay.show'].inputValue),
-    new SelectSetting('weatherDisplay.provider', 'openMeteo', [
-        'openMeteo',
-        'wttrIn',
-        'visualCrossing',
-        'openWeatherMap',
-        'pirateWeather',
-    ]).setDisabledFn(settings => !settings['weatherDisplay.show'].inputValue),
-    new StringSetting('weatherDisplay.visualCrossingAPIKey', '').setDisabledFn(
-        settings =>
-            !settings['weatherDisplay.show'].inputValue ||
-            settings['weatherDisplay.provider'].inputValue !== 'visualCrossing'
-    ),
-    new StringSetting('weatherDisplay.openWeatherMapAPIKey', '').setDisabledFn(
-        settings =>
-            !settings['weatherDisplay.show'].inputValue ||
-            settings['weatherDisplay.provider'].inputValue !== 'openWeatherMap'
-    ),
-    new StringSetting('weatherDisplay.pirateWeatherAPIKey', '').setDisabledFn(
-        settings =>
-            !settings['weatherDisplay.show'].inputValue ||
-            settings['weatherDisplay.provider'].inputValue !== 'pirateWeather'
-    ),
-    new BooleanSetting('weatherDisplay.showTempInNavbar', false)
-        .setDisabledFn(settings => !settings['weatherDisplay.show'].inputValue)
-        .setDisabledFn(settings => !settings['weatherDisplay.show'].inputValue),
-    new BooleanSetting('weatherDisplay.toggleFeelsLike', false)
-        .setDisabledFn(
-            settings =>
-                !settings['weatherDisplay.show'].inputValue ||
-                !settings['weatherDisplay.showTempInNavbar'].inputValue
-        )
-        .setDisabledFn(settings => !settings['weatherDisplay.show'].inputValue),
-    'messages',
-    new SelectSetting('messages.sendHotkey', '', [
-        '',
-        'shiftEnter',
-        'ctrlEnter',
-    ]),
-    new BooleanSetting('messages.markdown', true),
-    'nina',
-    $t('settings.nina._description'),
-    new BooleanSetting('nina.enabled', true),
-    new SliderSetting('nina.civilProtectionWarnings', 2, 0, 3, 1, [
-        'off',
-        'extreme',
-        'severe',
-        'moderate',
-    ]).setDisabledFn(settings => !settings['nina.enabled'].inputValue),
-    new SliderSetting('nina.weatherWarnings', 2, 0, 3, 1, [
-        'off',
-        'extreme',
-        'severe',
-        'moderate',
-    ]).setDisabledFn(settings => !settings['nina.enabled'].inputValue),
-    new BooleanSetting('nina.floodWarnings', false).setDisabledFn(
-        settings => !settings['nina.enabled'].inputValue
-    ),
-    new BooleanSetting('nina.notification', true).setDisabledFn(
-        settings => !settings['nina.enabled'].inputValue
-    ),
-    new BooleanSetting('nina.megaAlarm', false).setDisabledFn(
-        settings => !settings['nina.enabled'].inputValue
-    ),
-    new BtnActionSetting('nina.test')
-        .setContent($t('settings.nina.test.btn'))
-        .setDisabledFn(settings => !settings['nina.enabled'].inputValue)
-        .setAction(() => {
-            const betterMoodleTestWarning = `better-moodle:${Math.ceil(Math.random() * 1000)}`;
-            NINA.addWarning(
-                betterMoodleTestWarning,
-                {
-                    title: $t('nina.testWarning.title'),
-                    description: $t('nina.testWarning.description'),
-                    instruction: $t('nina.testWarning.instruction'),
-                    categories: [CommonAlertingProtocol.Category.OTHER],
-                    severity: CommonAlertingProtocol.Severity.EXTREME,
-                    urgency: CommonAlertingProtocol.Urgency.IMMEDIATE,
-                    certainty: CommonAlertingProtocol.Certainty.OBSERVED,
-                    event: $t('nina.testWarning.event'),
-                    web: $t('nina.testWarning.web'),
-                    msgType: CommonAlertingProtocol.MsgType.ALERT,
-                    provider: $t('nina.testWarning.provider'),
-                    senderName: $t('nina.testWarning.senderName'),
-                    valid: true,
-                    sent: new Date(),
-                    effective: new Date(),
-                    onset: new Date(),
-                    expires: new Date(Date.now() + 1000 * 30),
-                    status: CommonAlertingProtocol.Status.TEST,
-                },
-                Date.now() + 1000 * 30
-            );
-            NINA.pushWarning(betterMoodleTestWarning);
-        }),
-    'speiseplan',
-    new SelectSetting('speiseplan.canteen', '1', ['1', '2', '3']),
-    new SelectSetting('speiseplan.language', 'auto', [
-        'auto',
-        ...Object.keys(TRANSLATIONS),
-    ]),
-];
-
-const settingsById = Object.fromEntries(
-    SETTINGS.filter(s => typeof s !== 'string').map(s => [s.id, s])
-);
-
-const allSettingsIds = new Set(Object.keys(settingsById));
-const SEEN_SETTINGS_KEY = PREFIX('seen-settings');
-const EVER_OPENED_SETTINGS_KEY = PREFIX('ever-opened-settings');
-const SETTINGS_PREVIEW_EVENT = PREFIX('settings:preview');
-const newSettingBadgeClass = PREFIX('new-setting-badge');
-let settingsBtnNewTooltip;
-// these are the settings that existed before "highlight new settings" was introduced
-const existingSettings = new Set([
-    'general.updateNotification',
-    'general.language',
-    'general.fullwidth',
-    'general.externalLinks',
-    'general.truncatedTexts',
-    'general.bookmarkManager',
-    'general.noDownload',
-    'general.eventAdvertisements',
-    'general.christmasCountdown',
-    'general.speiseplan',
-    'general.googlyEyes',
-    'general.semesterzeiten',
-    'general.quickRoleChange',
-    'darkmode.mode',
-    'darkmode.brightness',
-    'darkmode.contrast',
-    'darkmode.grayscale',
-    'darkmode.sepia',
-    'dashboard.~layoutPlaceholder',
-    'dashboard.courseListFilter',
-    'dashboard.courseListFavouritesAtTop',
-    'myCourses.boxesPerRow',
-    'myCourses.navbarDropdown',
-    'myCourses.navbarDropdownFilter',
-    'myCourses.navbarDropdownFavouritesAtTop',
-    'courses.grades',
-    'courses.gradesNewTab',
-    'courses.collapseAll',
-    'courses.imgMaxWidth',
-    'courses.imageZoom',
-    'courses.hideSelfEnrolHint',
-    'clock.clock',
-    'clock.clock.seconds',
-    'clock.fuzzyClock',
-    'clock.fuzzyClock.fuzziness',
-    'messages.sendHotkey',
-    'speiseplan.canteen',
-    'speiseplan.language',
-]);
-/** @type {Set<string>} */
-const seenSettings = new Set(GM_getValue(SEEN_SETTINGS_KEY, existingSettings));
-const storeSeenSettings = () =>
-    GM_setValue(SEEN_SETTINGS_KEY, Array.from(seenSettings));
-const markAllSettingsAsSeen = () => {
-    allSettingsIds.forEach(id => seenSettings.add(id));
-    settingsBtnNewTooltip?.dispose();
-
-    settingsBtnNewTooltip = null;
+    resetInput() {
+        this.#input.value = this.globalValue;
+    }
 
-    storeSeenSettings();
-};
-const newSettingBadgeAnimations = {
-    sparkling: PREFIX('new-setting-badge-sparkling'),
-    sparklePositions: PREFIX('new-setting-badge-sparkle-positions'),
-    shining: PREFIX('new-setting-badge-shining'),
-};
-GM_addStyle(css`
-    /* add a small margin for "NEW!"-Badges in settings */
-    form fieldset h3 .${newSettingBadgeClass} {
-        margin-left: 1ch;
+    /**
+     * sets the input to the default value. As with any other input, the value is stored on saving only
+     * @returns {Promise<void>}
+     */
+    resetInputToDefault() {
+        this.#input.value = this.#default;
+        this.#input.dispatchEvent(new Event('input', { bubbles: true }));
+        this.#input.dispatchEvent(new Event('change', { bubbles: true }));
+        return Promise.resolve();
     }
-    form .fitem label .${newSettingBadgeClass} {
-        margin-right: 1ch;
+
+    /**
+     * whether the current input differs from the default value
+     * @returns {boolean}
+     */
+    get isInputModified() {
+        return (
+            JSON.stringify(this.inputValue) !== JSON.stringify(this.#default)
+        );
     }
 
-    /* the \`New!\`-Tooltip of settings btn needs to have a special z-index */
-    .tooltip:has(.${newSettingBadgeClass}) {
-        z-index: 1035;
-        cursor: pointer;
+    /**
+     * @param {function(InputEvent): void} listener
+     * @returns {this}
+     */
+    onInput(listener) {
+        this.#input.addEventListener('input', listener);
+        return this;
     }
 
-    /* nice effects on the \`New!\`-Badge, but only if user allows animations */
-    @media (prefers-reduced-motion: no-preference) {
-        .${newSettingBadgeClass} {
-            position: relative;
-            /* add a shining effect */
-            background-image: linear-gradient(
-                -75deg,
-                transparent 0%,
-                rgba(255, 255, 255, 75%) 15%,
-                transparent 30%,
-                transparent 100%
-            );
-            animation: ${newSettingBadgeAnimations.shining} 5s ease-in-out;
-            background-size: 200%;
-            background-repeat: no-repeat;
-        }
-
-        /* add fancy sparkles ✨ to the \`New!\`-Badge */
-        .${newSettingBadgeClass}::before {
-            display: inline-block;
-            content: ' ';
-            position: absolute;
-            --width: 10ch;
-            width: var(--width);
-            height: calc(var(--width) * 18 / 11);
-            /* this is a self designed sparkle as SVG :) */
-            background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 1100 1800'%3E%3Cpath fill='gold' d='M 550 0 C 550 720 660 900 1100 900 C 660 900 550 1080 550 1800 C 550 1080 440 900 0 900 C 440 900 550 720 550 0'/%3E%3C/svg%3E");
-            background-size: 100%;
-            background-repeat: no-repeat;
-            transform: translate(-50%, -50%);
-            transform-origin: top left;
-            top: 0;
-            left: 0;
-            animation:
-                ${newSettingBadgeAnimations.sparkling} 1s ease-in-out infinite
-                    alternate,
-                ${newSettingBadgeAnimations.sparklePositions} 6s step-start
-                    infinite;
-        }
-    }
-    @keyframes ${newSettingBadgeAnimations.shining} {
-        0% {
-            background-position: 200% 0;
-        }
-        20% {
-            background-position: 0 0;
-        }
-        100% {
-            background-position: 0 0;
-        }
-    }
-    @keyframes ${newSettingBadgeAnimations.sparkling} {
-        0% {
-            /* 1s => 0 ms, 2000ms */
-            scale: 0;
-        }
-        10% {
-            /* 1s => 100ms, 1900ms */
-            scale: 0;
-        }
-        100% {
-            /* 1s => 1000ms */
-            scale: 10%; /* for better results, we're creating large sparkles (width: 10ch), but to keep them rendered small, max scale is 10% */
-        }
-    }
-    @keyframes ${newSettingBadgeAnimations.sparklePositions} {
-        0% {
-            top: 4%;
-            left: 14%;
-        }
-        33% {
-            top: 85%;
-            left: 51%;
-        }
-        66% {
-            top: 32%;
-            left: 87%;
-        }
+    /**
+     * checks whether a value (e.g. from an import) is a valid value for this setting
+     * @param {unknown} value
+     * @returns {Promise<boolean>}
+     */
+    checkValue(value) {
+        return Promise.resolve(typeof value === typeof this.#default);
     }
-`);
-// if this is a new installation, mark all settings as seen as we don't want to show the "NEW!"-badge on every single setting
-if (IS_NEW_INSTALLATION) markAllSettingsAsSeen();
-/** @type {Set<string>} */
-const unseenSettings =
-    allSettingsIds.difference?.(seenSettings) ?? // New Set methods are a stage 3 proposal and do have limited availability: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/difference
-    new Set(
-        Array.from(allSettingsIds.values()).filter(id => !seenSettings.has(id))
-    );
-/** @type {Map<string, number>} */
-const unseenSettingsGroups = new Map();
-unseenSettings.forEach(id => {
-    const group = id.split('.')[0];
-    if (!unseenSettingsGroups.has(group)) unseenSettingsGroups.set(group, 0);
-    unseenSettingsGroups.set(group, unseenSettingsGroups.get(group) + 1);
-});
-// endregion
-
-// region Feature: general.fullwidth
-// use full width if enabled
-if (getSetting('general.fullwidth')) {
-    GM_addStyle(css`
-        /* Use full width */
-        #topofscroll,
-        .header-maxwidth {
-            max-width: unset !important;
-        }
-    `);
-} else {
-    GM_addStyle(css`
-        /* Don't use full width (Kiel overwrites the default Moodle CSS) */
-        @media (min-width: 768px) {
-            #topofscroll,
-            .header-maxwidth {
-                max-width: 830px !important;
-            }
-        }
-    `);
-}
-// For both options: Fix Uni Kiel Login on mobile:
-if (window.location.pathname.startsWith('/login/')) {
-    ready(() => {
-        document.querySelectorAll('p').forEach(p => {
-            if (p.innerText.match(/_{5,}/u)) {
-                const div = document.createElement('div');
-                div.classList.add('login-divider');
-                p.replaceWith(div);
-            }
-        });
-    });
 }
 
-// endregion
+/** @extends {Setting<boolean>} */
+class BooleanSetting extends Setting {
+    /** @type {HTMLDivElement} */
+    #_formControl = document.createElement('div');
 
-// region Feature: general.externalLinks
-// add target="_blank" to all external links
-if (getSetting('general.externalLinks')) {
-    document.addEventListener('click', e => {
-        const target = e.target;
-        if (!(target instanceof HTMLAnchorElement) || target.target) return;
-        const { origin, protocol } = new URL(target.href, window.location);
-        if (protocol === 'javascript:') return;
-        if (origin && origin !== window.location.origin) {
-            target.target = '_blank';
-        }
-    });
-}
-// endregion
+    /**
+     * @param {string} id
+     * @param {boolean} defaultValue
+     */
+    constructor(id, defaultValue) {
+        super(id, defaultValue);
 
-// region Feature: general.truncatedTexts
-// add a title attribute to texts that are too long
-// that is especially useful for the course content sidebar
-if (getSetting('general.truncatedTexts')) {
-    document.addEventListener('mouseover', e => {
-        const target = e.target;
-        if (
-            !(target instanceof HTMLElement) &&
-            !(target instanceof SVGElement)
-        ) {
-            return;
-        }
-        if (target.title || !target.classList.contains('text-truncate')) return;
-        target.title = target.textContent.trim();
-    });
-}
-// endregion
+        // set up the real formControl to be used in settings modal
+        this.#_formControl.classList.add('custom-control', 'custom-switch');
+        super.formControl.classList.add('custom-control-input');
+        super.formControl.type = 'checkbox';
+        super.formControl.checked = this.value;
 
-// region Feature: general.bookmarkManager
-if (getSetting('general.bookmarkManager')) {
-    ready(() => {
-        const BOOKMARKS_STORAGE = PREFIX('bookmarks');
-
-        const bookmarkBtnWrapper = document.createElement('div');
-        bookmarkBtnWrapper.id = PREFIX('bookmarks-dropdown');
-        bookmarkBtnWrapper.classList.add('dropdown');
-        const bookmarksBtn = document.createElement('a');
-        bookmarksBtn.classList.add(
-            'nav-link',
-            'position-relative',
-            'icon-no-margin'
-        );
-        bookmarksBtn.href = '#';
-        bookmarksBtn.role = 'button';
-        bookmarksBtn.dataset.toggle = 'dropdown';
-        const bookmarksIcon = document.createElement('i');
-        bookmarksIcon.classList.add('icon', 'fa', 'fa-bookmark-o', 'fa-fw');
-        bookmarksIcon.title = bookmarksBtn.ariaLabel =
-            $t('bookmarks.title').toString();
-        bookmarksIcon.role = 'img';
-        bookmarksBtn.append(bookmarksIcon);
-
-        const dropdownClass = PREFIX('bookmarks-dropdown');
-        GM_addStyle(css`
-            @media (max-width: 767.98px) {
-                .${dropdownClass} {
-                    max-width: 100vw;
-                    overflow-x: auto;
-                    position: fixed !important;
-                    top: var(--navbar-height);
-                    right: 0;
-                }
-            }
-        `);
-        const dropdown = document.createElement('div');
-        dropdown.classList.add(
-            'dropdown-menu',
-            'dropdown-menu-right',
-            dropdownClass
-        );
+        const switchLabel = document.createElement('label');
+        switchLabel.classList.add('custom-control-label');
+        switchLabel.htmlFor = super.formControl.id;
+        switchLabel.textContent = '';
 
-        const bookmarksWrapper = document.createElement('div');
-        bookmarksWrapper.id = PREFIX('bookmarks-dropdown-bookmarks');
-
-        const setBookmarksList = bookmarks => {
-            bookmarksWrapper.innerHTML = '';
-            bookmarksIcon.classList.remove('fa-bookmark', 'fa-bookmark-o');
-            bookmarks.forEach(({ title, url }) => {
-                const httpsUrl =
-                    url.startsWith('https://') ? url : `https://${url}`;
-                const bookmark = document.createElement('a');
-                bookmark.classList.add('dropdown-item', 'text-truncate');
-                bookmark.href = httpsUrl;
-                bookmark.textContent = bookmark.title = title;
-                bookmarksWrapper.append(bookmark);
+        this.#_formControl.append(super.formControl, switchLabel);
+    }
 
-                try {
-                    const bookmarkWithoutHash = new URL(httpsUrl);
-                    bookmarkWithoutHash.hash = '';
-                    const currentPage = new URL(window.location.href);
-                    currentPage.hash = '';
+    /**
+     * @returns {boolean}
+     */
+    get inputValue() {
+        return super.formControl.checked;
+    }
 
-                    if (currentPage.href.includes(bookmarkWithoutHash.href)) {
-                        bookmarksIcon.classList.add('fa-bookmark');
-                    }
-                } catch {
-                    // ignore invalid URLs
-                }
-            });
-            if (!bookmarksIcon.classList.contains('fa-bookmark')) {
-                bookmarksIcon.classList.add('fa-bookmark-o');
-            }
-        };
+    /**
+     * @returns {HTMLDivElement}
+     */
+    get formControl() {
+        return this.#_formControl;
+    }
 
-        setBookmarksList(GM_getValue(BOOKMARKS_STORAGE, []));
+    saveInput() {
+        this.value = super.formControl.checked;
+    }
 
-        GM_addValueChangeListener(BOOKMARKS_STORAGE, (_, __, bookmarks) =>
-            setBookmarksList(bookmarks)
-        );
+    resetInput() {
+        super.formControl.checked = this.globalValue;
+    }
 
-        const divider = document.createElement('div');
-        divider.classList.add('dropdown-divider');
+    /**
+     * @returns {Promise<void>}
+     */
+    resetInputToDefault() {
+        super.formControl.checked = this.defaultValue;
+        super.formControl.dispatchEvent(new Event('input', { bubbles: true }));
+        super.formControl.dispatchEvent(new Event('change', { bubbles: true }));
+        return Promise.resolve();
+    }
 
-        const addBookmarkBtn = document.createElement('a');
-        addBookmarkBtn.classList.add('dropdown-item');
-        addBookmarkBtn.href = '#';
-        addBookmarkBtn.textContent = $t('bookmarks.add').toString();
-        addBookmarkBtn.addEventListener('click', e => {
-            e.preventDefault();
+    /**
+     * @param {unknown} value
+     * @returns {Promise<boolean>}
+     */
+    checkValue(value) {
+        return Promise.resolve(typeof value === 'boolean');
+    }
+}
 
-            const form = document.createElement('form');
-            form.classList.add('mform');
-            const container = document.createElement('div');
-            container.classList.add('fcontainer');
-
-            const addFormItem = (title, addon = '') => {
-                const group = document.createElement('div');
-                group.classList.add('form-group', 'row', 'fitem');
-                const labelWrapper = document.createElement('div');
-                labelWrapper.classList.add(
-                    'col-md-3',
-                    'col-form-label',
-                    'd-flex',
-                    'pb-0',
-                    'pt-0'
-                );
-                const label = document.createElement('label');
-                label.classList.add('d-inline', 'word-break');
-                label.textContent = title;
-                labelWrapper.append(label);
-
-                const inputWrapper = document.createElement('div');
-                inputWrapper.classList.add(
-                    'col-md-9',
-                    'form-inline',
-                    'align-items-start',
-                    'felement'
-                );
-                const input = document.createElement('input');
-                input.classList.add('form-control', 'flex-grow-1');
-                input.type = 'text';
-                input.required = true;
-                input.placeholder = title;
-                input.id = PREFIX(`bookmark-new-${crypto.randomUUID()}`);
-                label.setAttribute('for', input.id);
-
-                if (addon) {
-                    inputWrapper.classList.add('input-group');
-
-                    const addonDiv = document.createElement('div');
-                    addonDiv.classList.add('input-group-prepend');
-                    const addonText = document.createElement('span');
-                    addonText.classList.add('input-group-text');
-                    addonText.textContent = addon;
-                    addonDiv.append(addonText);
-                    inputWrapper.append(addonDiv, input);
-                } else {
-                    inputWrapper.append(input);
-                }
+/** @extends {Setting<string>} */
+class StringSetting extends Setting {
+    /**
+     * @param {string} id
+     * @param {string} defaultValue
+     */
+    constructor(id, defaultValue) {
+        super(id, defaultValue);
 
-                group.append(labelWrapper, inputWrapper);
+        super.formControl.type = 'text';
+        super.formControl.classList.add('form-control');
+    }
 
-                container.append(group);
-                form.append(container);
+    /**
+     * @param {string} type the type of the input element, e.g. `url` or `password`
+     * @returns {this}
+     */
+    setInputType(type) {
+        super.formControl.type = type;
+        return this;
+    }
+}
 
-                return input;
-            };
+/** @extends {Setting<number>} */
+class NumberSetting extends Setting {
+    /**
+     * @param {string} id
+     * @param {number} defaultValue
+     * @param {number} [min]
+     * @param {number} [max]
+     * @param {number} [step]
+     */
+    constructor(id, defaultValue, min, max, step = 1) {
+        super(id, defaultValue);
 
-            const titleInput = addFormItem($t('bookmarks.name'));
-            titleInput.value = document.title.replace(/\|.*?$/, '').trim();
-            const urlInput = addFormItem($t('bookmarks.url'), 'https://');
-            urlInput.type = 'url';
-            urlInput.value = window.location.href.replace(/^https:\/\//, '');
+        super.formControl.type = 'number';
+        super.formControl.classList.add('form-control');
+        if (typeof min === 'number') {
+            super.formControl.min = min.toString();
+        }
+        if (typeof max === 'number') {
+            super.formControl.max = max.toString();
+        }
+        if (typeof step === 'number') {
+            super.formControl.step = step.toString();
+        }
+    }
 
-            require(['core/modal_factory', 'core/modal_events'], (
-                { create, types },
-                ModalEvents
-            ) =>
-                create({
-                    type: types.SAVE_CANCEL,
-                    large: true,
-                    scrollable: true,
-                    title: $t('bookmarks.add').toString(),
-                    body: form,
-                    removeOnClose: true,
-                }).then(modal => {
-                    modal.show();
-
-                    modal.getRoot().on(ModalEvents.save, () => {
-                        const bookmarks = GM_getValue(BOOKMARKS_STORAGE, []);
-                        bookmarks.push({
-                            title: titleInput.value,
-                            url: urlInput.value,
-                        });
-                        GM_setValue(BOOKMARKS_STORAGE, bookmarks);
-                    });
-                }));
-        });
-
-        let manageFormStyleAdded = false;
-
-        const manageBookmarksBtn = document.createElement('a');
-        manageBookmarksBtn.classList.add('dropdown-item');
-        manageBookmarksBtn.href = '#';
-        manageBookmarksBtn.textContent = $t('bookmarks.manage').toString();
-        manageBookmarksBtn.addEventListener('click', e => {
-            e.preventDefault();
-
-            const createFormItem = ({ title, url }) => {
-                const titleWrapper = document.createElement('div');
-                titleWrapper.classList.add(
-                    'form-inline',
-                    'align-items-start',
-                    'felement'
-                );
-                const titleInput = document.createElement('input');
-                titleInput.classList.add('form-control', 'w-100');
-                titleInput.type = 'text';
-                titleInput.required = true;
-                titleInput.value = title;
-                titleInput.dataset.attribute = 'title';
-                titleInput.placeholder = $t('bookmarks.name').toString();
-                titleWrapper.append(titleInput);
-
-                const urlWrapper = document.createElement('div');
-                urlWrapper.classList.add(
-                    'form-inline',
-                    'align-items-start',
-                    'felement',
-                    'input-group'
-                );
-                urlWrapper.style.setProperty(
-                    'flex-basis',
-                    'calc(8 * (100% / 12) - 1em)'
-                );
-                const httpsAddon = document.createElement('div');
-                httpsAddon.classList.add('input-group-prepend');
-                const httpsAddonText = document.createElement('span');
-                httpsAddonText.classList.add('input-group-text');
-                httpsAddonText.textContent = 'https://';
-                httpsAddon.append(httpsAddonText);
+    /** @returns {number} */
+    get inputValue() {
+        return Number(super.formControl.value);
+    }
 
-                const urlInput = document.createElement('input');
-                urlInput.classList.add('form-control', 'flex-grow-1');
-                urlInput.type = 'url';
-                urlInput.required = true;
-                urlInput.value = url;
-                urlInput.dataset.attribute = 'url';
-                urlInput.placeholder = $t('bookmarks.url').toString();
+    saveInput() {
+        this.value = this.inputValue;
+    }
 
-                urlWrapper.append(httpsAddon, urlInput);
+    /**
+     * checks the range of the input before running the validator
+     * @param {Record<string, Setting>} settings
+     * @returns {Promise<string | void>}
+     */
+    validateInput(settings) {
+        const { min, max, step, value, disabled } = super.formControl;
+        if (disabled) return Promise.resolve();
+
+        const number = Number(value);
+        if (!value || !Number.isFinite(number)) {
+            return Promise.resolve(
+                $t('modals.settings.validation.number').toString()
+            );
+        }
+        if (min && number < Number(min)) {
+            return Promise.resolve(
+                $t('modals.settings.validation.min', { min }).toString()
+            );
+        }
+        if (max && number > Number(max)) {
+            return Promise.resolve(
+                $t('modals.settings.validation.max', { max }).toString()
+            );
+        }
+        const steps = (number - Number(min || 0)) / Number(step || 1);
+        if (step !== 'any' && Math.abs(steps - Math.round(steps)) > 1e-9) {
+            return Promise.resolve(
+                $t('modals.settings.validation.step', { step }).toString()
+            );
+        }
+        return super.validateInput(settings);
+    }
 
-                return [titleWrapper, urlWrapper];
-            };
+    /**
+     * @param {unknown} value
+     * @returns {Promise<boolean>}
+     */
+    checkValue(value) {
+        const { min, max } = super.formControl;
+        return Promise.resolve(
+            typeof value === 'number' &&
+                Number.isFinite(value) &&
+                (!min || value >= Number(min)) &&
+                (!max || value <= Number(max))
+        );
+    }
+}
 
-            const { form, addFormItems } = createAppendableListForm(
-                'bookmark-manager-form',
-                createFormItem,
-                { title: '', url: '' }
+GM_addStyle(css`
+    /* Some style to show tick-mark labels on range inputs */
+    datalist[style*='--label-count'] {
+        display: grid;
+        grid-template-columns: repeat(var(--label-count), minmax(0, 1fr));
+        text-align: center;
+        /* WTF? idk how and why but it seems to work. It positions the labels almost correctly */
+        margin: 0
+            calc(
+                50% - 0.5 *
+                    calc((1 + 1 / (var(--label-count) - 1)) * (100% - 1em))
             );
+    }
+    /* overlapping text is bad => hide with ellipsis */
+    datalist[style*='--label-count'] > option {
+        overflow: hidden;
+        text-overflow: ellipsis;
+    }
+    /* make first and last label have custom alignments for better visibility */
+    datalist[style*='--label-count'] > option:first-child {
+        text-align: left;
+        padding-left: calc(50% - 4px);
+    }
+    datalist[style*='--label-count'] > option:last-child {
+        text-align: right;
+        padding-right: calc(50% - 4px);
+    }
+    /* add ticks to labels */
+    datalist[style*='--label-count'] > option::after {
+        content: '';
+        position: absolute;
+        border: 1px solid grey;
+        height: 10px;
+        left: 50%;
+        transform: translateX(-50%) translateY(-50%);
+        top: 0;
+    }
 
-            if (!manageFormStyleAdded) {
-                GM_addStyle(css`
-                    #${form.id} .felement:first-child {
-                        flex-basis: calc(4 * (100% / 12) - 1em);
-                        flex-grow: 1;
-                    }
-                    #${form.id} .felement:nth-child(2) {
-                        flex-basis: calc(8 * (100% / 12) - 1em);
-                        flex-grow: 1;
-                    }
-                `);
-                manageFormStyleAdded = true;
-            }
+    /* style to show a bubble with current range input value */
+    input[type='range'] + output {
+        position: absolute;
+        text-align: center;
+        padding: 2px;
+        background-color: var(--primary);
+        color: white;
+        border-radius: 4px;
+        font-weight: bold;
+        z-index: 1;
 
-            addFormItems(GM_getValue(BOOKMARKS_STORAGE, []));
+        /* position the label correctly */
+        left: calc(1% * var(--percentage));
+        transform: translateX(calc(-1% * var(--percentage)));
+    }
 
-            require(['core/modal_factory', 'core/modal_events'], (
-                { create, types },
-                ModalEvents
-            ) =>
-                create({
-                    type: types.SAVE_CANCEL,
-                    large: true,
-                    scrollable: true,
-                    title: $t('bookmarks.manage').toString(),
-                    body: form,
-                    removeOnClose: true,
-                }).then(modal => {
-                    modal.show();
+    /* adds transparency to tick-mark labels of disabled range inputs  */
+    input:disabled[type='range'] + output {
+        background-color: color-mix(in srgb, var(--primary) 50%, transparent);
+    }
+`);
 
-                    modal.getRoot().on(ModalEvents.save, () => {
-                        const bookmarks = [];
-                        form.querySelectorAll('.fitem').forEach(row => {
-                            const title = row
-                                .querySelector('input[data-attribute="title"]')
-                                ?.value.trim();
-                            const url = row
-                                .querySelector('input[data-attribute="url"]')
-                                ?.value.trim()
-                                .replace(/^https:\/\//, '');
-
-                            if (!title || !url) return;
-
-                            bookmarks.push({
-                                title,
-                                url,
-                            });
-                        });
-                        GM_setValue(BOOKMARKS_STORAGE, bookmarks);
-                    });
-                }));
-        });
+/** @extends {NumberSetting} */
+class SliderSetting extends NumberSetting {
+    #wrapper = document.createElement('div');
 
-        dropdown.append(
-            bookmarksWrapper,
-            divider,
-            addBookmarkBtn,
-            manageBookmarksBtn
-        );
-        bookmarkBtnWrapper.append(bookmarksBtn, dropdown);
-        document
-            .querySelector('#usernavigation .usermenu-container')
-            ?.before(bookmarkBtnWrapper);
+    /**
+     * @param {string} id
+     * @param {number} defaultValue
+     * @param {number} [min]
+     * @param {number} [max]
+     * @param {number} [step]
+     * @param {number | string[]} [labels]
+     */
+    constructor(
+        id,
+        defaultValue,
+        min,
+        max,
+        step = 1,
+        labels = (max - min + 1) / step
+    ) {
+        super(id, defaultValue, min, max, step);
 
-        GM_addStyle(css`
-            /* bookmarks dropdown should not be greater than 400px */
-            #${bookmarkBtnWrapper.id} .dropdown-menu {
-                max-width: 400px;
-            }
+        super.formControl.type = 'range';
+        super.formControl.classList.add('custom-range');
+        super.formControl.classList.replace(
+            'form-control',
+            'form-control-range'
+        );
 
-            /* this will allow the bookmarks dropdown menu to be aligned to right viewport side and fullwidth on mobile devices */
-            @media (max-width: 576px) {
-                #${bookmarkBtnWrapper.id} {
-                    position: inherit;
-                }
-                #${bookmarkBtnWrapper.id} .dropdown-menu {
-                    max-width: 100%;
-                }
-                #${bookmarkBtnWrapper.id} .dropdown-menu .dropdown-item {
-                    overflow: auto;
-                }
+        const datalist = document.createElement('datalist');
+        if (step) {
+            const steps = (max - min + 1) / step;
+            datalist.id = `${super.formControl.id}-datalist`;
+            super.formControl.setAttribute('list', datalist.id);
+            for (
+                let currentStep = min;
+                currentStep <= max;
+                currentStep += (max - min + 1) / steps
+            ) {
+                const option = document.createElement('option');
+                option.value = currentStep.toString();
+                datalist.append(option);
             }
+        }
 
-            /* show a placeholder text when there are no bookmarks */
-            #${bookmarksWrapper.id}:empty::before {
-                display: block;
-                text-align: center;
-                content: ${JSON.stringify($t('bookmarks.empty'))};
-                padding: 0.25rem 1.5rem; /* this is the padding of .dropdown-item set by moodle */
-            }
-        `);
-    });
-}
-// endregion
+        const labelDatalist = document.createElement('datalist');
+        const fixLabels = Array.isArray(labels);
+        const labelCount =
+            fixLabels ? labels.length : Math.max(2, Math.min(10, labels)); // minimum 2, maximum 10 labels
+        /** @type {Map<number, string>} */
+        const valueToLabel = new Map();
 
-// region Feature: general.noDownload
-if (getSetting('general.noDownload')) {
-    const removeForceDownload = anchor => {
-        try {
-            const url = new URL(anchor.href, window.location);
-            if (url.searchParams.has('forcedownload')) {
-                url.searchParams.delete('forcedownload');
-                anchor.href = url.href;
+        for (
+            let currentStep = min;
+            currentStep <= max;
+            currentStep += (max - min) / (labelCount - 1)
+        ) {
+            const option = document.createElement('option');
+            option.value = currentStep.toString();
+            if (fixLabels) {
+                valueToLabel.set(
+                    currentStep,
+                    $t(
+                        `settings.${this.id}.labels.${labels.shift()}`
+                    ).toString()
+                );
             }
-        } catch {
-            // if href is not a valid URL just ignore it
+            option.title = option.label =
+                valueToLabel.get(currentStep) ??
+                currentStep.toLocaleString(BETTER_MOODLE_LANG);
+            labelDatalist.append(option);
         }
-    };
+        labelDatalist.style.setProperty('--label-count', labelCount.toString());
 
-    ready(() =>
-        document
-            .querySelectorAll('a[href*="forcedownload"]')
-            .forEach(removeForceDownload)
-    );
+        const outputEl = document.createElement('output');
+        outputEl.htmlFor = super.formControl.id;
+        const setOutput = () => {
+            const val = super.inputValue;
+            const percentageValue = ((val - min) / (max - min)) * 100;
+            outputEl.textContent =
+                valueToLabel.get(val) ?? val.toLocaleString(BETTER_MOODLE_LANG);
+            // see https://css-tricks.com/value-bubbles-for-range-inputs/
+            outputEl.style.setProperty(
+                '--percentage',
+                percentageValue.toString()
+            );
+        };
+        super.formControl.addEventListener('input', setOutput);
+        setOutput();
 
-    document.addEventListener('mousedown', e => {
-        const target = e.target;
-        if (!(target instanceof Element)) return;
-        const anchor = target?.closest('a[href*="forcedownload"]');
-        if (!anchor) return;
+        this.#wrapper.classList.add('w-100', 'position-relative');
+        this.#wrapper.append(
+            super.formControl,
+            outputEl,
+            datalist,
+            labelDatalist
+        );
+    }
 
-        removeForceDownload(anchor);
-    });
-}
-// endregion
+    get formControl() {
+        return this.#wrapper;
+    }
 
-// region Feature: general.christmasCountdown
-// add the Christmas countdown
-if (getSetting('general.christmasCountdown')) {
-    const getDayOfYear = date => {
-        const start = new Date(date.getFullYear(), 0, 0);
-        const diff =
-            date -
-            start +
-            (start.getTimezoneOffset() - date.getTimezoneOffset()) * 60 * 1000;
-        const oneDay = 1000 * 60 * 60 * 24;
-        return Math.floor(diff / oneDay);
-    };
+    resetInput() {
+        super.resetInput();
+        super.formControl.dispatchEvent(new Event('input'));
+    }
+}
 
-    const now = new Date();
-    const thisYearChristmas = new Date(now.getFullYear(), 11, 24); // 24.12. of this year
-    const firstChristmasDay = new Date(thisYearChristmas);
-    firstChristmasDay.setDate(thisYearChristmas.getDate() + 1);
-    const thisYearLastDay = new Date(now.getFullYear(), 11, 31); // 31.12. of this year
-    const nextYearChristmas = new Date(thisYearChristmas);
-    nextYearChristmas.setFullYear(now.getFullYear() + 1);
+/**
+ * @template {string} Values
+ * @extends {Setting<Values>}
+ */
+class SelectSetting extends Setting {
+    /** @type {HTMLSelectElement} */
+    #input = document.createElement('select');
+    /** @type {Promise<Values[]>} */
+    #optionKeys;
 
-    const textSpan = document.createElement('span');
+    /**
+     * @param {string} id
+     * @param {Values} defaultValue
+     * @param {(Values | {key: Values, title: string})[] || Promise<(Values | {key: Values, title: string})[]>} options
+     */
+    constructor(id, defaultValue, options) {
+        super(id, defaultValue);
 
-    const [[, textSpanClone]] = addMarqueeItems(textSpan);
+        this.#input.id = this.inputId;
+        this.#input.classList.add('custom-select', 'col-12', 'col-md-auto');
+        this.#input.dataset.initialValue = this.value;
 
-    const updateCountdown = () => {
-        const todayDayOfYear = getDayOfYear(now);
-        const daysToChristmas =
-            now < firstChristmasDay ?
-                getDayOfYear(thisYearChristmas) - todayDayOfYear
-            :   getDayOfYear(thisYearLastDay) -
-                todayDayOfYear +
-                getDayOfYear(nextYearChristmas);
+        const optionsPromise =
+            options instanceof Promise ? options : Promise.resolve(options);
+        this.#optionKeys = optionsPromise.then(options =>
+            options.map(option =>
+                typeof option === 'string' ? option : option.key
+            )
+        );
+        optionsPromise.then(options =>
+            options.forEach(option => this.#appendOption(option))
+        );
+    }
 
-        textSpan.innerHTML = textSpanClone.innerHTML =
-            daysToChristmas ?
-                $t(
-                    `christmasCountdown.countdown.${Number(
-                        !!(daysToChristmas - 1)
-                    )}`,
-                    {
-                        days: daysToChristmas,
-                    }
-                ).toString()
-            :   $t('christmasCountdown.christmas').toString();
+    /**
+     * @param {Values | {key: Values, title: string}} option
+     */
+    #appendOption(option) {
+        const opt = document.createElement('option');
+        const value = typeof option === 'string' ? option : option.key;
+        if (typeof option === 'string') {
+            opt.value = value;
+            opt.textContent = $t(
+                `settings.${this.id}.options.${option}`
+            ).toString();
+        } else {
+            opt.value = value;
+            opt.textContent = option.title;
+        }
+        if (value === this.value) {
+            opt.selected = true;
+        }
+        this.#input.append(opt);
+    }
 
-        const nextUpdate = new Date();
-        nextUpdate.setDate(now.getDate() + 1);
-        nextUpdate.setHours(0, 0, 0, 0);
-        setTimeout(updateCountdown, nextUpdate - now);
-    };
+    /**
+     * adds an option after the options have been loaded or replaces the title of an existing option
+     * @param {Values | {key: Values, title: string}} option
+     * @returns {Promise<void>}
+     */
+    addOption(option) {
+        const value = typeof option === 'string' ? option : option.key;
+        this.#optionKeys = this.#optionKeys.then(keys => {
+            const existing = Array.from(this.#input.options).find(
+                opt => opt.value === value
+            );
+            if (existing) {
+                existing.textContent =
+                    typeof option === 'string' ?
+                        existing.textContent
+                    :   option.title;
+                return keys;
+            }
+            this.#appendOption(option);
+            return [...keys, value];
+        });
+        return this.#optionKeys.then(() => void 0);
+    }
 
-    updateCountdown();
-}
-// endregion
+    /**
+     * removes an option. If it is selected, the input is reset to the default value
+     * @param {Values} value
+     * @returns {Promise<void>}
+     */
+    removeOption(value) {
+        this.#optionKeys = this.#optionKeys.then(keys => {
+            const opt = Array.from(this.#input.options).find(
+                opt => opt.value === value
+            );
+            if (opt?.selected) this.#input.value = this.defaultValue;
+            opt?.remove();
+            return keys.filter(key => key !== value);
+        });
+        return this.#optionKeys.then(() => void 0);
+    }
 
-// region Feature: general.speiseplan
-if (getSetting('general.speiseplan')) {
-    const foodEmojis = [
-        '🍔',
-        '🍟',
-        '🍕',
-        '🌭',
-        '🥪',
-        '🌮',
-        '🌯',
-        '🫔',
-        '🥙',
-        '🧆',
-        '🥚',
-        '🍳',
-        '🥘',
-        '🍲',
-        '🥣',
-        '🥗',
-        '🍝',
-        '🍱',
-        '🍘',
-        '🍙',
-        '🍚',
-        '🍛',
-        '🍜',
-        '🍢',
-        '🍣',
-        '🍤',
-        '🍥',
-        '🥮',
-        '🥟',
-        '🥠',
-        '🥡',
-    ];
+    /**
+     * @returns {Values}
+     */
+    get inputValue() {
+        return this.#input.value;
+    }
 
-    const desktopBtn = document.createElement('li');
-    desktopBtn.classList.add('nav-item');
-    const desktopLink = document.createElement('a');
-    desktopLink.classList.add('nav-link');
-    desktopLink.href = '#';
-    desktopLink.textContent =
-        foodEmojis[Math.floor(Math.random() * foodEmojis.length)];
-    desktopBtn.title = $t('speiseplan.title', {
-        canteen: $t(`speiseplan.canteen.${getSetting('speiseplan.canteen')}`),
-    }).toString();
-    desktopBtn.append(desktopLink);
+    /**
+     * @returns {ValueType}
+     */
+    get value() {
+        return super.value;
+    }
 
-    const mobileBtn = document.createElement('a');
-    mobileBtn.classList.add('list-group-item', 'list-group-item-action');
-    mobileBtn.href = '#';
-    mobileBtn.textContent = `${
-        foodEmojis[Math.floor(Math.random() * foodEmojis.length)]
-    }\xa0${$t('speiseplan.title', {
-        canteen: $t(`speiseplan.canteen.${getSetting('speiseplan.canteen')}`),
-    }).toString()}`;
+    /**
+     * @param {Values} newValue
+     */
+    set value(newValue) {
+        this.#input.value = newValue;
+        GM_setValue(this.settingKey, newValue);
+    }
 
-    const tableClass = PREFIX('speiseplan-table');
-    const speiseClass = PREFIX('speiseplan-speise');
-    const artenClass = PREFIX('speiseplan-arten');
-    const preiseClass = PREFIX('speiseplan-preise');
-    const abkClass = PREFIX('speiseplan-abk');
+    /**
+     * @returns {HTMLSelectElement}
+     */
+    get formControl() {
+        return this.#input;
+    }
 
-    GM_addStyle(css`
-        .${tableClass} .${speiseClass}[data-location]::before {
-            content: attr(data-location);
-            color: #e8e6e3;
-            background-color: #586e3b;
-            font-weight: bold;
-            font-size: smaller;
-            padding: 4px;
-            border-radius: 6px;
-            margin-right: 0.5em;
+    /**
+     * @param {Record<string, Setting>} settings
+     * @returns {boolean}
+     */
+    toggleDisabled(settings) {
+        const disabled = super.toggleDisabled(settings);
+        this.#input.disabled = disabled;
+        if (disabled) {
+            this.#input.classList.add('disabled');
+        } else {
+            this.#input.classList.remove('disabled');
         }
+        return disabled;
+    }
 
-        .${tableClass} .${speiseClass}[data-location="Cafeteria"]::before {
-            background-color: #4b6669;
-        }
+    saveInput() {
+        this.value = this.#input.value;
+    }
 
-        .${tableClass} .${speiseClass} .${abkClass} {
-            font-size: smaller;
-        }
+    resetInput() {
+        this.#input.value = this.globalValue;
+    }
 
-        .${tableClass} .${speiseClass} .${abkClass}::before {
-            margin-left: 1em;
-            content: '(';
-        }
+    /**
+     * waits for the options to be loaded, as the default value could not be selected otherwise
+     * @returns {Promise<void>}
+     */
+    resetInputToDefault() {
+        return this.#optionKeys.then(() => {
+            this.#input.value = this.defaultValue;
+            this.#input.dispatchEvent(new Event('input', { bubbles: true }));
+            this.#input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
 
-        .${tableClass}
-            .${speiseClass}
-            .${abkClass}
-            > span:not(:last-child)::after {
-            content: '; ';
-        }
+    /**
+     * @param {function(InputEvent): void} listener
+     * @returns {this}
+     */
+    onInput(listener) {
+        this.#input.addEventListener('change', listener);
+        return this;
+    }
 
-        .${tableClass} .${speiseClass} .${abkClass}::after {
-            content: ')';
-        }
+    /**
+     * @param {unknown} value
+     * @returns {Promise<boolean>}
+     */
+    checkValue(value) {
+        return this.#optionKeys.then(keys => keys.includes(value));
+    }
+}
 
-        .${tableClass} .${artenClass} {
-            text-align: center;
-        }
+/** @extends {Setting<string>} */
+class HotkeySetting extends Setting {
+    /** @type {HTMLDivElement} */
+    #wrapper = document.createElement('div');
+    /** @type {HTMLButtonElement} */
+    #clearBtn = document.createElement('button');
 
-        .${tableClass} .${artenClass} img {
-            max-width: 40px;
-            max-height: 40px;
-        }
+    /**
+     * @param {string} id
+     * @param {string} defaultValue a key combination such as `Ctrl+Enter`, an empty string means no hotkey
+     */
+    constructor(id, defaultValue) {
+        super(id, defaultValue);
 
-        .${tableClass} .${preiseClass} > span:not(:last-child)::after {
-            content: '\xa0/\xa0';
-        }
+        super.formControl.type = 'text';
+        super.formControl.readOnly = true;
+        super.formControl.classList.add('form-control');
+        super.formControl.placeholder = $t(
+            'modals.settings.hotkey.none'
+        ).toString();
+        super.formControl.title = $t(
+            'modals.settings.hotkey.record'
+        ).toString();
+        super.formControl.addEventListener('keydown', e => {
+            // keep the keyboard navigation working
+            if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+                return;
+            }
+            e.preventDefault();
+            const hotkey = HotkeySetting.fromEvent(e);
+            // only modifier keys have been pressed yet
+            if (!hotkey) return;
+            this.#setInput(hotkey);
+        });
 
-        /* improve arten images in dark mode */
-        ${DARK_MODE_SELECTOR} .${artenClass} img {
-            --stroke-pos: 0.5px;
-            --stroke-neg: -0.5px;
-            --stroke-color: color-mix(in srgb, currentColor 20%, transparent);
-            filter: drop-shadow(var(--stroke-pos) 0 0 var(--stroke-color))
-                drop-shadow(var(--stroke-neg) 0 var(--stroke-color))
-                drop-shadow(0 var(--stroke-neg) 0 var(--stroke-color))
-                drop-shadow(
-                    var(--stroke-pos) var(--stroke-pos) 0 var(--stroke-color)
-                )
-                drop-shadow(
-                    var(--stroke-pos) var(--stroke-neg) 0 var(--stroke-color)
-                )
-                drop-shadow(
-                    var(--stroke-neg) var(--stroke-pos) 0 var(--stroke-color)
-                )
-                drop-shadow(
-                    var(--stroke-neg) var(--stroke-neg) 0 var(--stroke-color)
-                );
-        }
-        ${DARK_MODE_SELECTOR} .${artenClass} img[src*="sh_teller"] {
-            filter: brightness(1.5);
-        }
-        ${DARK_MODE_SELECTOR} .${artenClass} img[src*="iconprop_bio"] {
-            filter: brightness(0.9);
-        }
-    `);
+        this.#clearBtn.type = 'button';
+        this.#clearBtn.classList.add('btn', 'btn-outline-secondary');
+        this.#clearBtn.title = this.#clearBtn.ariaLabel = $t(
+            'modals.settings.hotkey.clear'
+        ).toString();
+        const clearIcon = document.createElement('i');
+        clearIcon.classList.add('fa', 'fa-times', 'fa-fw');
+        this.#clearBtn.append(clearIcon);
+        this.#clearBtn.addEventListener('click', () => this.#setInput(''));
+
+        const append = document.createElement('div');
+        append.classList.add('input-group-append');
+        append.append(this.#clearBtn);
+
+        this.#wrapper.classList.add('input-group', 'flex-nowrap');
+        this.#wrapper.append(super.formControl, append);
+    }
 
-    const createDayFieldset = (day, speisen, filter, firstFieldset) => {
-        const date = new Date(day);
-        const { fieldset, container, collapseBtn } = createFieldset(
-            dateToString(date, false, true),
-            `speiseplan-collapseElement-${day}`,
-            `speiseplan-containerElement-${day}`
+    /**
+     * @param {string} hotkey
+     */
+    #setInput(hotkey) {
+        super.formControl.value = hotkey;
+        super.formControl.dispatchEvent(new Event('input', { bubbles: true }));
+        super.formControl.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * @returns {HTMLDivElement}
+     */
+    get formControl() {
+        return this.#wrapper;
+    }
+
+    /**
+     * @param {Record<string, Setting>} settings
+     * @returns {boolean}
+     */
+    toggleDisabled(settings) {
+        const disabled = super.toggleDisabled(settings);
+        this.#clearBtn.disabled = disabled;
+        return disabled;
+    }
+
+    /**
+     * @param {unknown} value
+     * @returns {Promise<boolean>}
+     */
+    checkValue(value) {
+        return Promise.resolve(
+            typeof value === 'string' &&
+                (!value || /^((Ctrl|Alt|Shift|Meta)\+)*[^+]+$/.test(value))
         );
+    }
 
-        // do not collapse today
-        if (firstFieldset) {
-            collapseBtn.classList.remove('collapsed');
-            container.classList.add('show');
+    /**
+     * the key combination of a keyboard event in the format used by this setting
+     * @param {KeyboardEvent} e
+     * @returns {string} an empty string if only modifier keys are pressed
+     */
+    static fromEvent(e) {
+        if (['Control', 'Alt', 'AltGraph', 'Shift', 'Meta'].includes(e.key)) {
+            return '';
         }
+        const key =
+            e.key === ' ' ? 'Space'
+            : e.key === '+' ? 'Plus'
+            : e.key.length === 1 ? e.key.toUpperCase()
+            : e.key;
+        return [
+            e.ctrlKey && 'Ctrl',
+            e.altKey && 'Alt',
+            e.shiftKey && 'Shift',
+            e.metaKey && 'Meta',
+            key,
+        ]
+            .filter(Boolean)
+            .join('+');
+    }
 
-        // add the speiseplan information for the day in there
-        const table = document.createElement('table');
-        table.classList.add('table', 'generaltable', tableClass);
-        const tableHead = table.createTHead();
-        const tableHeadRow = tableHead.insertRow();
-        ['speise', 'type', 'price'].forEach(head => {
-            const headCell = document.createElement('th');
-            headCell.textContent = $t(`speiseplan.table.${head}`).toString();
-            tableHeadRow.append(headCell);
-        });
-        const tbody = table.createTBody();
-        speisen.forEach(speise => {
-            const row = tbody.insertRow();
-
-            const speiseCell = row.insertCell();
-            speiseCell.classList.add(speiseClass);
-            speiseCell.dataset.location = speise.mensa ? 'Mensa' : 'Cafeteria';
-            speise.items.forEach(({ name, zusatz }) => {
-                const speiseEl = document.createElement('span');
-                speiseEl.textContent = name;
-                if (zusatz) {
-                    const zusatzEl = document.createElement('span');
-                    zusatzEl.textContent = zusatz;
-                    zusatzEl.classList.add('text-muted');
-                    speiseEl.append('\xa0', zusatzEl);
-                }
-                speiseCell.append(speiseEl, document.createElement('br'));
-            });
+    /**
+     * @param {string} hotkey
+     * @param {KeyboardEvent} e
+     * @returns {boolean}
+     */
+    static matches(hotkey, e) {
+        return !!hotkey && HotkeySetting.fromEvent(e) === hotkey;
+    }
+}
 
-            const allergene = document.createElement('div');
-            allergene.classList.add(abkClass, 'text-muted');
-            speise.allergene.forEach(allergen => {
-                const allergenFilter = filter.allergene[allergen];
-                const allergenSpan = document.createElement('span');
-                allergenSpan.textContent +=
-                    allergenFilter ?
-                        `${allergenFilter.abk}:\xa0${allergenFilter.title}`
-                    :   allergen;
-                allergene.append(allergenSpan);
-            });
-            if (speise.allergene.length) speiseCell.append(allergene);
-            const zusatzstoffe = document.createElement('div');
-            zusatzstoffe.classList.add(abkClass, 'text-muted');
-            speise.zusatzstoffe.forEach(zusatzstoff => {
-                const zusatzstoffFilter = filter.zusatzstoffe[zusatzstoff];
-                const zusatzstoffSpan = document.createElement('span');
-                zusatzstoffSpan.textContent +=
-                    zusatzstoffFilter ?
-                        `${zusatzstoffFilter.abk}:\xa0${zusatzstoffFilter.title}`
-                    :   zusatzstoff;
-                zusatzstoffe.append(zusatzstoffSpan);
-            });
-            if (speise.zusatzstoffe.length) speiseCell.append(zusatzstoffe);
+/**
+ * An orderable list of items. The inputs of a form item need to be marked with `data-attribute`.
+ * @template {Record<string, string | boolean>} Item
+ * @extends {Setting<Item[]>}
+ */
+class ListSetting extends Setting {
+    /** @type {HTMLFormElement} */
+    #form;
+    /** @type {HTMLDivElement} */
+    #container;
+    /** @type {(items: Item[]) => void} */
+    #addFormItems;
+    /** @type {Item} */
+    #emptyItem;
 
-            const artenCell = row.insertCell();
-            artenCell.classList.add(artenClass);
-            speise.arten.forEach(art => {
-                const artFilter = filter.arten[art];
-                if (!artFilter) {
-                    return artenCell.append(art, document.createElement('br'));
-                }
-                const img = document.createElement('img');
-                img.src = artFilter.img;
-                img.alt = img.title = artFilter.title;
-                artenCell.append(img);
-            });
+    /**
+     * @param {string} id
+     * @param {Item[]} defaultValue
+     * @param {(item: Item) => HTMLDivElement[]} createFormItem
+     * @param {Item} emptyItem
+     */
+    constructor(id, defaultValue, createFormItem, emptyItem) {
+        super(id, defaultValue);
 
-            const preiseCell = row.insertCell();
-            preiseCell.classList.add(preiseClass);
-            speise.preise.forEach(preis => {
-                const preisEl = document.createElement('span');
-                preisEl.textContent = preis.toLocaleString(BETTER_MOODLE_LANG, {
-                    style: 'currency',
-                    currency: 'EUR',
-                });
-                preiseCell.append(preisEl);
-            });
+        const { form, addFormItems } = createAppendableListForm(
+            `settings-list-${id.replace(/[^\w-]/gu, '-')}`,
+            createFormItem,
+            emptyItem
+        );
+        this.#form = form;
+        this.#container = form.querySelector('.fcontainer');
+        this.#addFormItems = addFormItems;
+        this.#emptyItem = emptyItem;
+
+        // the list form is nested in the settings form and must not be submitted
+        form.addEventListener('submit', e => e.preventDefault());
+        // adding, moving and deleting items does not trigger any input events
+        form.addEventListener('click', e => {
+            if (!(e.target instanceof Element) || !e.target.closest('button')) {
+                return;
+            }
+            form.dispatchEvent(new Event('input', { bubbles: true }));
+            form.dispatchEvent(new Event('change', { bubbles: true }));
         });
-        container.append(table);
 
-        return fieldset;
-    };
+        this.#setItems(this.value);
+    }
 
-    const SPEISEPLAN_LANG = (() => {
-        const savedLanguage = getSetting('speiseplan.language');
-        if (savedLanguage === 'auto') return BETTER_MOODLE_LANG;
-        return savedLanguage;
-    })();
+    /**
+     * @param {Item[]} items
+     */
+    #setItems(items) {
+        this.#container.replaceChildren();
+        this.#addFormItems(items);
+    }
 
-    const localizedPath = {
-        de: 'mensen-in-kiel',
-        en: 'food-overview',
-    };
+    /**
+     * the items of the list, skipping empty items
+     * @returns {Item[]}
+     */
+    get inputValue() {
+        return Array.from(this.#container.children)
+            .map(row =>
+                Object.fromEntries(
+                    Array.from(row.querySelectorAll('[data-attribute]')).map(
+                        input => [
+                            input.dataset.attribute,
+                            (
+                                typeof this.#emptyItem[
+                                    input.dataset.attribute
+                                ] === 'boolean'
+                            ) ?
+                                input.checked
+                            :   input.value.trim(),
+                        ]
+                    )
+                )
+            )
+            .filter(item =>
+                Object.values(item).some(
+                    value => value !== '' && value !== false
+                )
+            );
+    }
 
-    const openSpeiseplan = e => {
-        e.preventDefault();
+    /**
+     * @returns {Item[]}
+     */
+    get value() {
+        return super.value;
+    }
 
-        require(['core/modal_factory'], ({ create, types }) =>
-            create({
-                type: types.ALERT,
-                large: true,
-                scrollable: true,
-                title: `${
-                    foodEmojis[Math.floor(Math.random() * foodEmojis.length)]
-                }\xa0${$t('speiseplan.title', {
-                    canteen: $t(
-                        `speiseplan.canteen.${getSetting('speiseplan.canteen')}`
-                    ),
-                }).toString()}`,
-                body: getSpeiseplan().then(({ speisen, filters }) =>
-                    Object.entries(speisen)
-                        .filter(
-                            ([day]) =>
-                                new Date(day) > Date.now() - 24 * 60 * 60 * 1000
-                        )
-                        .map(([day, speisen], index) =>
-                            createDayFieldset(day, speisen, filters, !index)
-                        )
-                ),
-            }).then(modal => {
-                modal.setButtonText(
-                    'cancel',
-                    `🍴\xa0${$t('speiseplan.close')}`
-                );
-                modal.getBody()[0].classList.add('mform');
+    /**
+     * @param {Item[]} newValue
+     */
+    set value(newValue) {
+        this.#setItems(newValue);
+        GM_setValue(this.settingKey, newValue);
+    }
 
-                const studiwerkLink = document.createElement('a');
-                studiwerkLink.href = `https://studentenwerk.sh/${SPEISEPLAN_LANG}/${
-                    localizedPath[SPEISEPLAN_LANG]
-                }?ort=1&mensa=${getSetting('speiseplan.canteen')}`;
-                studiwerkLink.textContent = $t('speiseplan.toStudiwerkPage');
-                studiwerkLink.target = '_blank';
-                studiwerkLink.classList.add('mr-auto');
-                modal.getFooter().prepend(studiwerkLink);
+    /**
+     * @returns {HTMLFormElement}
+     */
+    get formControl() {
+        return this.#form;
+    }
 
-                modal.show();
-            }));
-    };
+    /**
+     * @param {Record<string, Setting>} settings
+     * @returns {boolean}
+     */
+    toggleDisabled(settings) {
+        const disabled = super.toggleDisabled(settings);
+        this.#form
+            .querySelectorAll('input, select, textarea, button')
+            .forEach(element => (element.disabled = disabled));
+        return disabled;
+    }
 
-    desktopLink.addEventListener('click', openSpeiseplan);
-    mobileBtn.addEventListener('click', openSpeiseplan);
+    saveInput() {
+        this.value = this.inputValue;
+    }
 
-    ready(() => {
-        document.querySelector('.dropdownmoremenu')?.before(desktopBtn);
-        document
-            .querySelector('#theme_boost-drawers-primary .list-group')
-            ?.append(mobileBtn);
-    });
-}
-// endregion
+    resetInput() {
+        this.#setItems(this.globalValue);
+    }
 
-// region Feature: general.googlyEyes
-if (
-    getSetting('general.googlyEyes') &&
-    window.matchMedia('(hover: hover)').matches
-) {
-    GM_addStyle(css`
-        /* This is the fancy style for googly Eyes 👀 */
-        .eyes {
-            display: flex;
-            width: 100%;
-            height: 100%;
-            justify-content: center;
-            align-items: center;
-            --eye-width: 40%;
-            --eye-border-width: 2px;
-            --eye-height: 65%;
-            --pupil-width: max(1%, 4px);
-            --pupil-height: var(--pupil-width);
-        }
+    /**
+     * @returns {Promise<void>}
+     */
+    resetInputToDefault() {
+        this.#setItems(this.defaultValue);
+        this.#form.dispatchEvent(new Event('input', { bubbles: true }));
+        this.#form.dispatchEvent(new Event('change', { bubbles: true }));
+        return Promise.resolve();
+    }
 
-        .eye {
-            position: relative;
-            background-color: white;
-            border: var(--eye-border-width) solid black;
-            border-radius: 43%;
-            display: flex;
-            width: var(--eye-width);
-            height: var(--eye-height);
-            min-width: var(--eye-width);
-            min-height: var(--eye-height);
-            max-width: var(--eye-width);
-            max-height: var(--eye-height);
-            align-items: center;
-            justify-content: center;
-        }
-        .eye:not(:last-child) {
-            margin-right: calc(10% / 2);
-        }
-
-        .pupil {
-            background-color: black;
-            border: calc(var(--pupil-width) / 2) solid black;
-            border-radius: 50%;
-            display: block;
-            width: var(--pupil-width);
-            height: var(--pupil-height);
-            min-width: var(--pupil-width);
-            min-height: var(--pupil-height);
-            max-width: var(--pupil-width);
-            max-height: var(--pupil-height);
-        }
-
-        /* Hey, don't look while I enter a password! Wait, are you peeking? 😨 */
-        .eye::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            right: 0;
-            bottom: 0;
-            left: 0;
-            opacity: 0;
-            transition: opacity 0.5s linear;
-            background: linear-gradient(
-                0deg,
-                rgb(0, 0, 0) 0%,
-                rgb(0, 0, 0) 35%,
-                rgb(255, 255, 255) 49%,
-                rgb(255, 255, 255) 51%,
-                rgb(0, 0, 0) 65%,
-                rgb(0, 0, 0) 100%
-            );
-        }
-        body:has(input[type='password']:focus) .eye::before {
-            opacity: 1;
-        }
-    `);
-
-    const eyes = document.createElement('div');
-    eyes.classList.add('eyes');
-    for (let i = 0; i < 2; i++) {
-        const eye = document.createElement('span');
-        eye.classList.add('eye');
-        const pupil = document.createElement('span');
-        pupil.classList.add('pupil');
-        eye.append(pupil);
-        eyes.append(eye);
+    /**
+     * @param {function(InputEvent): void} listener
+     * @returns {this}
+     */
+    onInput(listener) {
+        this.#form.addEventListener('input', listener);
+        return this;
     }
 
-    const pupils = Array.from(eyes.querySelectorAll('.pupil'));
-    const pupilPositions = pupils.map(pupil => pupil.getBoundingClientRect());
-
-    let positionTimeout;
-
-    document.addEventListener('mousemove', e => {
-        const { clientX: mouseLeft, clientY: mouseTop } = e;
-        pupils.forEach((pupil, index) => {
-            const { top, left } = pupilPositions[index];
-            const translateX =
-                mouseLeft < left ?
-                    mouseLeft / left - 1
-                :   (mouseLeft - left) / (innerWidth - left);
-            const translateY =
-                mouseTop < top ?
-                    mouseTop / top - 1
-                :   (mouseTop - top) / (innerHeight - top);
-            const ease = x =>
-                x < 0 ? -1 * ease(-1 * x) : 100 - Math.pow(1 - x, 2) * 100;
-            pupil.style.setProperty(
-                'transform',
-                `translateX(${ease(translateX)}%) translateY(${ease(translateY)}%)`
-            );
-        });
-
-        if (positionTimeout) clearTimeout(positionTimeout);
-        positionTimeout = setTimeout(
-            () =>
-                pupilPositions.splice(
-                    0,
-                    pupils.length,
-                    ...pupils.map(pupil => pupil.getBoundingClientRect())
-                ),
-            100
+    /**
+     * @param {unknown} value
+     * @returns {Promise<boolean>}
+     */
+    checkValue(value) {
+        return Promise.resolve(
+            Array.isArray(value) &&
+                value.every(
+                    item =>
+                        isPlainObject(item) &&
+                        Object.entries(this.#emptyItem).every(
+                            ([key, emptyValue]) =>
+                                typeof item[key] === typeof emptyValue
+                        )
+                )
         );
-    });
-
-    ready(() =>
-        document
-            .querySelector('.btn-footer-popover .fa-question')
-            ?.replaceWith(eyes)
-    );
+    }
 }
-// endregion
-
-// region Feature: general.semesterzeiten
-if (isDashboard && getSetting('general.semesterzeiten')) {
-    const now = new Date();
 
-    const skipProgress = document.createElement('a');
-    skipProgress.classList.add('sr-only', 'sr-only-focusable');
-    skipProgress.textContent = $t('semesterzeiten.skip').toString();
-    const afterSpan = document.createElement('span');
-    afterSpan.id = PREFIX('general-semesterzeiten-after');
-    skipProgress.href = `#${afterSpan.id}`;
+/** @extends {Setting<void>} */
+class ActionSetting extends Setting {
+    constructor(id) {
+        super(id, void 0);
+        // this makes this class an abstract class
+        if (this.constructor === ActionSetting) {
+            throw new TypeError(
+                'Cannot create instance of abstract class ActionSetting'
+            );
+        }
+    }
 
-    const progressSection = document.createElement('section');
-    progressSection.classList.add('block', 'card', 'mb-3');
-    const cardBody = document.createElement('div');
-    cardBody.classList.add('card-body', 'p-3');
-    const cardContent = document.createElement('div');
-    cardContent.classList.add('card-text', 'content');
+    /**
+     * action settings don't store any value
+     * @returns {Promise<boolean>}
+     */
+    checkValue() {
+        return Promise.resolve(false);
+    }
 
-    cardBody.append(cardContent);
-    progressSection.append(cardBody);
+    /**
+     * @returns {Promise<void>}
+     */
+    resetInputToDefault() {
+        return Promise.resolve();
+    }
 
-    const shownBars = new Set(['semester']);
-    const barTypeStyle = document.createElement('style');
-    const updateBarTypeStyle = () =>
-        (barTypeStyle.textContent =
-            shownBars.size === 0 ?
-                ''
-            :   `
-[data-storage] {
-    display: none;
+    /**
+     * @returns {boolean}
+     */
+    get isInputModified() {
+        return false;
+    }
 }
 
-${Array.from(shownBars)
-    .map(bar => `[data-storage="${bar}"]`)
-    .join(',')} {
-    display: flex;
-}
-`);
+/** @extends {ActionSetting} */
+class BtnActionSetting extends ActionSetting {
+    /** @type {HTMLButtonElement} */
+    #btn = document.createElement('button');
 
-    const nowAdditionsClass = PREFIX('semesterzeiten-now-additions');
-    GM_addStyle(css`
-        .${nowAdditionsClass}.progress-bar {
-            position: absolute;
-            height: 1rem;
-            pointer-events: none;
-            background-image: linear-gradient(
-                45deg,
-                rgba(255, 255, 255, 0.3) 25%,
-                transparent 25%,
-                transparent 50%,
-                rgba(255, 255, 255, 0.3) 50%,
-                rgba(255, 255, 255, 0.3) 75%,
-                transparent 75%,
-                transparent
-            );
-            border-right: 1px solid black;
-        }
-        ${DARK_MODE_SELECTOR} .${nowAdditionsClass}.progress-bar {
-            border-color: white;
-        }
+    constructor(id) {
+        super(id);
 
-        span.${nowAdditionsClass} {
-            position: absolute;
-            top: 0;
-            transform: translateX(-50%) translateY(calc(-1lh + 3px)); /* these numbers have been carefully */
-            font-size: 0.703125rem; /* this is font size of progress bars */
-        }
-    `);
+        this.#btn.classList.add('btn', 'btn-primary');
+    }
 
-    ready(() =>
-        document
-            .querySelector('#block-region-content')
-            ?.prepend(skipProgress, progressSection, afterSpan, barTypeStyle)
-    );
+    get formControl() {
+        return this.#btn;
+    }
 
     /**
-     * @typedef {Object} Semester
-     * @property {string} name
-     * @property {string} start
-     * @property {string} end
-     * @property {AdditionalSemesterzeit[]} additional
+     * @param {Record<string, Setting>} settings
+     * @returns {boolean}
      */
+    toggleDisabled(settings) {
+        const disabled = super.toggleDisabled(settings);
+        this.#btn.disabled = disabled;
+        if (disabled) {
+            this.#btn.classList.add('disabled');
+        } else {
+            this.#btn.classList.remove('disabled');
+        }
+        return disabled;
+    }
 
     /**
-     * @typedef {Object} AdditionalSemesterzeit
-     * @property {string} name:de
-     * @property {string} name:en
-     * @property {string} storage
-     * @property {'success'|'info'|'warning'|'danger'} color
-     * @property {string} start
-     * @property {string} end
+     * @param {string | HTMLElement} content
+     * @returns {this}
      */
+    setContent(content) {
+        this.#btn.replaceChildren();
+        if (typeof content === 'string') {
+            this.#btn.textContent = content;
+        } else {
+            this.#btn.append(content);
+        }
+        return this;
+    }
 
-    // helping function to get typing
     /**
-     * @return {Promise<{ recurringHolidays: string[], semesters: Semester[] }>}
+     * @param {function(MouseEvent, BtnActionSetting): void} listener
+     * @returns {this}
      */
-    const getSemesterzeiten = () =>
-        new Promise(resolve =>
-            GM_xmlhttpRequest({
-                url: 'https://www.uni-kiel.de/gf-praesidium/de/termine/semesterzeiten',
-                onload: ({ responseText }) =>
-                    resolve(
-                        new DOMParser().parseFromString(
-                            responseText,
-                            'text/html'
-                        )
-                    ),
-            })
-        )
-            .then(doc => {
-                const table = [];
-                doc.getElementById('content-core')
-                    .querySelectorAll('tr')
-                    .forEach(el => {
-                        const row = [];
-                        el.querySelectorAll('td').forEach(elem => {
-                            row.push(elem.innerText);
-                        });
-                        table.push(row);
-                    });
-                return table;
-            })
-            .then(table => {
-                const germanDate = date => {
-                    const [day, month, year] = date
-                        .replaceAll(':', '.')
-                        .split('.');
-                    return `${year}-${month}-${day}`;
-                };
-                const semesters = [];
-                const head = table[0].slice(1).map(x => x.trim());
-                const body = table.slice(1);
-                for (let c = 1; c <= head.length; c++) {
-                    const semester = head[c - 1];
-                    const attributes = {};
-                    for (let r = 0; r < body.length; r++) {
-                        const row = body[r];
-                        const attribute = row[0].match(/^[^*(]+/)[0].trim(); // Stop parsing after * or (
-                        const tmp = attribute.match(/^(.*)(beginn|ende)$/);
-                        if (tmp) {
-                            if (!attributes[tmp[1]]) {
-                                attributes[tmp[1]] = { start: null, end: null };
-                            }
-                            switch (tmp[2]) {
-                                case 'beginn':
-                                    attributes[tmp[1]].start = germanDate(
-                                        row[c].trim()
-                                    );
-                                    break;
-                                case 'ende':
-                                    attributes[tmp[1]].end = germanDate(
-                                        row[c].trim()
-                                    );
-                                    break;
-                            }
-                        } else {
-                            let [start, end] = row[c]
-                                .split('-')
-                                .map(e => e.trim());
-                            if (start && end) {
-                                end = germanDate(end);
-                                if (start.length <= 6) {
-                                    start += end.slice(0, 4);
-                                }
-                                start = germanDate(start);
+    setAction(listener) {
+        this.#btn.addEventListener('click', e => {
+            e.preventDefault();
+            listener(e, this);
+        });
+        return this;
+    }
+}
 
-                                attributes[attribute] = {
-                                    start,
-                                    end,
-                                };
-                            }
-                        }
-                    }
+/**
+ * opens a modal to install language packs from a file or a URL and to remove installed ones
+ */
+const openLanguagePacksModal = () =>
+    require(['core/modal_factory'], ({ create, types }) =>
+        create({
+            type: types.ALERT,
+            large: true,
+            scrollable: true,
+            title: $t('modals.settings.languagePacks.title'),
+            removeOnClose: true,
+        }).then(modal => {
+            /**
+             * @param {string} key
+             * @param {Record<string, unknown>} [args]
+             * @returns {string}
+             */
+            const packsT = (key, args) =>
+                $t(`modals.settings.languagePacks.${key}`, args).toString();
+            const languageSettings = [
+                settingsById['general.language'],
+                settingsById['speiseplan.language'],
+            ];
+
+            const feedback = document.createElement('div');
+            feedback.classList.add('alert', 'd-none');
+            /**
+             * @param {'success' | 'warning' | 'danger'} type
+             * @param {...(string | HTMLElement)} content
+             */
+            const showFeedback = (type, ...content) => {
+                feedback.classList.remove(
+                    'd-none',
+                    'alert-success',
+                    'alert-warning',
+                    'alert-danger'
+                );
+                feedback.classList.add(`alert-${type}`);
+                feedback.replaceChildren(...content);
+            };
 
-                    const additionals = [];
-                    for (const attribute in attributes) {
-                        if (Object.hasOwn(attributes, attribute)) {
-                            const storage = (key => {
-                                switch (key) {
-                                    case 'vorlesungs':
-                                        return 'period.lecture';
-                                    case 'unterrichtsfrei':
-                                        return 'period.break';
-                                    case '1-prfungszeitraum-des-aktuellen-semesters':
-                                        return 'period.exam.1';
-                                    case '2-prfungszeitraum-des-vorsemesters':
-                                        return 'period.exam.2';
-                                }
-                                return key;
-                            })(
-                                attribute
-                                    .trim()
-                                    .toLowerCase()
-                                    .replaceAll(/\s+/gi, '-')
-                                    .replaceAll(/[^\da-z-]/gi, '')
-                            );
-                            if (storage !== 'semester') {
-                                const name = $t(
-                                    `semesterzeiten.category.${storage}`
-                                ).toString();
-                                const start = attributes[attribute].start;
-                                const end = attributes[attribute].end;
+            const table = document.createElement('table');
+            table.classList.add('table', 'table-sm');
 
-                                additionals.push({
-                                    name,
-                                    storage,
-                                    color: (id => {
-                                        switch (id) {
-                                            case 'period.lecture':
-                                                return 'success';
-                                            case 'period.break':
-                                                return 'info';
-                                            default:
-                                                return 'warning';
-                                        }
-                                    })(storage),
-                                    start,
-                                    end,
-                                });
-                            }
-                        }
+            const renderPacks = () => {
+                const packs = Object.values(LANGUAGE_PACKS.getAll());
+                table.replaceChildren();
+                if (!packs.length) {
+                    table.createTBody().insertRow().insertCell().textContent =
+                        packsT('none');
+                    return;
+                }
+                const head = table.createTHead().insertRow();
+                ['language', 'name', 'completeness', 'source', ''].forEach(
+                    column => {
+                        const th = document.createElement('th');
+                        th.textContent = column ? packsT(column) : '';
+                        head.append(th);
+                    }
+                );
+                const tbody = table.createTBody();
+                packs.forEach(({ language, name, completeness, source }) => {
+                    const row = tbody.insertRow();
+                    const languageCode = document.createElement('code');
+                    languageCode.textContent = language;
+                    row.insertCell().append(languageCode);
+                    row.insertCell().textContent = name;
+
+                    const progress = document.createElement('div');
+                    progress.classList.add('progress');
+                    const progressBar = document.createElement('div');
+                    progressBar.classList.add('progress-bar');
+                    progressBar.style.width = `${completeness * 100}%`;
+                    progressBar.textContent = packsT('percent', {
+                        completeness: Math.floor(completeness * 100) / 100,
+                    });
+                    progress.append(progressBar);
+                    row.insertCell().append(progress);
+
+                    const sourceCell = row.insertCell();
+                    if (source) {
+                        const sourceLink = document.createElement('a');
+                        sourceLink.href = source;
+                        sourceLink.target = '_blank';
+                        sourceLink.textContent = new URL(source).hostname;
+                        sourceCell.append(sourceLink);
+                    } else {
+                        sourceCell.textContent = packsT('file');
                     }
 
-                    let season = semester.split(' ')[0];
-                    const year = semester.split(' ')[1];
-                    season = season === 'SoSe' ? 'summer' : 'winter';
-
-                    semesters.push({
-                        name: $t(`semesterzeiten.category.semester.${season}`, {
-                            year,
-                        }).toString(),
-                        start: attributes.Semester.start,
-                        end: attributes.Semester.end,
-                        additional: additionals,
+                    const removeBtn = document.createElement('button');
+                    removeBtn.type = 'button';
+                    removeBtn.classList.add('btn', 'btn-link', 'p-0');
+                    removeBtn.title = removeBtn.ariaLabel = packsT('remove');
+                    const removeIcon = document.createElement('i');
+                    removeIcon.classList.add('fa', 'fa-trash', 'fa-fw');
+                    removeBtn.append(removeIcon);
+                    removeBtn.addEventListener('click', () => {
+                        LANGUAGE_PACKS.remove(language);
+                        const inUse = languageSettings.filter(
+                            setting => setting?.value === language
+                        );
+                        inUse.forEach(setting => (setting.value = 'auto'));
+                        // the translations of a removed pack stay active until the page is reloaded
+                        if (
+                            inUse.length ||
+                            BETTER_MOODLE_LANG === language ||
+                            BUILTIN_LANGUAGES.includes(language)
+                        ) {
+                            window.location.reload();
+                            return;
+                        }
+                        languageSettings.forEach(setting =>
+                            setting?.removeOption(language)
+                        );
+                        renderPacks();
                     });
-                }
-                return {
-                    recurringHolidays: [], // TODO: Implement holidays
-                    semesters,
-                };
-            });
+                    row.insertCell().append(removeBtn);
+                });
+            };
 
-    /** @type {Map<string, Set<HTMLInputElement>>} */
-    const toggles = new Map();
+            /**
+             * validates and installs a parsed language pack and shows the result
+             * @param {unknown} json
+             * @param {string} [source]
+             */
+            const installPack = (json, source) => {
+                const { pack, error, unknownKeys, invalidKeys } =
+                    LANGUAGE_PACKS.validate(json, source);
+                if (!pack) {
+                    showFeedback('danger', packsT(`errors.${error}`));
+                    return;
+                }
+                LANGUAGE_PACKS.install(pack);
+                if (!BUILTIN_LANGUAGES.includes(pack.language)) {
+                    languageSettings.forEach(setting =>
+                        setting?.addOption(LANGUAGE_PACKS.toOption(pack))
+                    );
+                }
+                renderPacks();
+
+                const ignoredKeys = [...unknownKeys, ...invalidKeys];
+                const success = document.createElement('p');
+                success.classList.add('mb-0');
+                success.textContent = packsT('success', {
+                    _name: pack.name,
+                    completeness: Math.floor(pack.completeness * 100) / 100,
+                });
+                if (!ignoredKeys.length) {
+                    showFeedback('success', success);
+                    return;
+                }
+                const ignored = document.createElement('details');
+                const ignoredSummary = document.createElement('summary');
+                ignoredSummary.textContent = packsT('ignoredKeys', {
+                    count: ignoredKeys.length,
+                });
+                const ignoredList = document.createElement('ul');
+                ignoredList.classList.add('small', 'mb-0');
+                ignoredKeys.forEach(key => {
+                    const item = document.createElement('li');
+                    const keyCode = document.createElement('code');
+                    keyCode.textContent = key;
+                    item.append(keyCode);
+                    ignoredList.append(item);
+                });
+                ignored.append(ignoredSummary, ignoredList);
+                showFeedback('warning', success, ignored);
+            };
 
-    /**
-     * @param storage
-     * @return {HTMLDivElement}
-     */
-    const getToggle = storage => {
-        const key = `semesterzeiten.show.${storage}`;
-        const storageKey = PREFIX(key);
-        const storedState = GM_getValue(storageKey, false);
-        const storageToggle = new BooleanSetting(
-            `${storageKey}-${crypto.randomUUID()}`,
-            storedState
-        );
+            /**
+             * @param {string} text
+             * @param {string} [source]
+             */
+            const installPackFromText = (text, source) => {
+                let json;
+                try {
+                    json = JSON.parse(text);
+                } catch {
+                    showFeedback('danger', packsT('errors.parse'));
+                    return;
+                }
+                installPack(json, source);
+            };
 
-        if (!toggles.has(storage)) toggles.set(storage, new Set());
-        toggles
-            .get(storage)
-            .add(storageToggle.formControl.querySelector('input'));
+            const hint = document.createElement('p');
+            hint.textContent = packsT('hint');
+            const example = document.createElement('pre');
+            example.classList.add('small');
+            example.textContent = JSON.stringify(
+                {
+                    language: 'nds',
+                    name: '⚓ Plattdüütsch',
+                    translations: {
+                        modals: { settings: { title: 'Instellen' } },
+                    },
+                },
+                null,
+                2
+            );
 
-        storageToggle.onInput(() => {
-            GM_setValue(storageKey, storageToggle.inputValue);
-            if (storageToggle.inputValue) {
-                shownBars.add(storage);
-            } else {
-                shownBars.delete(storage);
-            }
-            toggles
-                .get(storage)
-                .forEach(toggle => (toggle.checked = storageToggle.inputValue));
-            updateBarTypeStyle();
-        });
-        if (storedState) shownBars.add(storage);
+            const installHeading = document.createElement('h5');
+            installHeading.textContent = packsT('installed');
+
+            const installRow = document.createElement('div');
+            installRow.classList.add('input-group', 'mb-3');
+            const fileBtnWrapper = document.createElement('div');
+            fileBtnWrapper.classList.add('input-group-prepend');
+            const fileBtn = document.createElement('button');
+            fileBtn.type = 'button';
+            fileBtn.classList.add('btn', 'btn-outline-primary');
+            const fileIcon = document.createElement('i');
+            fileIcon.classList.add('fa', 'fa-upload', 'fa-fw');
+            fileBtn.append(fileIcon, packsT('fromFile'));
+            fileBtn.addEventListener('click', () => {
+                const fileInput = document.createElement('input');
+                fileInput.type = 'file';
+                fileInput.accept = '.json';
+                fileInput.addEventListener('change', () => {
+                    const file = fileInput.files[0];
+                    if (!file) return;
+                    file.text().then(text => installPackFromText(text));
+                });
+                fileInput.click();
+            });
+            fileBtnWrapper.append(fileBtn);
 
-        return storageToggle.formControl;
-    };
+            const urlInput = document.createElement('input');
+            urlInput.type = 'url';
+            urlInput.classList.add('form-control');
+            urlInput.placeholder = urlInput.ariaLabel = packsT('url');
+
+            const urlBtnWrapper = document.createElement('div');
+            urlBtnWrapper.classList.add('input-group-append');
+            const urlBtn = document.createElement('button');
+            urlBtn.type = 'button';
+            urlBtn.classList.add('btn', 'btn-primary');
+            const urlIcon = document.createElement('i');
+            urlIcon.classList.add('fa', 'fa-download', 'fa-fw');
+            urlBtn.append(urlIcon, packsT('fromUrl'));
+            urlBtn.addEventListener('click', () => {
+                const url = urlInput.value.trim();
+                if (!url || !urlInput.checkValidity()) {
+                    urlInput.classList.add('is-invalid');
+                    return;
+                }
+                urlInput.classList.remove('is-invalid');
+                urlBtn.disabled = true;
+                GM_xmlhttpRequest({
+                    url,
+                    timeout: 30000,
+                    onload: ({ status, responseText }) => {
+                        urlBtn.disabled = false;
+                        if (status >= 200 && status < 300) {
+                            installPackFromText(responseText, url);
+                        } else {
+                            showFeedback('danger', packsT('errors.network'));
+                        }
+                    },
+                    onerror: () => {
+                        urlBtn.disabled = false;
+                        showFeedback('danger', packsT('errors.network'));
+                    },
+                    ontimeout: () => {
+                        urlBtn.disabled = false;
+                        showFeedback('danger', packsT('errors.network'));
+                    },
+                });
+            });
+            urlBtnWrapper.append(urlBtn);
+            installRow.append(fileBtnWrapper, urlInput, urlBtnWrapper);
 
-    /**
-     * @param {HTMLTableSectionElement} tbody
-     * @param {string} name
-     * @param {Date} start
-     * @param {Date} end
-     * @param {string} color
-     * @param {string} [storage='']
-     */
-    const addRow = (tbody, name, start, end, color, storage = '') => {
-        const row = tbody.insertRow();
-        row.classList.add(`table-${color}`);
+            renderPacks();
+            modal
+                .getBody()[0]
+                .append(
+                    hint,
+                    example,
+                    installRow,
+                    feedback,
+                    installHeading,
+                    table
+                );
+            modal.show();
+        }));
 
-        const finishedBy =
-            now < start ? 0
-            : now > end ? 1
-            : (now - start) / (end - start);
+/**
+ * creates a validator for API keys that checks the format of the key
+ * @param {RegExp} format
+ * @returns {SettingValidator<string>}
+ */
+const validateAPIKey = format => apiKey => {
+    if (!apiKey) return $t('modals.settings.validation.required').toString();
+    if (!format.test(apiKey)) {
+        return $t('modals.settings.validation.apiKey').toString();
+    }
+};
 
-        [
-            name,
-            dateToString(start),
-            dateToString(end),
-            finishedBy.toLocaleString(BETTER_MOODLE_LANG, {
-                style: 'percent',
-                maximumFractionDigits: 2,
-            }),
+/** @type {Array<Setting | string>} */
+const SETTINGS = [
+    'general',
+    new BooleanSetting('general.updateNotification', true),
+    new SelectSetting('general.language', 'auto', getLanguageOptions()),
+    new BtnActionSetting('general.languagePacks')
+        .setContent($t('settings.general.languagePacks.btn'))
+        .setAction(() => openLanguagePacksModal()),
+    new BooleanSetting('general.translationDevMode', false),
+    new BooleanSetting('general.highlightNewSettings', true),
+    new BooleanSetting('general.highlightNewSettings.navbar', true).dependsOn(
+        'general.highlightNewSettings'
+    ),
+    new BooleanSetting('general.fullwidth', true),
+    new BooleanSetting('general.externalLinks', true),
+    new BooleanSetting('general.truncatedTexts', true),
+    new BooleanSetting('general.bookmarkManager', false),
+    new BooleanSetting('general.noDownload', false).setOverridable(),
+    new BooleanSetting('general.eventAdvertisements', true),
+    new BooleanSetting('general.christmasCountdown', false),
+    new BooleanSetting('general.speiseplan', false),
+    new BooleanSetting('general.googlyEyes', true),
+    new BooleanSetting('general.semesterzeiten', false),
+    new SelectSetting('general.prideLogo', 'rotated', [
+        'off',
+        'rainbow',
+        'agender',
+        'aro',
+        'ace',
+        'aroace',
+        'bi',
+        'genderfluid',
+        'intersex',
+        'lesbian',
+        'enby',
+        'pan',
+        'gay',
+        'trans',
+    ]),
+    new BooleanSetting('general.prideLogoRotated', true),
+    new BooleanSetting('general.quickRoleChange', true),
+    'darkmode',
+    $t('settings.darkmode._description'),
+    new SelectSetting('darkmode.mode', 'off', ['off', 'on', 'auto']).onInput(
+        () => updateDarkReaderMode(true)
+    ),
+    new SliderSetting('darkmode.brightness', 100, 0, 150, 1, 7)
+        .dependsOn('darkmode.mode', ['on', 'auto'])
+        .onInput(debounce(() => updateDarkReaderMode(true))),
+    new SliderSetting('darkmode.contrast', 100, 0, 150, 1, 7)
+        .dependsOn('darkmode.mode', ['on', 'auto'])
+        .onInput(debounce(() => updateDarkReaderMode(true))),
+    new SliderSetting('darkmode.grayscale', 0, 0, 100, 1, 6)
+        .dependsOn('darkmode.mode', ['on', 'auto'])
+        .onInput(debounce(() => updateDarkReaderMode(true))),
+    new SliderSetting('darkmode.sepia', 0, 0, 100, 1, 6)
+        .dependsOn('darkmode.mode', ['on', 'auto'])
+        .onInput(debounce(() => updateDarkReaderMode(true))),
+    new BtnActionSetting('darkmode.preview')
+        .setContent($t('settings.darkmode.preview.btn'))
+        .dependsOn('darkmode.mode', ['on', 'auto'])
+        .setAction((_, { formControl }) => {
+            formControl.dispatchEvent(
+                new Event(SETTINGS_PREVIEW_EVENT, { bubbles: true })
+            );
+        }),
+    'dashboard',
+    // {Layout anpassen}
+    new StringSetting(
+        'dashboard.~layoutPlaceholder',
+        'Coming soon...'
+    ).setDisabledFn(() => true),
+    /** @type {SelectSetting<'_sync'>} */
+    new SelectSetting(
+        'dashboard.courseListFilter',
+        '_sync',
+        getCourseGroupingOptions()
+    ),
+    new BooleanSetting('dashboard.courseListFavouritesAtTop', true),
+    'myCourses',
+    new SliderSetting('myCourses.boxesPerRow', 4, 1, 10),
+    new BooleanSetting('myCourses.navbarDropdown', true),
+    new SelectSetting(
+        'myCourses.navbarDropdownFilter',
+        '_sync',
+        getCourseGroupingOptions()
+    ).dependsOn('myCourses.navbarDropdown'),
+    new BooleanSetting(
+        'myCourses.navbarDropdownFavouritesAtTop',
+        true
+    ).dependsOn('myCourses.navbarDropdown'),
+    'courses',
+    new BooleanSetting('courses.grades', true),
+    new BooleanSetting('courses.gradesNewTab', false)
+        .dependsOn('courses.grades')
+        .setOverridable(),
+    new BooleanSetting('courses.collapseAll', true),
+    new BooleanSetting('courses.imgMaxWidth', true).setOverridable(),
+    new BooleanSetting('courses.imageZoom', true).setOverridable(),
+    new BooleanSetting('courses.hideSelfEnrolHint', false).setOverridable(),
+    'clock',
+    new BooleanSetting('clock.clock', false),
+    new BooleanSetting('clock.clock.seconds', true).dependsOn('clock.clock'),
+    new BooleanSetting('clock.fuzzyClock', false),
+    new SliderSetting('clock.fuzzyClock.fuzziness', 10, 10, 50, 10, [
+        '5min',
+        '15min',
+        'food',
+        'day',
+        'week',
+    ]).dependsOn('clock.fuzzyClock'),
+    'weatherDisplay',
+    new BooleanSetting('weatherDisplay.show', false),
+    new SelectSetting('weatherDisplay.units', 'metric', [
+        'metric',
+        'scientific',
+        'imperial',
+    ]).dependsOn('weatherDisplay.show'),
+    new SelectSetting('weatherDisplay.provider', 'openMeteo', [
+        'openMeteo',
+        'wttrIn',
+        'visualCrossing',
+        'openWeatherMap',
+        'pirateWeather',
+    ]).dependsOn('weatherDisplay.show'),
+    new StringSetting('weatherDisplay.visualCrossingAPIKey', '')
+        .setSecret()
+        .setValidator(validateAPIKey(/^[A-Z0-9]{25}$/i))
+        .setConnectionTest(apiKey =>
+            testWeatherAPIKey('visualCrossing', apiKey)
+        )
+        .dependsOn('weatherDisplay.provider', 'visualCrossing'),
+    new StringSetting('weatherDisplay.openWeatherMapAPIKey', '')
+        .setSecret()
+        .setValidator(validateAPIKey(/^[0-9a-f]{32}$/i))
+        .setConnectionTest(apiKey =>
+            testWeatherAPIKey('openWeatherMap', apiKey)
+        )
+        .dependsOn('weatherDisplay.provider', 'openWeatherMap'),
+    new StringSetting('weatherDisplay.pirateWeatherAPIKey', '')
+        .setSecret()
+        .setValidator(validateAPIKey(/^[\w-]+$/))
+        .setConnectionTest(apiKey => testWeatherAPIKey('pirateWeather', apiKey))
+        .dependsOn('weatherDisplay.provider', 'pirateWeather'),
+    new BooleanSetting('weatherDisplay.showTempInNavbar', false).dependsOn(
+        'weatherDisplay.show'
+    ),
+    new BooleanSetting('weatherDisplay.toggleFeelsLike', false).dependsOn(
+        'weatherDisplay.showTempInNavbar'
+    ),
+    'messages',
+    new HotkeySetting('messages.sendHotkey', ''),
+    new BooleanSetting('messages.markdown', true),
+    new BooleanSetting('messages.markdownPreview', true).dependsOn(
+        'messages.markdown'
+    ),
+    new ListSetting(
+        'messages.snippets',
+        [],
+        ({ title, text }) => {
+            const titleWrapper = document.createElement('div');
+            titleWrapper.classList.add('form-inline', 'felement', 'w-100');
+            const titleInput = document.createElement('input');
+            titleInput.classList.add('form-control', 'w-100');
+            titleInput.type = 'text';
+            titleInput.value = title;
+            titleInput.dataset.attribute = 'title';
+            titleInput.placeholder = $t('messages.snippets.title').toString();
+            titleWrapper.append(titleInput);
+
+            const textWrapper = document.createElement('div');
+            textWrapper.classList.add('form-inline', 'felement', 'w-100');
+            const textInput = document.createElement('textarea');
+            textInput.classList.add('form-control', 'w-100');
+            textInput.rows = 3;
+            textInput.value = text;
+            textInput.dataset.attribute = 'text';
+            textInput.placeholder = $t('messages.snippets.text').toString();
+            textWrapper.append(textInput);
+
+            return [titleWrapper, textWrapper];
+        },
+        { title: '', text: '' }
+    ),
+    new BooleanSetting('messages.drafts', true),
+    new BooleanSetting('messages.export', true),
+    new BooleanSetting('messages.sendLater', true),
+    'nina',
+    $t('settings.nina._description'),
+    new BooleanSetting('nina.enabled', true),
+    new SliderSetting('nina.civilProtectionWarnings', 2, 0, 3, 1, [
+        'off',
+        'extreme',
+        'severe',
+        'moderate',
+    ]).dependsOn('nina.enabled'),
+    new SliderSetting('nina.weatherWarnings', 2, 0, 3, 1, [
+        'off',
+        'extreme',
+        'severe',
+        'moderate',
+    ]).dependsOn('nina.enabled'),
+    new BooleanSetting('nina.floodWarnings', false).dependsOn('nina.enabled'),
+    new BooleanSetting('nina.notification', true).dependsOn('nina.enabled'),
+    new BooleanSetting('nina.megaAlarm', false).dependsOn('nina.enabled'),
+    new BtnActionSetting('nina.test')
+        .setContent($t('settings.nina.test.btn'))
+        .dependsOn('nina.enabled')
+        .setAction(() => {
+            const betterMoodleTestWarning = `better-moodle:${Math.ceil(Math.random() * 1000)}`;
+            NINA.addWarning(
+                betterMoodleTestWarning,
+                {
+                    title: $t('nina.testWarning.title'),
+                    description: $t('nina.testWarning.description'),
+                    instruction: $t('nina.testWarning.instruction'),
+                    categories: [CommonAlertingProtocol.Category.OTHER],
+                    severity: CommonAlertingProtocol.Severity.EXTREME,
+                    urgency: CommonAlertingProtocol.Urgency.IMMEDIATE,
+                    certainty: CommonAlertingProtocol.Certainty.OBSERVED,
+                    event: $t('nina.testWarning.event'),
+                    web: $t('nina.testWarning.web'),
+                    msgType: CommonAlertingProtocol.MsgType.ALERT,
+                    provider: $t('nina.testWarning.provider'),
+                    senderName: $t('nina.testWarning.senderName'),
+                    valid: true,
+                    sent: new Date(),
+                    effective: new Date(),
+                    onset: new Date(),
+                    expires: new Date(Date.now() + 1000 * 30),
+                    status: CommonAlertingProtocol.Status.TEST,
+                },
+                Date.now() + 1000 * 30
+            );
+            NINA.pushWarning(betterMoodleTestWarning);
+        }),
+    'speiseplan',
+    new SelectSetting('speiseplan.canteen', '1', ['1', '2', '3']),
+    new SelectSetting('speiseplan.language', 'auto', getLanguageOptions()),
+    'sync',
+    new BooleanSetting('sync.enabled', false),
+    new StringSetting('sync.url', '')
+        .setInputType('url')
+        .setValidator(url => {
+            if (!url) {
+                return $t('modals.settings.validation.required').toString();
+            }
+            try {
+                if (['http:', 'https:'].includes(new URL(url).protocol)) {
+                    return;
+                }
+            } catch {
+                // invalid URLs are handled below
+            }
+            return $t('modals.settings.validation.url').toString();
+        })
+        .dependsOn('sync.enabled'),
+    new StringSetting('sync.username', '').dependsOn('sync.enabled'),
+    new StringSetting('sync.password', '')
+        .setInputType('password')
+        .setSecret()
+        .dependsOn('sync.enabled'),
+    new NumberSetting('sync.interval', 15, 5, 1440, 5).dependsOn(
+        'sync.enabled'
+    ),
+];
+
+const settingsById = Object.fromEntries(
+    SETTINGS.filter(s => typeof s !== 'string').map(s => [s.id, s])
+);
+
+/**
+ * Makes sure that all dependencies exist and that there are no cycles, as dependencies are evaluated transitively.
+ * @param {Setting} setting
+ * @param {string[]} [path] the ids of the settings that depend on this setting
+ */
+const checkSettingDependencies = (setting, path = []) => {
+    if (path.includes(setting.id)) {
+        throw new Error(
+            `Cyclic setting dependency: ${[...path, setting.id].join(' -> ')}`
+        );
+    }
+    setting.dependencies.forEach(({ id }) => {
+        if (!settingsById[id]) {
+            throw new Error(
+                `Setting ${setting.id} depends on unknown setting ${id}`
+            );
+        }
+        checkSettingDependencies(settingsById[id], [...path, setting.id]);
+    });
+};
+Object.values(settingsById).forEach(setting =>
+    checkSettingDependencies(setting)
+);
+
+const allSettingsIds = new Set(Object.keys(settingsById));
+const SEEN_SETTINGS_KEY = PREFIX('seen-settings');
+const EVER_OPENED_SETTINGS_KEY = PREFIX('ever-opened-settings');
+const SETTINGS_PREVIEW_EVENT = PREFIX('settings:preview');
+// `#better-moodle-settings=<setting id or group>` opens the settings modal at that setting
+const SETTINGS_DEEP_LINK_PARAM = PREFIX('settings');
+const newSettingBadgeClass = PREFIX('new-setting-badge');
+let settingsBtnNewTooltip;
+// these are the settings that existed before "highlight new settings" was introduced
+const existingSettings = new Set([
+    'general.updateNotification',
+    'general.language',
+    'general.fullwidth',
+    'general.externalLinks',
+    'general.truncatedTexts',
+    'general.bookmarkManager',
+    'general.noDownload',
+    'general.eventAdvertisements',
+    'general.christmasCountdown',
+    'general.speiseplan',
+    'general.googlyEyes',
+    'general.semesterzeiten',
+    'general.quickRoleChange',
+    'darkmode.mode',
+    'darkmode.brightness',
+    'darkmode.contrast',
+    'darkmode.grayscale',
+    'darkmode.sepia',
+    'dashboard.~layoutPlaceholder',
+    'dashboard.courseListFilter',
+    'dashboard.courseListFavouritesAtTop',
+    'myCourses.boxesPerRow',
+    'myCourses.navbarDropdown',
+    'myCourses.navbarDropdownFilter',
+    'myCourses.navbarDropdownFavouritesAtTop',
+    'courses.grades',
+    'courses.gradesNewTab',
+    'courses.collapseAll',
+    'courses.imgMaxWidth',
+    'courses.imageZoom',
+    'courses.hideSelfEnrolHint',
+    'clock.clock',
+    'clock.clock.seconds',
+    'clock.fuzzyClock',
+    'clock.fuzzyClock.fuzziness',
+    'messages.sendHotkey',
+    'speiseplan.canteen',
+    'speiseplan.language',
+]);
+/** @type {Set<string>} */
+const seenSettings = new Set(GM_getValue(SEEN_SETTINGS_KEY, existingSettings));
+const storeSeenSettings = () =>
+    GM_setValue(SEEN_SETTINGS_KEY, Array.from(seenSettings));
+const markAllSettingsAsSeen = () => {
+    allSettingsIds.forEach(id => seenSettings.add(id));
+    settingsBtnNewTooltip?.dispose();
+
+    settingsBtnNewTooltip = null;
+
+    storeSeenSettings();
+};
+const newSettingBadgeAnimations = {
+    sparkling: PREFIX('new-setting-badge-sparkling'),
+    sparklePositions: PREFIX('new-setting-badge-sparkle-positions'),
+    shining: PREFIX('new-setting-badge-shining'),
+};
+GM_addStyle(css`
+    /* add a small margin for "NEW!"-Badges in settings */
+    form fieldset h3 .${newSettingBadgeClass} {
+        margin-left: 1ch;
+    }
+    form .fitem label .${newSettingBadgeClass} {
+        margin-right: 1ch;
+    }
+
+    /* the \`New!\`-Tooltip of settings btn needs to have a special z-index */
+    .tooltip:has(.${newSettingBadgeClass}) {
+        z-index: 1035;
+        cursor: pointer;
+    }
+
+    /* nice effects on the \`New!\`-Badge, but only if user allows animations */
+    @media (prefers-reduced-motion: no-preference) {
+        .${newSettingBadgeClass} {
+            position: relative;
+            /* add a shining effect */
+            background-image: linear-gradient(
+                -75deg,
+                transparent 0%,
+                rgba(255, 255, 255, 75%) 15%,
+                transparent 30%,
+                transparent 100%
+            );
+            animation: ${newSettingBadgeAnimations.shining} 5s ease-in-out;
+            background-size: 200%;
+            background-repeat: no-repeat;
+        }
+
+        /* add fancy sparkles ✨ to the \`New!\`-Badge */
+        .${newSettingBadgeClass}::before {
+            display: inline-block;
+            content: ' ';
+            position: absolute;
+            --width: 10ch;
+            width: var(--width);
+            height: calc(var(--width) * 18 / 11);
+            /* this is a self designed sparkle as SVG :) */
+            background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 1100 1800'%3E%3Cpath fill='gold' d='M 550 0 C 550 720 660 900 1100 900 C 660 900 550 1080 550 1800 C 550 1080 440 900 0 900 C 440 900 550 720 550 0'/%3E%3C/svg%3E");
+            background-size: 100%;
+            background-repeat: no-repeat;
+            transform: translate(-50%, -50%);
+            transform-origin: top left;
+            top: 0;
+            left: 0;
+            animation:
+                ${newSettingBadgeAnimations.sparkling} 1s ease-in-out infinite
+                    alternate,
+                ${newSettingBadgeAnimations.sparklePositions} 6s step-start
+                    infinite;
+        }
+    }
+    @keyframes ${newSettingBadgeAnimations.shining} {
+        0% {
+            background-position: 200% 0;
+        }
+        20% {
+            background-position: 0 0;
+        }
+        100% {
+            background-position: 0 0;
+        }
+    }
+    @keyframes ${newSettingBadgeAnimations.sparkling} {
+        0% {
+            /* 1s => 0 ms, 2000ms */
+            scale: 0;
+        }
+        10% {
+            /* 1s => 100ms, 1900ms */
+            scale: 0;
+        }
+        100% {
+            /* 1s => 1000ms */
+            scale: 10%; /* for better results, we're creating large sparkles (width: 10ch), but to keep them rendered small, max scale is 10% */
+        }
+    }
+    @keyframes ${newSettingBadgeAnimations.sparklePositions} {
+        0% {
+            top: 4%;
+            left: 14%;
+        }
+        33% {
+            top: 85%;
+            left: 51%;
+        }
+        66% {
+            top: 32%;
+            left: 87%;
+        }
+    }
+`);
+// if this is a new installation, mark all settings as seen as we don't want to show the "NEW!"-badge on every single setting
+if (IS_NEW_INSTALLATION) markAllSettingsAsSeen();
+/** @type {Set<string>} */
+const unseenSettings =
+    allSettingsIds.difference?.(seenSettings) ?? // New Set methods are a stage 3 proposal and do have limited availability: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/difference
+    new Set(
+        Array.from(allSettingsIds.values()).filter(id => !seenSettings.has(id))
+    );
+/** @type {Map<string, number>} */
+const unseenSettingsGroups = new Map();
+unseenSettings.forEach(id => {
+    const group = id.split('.')[0];
+    if (!unseenSettingsGroups.has(group)) unseenSettingsGroups.set(group, 0);
+    unseenSettingsGroups.set(group, unseenSettingsGroups.get(group) + 1);
+});
+// endregion
+
+// region Settings profiles
+const PROFILES_STORAGE = PREFIX('profiles');
+
+/**
+ * @typedef {Object} SettingsProfile
+ * @property {string} name
+ * @property {Record<string, unknown>} config the values of all settings, in the same format as the settings export
+ */
+
+/**
+ * @typedef {Object} SettingsProfileStore
+ * @property {string} active the id of the currently active profile
+ * @property {Record<string, SettingsProfile>} profiles
+ */
+
+/**
+ * Named settings profiles. The values of the active profile are the normal settings values,
+ * the profile store keeps a snapshot of all other profiles.
+ * Shared data such as bookmarks or NINA state is not part of a profile.
+ */
+const PROFILES = {
+    /**
+     * Returns the profile store, creating a default profile if there is none yet.
+     *
+     * @returns {SettingsProfileStore}
+     */
+    getStore: () =>
+        GM_getValue(PROFILES_STORAGE, {
+            active: 'default',
+            profiles: {
+                default: {
+                    name: $t('profiles.defaultName').toString(),
+                    config: {},
+                },
+            },
+        }),
+    /**
+     * Saves the profile store.
+     *
+     * @param {SettingsProfileStore} store
+     */
+    saveStore: store => GM_setValue(PROFILES_STORAGE, store),
+    /**
+     * Returns the current values of all settings in the settings export format.
+     *
+     * @returns {Record<string, unknown>}
+     */
+    snapshot: () =>
+        Object.fromEntries(
+            Object.values(settingsById)
+                .filter(setting => !(setting instanceof ActionSetting))
+                .map(setting => [setting.settingKey, setting.globalValue])
+        ),
+    /**
+     * Writes the values of a config to the settings. Settings missing in the config are reset to their default value.
+     *
+     * @param {Record<string, unknown>} config
+     */
+    applyConfig: config =>
+        Object.values(settingsById)
+            .filter(setting => !(setting instanceof ActionSetting))
+            .forEach(setting =>
+                GM_setValue(
+                    setting.settingKey,
+                    setting.settingKey in config ?
+                        config[setting.settingKey]
+                    :   setting.defaultValue
+                )
+            ),
+    /**
+     * Returns all profiles as a list.
+     *
+     * @returns {{id: string, name: string, active: boolean}[]}
+     */
+    list: () => {
+        const { active, profiles } = PROFILES.getStore();
+        return Object.entries(profiles).map(([id, { name }]) => ({
+            id,
+            name,
+            active: id === active,
+        }));
+    },
+    /**
+     * Creates a new profile using default values for all settings.
+     *
+     * @param {string} name
+     * @param {Record<string, unknown>} [config]
+     * @returns {string} the id of the new profile
+     */
+    create: (name, config = {}) => {
+        const store = PROFILES.getStore();
+        const id = crypto.randomUUID();
+        store.profiles[id] = { name, config };
+        PROFILES.saveStore(store);
+        return id;
+    },
+    /**
+     * Renames a profile.
+     *
+     * @param {string} id
+     * @param {string} name
+     */
+    rename: (id, name) => {
+        const store = PROFILES.getStore();
+        if (!store.profiles[id]) return;
+        store.profiles[id].name = name;
+        PROFILES.saveStore(store);
+    },
+    /**
+     * Creates a copy of a profile.
+     *
+     * @param {string} id
+     * @returns {string | undefined} the id of the copy
+     */
+    duplicate: id => {
+        const { active, profiles } = PROFILES.getStore();
+        const profile = profiles[id];
+        if (!profile) return;
+        return PROFILES.create(
+            $t('profiles.copyName', { _name: profile.name }),
+            id === active ? PROFILES.snapshot() : profile.config
+        );
+    },
+    /**
+     * Deletes a profile. The last remaining profile cannot be deleted.
+     * If the active profile is deleted, another profile is activated.
+     *
+     * @param {string} id
+     */
+    delete: id => {
+        const store = PROFILES.getStore();
+        const remaining = Object.keys(store.profiles).filter(p => p !== id);
+        if (!store.profiles[id] || !remaining.length) return;
+        if (store.active === id) PROFILES.switchTo(remaining[0]);
+        const newStore = PROFILES.getStore();
+        delete newStore.profiles[id];
+        PROFILES.saveStore(newStore);
+    },
+    /**
+     * Stores the current settings in the active profile and activates another profile.
+     * A reload is required for all features to use the new values.
+     *
+     * @param {string} id
+     */
+    switchTo: id => {
+        const store = PROFILES.getStore();
+        if (!store.profiles[id] || store.active === id) return;
+        store.profiles[store.active].config = PROFILES.snapshot();
+        PROFILES.applyConfig(store.profiles[id].config);
+        store.active = id;
+        PROFILES.saveStore(store);
+    },
+    /**
+     * Asks for a profile name in a modal.
+     *
+     * @param {string} title
+     * @param {string} [value]
+     * @returns {Promise<string>} resolves with the entered name when the modal has been saved
+     */
+    promptName: (title, value = '') =>
+        new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.classList.add('form-control');
+            input.value = value;
+            input.placeholder = $t('profiles.name').toString();
+            input.ariaLabel = input.placeholder;
+
+            require(['core/modal_factory', 'core/modal_events'], (
+                { create, types },
+                ModalEvents
+            ) =>
+                create({
+                    type: types.SAVE_CANCEL,
+                    title,
+                    body: input,
+                    removeOnClose: true,
+                }).then(modal => {
+                    modal.getRoot().on(ModalEvents.save, () => {
+                        const name = input.value.trim();
+                        if (name) resolve(name);
+                    });
+                    modal.getRoot().on(ModalEvents.shown, () => input.focus());
+                    modal.show();
+                }));
+        }),
+};
+
+// add a submenu to the user menu to switch between profiles
+ready(() => {
+    const profiles = PROFILES.list();
+    if (profiles.length < 2) return;
+
+    const usermenu = document.getElementById('usermenu-carousel');
+    const usermenuInner = usermenu?.querySelector('.carousel-inner');
+    const logoutBtn = usermenu?.querySelector(
+        '#carousel-item-main .dropdown-item[href*="logout.php"]'
+    );
+    if (!usermenuInner || !logoutBtn) return;
+
+    const profilesItem = document.createElement('div');
+    profilesItem.id = PREFIX('profiles-item');
+    profilesItem.classList.add('carousel-item', 'submenu');
+    profilesItem.setAttribute('role', 'menu');
+    profilesItem.setAttribute('aria-label', $t('profiles.title'));
+    profilesItem.tabIndex = -1;
+
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('d-flex', 'flex-column', 'h-100');
+
+    const header = document.createElement('div');
+    header.classList.add('header');
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.classList.add(
+        'btn',
+        'btn-icon',
+        'carousel-navigation-link',
+        'text-decoration-none',
+        'text-body'
+    );
+    backBtn.dataset.carouselTargetId = 'carousel-item-main';
+    backBtn.ariaLabel = $t('profiles.goBack').toString();
+    const backIcon = document.createElement('i');
+    backIcon.classList.add('icon', 'fa', 'fa-arrow-left', 'fa-fw');
+    backBtn.append(backIcon);
+    const title = document.createElement('span');
+    title.classList.add('pl-2');
+    title.textContent = $t('profiles.title').toString();
+    header.append(backBtn, title);
+
+    const divider = document.createElement('div');
+    divider.classList.add('dropdown-divider');
+
+    const items = document.createElement('div');
+    items.classList.add('items', 'h-100', 'overflow-auto');
+    items.setAttribute('role', 'menu');
+    profiles.forEach(({ id, name, active }) => {
+        const item = document.createElement('a');
+        item.classList.add('dropdown-item', 'text-truncate');
+        item.href = '#';
+        item.textContent = name;
+        if (active) {
+            item.ariaCurrent = 'true';
+            const checkIcon = document.createElement('i');
+            checkIcon.classList.add('icon', 'fa', 'fa-check', 'fa-fw');
+            item.prepend(checkIcon);
+        }
+        item.addEventListener('click', e => {
+            e.preventDefault();
+            if (active) return;
+            PROFILES.switchTo(id);
+            window.location.reload();
+        });
+        items.append(item);
+    });
+
+    wrapper.append(header, divider, items);
+    profilesItem.append(wrapper);
+    usermenuInner.append(profilesItem);
+
+    const profilesBtn = document.createElement('a');
+    profilesBtn.classList.add('dropdown-item', 'carousel-navigation-link');
+    profilesBtn.href = '#';
+    profilesBtn.dataset.carouselTargetId = profilesItem.id;
+    profilesBtn.textContent = `${$t('profiles.title')}: ${
+        profiles.find(({ active }) => active)?.name ?? ''
+    }`;
+    logoutBtn.before(profilesBtn);
+});
+// endregion
+
+// region Settings history
+const SETTINGS_HISTORY_STORAGE = PREFIX('settings-history');
+const SETTINGS_HISTORY_MAX_ENTRIES = 250;
+
+/** @typedef {'modal' | 'import' | 'sync' | 'history'} SettingsHistorySource */
+
+/**
+ * @typedef {Object} SettingsHistoryEntry
+ * @property {string} id
+ * @property {number} timestamp
+ * @property {string} setting the id of the setting
+ * @property {unknown} oldValue
+ * @property {unknown} newValue
+ * @property {SettingsHistorySource} source
+ */
+
+/**
+ * A local, bounded history of settings changes. Secret settings are not recorded, so that the history does not leak them.
+ */
+const SETTINGS_HISTORY = {
+    /**
+     * @returns {SettingsHistoryEntry[]} newest entries first
+     */
+    getAll: () => GM_getValue(SETTINGS_HISTORY_STORAGE, []),
+    /**
+     * @param {{setting: string, oldValue: unknown, newValue: unknown}[]} changes
+     * @param {SettingsHistorySource} source
+     */
+    record: (changes, source) => {
+        const timestamp = Date.now();
+        const entries = changes
+            .filter(
+                ({ setting, oldValue, newValue }) =>
+                    settingsById[setting] &&
+                    !(settingsById[setting] instanceof ActionSetting) &&
+                    !settingsById[setting].isSecret &&
+                    JSON.stringify(oldValue) !== JSON.stringify(newValue)
+            )
+            .map(({ setting, oldValue, newValue }) => ({
+                id: crypto.randomUUID(),
+                timestamp,
+                setting,
+                oldValue,
+                newValue,
+                source,
+            }));
+        if (!entries.length) return;
+        GM_setValue(
+            SETTINGS_HISTORY_STORAGE,
+            [...entries, ...SETTINGS_HISTORY.getAll()].slice(
+                0,
+                SETTINGS_HISTORY_MAX_ENTRIES
+            )
+        );
+    },
+    /**
+     * Records the settings of applied import entries, e.g. from an import file or a sync.
+     * @param {ImportEntry[]} entries
+     * @param {SettingsHistorySource} source
+     */
+    recordImport: (entries, source) =>
+        SETTINGS_HISTORY.record(
+            entries
+                .filter(({ setting }) => setting)
+                .map(({ setting, current, incoming }) => ({
+                    setting: setting.id,
+                    oldValue: current,
+                    newValue: incoming,
+                })),
+            source
+        ),
+    /**
+     * Sets settings to the given values and records this in the history.
+     * @param {Record<string, unknown>} values setting id => value
+     * @returns {string[]} the ids of the settings that have been changed
+     */
+    apply: values => {
+        const changes = Object.entries(values)
+            .filter(([id]) => settingsById[id])
+            .map(([id, value]) => ({
+                setting: id,
+                oldValue: settingsById[id].globalValue,
+                newValue: value,
+            }))
+            .filter(
+                ({ oldValue, newValue }) =>
+                    JSON.stringify(oldValue) !== JSON.stringify(newValue)
+            );
+        changes.forEach(
+            ({ setting, newValue }) => (settingsById[setting].value = newValue)
+        );
+        SETTINGS_HISTORY.record(changes, 'history');
+        return changes.map(({ setting }) => setting);
+    },
+    /**
+     * Reverts a single change.
+     * @param {string} entryId
+     * @returns {string[]} the ids of the settings that have been changed
+     */
+    undo: entryId => {
+        const entry = SETTINGS_HISTORY.getAll().find(
+            ({ id }) => id === entryId
+        );
+        if (!entry) return [];
+        return SETTINGS_HISTORY.apply({ [entry.setting]: entry.oldValue });
+    },
+    /**
+     * Restores the values all settings had at a point in time. Only changes within the history can be reverted.
+     * @param {number} timestamp
+     * @returns {string[]} the ids of the settings that have been changed
+     */
+    restore: timestamp => {
+        /** @type {Record<string, unknown>} */
+        const values = {};
+        // the history is sorted newest first, so the oldest change after the timestamp wins
+        SETTINGS_HISTORY.getAll()
+            .filter(entry => entry.timestamp > timestamp)
+            .forEach(({ setting, oldValue }) => (values[setting] = oldValue));
+        return SETTINGS_HISTORY.apply(values);
+    },
+};
+// endregion
+
+// region Settings import & export
+/** @typedef {'settings' | 'bookmarks' | 'caches' | 'internal'} ExportCategory */
+
+/** @type {(value: unknown) => value is Record<string, unknown>} */
+const isPlainObject = value =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * @typedef {Object} StorageKey
+ * @property {string | RegExp} key
+ * @property {'bookmarks' | 'profiles' | 'languagePacks' | 'messageDrafts' | 'messageQueue' | 'ninaState' | 'caches' | 'internal'} group the group, must not collide with settings groups
+ * @property {ExportCategory} category
+ * @property {(value: unknown) => boolean} validate
+ * @property {(value: unknown) => unknown} [redact] removes secrets from the value
+ */
+
+/**
+ * All keys in GM storage that are not settings but are still known to Better-Moodle.
+ * @type {StorageKey[]}
+ */
+const STORAGE_KEYS = [
+    {
+        key: BOOKMARKS_STORAGE,
+        group: 'bookmarks',
+        category: 'bookmarks',
+        validate: value => Array.isArray(value) && value.every(isBookmarkNode),
+    },
+    {
+        key: PROFILES_STORAGE,
+        group: 'profiles',
+        category: 'settings',
+        redact: ({ active, profiles }) => ({
+            active,
+            profiles: Object.fromEntries(
+                Object.entries(profiles).map(([id, { name, config }]) => [
+                    id,
+                    {
+                        name,
+                        config: Object.fromEntries(
+                            Object.entries(config).filter(
+                                ([key]) => !isSecretStorageKey(key)
+                            )
+                        ),
+                    },
+                ])
+            ),
+        }),
+        validate: value =>
+            isPlainObject(value) &&
+            isPlainObject(value.profiles) &&
+            typeof value.active === 'string' &&
+            value.active in value.profiles &&
+            Object.values(value.profiles).every(
+                profile =>
+                    isPlainObject(profile) &&
+                    typeof profile.name === 'string' &&
+                    isPlainObject(profile.config)
+            ),
+    },
+    {
+        key: COURSE_OVERRIDES_STORAGE,
+        group: 'courseOverrides',
+        category: 'settings',
+        validate: value =>
+            isPlainObject(value) &&
+            Object.values(value).every(
+                course =>
+                    isPlainObject(course) &&
+                    typeof course.name === 'string' &&
+                    isPlainObject(course.settings) &&
+                    Object.keys(course.settings).every(
+                        id => settingsById[id]?.isOverridable
+                    )
+            ),
+    },
+    {
+        key: LANGUAGE_PACKS_STORAGE,
+        group: 'languagePacks',
+        category: 'settings',
+        validate: value =>
+            isPlainObject(value) &&
+            Object.entries(value).every(
+                ([language, pack]) =>
+                    LANGUAGE_PACKS.validate(pack).pack?.language === language
+            ),
+    },
+    {
+        key: MESSAGE_DRAFTS_STORAGE,
+        group: 'messageDrafts',
+        category: 'internal',
+        validate: value =>
+            isPlainObject(value) &&
+            Object.values(value).every(
+                draft =>
+                    isPlainObject(draft) &&
+                    typeof draft.text === 'string' &&
+                    typeof draft.timestamp === 'number'
+            ),
+    },
+    {
+        key: MESSAGE_QUEUE_STORAGE,
+        group: 'messageQueue',
+        category: 'internal',
+        validate: value =>
+            Array.isArray(value) &&
+            value.every(
+                message =>
+                    isPlainObject(message) &&
+                    typeof message.id === 'string' &&
+                    isPlainObject(message.conversation) &&
+                    typeof message.text === 'string' &&
+                    typeof message.raw === 'string' &&
+                    typeof message.dueAt === 'number' &&
+                    ['scheduled', 'sending', 'failed'].includes(message.status)
+            ),
+    },
+    {
+        key: MESSAGE_QUEUE_LOCK_STORAGE,
+        group: 'messageQueue',
+        category: 'internal',
+        validate: value =>
+            isPlainObject(value) &&
+            typeof value.tab === 'string' &&
+            typeof value.expires === 'number',
+    },
+    {
+        key: PREFIX('nina.activeWarnings'),
+        group: 'ninaState',
+        category: 'internal',
+        validate: value =>
+            isPlainObject(value) &&
+            Object.values(value).every(warning => typeof warning === 'string'),
+    },
+    {
+        key: PREFIX('nina.lastUpdate'),
+        group: 'ninaState',
+        category: 'internal',
+        validate: value => typeof value === 'number',
+    },
+    {
+        key: /^better-moodle-weather-display-/,
+        group: 'caches',
+        category: 'caches',
+        validate: value => typeof value === 'string',
+    },
+    {
+        key: SEEN_SETTINGS_KEY,
+        group: 'internal',
+        category: 'internal',
+        validate: value =>
+            Array.isArray(value) && value.every(id => typeof id === 'string'),
+    },
+    {
+        key: EVER_OPENED_SETTINGS_KEY,
+        group: 'internal',
+        category: 'internal',
+        validate: value => typeof value === 'boolean',
+    },
+    {
+        key: SETTINGS_HISTORY_STORAGE,
+        group: 'internal',
+        category: 'internal',
+        validate: value =>
+            Array.isArray(value) &&
+            value.every(
+                entry =>
+                    isPlainObject(entry) &&
+                    typeof entry.id === 'string' &&
+                    typeof entry.timestamp === 'number' &&
+                    typeof entry.setting === 'string' &&
+                    typeof entry.source === 'string'
+            ),
+    },
+    {
+        key: SYNC_STATE_STORAGE,
+        group: 'internal',
+        category: 'internal',
+        validate: value =>
+            isPlainObject(value) &&
+            ['lastModified', 'syncedValues'].every(
+                key => !(key in value) || typeof value[key] === 'string'
+            ) &&
+            (!('lastSyncAt' in value) ||
+                typeof value.lastSyncAt === 'number') &&
+            (!('conflict' in value) || typeof value.conflict === 'boolean'),
+    },
+    {
+        key: MyCoursesFilterSyncChangeKey,
+        group: 'internal',
+        category: 'internal',
+        validate: value => typeof value === 'number',
+    },
+    {
+        key: /^better-moodle-.+-sidebar-open$/,
+        group: 'internal',
+        category: 'internal',
+        validate: value => typeof value === 'boolean',
+    },
+    {
+        key: /^better-moodle-semesterzeiten\.show\./,
+        group: 'internal',
+        category: 'internal',
+        validate: value => typeof value === 'boolean',
+    },
+];
+
+/**
+ * @param {string} key
+ * @returns {StorageKey | undefined}
+ */
+const getStorageKey = key =>
+    STORAGE_KEYS.find(storageKey =>
+        storageKey.key instanceof RegExp ?
+            storageKey.key.test(key)
+        :   storageKey.key === key
+    );
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isSecretStorageKey = key =>
+    key.startsWith(getSettingKey('')) &&
+    !!settingsById[key.slice(getSettingKey('').length)]?.isSecret;
+
+/**
+ * @param {string} key
+ * @returns {ExportCategory | undefined} undefined for keys unknown to Better-Moodle
+ */
+const getExportCategory = key => {
+    if (key.startsWith(getSettingKey(''))) {
+        return settingsById[key.slice(getSettingKey('').length)] ?
+                'settings'
+            :   undefined;
+    }
+    return getStorageKey(key)?.category;
+};
+
+const EXPORT_FORMAT = 'better-moodle-settings';
+const EXPORT_FORMAT_VERSION = 2;
+
+/**
+ * @typedef {Object} SettingsExport
+ * @property {typeof EXPORT_FORMAT} format
+ * @property {number} formatVersion
+ * @property {string} scriptVersion the Better-Moodle version that created the export
+ * @property {string} exportedAt
+ * @property {ExportCategory[]} categories
+ * @property {boolean} secrets whether secrets (e.g. API keys) are included
+ * @property {Record<string, unknown>} values the exported GM storage values
+ */
+
+/**
+ * Creates an export of the GM storage.
+ * @param {{categories: ExportCategory[], secrets: boolean}} options
+ * @returns {SettingsExport}
+ */
+const createSettingsExport = ({ categories, secrets }) => ({
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    scriptVersion: GM_info.script.version,
+    exportedAt: new Date().toISOString(),
+    categories,
+    secrets,
+    values: Object.fromEntries(
+        GM_listValues()
+            .toSorted()
+            .filter(key => categories.includes(getExportCategory(key)))
+            .filter(key => secrets || !isSecretStorageKey(key))
+            .map(key => {
+                const value = GM_getValue(key);
+                const redact = getStorageKey(key)?.redact;
+                return [key, !secrets && redact ? redact(value) : value];
+            })
+    ),
+});
+
+/**
+ * Migrations for older export formats, indexed by the format version they migrate from.
+ * @type {Record<number, (data: Record<string, unknown>) => Record<string, unknown>>}
+ */
+const EXPORT_FORMAT_MIGRATIONS = {
+    // version 1 was a plain object of all GM storage values
+    1: values => ({
+        format: EXPORT_FORMAT,
+        formatVersion: 2,
+        scriptVersion: '0.0.0',
+        exportedAt: new Date(0).toISOString(),
+        categories: ['settings', 'bookmarks', 'caches', 'internal'],
+        secrets: true,
+        values,
+    }),
+};
+
+/**
+ * Brings an export of any format version to the current format.
+ * @param {unknown} data
+ * @returns {SettingsExport}
+ */
+const migrateSettingsExport = data => {
+    if (!isPlainObject(data)) throw new TypeError('Invalid import format');
+    let migrated = data;
+    let version =
+        migrated.format === EXPORT_FORMAT ? migrated.formatVersion : 1;
+    while (version < EXPORT_FORMAT_VERSION) {
+        migrated = EXPORT_FORMAT_MIGRATIONS[version](migrated);
+        version = migrated.formatVersion;
+    }
+    if (version !== EXPORT_FORMAT_VERSION || !isPlainObject(migrated.values)) {
+        throw new TypeError('Unsupported import format version');
+    }
+    return migrated;
+};
+
+/**
+ * @typedef {Object} ImportEntry
+ * @property {string} key
+ * @property {string} group the settings group or the group of the storage key
+ * @property {Setting} [setting]
+ * @property {unknown} current
+ * @property {unknown} incoming
+ */
+
+/**
+ * @typedef {Object} ImportAnalysis
+ * @property {ImportEntry[]} entries valid entries whose value differs from the current one
+ * @property {ImportEntry[]} unchanged valid entries that equal the current value
+ * @property {{key: string, value: unknown}[]} invalid entries whose value doesn't pass validation
+ * @property {string[]} unknown keys that are neither settings nor known storage keys
+ */
+
+/**
+ * Checks every key of an imported file before anything is written.
+ * @param {unknown} data the parsed import file
+ * @returns {Promise<ImportAnalysis>}
+ */
+const analyzeImport = async data => {
+    const { scriptVersion, values: config } = migrateSettingsExport(data);
+    runSettingsMigrations(
+        createObjectMigrationStore(config),
+        typeof scriptVersion === 'string' ? scriptVersion : '0.0.0'
+    );
+
+    /** @type {ImportAnalysis} */
+    const analysis = { entries: [], unchanged: [], invalid: [], unknown: [] };
+    const settingKeyPrefix = getSettingKey('');
+
+    for (const [key, incoming] of Object.entries(config)) {
+        /** @type {ImportEntry} */
+        let entry;
+        let valid;
+
+        if (key.startsWith(settingKeyPrefix)) {
+            const setting = settingsById[key.slice(settingKeyPrefix.length)];
+            if (!setting || setting instanceof ActionSetting) {
+                analysis.unknown.push(key);
+                continue;
+            }
+            valid = await setting.checkValue(incoming);
+            entry = {
+                key,
+                group: setting.id.split('.')[0],
+                setting,
+                current: setting.globalValue,
+                incoming,
+            };
+        } else {
+            const storageKey = getStorageKey(key);
+            if (!storageKey) {
+                analysis.unknown.push(key);
+                continue;
+            }
+            valid = storageKey.validate(incoming);
+            entry = {
+                key,
+                group: storageKey.group,
+                current: GM_getValue(key),
+                incoming,
+            };
+        }
+
+        if (!valid) {
+            analysis.invalid.push({ key, value: incoming });
+        } else if (
+            JSON.stringify(entry.current) === JSON.stringify(entry.incoming)
+        ) {
+            analysis.unchanged.push(entry);
+        } else {
+            analysis.entries.push(entry);
+        }
+    }
+
+    return analysis;
+};
+// endregion
+
+// region Settings migrations
+const MIGRATIONS_VERSION_KEY = PREFIX('migrations.version');
+
+/**
+ * Compares two semver-like version strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} negative if a < b, positive if a > b, 0 if equal
+ */
+const compareVersions = (a, b) => {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+        if (diff) return diff;
+    }
+    return 0;
+};
+
+/**
+ * A key-value store that migrations operate on.
+ * This allows running the same migrations on the GM storage, on settings profiles and on imported files.
+ * @typedef {Object} MigrationStore
+ * @property {(key: string) => boolean} has
+ * @property {(key: string) => unknown} get
+ * @property {(key: string, value: unknown) => void} set
+ * @property {(key: string) => void} delete
+ * @property {() => string[]} keys
+ */
+
+/**
+ * @typedef {Object} SettingsMigration
+ * @property {string} version the first Better-Moodle version that requires this migration
+ * @property {string} description
+ * @property {(store: MigrationStore) => string[]} migrate must be idempotent, returns a log of changes
+ */
+
+/**
+ * Helpers for writing migration steps.
+ * Each helper returns a list of human-readable changes so that they can be logged.
+ */
+const MIGRATION_HELPERS = {
+    /**
+     * Moves a value from one storage key to another. An existing value at the new key is kept.
+     * @param {MigrationStore} store
+     * @param {string} oldKey
+     * @param {string} newKey
+     * @param {(value: unknown) => unknown} [transform]
+     * @returns {string[]}
+     */
+    moveValue: (store, oldKey, newKey, transform = value => value) => {
+        if (!store.has(oldKey)) return [];
+        const changes = [];
+        if (!store.has(newKey)) {
+            store.set(newKey, transform(store.get(oldKey)));
+            changes.push(`moved ${oldKey} to ${newKey}`);
+        }
+        store.delete(oldKey);
+        changes.push(`removed ${oldKey}`);
+        return changes;
+    },
+    /**
+     * Renames a setting id.
+     * @param {MigrationStore} store
+     * @param {string} oldId
+     * @param {string} newId
+     * @returns {string[]}
+     */
+    renameSetting: (store, oldId, newId) =>
+        MIGRATION_HELPERS.moveValue(
+            store,
+            getSettingKey(oldId),
+            getSettingKey(newId)
+        ),
+    /**
+     * Replaces values of a setting, e.g. if the option keys of a SelectSetting have changed.
+     * @param {MigrationStore} store
+     * @param {string} id
+     * @param {Record<string, unknown>} map old value => new value
+     * @returns {string[]}
+     */
+    mapSettingValues: (store, id, map) => {
+        const key = getSettingKey(id);
+        if (!store.has(key)) return [];
+        const value = store.get(key);
+        if (!Object.hasOwn(map, String(value))) return [];
+        const newValue = map[String(value)];
+        store.set(key, newValue);
+        return [
+            `changed ${key} from ${JSON.stringify(value)} to ${JSON.stringify(newValue)}`,
+        ];
+    },
+};
+
+/**
+ * All migration steps, ordered by version.
+ * Add new steps at the end, e.g.:
+ * {
+ *     version: '1.43.0',
+ *     description: 'rename general.foo to general.bar',
+ *     migrate: store => MIGRATION_HELPERS.renameSetting(store, 'general.foo', 'general.bar'),
+ * }
+ * @type {SettingsMigration[]}
+ */
+const SETTINGS_MIGRATIONS = [
+    {
+        version: '1.42.5',
+        description: 'store number settings as numbers instead of strings',
+        migrate: store =>
+            Object.values(settingsById)
+                .filter(setting => setting instanceof NumberSetting)
+                .flatMap(({ id, settingKey }) => {
+                    const value = store.get(settingKey);
+                    if (
+                        typeof value !== 'string' ||
+                        !Number.isFinite(Number(value))
+                    ) {
+                        return [];
+                    }
+                    return MIGRATION_HELPERS.mapSettingValues(store, id, {
+                        [value]: Number(value),
+                    });
+                }),
+    },
+    {
+        version: '1.42.5',
+        description: 'messages.sendHotkey is a HotkeySetting now',
+        migrate: store =>
+            MIGRATION_HELPERS.mapSettingValues(store, 'messages.sendHotkey', {
+                shiftEnter: 'Shift+Enter',
+                ctrlEnter: 'Ctrl+Enter',
+            }),
+    },
+    {
+        version: '1.42.5',
+        description: 'bookmarks are a tree of folders and bookmarks now',
+        migrate: store => {
+            const bookmarks = store.get(BOOKMARKS_STORAGE);
+            if (
+                !Array.isArray(bookmarks) ||
+                bookmarks.every(bookmark => bookmark?.type)
+            ) {
+                return [];
+            }
+            store.set(
+                BOOKMARKS_STORAGE,
+                bookmarks.map(bookmark =>
+                    bookmark?.type ? bookmark : (
+                        {
+                            type: 'bookmark',
+                            title: bookmark.title,
+                            url: bookmark.url,
+                            tags: [],
+                        }
+                    )
+                )
+            );
+            return [
+                `converted ${BOOKMARKS_STORAGE} into a tree of ${bookmarks.length} bookmarks`,
+            ];
+        },
+    },
+];
+
+/** @type {MigrationStore} */
+const gmMigrationStore = {
+    has: key => GM_listValues().includes(key),
+    get: key => GM_getValue(key),
+    set: (key, value) => GM_setValue(key, value),
+    delete: key => GM_deleteValue(key),
+    keys: () => GM_listValues(),
+};
+
+/**
+ * Creates a migration store for a plain object, e.g. a profile config or the values of an import.
+ * @param {Record<string, unknown>} object
+ * @returns {MigrationStore}
+ */
+const createObjectMigrationStore = object => ({
+    has: key => Object.hasOwn(object, key),
+    get: key => object[key],
+    set: (key, value) => (object[key] = value),
+    delete: key => delete object[key],
+    keys: () => Object.keys(object),
+});
+
+/**
+ * Runs all migrations that are required for data written by fromVersion on a store.
+ * Profile configs inside the store are migrated as well.
+ * Migrations of versions newer than the running script are skipped, so that an update from the current version never runs a migration again.
+ * @param {MigrationStore} store
+ * @param {string} fromVersion
+ * @returns {string[]} a log of all changes
+ */
+const runSettingsMigrations = (store, fromVersion) => {
+    const steps = SETTINGS_MIGRATIONS.filter(
+        ({ version }) =>
+            compareVersions(version, fromVersion) > 0 &&
+            compareVersions(version, GM_info.script.version) <= 0
+    );
+    if (!steps.length) return [];
+
+    const log = [];
+    steps.forEach(({ version, description, migrate }) =>
+        migrate(store).forEach(change =>
+            log.push(`[${version}: ${description}] ${change}`)
+        )
+    );
+
+    /** @type {SettingsProfileStore | undefined} */
+    const profileStore = store.get(PROFILES_STORAGE);
+    if (isPlainObject(profileStore?.profiles)) {
+        Object.entries(profileStore.profiles)
+            .filter(([, profile]) => isPlainObject(profile?.config))
+            .forEach(([id, profile]) =>
+                steps.forEach(({ version, description, migrate }) =>
+                    migrate(createObjectMigrationStore(profile.config)).forEach(
+                        change =>
+                            log.push(
+                                `[${version}: ${description}] profile ${id}: ${change}`
+                            )
+                    )
+                )
+            );
+        store.set(PROFILES_STORAGE, profileStore);
+    }
+
+    return log;
+};
+
+/**
+ * Removes all settings keys that do not belong to an existing setting anymore,
+ * both from the store and from the configs of all settings profiles.
+ * @param {MigrationStore} store
+ * @returns {string[]} a log of all changes
+ */
+const removeOrphanedSettings = store => {
+    const settingKeyPrefix = getSettingKey('');
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    const isOrphaned = key =>
+        key.startsWith(settingKeyPrefix) &&
+        !allSettingsIds.has(key.slice(settingKeyPrefix.length));
+
+    const log = [];
+    store
+        .keys()
+        .filter(isOrphaned)
+        .forEach(key => {
+            store.delete(key);
+            log.push(`removed orphaned ${key}`);
+        });
+
+    /** @type {SettingsProfileStore | undefined} */
+    const profileStore = store.get(PROFILES_STORAGE);
+    if (isPlainObject(profileStore?.profiles)) {
+        let changed = false;
+        Object.entries(profileStore.profiles)
+            .filter(([, profile]) => isPlainObject(profile?.config))
+            .forEach(([id, { config }]) =>
+                Object.keys(config)
+                    .filter(isOrphaned)
+                    .forEach(key => {
+                        delete config[key];
+                        changed = true;
+                        log.push(`profile ${id}: removed orphaned ${key}`);
+                    })
+            );
+        if (changed) store.set(PROFILES_STORAGE, profileStore);
+    }
+
+    return log;
+};
+
+// run migrations once after an update
+{
+    const currentVersion = GM_info.script.version;
+    // installations from before the migration framework have no version stored, so all migrations are run
+    const lastVersion = GM_getValue(MIGRATIONS_VERSION_KEY, '0.0.0');
+    if (IS_NEW_INSTALLATION) {
+        GM_setValue(MIGRATIONS_VERSION_KEY, currentVersion);
+    } else if (lastVersion !== currentVersion) {
+        const log = [
+            ...runSettingsMigrations(gmMigrationStore, lastVersion),
+            ...removeOrphanedSettings(gmMigrationStore),
+        ];
+        GM_setValue(MIGRATIONS_VERSION_KEY, currentVersion);
+        if (log.length) {
+            console.info(
+                `Better-Moodle: migrated settings from ${lastVersion} to ${currentVersion}:\n${log.join('\n')}`
+            );
+        }
+    }
+}
+// endregion
+
+// region Feature modules
+/**
+ * Rule that decides whether a module applies to the current page. Can be one of
+ * - a Moodle page type (the id of the body without the `page-` prefix, e.g. `my-index`). Subtypes match as well, so `course-view` matches `course-view-topics`.
+ * - a RegExp that is tested against the pathname of the current URL
+ * - a function for anything else
+ * @typedef {string | RegExp | (() => boolean)} PageRule
+ */
+
+/**
+ * @typedef {Object} FeatureModule
+ * @property {string} id
+ * @property {string[]} settings ids of all settings the module reads. A live module is restarted whenever one of them changes.
+ * @property {PageRule[]} [pages] the module applies to pages matching any of these rules. Applies to all pages if empty.
+ * @property {(keyof typeof FEATURE_HELPERS)[]} [requires] helpers the module depends on. Only these are passed to enable and disable.
+ * @property {() => boolean} [isEnabled] defaults to the value of the first setting
+ * @property {(helpers: FeatureHelpers) => void} enable initialises the module
+ * @property {(helpers: FeatureHelpers) => void} [disable] needs to undo everything that enable did. Modules without disable require a page reload when their settings change.
+ */
+
+/** @typedef {Partial<typeof FEATURE_HELPERS>} FeatureHelpers */
+
+/**
+ * @typedef {Object} FeatureModuleState
+ * @property {FeatureModule} module
+ * @property {boolean} active whether the module applies to the current page
+ * @property {boolean} enabled
+ */
+
+/** helpers that modules may depend on */
+const FEATURE_HELPERS = {
+    addMarqueeItems,
+    removeMarqueeItems,
+    animationInterval,
+    createSidebar,
+    createAppendableListForm,
+};
+
+const MOODLE_PAGE_TYPE = document.body.id.replace(/^page-/, '');
+
+/** @type {Map<string, FeatureModuleState>} */
+const FEATURE_MODULES = new Map();
+
+/**
+ * @param {PageRule} rule
+ * @returns {boolean}
+ */
+const matchesPageRule = rule => {
+    if (typeof rule === 'function') return rule();
+    if (rule instanceof RegExp) return rule.test(window.location.pathname);
+    return MOODLE_PAGE_TYPE === rule || MOODLE_PAGE_TYPE.startsWith(`${rule}-`);
+};
+
+/**
+ * Registers a feature module. The module is only initialised if it applies to the current page and isEnabled returns true.
+ * Modules with a disable function are live: whenever one of their settings changes, in this tab or in any other tab, they are restarted.
+ *
+ * @param {FeatureModule} module
+ */
+const registerFeature = module => {
+    const {
+        id,
+        settings,
+        pages = [],
+        requires = [],
+        isEnabled = () => Boolean(getSetting(settings[0])),
+        enable,
+        disable,
+    } = module;
+
+    if (FEATURE_MODULES.has(id)) {
+        throw new Error(`Feature module ${id} is already registered`);
+    }
+    const unknownHelper = requires.find(name => !(name in FEATURE_HELPERS));
+    if (unknownHelper) {
+        throw new Error(
+            `Feature module ${id} requires unknown helper ${unknownHelper}`
+        );
+    }
+
+    /** @type {FeatureModuleState} */
+    const state = {
+        module,
+        active: !pages.length || pages.some(matchesPageRule),
+        enabled: false,
+    };
+    FEATURE_MODULES.set(id, state);
+
+    if (!state.active) return;
+
+    /** @type {FeatureHelpers} */
+    const helpers = Object.fromEntries(
+        requires.map(name => [name, FEATURE_HELPERS[name]])
+    );
+    const restart = () => {
+        if (state.enabled) disable(helpers);
+        state.enabled = isEnabled();
+        if (state.enabled) enable(helpers);
+    };
+
+    restart();
+
+    if (!disable) return;
+
+    // saving the settings modal changes multiple settings at once, so the restart is debounced
+    const scheduleRestart = debounce(restart, 0);
+    settings.forEach(settingId =>
+        GM_addValueChangeListener(getSettingKey(settingId), scheduleRestart)
+    );
+    // overrides of the current course may shadow the settings of this module
+    if (
+        CURRENT_COURSE_ID &&
+        settings.some(settingId => settingsById[settingId].isOverridable)
+    ) {
+        GM_addValueChangeListener(COURSE_OVERRIDES_STORAGE, scheduleRestart);
+    }
+};
+
+/**
+ * Checks whether a change of this setting can only be applied by reloading the page.
+ * This is the case if the setting is used by a module on this page that is not live or if it isn't used by any module at all.
+ *
+ * @param {string} id
+ * @returns {boolean}
+ */
+const settingRequiresReload = id => {
+    const modules = Array.from(FEATURE_MODULES.values()).filter(({ module }) =>
+        module.settings.includes(id)
+    );
+    return (
+        !modules.length ||
+        modules.some(({ module, active }) => active && !module.disable)
+    );
+};
+// endregion
+
+// region Feature: general.fullwidth
+// use full width if enabled
+/** @type {HTMLStyleElement} */
+let fullwidthStyle;
+registerFeature({
+    id: 'general.fullwidth',
+    settings: ['general.fullwidth'],
+    isEnabled: () => true,
+    enable: () => {
+        fullwidthStyle =
+            getSetting('general.fullwidth') ?
+                GM_addStyle(css`
+                    /* Use full width */
+                    #topofscroll,
+                    .header-maxwidth {
+                        max-width: unset !important;
+                    }
+                `)
+            :   GM_addStyle(css`
+                    /* Don't use full width (Kiel overwrites the default Moodle CSS) */
+                    @media (min-width: 768px) {
+                        #topofscroll,
+                        .header-maxwidth {
+                            max-width: 830px !important;
+                        }
+                    }
+                `);
+    },
+    disable: () => fullwidthStyle?.remove(),
+});
+// For both options: Fix Uni Kiel Login on mobile:
+if (window.location.pathname.startsWith('/login/')) {
+    ready(() => {
+        document.querySelectorAll('p').forEach(p => {
+            if (p.innerText.match(/_{5,}/u)) {
+                const div = document.createElement('div');
+                div.classList.add('login-divider');
+                p.replaceWith(div);
+            }
+        });
+    });
+}
+
+// endregion
+
+// region Feature: general.externalLinks
+// add target="_blank" to all external links
+/** @param {MouseEvent} e */
+const openExternalLinksInNewTab = e => {
+    const target = e.target;
+    if (!(target instanceof HTMLAnchorElement) || target.target) return;
+    const { origin, protocol } = new URL(target.href, window.location);
+    if (protocol === 'javascript:') return;
+    if (origin && origin !== window.location.origin) {
+        target.target = '_blank';
+    }
+};
+registerFeature({
+    id: 'general.externalLinks',
+    settings: ['general.externalLinks'],
+    enable: () => document.addEventListener('click', openExternalLinksInNewTab),
+    disable: () =>
+        document.removeEventListener('click', openExternalLinksInNewTab),
+});
+// endregion
+
+// region Feature: general.truncatedTexts
+// add a title attribute to texts that are too long
+// that is especially useful for the course content sidebar
+/** @param {MouseEvent} e */
+const addTitleToTruncatedText = e => {
+    const target = e.target;
+    if (!(target instanceof HTMLElement) && !(target instanceof SVGElement)) {
+        return;
+    }
+    if (target.title || !target.classList.contains('text-truncate')) return;
+    target.title = target.textContent.trim();
+};
+registerFeature({
+    id: 'general.truncatedTexts',
+    settings: ['general.truncatedTexts'],
+    enable: () =>
+        document.addEventListener('mouseover', addTitleToTruncatedText),
+    disable: () =>
+        document.removeEventListener('mouseover', addTitleToTruncatedText),
+});
+// endregion
+
+// region Feature: general.bookmarkManager
+/**
+ * @typedef {Object} Bookmark
+ * @property {'bookmark'} type
+ * @property {string} title
+ * @property {string} url the URL without `https://`
+ * @property {string[]} tags
+ */
+
+/**
+ * @typedef {Object} BookmarkFolder
+ * @property {'folder'} type
+ * @property {string} title
+ * @property {BookmarkNode[]} children
+ */
+
+/** @typedef {Bookmark | BookmarkFolder} BookmarkNode */
+
+/** @type {(value: unknown) => value is BookmarkNode} */
+const isBookmarkNode = value =>
+    isPlainObject(value) &&
+    typeof value.title === 'string' &&
+    ((value.type === 'bookmark' &&
+        typeof value.url === 'string' &&
+        Array.isArray(value.tags) &&
+        value.tags.every(tag => typeof tag === 'string')) ||
+        (value.type === 'folder' &&
+            Array.isArray(value.children) &&
+            value.children.every(isBookmarkNode)));
+
+/**
+ * @param {string} tags comma separated tags
+ * @returns {string[]}
+ */
+const parseBookmarkTags = tags =>
+    Array.from(
+        new Set(
+            tags
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(Boolean)
+        )
+    );
+
+/**
+ * all bookmarks of a tree, depth first
+ * @param {BookmarkNode[]} nodes
+ * @param {string[]} [path] the titles of the parent folders
+ * @returns {{bookmark: Bookmark, path: string[]}[]}
+ */
+const flattenBookmarks = (nodes, path = []) =>
+    nodes.flatMap(node =>
+        node.type === 'folder' ?
+            flattenBookmarks(node.children, [...path, node.title])
+        :   [{ bookmark: node, path }]
+    );
+
+/**
+ * all folders of a tree, depth first
+ * @param {BookmarkNode[]} nodes
+ * @param {number[]} [path] the indices of the parent folders
+ * @param {string[]} [titles] the titles of the parent folders
+ * @returns {{path: number[], title: string}[]}
+ */
+const getBookmarkFolders = (nodes, path = [], titles = []) =>
+    nodes.flatMap((node, index) =>
+        node.type === 'folder' ?
+            [
+                {
+                    path: [...path, index],
+                    title: [...titles, node.title].join(' / '),
+                },
+                ...getBookmarkFolders(
+                    node.children,
+                    [...path, index],
+                    [...titles, node.title]
+                ),
+            ]
+        :   []
+    );
+
+ready(() => {
+    const bookmarkBtnWrapper = document.createElement('div');
+    bookmarkBtnWrapper.id = PREFIX('bookmarks-dropdown');
+    bookmarkBtnWrapper.classList.add('dropdown');
+    const bookmarksBtn = document.createElement('a');
+    bookmarksBtn.classList.add(
+        'nav-link',
+        'position-relative',
+        'icon-no-margin'
+    );
+    bookmarksBtn.href = '#';
+    bookmarksBtn.role = 'button';
+    bookmarksBtn.dataset.toggle = 'dropdown';
+    const bookmarksIcon = document.createElement('i');
+    bookmarksIcon.classList.add('icon', 'fa', 'fa-bookmark-o', 'fa-fw');
+    bookmarksIcon.title = bookmarksBtn.ariaLabel =
+        $t('bookmarks.title').toString();
+    bookmarksIcon.role = 'img';
+    bookmarksBtn.append(bookmarksIcon);
+
+    const dropdownClass = PREFIX('bookmarks-dropdown');
+    const folderClass = PREFIX('bookmarks-folder');
+    const tagClass = PREFIX('bookmarks-tag');
+    GM_addStyle(css`
+        @media (max-width: 767.98px) {
+            .${dropdownClass} {
+                max-width: 100vw;
+                overflow-x: auto;
+                position: fixed !important;
+                top: var(--navbar-height);
+                right: 0;
+            }
+        }
+
+        .${folderClass} {
+            position: relative;
+        }
+        /* the dropdown is aligned to the right, so submenus open to the left */
+        .${folderClass} > .dropdown-menu {
+            top: 0;
+            right: 100%;
+            left: auto;
+            margin-top: -0.5rem;
+        }
+        /* the dropdown scrolls horizontally on small screens, so submenus are shown inline */
+        @media (max-width: 767.98px) {
+            .${folderClass} > .dropdown-menu {
+                position: static;
+                float: none;
+                margin: 0;
+                padding: 0 0 0 1rem;
+                border: 0;
+                box-shadow: none;
+            }
+        }
+
+        .${tagClass} {
+            font-size: 0.7rem;
+        }
+    `);
+    const dropdown = document.createElement('div');
+    dropdown.classList.add(
+        'dropdown-menu',
+        'dropdown-menu-right',
+        dropdownClass
+    );
+
+    const tagFilter = document.createElement('div');
+    tagFilter.classList.add('px-3', 'pb-1', 'd-flex', 'flex-wrap');
+
+    const bookmarksWrapper = document.createElement('div');
+    bookmarksWrapper.id = PREFIX('bookmarks-dropdown-bookmarks');
+
+    /** @type {string | undefined} */
+    let activeTag;
+
+    /** @param {string} url */
+    const isCurrentPage = url => {
+        try {
+            const bookmarkWithoutHash = new URL(url);
+            bookmarkWithoutHash.hash = '';
+            const currentPage = new URL(window.location.href);
+            currentPage.hash = '';
+
+            return currentPage.href.includes(bookmarkWithoutHash.href);
+        } catch {
+            // ignore invalid URLs
+            return false;
+        }
+    };
+
+    /**
+     * @param {Bookmark} bookmark
+     * @param {string[]} [path] the folders of the bookmark, shown when filtering by tag
+     * @returns {HTMLAnchorElement}
+     */
+    const createBookmarkLink = ({ title, url, tags }, path = []) => {
+        const httpsUrl = url.startsWith('https://') ? url : `https://${url}`;
+        const bookmark = document.createElement('a');
+        bookmark.classList.add('dropdown-item', 'text-truncate');
+        bookmark.href = httpsUrl;
+        bookmark.textContent = title;
+        bookmark.title = [...path, title].join(' / ');
+        tags.forEach(tag => {
+            const badge = document.createElement('span');
+            badge.classList.add('badge', 'badge-secondary', 'ml-1', tagClass);
+            badge.textContent = tag;
+            bookmark.append(badge);
+        });
+        return bookmark;
+    };
+
+    /**
+     * @param {BookmarkNode[]} nodes
+     * @param {HTMLElement} container
+     */
+    const appendBookmarkNodes = (nodes, container) =>
+        nodes.forEach(node => {
+            if (node.type === 'bookmark') {
+                container.append(createBookmarkLink(node));
+                return;
+            }
+
+            const folder = document.createElement('div');
+            folder.classList.add(folderClass);
+            const folderBtn = document.createElement('a');
+            folderBtn.classList.add(
+                'dropdown-item',
+                'd-flex',
+                'align-items-center'
+            );
+            folderBtn.href = '#';
+            folderBtn.role = 'button';
+            folderBtn.ariaHasPopup = 'true';
+            folderBtn.ariaExpanded = 'false';
+            const folderIcon = document.createElement('i');
+            folderIcon.classList.add('icon', 'fa', 'fa-folder-o', 'fa-fw');
+            const folderTitle = document.createElement('span');
+            folderTitle.classList.add('text-truncate', 'mr-auto');
+            folderTitle.textContent = folderBtn.title = node.title;
+            const caretIcon = document.createElement('i');
+            caretIcon.classList.add('icon', 'fa', 'fa-caret-left', 'ml-2');
+            folderBtn.append(folderIcon, folderTitle, caretIcon);
+
+            const submenu = document.createElement('div');
+            submenu.classList.add('dropdown-menu');
+            appendBookmarkNodes(node.children, submenu);
+            if (!node.children.length) {
+                const emptyInfo = document.createElement('span');
+                emptyInfo.classList.add('dropdown-item-text', 'text-muted');
+                emptyInfo.textContent = $t('bookmarks.emptyFolder').toString();
+                submenu.append(emptyInfo);
+            }
+
+            folderBtn.addEventListener('click', e => {
+                e.preventDefault();
+                // bootstrap would close the whole dropdown otherwise
+                e.stopPropagation();
+                const open = !submenu.classList.contains('show');
+                // only one folder per level is open at a time
+                container
+                    .querySelectorAll(`:scope > .${folderClass}`)
+                    .forEach(sibling => {
+                        sibling
+                            .querySelector(':scope > .dropdown-menu')
+                            .classList.remove('show');
+                        sibling.firstElementChild.ariaExpanded = 'false';
+                    });
+                submenu.classList.toggle('show', open);
+                folderBtn.ariaExpanded = String(open);
+            });
+
+            folder.append(folderBtn, submenu);
+            container.append(folder);
+        });
+
+    /** @param {BookmarkNode[]} bookmarks */
+    const setBookmarksList = bookmarks => {
+        bookmarksWrapper.innerHTML = '';
+        bookmarksIcon.classList.remove('fa-bookmark', 'fa-bookmark-o');
+
+        const flatBookmarks = flattenBookmarks(bookmarks);
+        const tags = Array.from(
+            new Set(flatBookmarks.flatMap(({ bookmark }) => bookmark.tags))
+        ).toSorted((a, b) => a.localeCompare(b));
+        if (activeTag && !tags.includes(activeTag)) activeTag = undefined;
+
+        tagFilter.replaceChildren();
+        tagFilter.classList.toggle('d-none', !tags.length);
+        tags.forEach(tag => {
+            const tagBtn = document.createElement('button');
+            tagBtn.type = 'button';
+            tagBtn.classList.add(
+                'btn',
+                'btn-sm',
+                'py-0',
+                'mr-1',
+                'mb-1',
+                tag === activeTag ? 'btn-secondary' : 'btn-outline-secondary'
+            );
+            tagBtn.textContent = tag;
+            tagBtn.title = $t('bookmarks.filterTag', { tag }).toString();
+            tagBtn.ariaPressed = String(tag === activeTag);
+            tagBtn.addEventListener('click', e => {
+                e.stopPropagation();
+                activeTag = tag === activeTag ? undefined : tag;
+                setBookmarksList(GM_getValue(BOOKMARKS_STORAGE, []));
+            });
+            tagFilter.append(tagBtn);
+        });
+
+        if (activeTag) {
+            flatBookmarks
+                .filter(({ bookmark }) => bookmark.tags.includes(activeTag))
+                .forEach(({ bookmark, path }) =>
+                    bookmarksWrapper.append(createBookmarkLink(bookmark, path))
+                );
+        } else {
+            appendBookmarkNodes(bookmarks, bookmarksWrapper);
+        }
+        // the current page might be in a folder, so it is checked for all bookmarks
+        if (
+            flatBookmarks.some(({ bookmark }) =>
+                isCurrentPage(
+                    bookmark.url.startsWith('https://') ?
+                        bookmark.url
+                    :   `https://${bookmark.url}`
+                )
+            )
+        ) {
+            bookmarksIcon.classList.add('fa-bookmark');
+        } else {
+            bookmarksIcon.classList.add('fa-bookmark-o');
+        }
+    };
+
+    setBookmarksList(GM_getValue(BOOKMARKS_STORAGE, []));
+
+    GM_addValueChangeListener(BOOKMARKS_STORAGE, (_, __, bookmarks) =>
+        setBookmarksList(bookmarks)
+    );
+
+    // submenus are closed whenever the dropdown is opened again
+    bookmarksBtn.addEventListener('click', () =>
+        bookmarksWrapper
+            .querySelectorAll('.dropdown-menu.show')
+            .forEach(menu => {
+                menu.classList.remove('show');
+                menu.previousElementSibling.ariaExpanded = 'false';
+            })
+    );
+
+    const divider = document.createElement('div');
+    divider.classList.add('dropdown-divider');
+
+    const addBookmarkBtn = document.createElement('a');
+    addBookmarkBtn.classList.add('dropdown-item');
+    addBookmarkBtn.href = '#';
+    addBookmarkBtn.textContent = $t('bookmarks.add').toString();
+    addBookmarkBtn.addEventListener('click', e => {
+        e.preventDefault();
+
+        const form = document.createElement('form');
+        form.classList.add('mform');
+        const container = document.createElement('div');
+        container.classList.add('fcontainer');
+
+        const addFormItem = (title, addon = '', required = true) => {
+            const group = document.createElement('div');
+            group.classList.add('form-group', 'row', 'fitem');
+            const labelWrapper = document.createElement('div');
+            labelWrapper.classList.add(
+                'col-md-3',
+                'col-form-label',
+                'd-flex',
+                'pb-0',
+                'pt-0'
+            );
+            const label = document.createElement('label');
+            label.classList.add('d-inline', 'word-break');
+            label.textContent = title;
+            labelWrapper.append(label);
+
+            const inputWrapper = document.createElement('div');
+            inputWrapper.classList.add(
+                'col-md-9',
+                'form-inline',
+                'align-items-start',
+                'felement'
+            );
+            const input = document.createElement('input');
+            input.classList.add('form-control', 'flex-grow-1');
+            input.type = 'text';
+            input.required = required;
+            input.placeholder = title;
+            input.id = PREFIX(`bookmark-new-${crypto.randomUUID()}`);
+            label.setAttribute('for', input.id);
+
+            if (addon) {
+                inputWrapper.classList.add('input-group');
+
+                const addonDiv = document.createElement('div');
+                addonDiv.classList.add('input-group-prepend');
+                const addonText = document.createElement('span');
+                addonText.classList.add('input-group-text');
+                addonText.textContent = addon;
+                addonDiv.append(addonText);
+                inputWrapper.append(addonDiv, input);
+            } else {
+                inputWrapper.append(input);
+            }
+
+            group.append(labelWrapper, inputWrapper);
+
+            container.append(group);
+            form.append(container);
+
+            return input;
+        };
+
+        const titleInput = addFormItem($t('bookmarks.name'));
+        titleInput.value = document.title.replace(/\|.*?$/, '').trim();
+        const urlInput = addFormItem($t('bookmarks.url'), 'https://');
+        urlInput.type = 'url';
+        urlInput.value = window.location.href.replace(/^https:\/\//, '');
+        const tagsInput = addFormItem($t('bookmarks.tags'), '', false);
+        tagsInput.placeholder = $t('bookmarks.tagsPlaceholder').toString();
+
+        // the folder select replaces an input, so it gets the same label and layout
+        const folderInput = addFormItem($t('bookmarks.folder'));
+        const folderSelect = document.createElement('select');
+        folderSelect.classList.add('custom-select', 'flex-grow-1');
+        folderSelect.id = folderInput.id;
+        const rootOption = document.createElement('option');
+        rootOption.value = '[]';
+        rootOption.textContent = $t('bookmarks.rootFolder').toString();
+        folderSelect.append(rootOption);
+        getBookmarkFolders(GM_getValue(BOOKMARKS_STORAGE, [])).forEach(
+            ({ path, title }) => {
+                const option = document.createElement('option');
+                option.value = JSON.stringify(path);
+                option.textContent = title;
+                folderSelect.append(option);
+            }
+        );
+        folderInput.replaceWith(folderSelect);
+
+        require(['core/modal_factory', 'core/modal_events'], (
+            { create, types },
+            ModalEvents
+        ) =>
+            create({
+                type: types.SAVE_CANCEL,
+                large: true,
+                scrollable: true,
+                title: $t('bookmarks.add').toString(),
+                body: form,
+                removeOnClose: true,
+            }).then(modal => {
+                modal.show();
+
+                modal.getRoot().on(ModalEvents.save, () => {
+                    const bookmarks = GM_getValue(BOOKMARKS_STORAGE, []);
+                    // the folder might have been removed in another tab in the meantime
+                    const folder =
+                        JSON.parse(folderSelect.value).reduce(
+                            (nodes, index) => nodes?.[index]?.children,
+                            bookmarks
+                        ) ?? bookmarks;
+                    folder.push({
+                        type: 'bookmark',
+                        title: titleInput.value,
+                        url: urlInput.value,
+                        tags: parseBookmarkTags(tagsInput.value),
+                    });
+                    GM_setValue(BOOKMARKS_STORAGE, bookmarks);
+                });
+            }));
+    });
+
+    let manageFormStyleAdded = false;
+
+    const manageBookmarksBtn = document.createElement('a');
+    manageBookmarksBtn.classList.add('dropdown-item');
+    manageBookmarksBtn.href = '#';
+    manageBookmarksBtn.textContent = $t('bookmarks.manage').toString();
+    manageBookmarksBtn.addEventListener('click', e => {
+        e.preventDefault();
+
+        const form = document.createElement('form');
+        form.id = PREFIX('bookmark-manager-form');
+        form.classList.add('mform');
+        const dragHandleClass = PREFIX('bookmark-manager-drag-handle');
+
+        /**
+         * @param {string} attribute
+         * @param {string} value
+         * @param {string} placeholder
+         * @returns {HTMLDivElement}
+         */
+        const createInput = (attribute, value, placeholder) => {
+            const wrapper = document.createElement('div');
+            wrapper.classList.add(
+                'form-inline',
+                'align-items-start',
+                'felement'
+            );
+            const input = document.createElement('input');
+            input.classList.add('form-control', 'flex-grow-1');
+            input.type = attribute === 'url' ? 'url' : 'text';
+            input.required = attribute !== 'tags';
+            input.value = value;
+            input.dataset.attribute = attribute;
+            input.placeholder = placeholder;
+
+            if (attribute === 'url') {
+                wrapper.classList.add('input-group');
+                const httpsAddon = document.createElement('div');
+                httpsAddon.classList.add('input-group-prepend');
+                const httpsAddonText = document.createElement('span');
+                httpsAddonText.classList.add('input-group-text');
+                httpsAddonText.textContent = 'https://';
+                httpsAddon.append(httpsAddonText);
+                wrapper.append(httpsAddon);
+            } else {
+                input.classList.add('w-100');
+            }
+            wrapper.append(input);
+            return wrapper;
+        };
+
+        /**
+         * @param {BookmarkNode} node
+         * @returns {HTMLLIElement}
+         */
+        const createEditorItem = node => {
+            const item = document.createElement('li');
+            item.dataset.type = node.type;
+
+            const row = document.createElement('div');
+            row.classList.add(
+                'form-group',
+                'd-flex',
+                'flex-wrap',
+                'flex-lg-nowrap',
+                'align-items-start'
+            );
+
+            const dragHandle = document.createElement('span');
+            dragHandle.classList.add(
+                'btn',
+                'btn-link',
+                'px-1',
+                dragHandleClass
+            );
+            dragHandle.title = $t('bookmarks.drag').toString();
+            const dragIcon = document.createElement('i');
+            dragIcon.classList.add(
+                'fa',
+                node.type === 'folder' ? 'fa-folder-o' : 'fa-bookmark-o',
+                'fa-fw'
+            );
+            dragHandle.append(dragIcon);
+            row.append(dragHandle);
+
+            if (node.type === 'folder') {
+                row.append(
+                    createInput(
+                        'title',
+                        node.title,
+                        $t('bookmarks.folder').toString()
+                    )
+                );
+            } else {
+                row.append(
+                    createInput(
+                        'title',
+                        node.title,
+                        $t('bookmarks.name').toString()
+                    ),
+                    createInput(
+                        'url',
+                        node.url,
+                        $t('bookmarks.url').toString()
+                    ),
+                    createInput(
+                        'tags',
+                        node.tags.join(', '),
+                        $t('bookmarks.tagsPlaceholder').toString()
+                    )
+                );
+            }
+
+            const btns = document.createElement('div');
+            btns.classList.add('btn-group', 'ml-auto');
+            [
+                ['up', 'fa-arrow-up', 'btn-outline-secondary'],
+                ['down', 'fa-arrow-down', 'btn-outline-secondary'],
+                ['delete', 'fa-trash', 'btn-outline-danger'],
+            ].forEach(([action, icon, btnClass]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.classList.add('btn', btnClass);
+                btn.dataset.button = action;
+                const btnIcon = document.createElement('i');
+                btnIcon.classList.add('fa', icon, 'fa-fw');
+                btn.append(btnIcon);
+                btns.append(btn);
+            });
+            row.append(btns);
+            item.append(row);
+
+            if (node.type === 'folder') {
+                const children = document.createElement('ul');
+                children.append(...node.children.map(createEditorItem));
+                item.append(children);
+            }
+
+            return item;
+        };
+
+        const rootList = document.createElement('ul');
+        rootList.classList.add('fcontainer', 'pl-0');
+        rootList.append(
+            ...GM_getValue(BOOKMARKS_STORAGE, []).map(createEditorItem)
+        );
+
+        form.addEventListener('click', e => {
+            const target = e.target;
+            if (!(target instanceof HTMLElement)) return;
+            const button = target.closest('[data-button]');
+            const item = target.closest('li');
+            if (!button || !item) return;
+
+            switch (button.dataset.button) {
+                case 'up':
+                    item.previousElementSibling?.before(item);
+                    break;
+                case 'down':
+                    item.nextElementSibling?.after(item);
+                    break;
+                case 'delete':
+                    item.remove();
+                    break;
+            }
+        });
+
+        // region drag and drop
+        /** @type {HTMLLIElement | undefined} */
+        let draggedItem;
+        const clearDropTargets = () =>
+            form
+                .querySelectorAll('[data-drop]')
+                .forEach(element => delete element.dataset.drop);
+
+        // items are only draggable by their handle, so text in the inputs can still be selected
+        form.addEventListener('mousedown', e => {
+            if (!(e.target instanceof Element)) return;
+            const handle = e.target.closest(`.${dragHandleClass}`);
+            if (!handle) return;
+            const item = handle.closest('li');
+            item.draggable = true;
+            // clicking the handle without dragging does not fire dragend
+            document.addEventListener(
+                'mouseup',
+                () => (item.draggable = false),
+                { once: true }
+            );
+        });
+        form.addEventListener('dragstart', e => {
+            // selected text in inputs can be dragged as well
+            if (!(e.target instanceof HTMLLIElement) || !e.target.draggable) {
+                return;
+            }
+            draggedItem = e.target;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', '');
+        });
+        form.addEventListener('dragend', () => {
+            if (draggedItem) draggedItem.draggable = false;
+            draggedItem = undefined;
+            clearDropTargets();
+        });
+        form.addEventListener('dragover', e => {
+            if (!draggedItem || !(e.target instanceof Element)) return;
+            clearDropTargets();
+
+            // empty folders and the space below all items accept drops as well
+            if (e.target.localName === 'ul') {
+                if (draggedItem.contains(e.target)) return;
+                e.preventDefault();
+                e.target.dataset.drop = 'inside';
+                return;
+            }
+
+            const item = e.target.closest('li');
+            if (!item || draggedItem.contains(item)) return;
+            e.preventDefault();
+            const rect = item.firstElementChild.getBoundingClientRect();
+            const position = (e.clientY - rect.top) / rect.height;
+            item.dataset.drop =
+                (
+                    item.dataset.type === 'folder' &&
+                    position > 0.25 &&
+                    position < 0.75
+                ) ?
+                    'inside'
+                : position < 0.5 ? 'before'
+                : 'after';
+        });
+        form.addEventListener('drop', e => {
+            const target = form.querySelector('[data-drop]');
+            if (!draggedItem || !target) return;
+            e.preventDefault();
+
+            const position = target.dataset.drop;
+            if (target.localName === 'ul') target.append(draggedItem);
+            else if (position === 'inside') {
+                target.querySelector(':scope > ul').prepend(draggedItem);
+            } else if (position === 'before') target.before(draggedItem);
+            else target.after(draggedItem);
+            clearDropTargets();
+        });
+        // endregion
+
+        const addBtns = document.createElement('div');
+        addBtns.classList.add('d-flex', 'justify-content-end');
+        [
+            [
+                'addBookmark',
+                'fa-bookmark-o',
+                { type: 'bookmark', title: '', url: '', tags: [] },
+            ],
+            [
+                'addFolder',
+                'fa-folder-o',
+                { type: 'folder', title: '', children: [] },
+            ],
+        ].forEach(([key, icon, emptyNode]) => {
+            const addBtn = document.createElement('button');
+            addBtn.type = 'button';
+            addBtn.classList.add('btn', 'btn-outline-success', 'ml-1');
+            const addIcon = document.createElement('i');
+            addIcon.classList.add('fa', icon, 'fa-fw');
+            addBtn.append(addIcon, $t(`bookmarks.${key}`).toString());
+            addBtn.addEventListener('click', () =>
+                rootList.append(createEditorItem(emptyNode))
+            );
+            addBtns.append(addBtn);
+        });
+
+        form.append(rootList, addBtns);
+
+        if (!manageFormStyleAdded) {
+            GM_addStyle(css`
+                #${form.id} ul {
+                    list-style: none;
+                    min-height: 0.5rem;
+                }
+                #${form.id} li > ul {
+                    border-left: 2px solid var(--secondary, #ced4da);
+                    padding-left: 1rem;
+                }
+                #${form.id} .felement {
+                    flex-basis: calc(3 * (100% / 12) - 1em);
+                    flex-grow: 1;
+                }
+                #${form.id} .felement.input-group {
+                    flex-basis: calc(5 * (100% / 12) - 1em);
+                }
+                #${form.id} .${dragHandleClass} {
+                    cursor: move;
+                }
+                #${form.id} [data-drop='before'] > .form-group {
+                    box-shadow: 0 -2px 0 var(--primary);
+                }
+                #${form.id} [data-drop='after'] > .form-group {
+                    box-shadow: 0 2px 0 var(--primary);
+                }
+                #${form.id} [data-drop='inside'] > .form-group,
+                #${form.id} ul[data-drop='inside'] {
+                    background-color: var(--light);
+                    outline: 2px dashed var(--primary);
+                }
+            `);
+            manageFormStyleAdded = true;
+        }
+
+        /**
+         * @param {HTMLUListElement} list
+         * @returns {BookmarkNode[]}
+         */
+        const readEditorItems = list =>
+            Array.from(list.children).flatMap(item => {
+                /** @param {string} attribute */
+                const getValue = attribute =>
+                    item
+                        .querySelector(
+                            `:scope > .form-group [data-attribute="${attribute}"]`
+                        )
+                        ?.value.trim() ?? '';
+                const title = getValue('title');
+
+                if (item.dataset.type === 'folder') {
+                    const children = readEditorItems(
+                        item.querySelector(':scope > ul')
+                    );
+                    if (!title && !children.length) return [];
+                    return [
+                        {
+                            type: 'folder',
+                            title:
+                                title ||
+                                $t('bookmarks.untitledFolder').toString(),
+                            children,
+                        },
+                    ];
+                }
+
+                const url = getValue('url').replace(/^https:\/\//, '');
+                if (!title || !url) return [];
+                return [
+                    {
+                        type: 'bookmark',
+                        title,
+                        url,
+                        tags: parseBookmarkTags(getValue('tags')),
+                    },
+                ];
+            });
+
+        require(['core/modal_factory', 'core/modal_events'], (
+            { create, types },
+            ModalEvents
+        ) =>
+            create({
+                type: types.SAVE_CANCEL,
+                large: true,
+                scrollable: true,
+                title: $t('bookmarks.manage').toString(),
+                body: form,
+                removeOnClose: true,
+            }).then(modal => {
+                modal.show();
+
+                modal
+                    .getRoot()
+                    .on(ModalEvents.save, () =>
+                        GM_setValue(
+                            BOOKMARKS_STORAGE,
+                            readEditorItems(rootList)
+                        )
+                    );
+            }));
+    });
+
+    dropdown.append(
+        tagFilter,
+        bookmarksWrapper,
+        divider,
+        addBookmarkBtn,
+        manageBookmarksBtn
+    );
+    bookmarkBtnWrapper.append(bookmarksBtn, dropdown);
+
+    registerFeature({
+        id: 'general.bookmarkManager',
+        settings: ['general.bookmarkManager'],
+        enable: () =>
+            document
+                .querySelector('#usernavigation .usermenu-container')
+                ?.before(bookmarkBtnWrapper),
+        disable: () => bookmarkBtnWrapper.remove(),
+    });
+
+    GM_addStyle(css`
+        /* bookmarks dropdown should not be greater than 400px */
+        #${bookmarkBtnWrapper.id} .dropdown-menu {
+            max-width: 400px;
+        }
+
+        /* this will allow the bookmarks dropdown menu to be aligned to right viewport side and fullwidth on mobile devices */
+        @media (max-width: 576px) {
+            #${bookmarkBtnWrapper.id} {
+                position: inherit;
+            }
+            #${bookmarkBtnWrapper.id} .dropdown-menu {
+                max-width: 100%;
+            }
+            #${bookmarkBtnWrapper.id} .dropdown-menu .dropdown-item {
+                overflow: auto;
+            }
+        }
+
+        /* show a placeholder text when there are no bookmarks */
+        #${bookmarksWrapper.id}:empty::before {
+            display: block;
+            text-align: center;
+            content: ${JSON.stringify($t('bookmarks.empty'))};
+            padding: 0.25rem 1.5rem; /* this is the padding of .dropdown-item set by moodle */
+        }
+    `);
+});
+// endregion
+
+// region Feature: general.noDownload
+const removeForceDownload = anchor => {
+    try {
+        const url = new URL(anchor.href, window.location);
+        if (url.searchParams.has('forcedownload')) {
+            url.searchParams.delete('forcedownload');
+            anchor.href = url.href;
+        }
+    } catch {
+        // if href is not a valid URL just ignore it
+    }
+};
+
+/** @param {MouseEvent} e */
+const removeForceDownloadOnMouseDown = e => {
+    const target = e.target;
+    if (!(target instanceof Element)) return;
+    const anchor = target?.closest('a[href*="forcedownload"]');
+    if (!anchor) return;
+
+    removeForceDownload(anchor);
+};
+
+// links that have already been modified are not restored when disabling the feature
+registerFeature({
+    id: 'general.noDownload',
+    settings: ['general.noDownload'],
+    enable: () => {
+        ready(() =>
+            document
+                .querySelectorAll('a[href*="forcedownload"]')
+                .forEach(removeForceDownload)
+        );
+        document.addEventListener('mousedown', removeForceDownloadOnMouseDown);
+    },
+    disable: () =>
+        document.removeEventListener(
+            'mousedown',
+            removeForceDownloadOnMouseDown
+        ),
+});
+// endregion
+
+// region Feature: general.christmasCountdown
+// add the Christmas countdown
+/** @param {FeatureHelpers} helpers */
+const initChristmasCountdown = ({ addMarqueeItems }) => {
+    const getDayOfYear = date => {
+        const start = new Date(date.getFullYear(), 0, 0);
+        const diff =
+            date -
+            start +
+            (start.getTimezoneOffset() - date.getTimezoneOffset()) * 60 * 1000;
+        const oneDay = 1000 * 60 * 60 * 24;
+        return Math.floor(diff / oneDay);
+    };
+
+    const now = new Date();
+    const thisYearChristmas = new Date(now.getFullYear(), 11, 24); // 24.12. of this year
+    const firstChristmasDay = new Date(thisYearChristmas);
+    firstChristmasDay.setDate(thisYearChristmas.getDate() + 1);
+    const thisYearLastDay = new Date(now.getFullYear(), 11, 31); // 31.12. of this year
+    const nextYearChristmas = new Date(thisYearChristmas);
+    nextYearChristmas.setFullYear(now.getFullYear() + 1);
+
+    const textSpan = document.createElement('span');
+
+    const [[, textSpanClone]] = addMarqueeItems(textSpan);
+
+    const updateCountdown = () => {
+        const todayDayOfYear = getDayOfYear(now);
+        const daysToChristmas =
+            now < firstChristmasDay ?
+                getDayOfYear(thisYearChristmas) - todayDayOfYear
+            :   getDayOfYear(thisYearLastDay) -
+                todayDayOfYear +
+                getDayOfYear(nextYearChristmas);
+
+        textSpan.innerHTML = textSpanClone.innerHTML =
+            daysToChristmas ?
+                $t('christmasCountdown.countdown', {
+                    days: daysToChristmas,
+                }).toString()
+            :   $t('christmasCountdown.christmas').toString();
+
+        const nextUpdate = new Date();
+        nextUpdate.setDate(now.getDate() + 1);
+        nextUpdate.setHours(0, 0, 0, 0);
+        setTimeout(updateCountdown, nextUpdate - now);
+    };
+
+    updateCountdown();
+};
+registerFeature({
+    id: 'general.christmasCountdown',
+    settings: ['general.christmasCountdown'],
+    requires: ['addMarqueeItems'],
+    enable: initChristmasCountdown,
+});
+// endregion
+
+// region Feature: general.speiseplan
+const initSpeiseplan = () => {
+    const foodEmojis = [
+        '🍔',
+        '🍟',
+        '🍕',
+        '🌭',
+        '🥪',
+        '🌮',
+        '🌯',
+        '🫔',
+        '🥙',
+        '🧆',
+        '🥚',
+        '🍳',
+        '🥘',
+        '🍲',
+        '🥣',
+        '🥗',
+        '🍝',
+        '🍱',
+        '🍘',
+        '🍙',
+        '🍚',
+        '🍛',
+        '🍜',
+        '🍢',
+        '🍣',
+        '🍤',
+        '🍥',
+        '🥮',
+        '🥟',
+        '🥠',
+        '🥡',
+    ];
+
+    const desktopBtn = document.createElement('li');
+    desktopBtn.classList.add('nav-item');
+    const desktopLink = document.createElement('a');
+    desktopLink.classList.add('nav-link');
+    desktopLink.href = '#';
+    desktopLink.textContent =
+        foodEmojis[Math.floor(Math.random() * foodEmojis.length)];
+    desktopBtn.title = $t('speiseplan.title', {
+        canteen: $t(`speiseplan.canteen.${getSetting('speiseplan.canteen')}`),
+    }).toString();
+    desktopBtn.append(desktopLink);
+
+    const mobileBtn = document.createElement('a');
+    mobileBtn.classList.add('list-group-item', 'list-group-item-action');
+    mobileBtn.href = '#';
+    mobileBtn.textContent = `${
+        foodEmojis[Math.floor(Math.random() * foodEmojis.length)]
+    }\xa0${$t('speiseplan.title', {
+        canteen: $t(`speiseplan.canteen.${getSetting('speiseplan.canteen')}`),
+    }).toString()}`;
+
+    const tableClass = PREFIX('speiseplan-table');
+    const speiseClass = PREFIX('speiseplan-speise');
+    const artenClass = PREFIX('speiseplan-arten');
+    const preiseClass = PREFIX('speiseplan-preise');
+    const abkClass = PREFIX('speiseplan-abk');
+
+    GM_addStyle(css`
+        .${tableClass} .${speiseClass}[data-location]::before {
+            content: attr(data-location);
+            color: #e8e6e3;
+            background-color: #586e3b;
+            font-weight: bold;
+            font-size: smaller;
+            padding: 4px;
+            border-radius: 6px;
+            margin-right: 0.5em;
+        }
+
+        .${tableClass} .${speiseClass}[data-location="Cafeteria"]::before {
+            background-color: #4b6669;
+        }
+
+        .${tableClass} .${speiseClass} .${abkClass} {
+            font-size: smaller;
+        }
+
+        .${tableClass} .${speiseClass} .${abkClass}::before {
+            margin-left: 1em;
+            content: '(';
+        }
+
+        .${tableClass}
+            .${speiseClass}
+            .${abkClass}
+            > span:not(:last-child)::after {
+            content: '; ';
+        }
+
+        .${tableClass} .${speiseClass} .${abkClass}::after {
+            content: ')';
+        }
+
+        .${tableClass} .${artenClass} {
+            text-align: center;
+        }
+
+        .${tableClass} .${artenClass} img {
+            max-width: 40px;
+            max-height: 40px;
+        }
+
+        .${tableClass} .${preiseClass} > span:not(:last-child)::after {
+            content: '\xa0/\xa0';
+        }
+
+        /* improve arten images in dark mode */
+        ${DARK_MODE_SELECTOR} .${artenClass} img {
+            --stroke-pos: 0.5px;
+            --stroke-neg: -0.5px;
+            --stroke-color: color-mix(in srgb, currentColor 20%, transparent);
+            filter: drop-shadow(var(--stroke-pos) 0 0 var(--stroke-color))
+                drop-shadow(var(--stroke-neg) 0 var(--stroke-color))
+                drop-shadow(0 var(--stroke-neg) 0 var(--stroke-color))
+                drop-shadow(
+                    var(--stroke-pos) var(--stroke-pos) 0 var(--stroke-color)
+                )
+                drop-shadow(
+                    var(--stroke-pos) var(--stroke-neg) 0 var(--stroke-color)
+                )
+                drop-shadow(
+                    var(--stroke-neg) var(--stroke-pos) 0 var(--stroke-color)
+                )
+                drop-shadow(
+                    var(--stroke-neg) var(--stroke-neg) 0 var(--stroke-color)
+                );
+        }
+        ${DARK_MODE_SELECTOR} .${artenClass} img[src*="sh_teller"] {
+            filter: brightness(1.5);
+        }
+        ${DARK_MODE_SELECTOR} .${artenClass} img[src*="iconprop_bio"] {
+            filter: brightness(0.9);
+        }
+    `);
+
+    const createDayFieldset = (day, speisen, filter, firstFieldset) => {
+        const date = new Date(day);
+        const { fieldset, container, collapseBtn } = createFieldset(
+            dateToString(date, false, true),
+            `speiseplan-collapseElement-${day}`,
+            `speiseplan-containerElement-${day}`
+        );
+
+        // do not collapse today
+        if (firstFieldset) {
+            collapseBtn.classList.remove('collapsed');
+            container.classList.add('show');
+        }
+
+        // add the speiseplan information for the day in there
+        const table = document.createElement('table');
+        table.classList.add('table', 'generaltable', tableClass);
+        const tableHead = table.createTHead();
+        const tableHeadRow = tableHead.insertRow();
+        ['speise', 'type', 'price'].forEach(head => {
+            const headCell = document.createElement('th');
+            headCell.textContent = $t(`speiseplan.table.${head}`).toString();
+            tableHeadRow.append(headCell);
+        });
+        const tbody = table.createTBody();
+        speisen.forEach(speise => {
+            const row = tbody.insertRow();
+
+            const speiseCell = row.insertCell();
+            speiseCell.classList.add(speiseClass);
+            speiseCell.dataset.location = speise.mensa ? 'Mensa' : 'Cafeteria';
+            speise.items.forEach(({ name, zusatz }) => {
+                const speiseEl = document.createElement('span');
+                speiseEl.textContent = name;
+                if (zusatz) {
+                    const zusatzEl = document.createElement('span');
+                    zusatzEl.textContent = zusatz;
+                    zusatzEl.classList.add('text-muted');
+                    speiseEl.append('\xa0', zusatzEl);
+                }
+                speiseCell.append(speiseEl, document.createElement('br'));
+            });
+
+            const allergene = document.createElement('div');
+            allergene.classList.add(abkClass, 'text-muted');
+            speise.allergene.forEach(allergen => {
+                const allergenFilter = filter.allergene[allergen];
+                const allergenSpan = document.createElement('span');
+                allergenSpan.textContent +=
+                    allergenFilter ?
+                        `${allergenFilter.abk}:\xa0${allergenFilter.title}`
+                    :   allergen;
+                allergene.append(allergenSpan);
+            });
+            if (speise.allergene.length) speiseCell.append(allergene);
+            const zusatzstoffe = document.createElement('div');
+            zusatzstoffe.classList.add(abkClass, 'text-muted');
+            speise.zusatzstoffe.forEach(zusatzstoff => {
+                const zusatzstoffFilter = filter.zusatzstoffe[zusatzstoff];
+                const zusatzstoffSpan = document.createElement('span');
+                zusatzstoffSpan.textContent +=
+                    zusatzstoffFilter ?
+                        `${zusatzstoffFilter.abk}:\xa0${zusatzstoffFilter.title}`
+                    :   zusatzstoff;
+                zusatzstoffe.append(zusatzstoffSpan);
+            });
+            if (speise.zusatzstoffe.length) speiseCell.append(zusatzstoffe);
+
+            const artenCell = row.insertCell();
+            artenCell.classList.add(artenClass);
+            speise.arten.forEach(art => {
+                const artFilter = filter.arten[art];
+                if (!artFilter) {
+                    return artenCell.append(art, document.createElement('br'));
+                }
+                const img = document.createElement('img');
+                img.src = artFilter.img;
+                img.alt = img.title = artFilter.title;
+                artenCell.append(img);
+            });
+
+            const preiseCell = row.insertCell();
+            preiseCell.classList.add(preiseClass);
+            speise.preise.forEach(preis => {
+                const preisEl = document.createElement('span');
+                preisEl.textContent = preis.toLocaleString(BETTER_MOODLE_LANG, {
+                    style: 'currency',
+                    currency: 'EUR',
+                });
+                preiseCell.append(preisEl);
+            });
+        });
+        container.append(table);
+
+        return fieldset;
+    };
+
+    const localizedPath = {
+        de: 'mensen-in-kiel',
+        en: 'food-overview',
+    };
+
+    const SPEISEPLAN_LANG = (() => {
+        const savedLanguage = getSetting('speiseplan.language');
+        const language =
+            savedLanguage === 'auto' ? BETTER_MOODLE_LANG : savedLanguage;
+        return language in localizedPath ? language : 'en';
+    })();
+
+    const openSpeiseplan = e => {
+        e.preventDefault();
+
+        require(['core/modal_factory'], ({ create, types }) =>
+            create({
+                type: types.ALERT,
+                large: true,
+                scrollable: true,
+                title: `${
+                    foodEmojis[Math.floor(Math.random() * foodEmojis.length)]
+                }\xa0${$t('speiseplan.title', {
+                    canteen: $t(
+                        `speiseplan.canteen.${getSetting('speiseplan.canteen')}`
+                    ),
+                }).toString()}`,
+                body: getSpeiseplan().then(({ speisen, filters }) =>
+                    Object.entries(speisen)
+                        .filter(
+                            ([day]) =>
+                                new Date(day) > Date.now() - 24 * 60 * 60 * 1000
+                        )
+                        .map(([day, speisen], index) =>
+                            createDayFieldset(day, speisen, filters, !index)
+                        )
+                ),
+            }).then(modal => {
+                modal.setButtonText(
+                    'cancel',
+                    `🍴\xa0${$t('speiseplan.close')}`
+                );
+                modal.getBody()[0].classList.add('mform');
+
+                const studiwerkLink = document.createElement('a');
+                studiwerkLink.href = `https://studentenwerk.sh/${SPEISEPLAN_LANG}/${
+                    localizedPath[SPEISEPLAN_LANG]
+                }?ort=1&mensa=${getSetting('speiseplan.canteen')}`;
+                studiwerkLink.textContent = $t('speiseplan.toStudiwerkPage');
+                studiwerkLink.target = '_blank';
+                studiwerkLink.classList.add('mr-auto');
+                modal.getFooter().prepend(studiwerkLink);
+
+                modal.show();
+            }));
+    };
+
+    desktopLink.addEventListener('click', openSpeiseplan);
+    mobileBtn.addEventListener('click', openSpeiseplan);
+
+    ready(() => {
+        document.querySelector('.dropdownmoremenu')?.before(desktopBtn);
+        document
+            .querySelector('#theme_boost-drawers-primary .list-group')
+            ?.append(mobileBtn);
+    });
+};
+registerFeature({
+    id: 'general.speiseplan',
+    settings: [
+        'general.speiseplan',
+        'speiseplan.canteen',
+        'speiseplan.language',
+    ],
+    enable: initSpeiseplan,
+});
+// endregion
+
+// region Feature: general.googlyEyes
+const initGooglyEyes = () => {
+    GM_addStyle(css`
+        /* This is the fancy style for googly Eyes 👀 */
+        .eyes {
+            display: flex;
+            width: 100%;
+            height: 100%;
+            justify-content: center;
+            align-items: center;
+            --eye-width: 40%;
+            --eye-border-width: 2px;
+            --eye-height: 65%;
+            --pupil-width: max(1%, 4px);
+            --pupil-height: var(--pupil-width);
+        }
+
+        .eye {
+            position: relative;
+            background-color: white;
+            border: var(--eye-border-width) solid black;
+            border-radius: 43%;
+            display: flex;
+            width: var(--eye-width);
+            height: var(--eye-height);
+            min-width: var(--eye-width);
+            min-height: var(--eye-height);
+            max-width: var(--eye-width);
+            max-height: var(--eye-height);
+            align-items: center;
+            justify-content: center;
+        }
+        .eye:not(:last-child) {
+            margin-right: calc(10% / 2);
+        }
+
+        .pupil {
+            background-color: black;
+            border: calc(var(--pupil-width) / 2) solid black;
+            border-radius: 50%;
+            display: block;
+            width: var(--pupil-width);
+            height: var(--pupil-height);
+            min-width: var(--pupil-width);
+            min-height: var(--pupil-height);
+            max-width: var(--pupil-width);
+            max-height: var(--pupil-height);
+        }
+
+        /* Hey, don't look while I enter a password! Wait, are you peeking? 😨 */
+        .eye::before {
+            content: '';
+            position: absolute;
+            top: 0;
+            right: 0;
+            bottom: 0;
+            left: 0;
+            opacity: 0;
+            transition: opacity 0.5s linear;
+            background: linear-gradient(
+                0deg,
+                rgb(0, 0, 0) 0%,
+                rgb(0, 0, 0) 35%,
+                rgb(255, 255, 255) 49%,
+                rgb(255, 255, 255) 51%,
+                rgb(0, 0, 0) 65%,
+                rgb(0, 0, 0) 100%
+            );
+        }
+        body:has(input[type='password']:focus) .eye::before {
+            opacity: 1;
+        }
+    `);
+
+    const eyes = document.createElement('div');
+    eyes.classList.add('eyes');
+    for (let i = 0; i < 2; i++) {
+        const eye = document.createElement('span');
+        eye.classList.add('eye');
+        const pupil = document.createElement('span');
+        pupil.classList.add('pupil');
+        eye.append(pupil);
+        eyes.append(eye);
+    }
+
+    const pupils = Array.from(eyes.querySelectorAll('.pupil'));
+    const pupilPositions = pupils.map(pupil => pupil.getBoundingClientRect());
+
+    let positionTimeout;
+
+    document.addEventListener('mousemove', e => {
+        const { clientX: mouseLeft, clientY: mouseTop } = e;
+        pupils.forEach((pupil, index) => {
+            const { top, left } = pupilPositions[index];
+            const translateX =
+                mouseLeft < left ?
+                    mouseLeft / left - 1
+                :   (mouseLeft - left) / (innerWidth - left);
+            const translateY =
+                mouseTop < top ?
+                    mouseTop / top - 1
+                :   (mouseTop - top) / (innerHeight - top);
+            const ease = x =>
+                x < 0 ? -1 * ease(-1 * x) : 100 - Math.pow(1 - x, 2) * 100;
+            pupil.style.setProperty(
+                'transform',
+                `translateX(${ease(translateX)}%) translateY(${ease(translateY)}%)`
+            );
+        });
+
+        if (positionTimeout) clearTimeout(positionTimeout);
+        positionTimeout = setTimeout(
+            () =>
+                pupilPositions.splice(
+                    0,
+                    pupils.length,
+                    ...pupils.map(pupil => pupil.getBoundingClientRect())
+                ),
+            100
+        );
+    });
+
+    ready(() =>
+        document
+            .querySelector('.btn-footer-popover .fa-question')
+            ?.replaceWith(eyes)
+    );
+};
+registerFeature({
+    id: 'general.googlyEyes',
+    settings: ['general.googlyEyes'],
+    isEnabled: () =>
+        getSetting('general.googlyEyes') &&
+        window.matchMedia('(hover: hover)').matches,
+    enable: initGooglyEyes,
+});
+// endregion
+
+// region Feature: general.semesterzeiten
+const initSemesterzeiten = () => {
+    const now = new Date();
+
+    const skipProgress = document.createElement('a');
+    skipProgress.classList.add('sr-only', 'sr-only-focusable');
+    skipProgress.textContent = $t('semesterzeiten.skip').toString();
+    const afterSpan = document.createElement('span');
+    afterSpan.id = PREFIX('general-semesterzeiten-after');
+    skipProgress.href = `#${afterSpan.id}`;
+
+    const progressSection = document.createElement('section');
+    progressSection.classList.add('block', 'card', 'mb-3');
+    const cardBody = document.createElement('div');
+    cardBody.classList.add('card-body', 'p-3');
+    const cardContent = document.createElement('div');
+    cardContent.classList.add('card-text', 'content');
+
+    cardBody.append(cardContent);
+    progressSection.append(cardBody);
+
+    const shownBars = new Set(['semester']);
+    const barTypeStyle = document.createElement('style');
+    const updateBarTypeStyle = () =>
+        (barTypeStyle.textContent =
+            shownBars.size === 0 ?
+                ''
+            :   `
+[data-storage] {
+    display: none;
+}
+
+${Array.from(shownBars)
+    .map(bar => `[data-storage="${bar}"]`)
+    .join(',')} {
+    display: flex;
+}
+`);
+
+    const nowAdditionsClass = PREFIX('semesterzeiten-now-additions');
+    GM_addStyle(css`
+        .${nowAdditionsClass}.progress-bar {
+            position: absolute;
+            height: 1rem;
+            pointer-events: none;
+            background-image: linear-gradient(
+                45deg,
+                rgba(255, 255, 255, 0.3) 25%,
+                transparent 25%,
+                transparent 50%,
+                rgba(255, 255, 255, 0.3) 50%,
+                rgba(255, 255, 255, 0.3) 75%,
+                transparent 75%,
+                transparent
+            );
+            border-right: 1px solid black;
+        }
+        ${DARK_MODE_SELECTOR} .${nowAdditionsClass}.progress-bar {
+            border-color: white;
+        }
+
+        span.${nowAdditionsClass} {
+            position: absolute;
+            top: 0;
+            transform: translateX(-50%) translateY(calc(-1lh + 3px)); /* these numbers have been carefully */
+            font-size: 0.703125rem; /* this is font size of progress bars */
+        }
+    `);
+
+    ready(() =>
+        document
+            .querySelector('#block-region-content')
+            ?.prepend(skipProgress, progressSection, afterSpan, barTypeStyle)
+    );
+
+    /**
+     * @typedef {Object} Semester
+     * @property {string} name
+     * @property {string} start
+     * @property {string} end
+     * @property {AdditionalSemesterzeit[]} additional
+     */
+
+    /**
+     * @typedef {Object} AdditionalSemesterzeit
+     * @property {string} name:de
+     * @property {string} name:en
+     * @property {string} storage
+     * @property {'success'|'info'|'warning'|'danger'} color
+     * @property {string} start
+     * @property {string} end
+     */
+
+    // helping function to get typing
+    /**
+     * @return {Promise<{ recurringHolidays: string[], semesters: Semester[] }>}
+     */
+    const getSemesterzeiten = () =>
+        new Promise(resolve =>
+            GM_xmlhttpRequest({
+                url: 'https://www.uni-kiel.de/gf-praesidium/de/termine/semesterzeiten',
+                onload: ({ responseText }) =>
+                    resolve(
+                        new DOMParser().parseFromString(
+                            responseText,
+                            'text/html'
+                        )
+                    ),
+            })
+        )
+            .then(doc => {
+                const table = [];
+                doc.getElementById('content-core')
+                    .querySelectorAll('tr')
+                    .forEach(el => {
+                        const row = [];
+                        el.querySelectorAll('td').forEach(elem => {
+                            row.push(elem.innerText);
+                        });
+                        table.push(row);
+                    });
+                return table;
+            })
+            .then(table => {
+                const germanDate = date => {
+                    const [day, month, year] = date
+                        .replaceAll(':', '.')
+                        .split('.');
+                    return `${year}-${month}-${day}`;
+                };
+                const semesters = [];
+                const head = table[0].slice(1).map(x => x.trim());
+                const body = table.slice(1);
+                for (let c = 1; c <= head.length; c++) {
+                    const semester = head[c - 1];
+                    const attributes = {};
+                    for (let r = 0; r < body.length; r++) {
+                        const row = body[r];
+                        const attribute = row[0].match(/^[^*(]+/)[0].trim(); // Stop parsing after * or (
+                        const tmp = attribute.match(/^(.*)(beginn|ende)$/);
+                        if (tmp) {
+                            if (!attributes[tmp[1]]) {
+                                attributes[tmp[1]] = { start: null, end: null };
+                            }
+                            switch (tmp[2]) {
+                                case 'beginn':
+                                    attributes[tmp[1]].start = germanDate(
+                                        row[c].trim()
+                                    );
+                                    break;
+                                case 'ende':
+                                    attributes[tmp[1]].end = germanDate(
+                                        row[c].trim()
+                                    );
+                                    break;
+                            }
+                        } else {
+                            let [start, end] = row[c]
+                                .split('-')
+                                .map(e => e.trim());
+                            if (start && end) {
+                                end = germanDate(end);
+                                if (start.length <= 6) {
+                                    start += end.slice(0, 4);
+                                }
+                                start = germanDate(start);
+
+                                attributes[attribute] = {
+                                    start,
+                                    end,
+                                };
+                            }
+                        }
+                    }
+
+                    const additionals = [];
+                    for (const attribute in attributes) {
+                        if (Object.hasOwn(attributes, attribute)) {
+                            const storage = (key => {
+                                switch (key) {
+                                    case 'vorlesungs':
+                                        return 'period.lecture';
+                                    case 'unterrichtsfrei':
+                                        return 'period.break';
+                                    case '1-prfungszeitraum-des-aktuellen-semesters':
+                                        return 'period.exam.1';
+                                    case '2-prfungszeitraum-des-vorsemesters':
+                                        return 'period.exam.2';
+                                }
+                                return key;
+                            })(
+                                attribute
+                                    .trim()
+                                    .toLowerCase()
+                                    .replaceAll(/\s+/gi, '-')
+                                    .replaceAll(/[^\da-z-]/gi, '')
+                            );
+                            if (storage !== 'semester') {
+                                const name = $t(
+                                    `semesterzeiten.category.${storage}`
+                                ).toString();
+                                const start = attributes[attribute].start;
+                                const end = attributes[attribute].end;
+
+                                additionals.push({
+                                    name,
+                                    storage,
+                                    color: (id => {
+                                        switch (id) {
+                                            case 'period.lecture':
+                                                return 'success';
+                                            case 'period.break':
+                                                return 'info';
+                                            default:
+                                                return 'warning';
+                                        }
+                                    })(storage),
+                                    start,
+                                    end,
+                                });
+                            }
+                        }
+                    }
+
+                    let season = semester.split(' ')[0];
+                    const year = semester.split(' ')[1];
+                    season = season === 'SoSe' ? 'summer' : 'winter';
+
+                    semesters.push({
+                        name: $t('semesterzeiten.category.semester', {
+                            season,
+                            year,
+                        }).toString(),
+                        start: attributes.Semester.start,
+                        end: attributes.Semester.end,
+                        additional: additionals,
+                    });
+                }
+                return {
+                    recurringHolidays: [], // TODO: Implement holidays
+                    semesters,
+                };
+            });
+
+    /** @type {Map<string, Set<HTMLInputElement>>} */
+    const toggles = new Map();
+
+    /**
+     * @param storage
+     * @return {HTMLDivElement}
+     */
+    const getToggle = storage => {
+        const key = `semesterzeiten.show.${storage}`;
+        const storageKey = PREFIX(key);
+        const storedState = GM_getValue(storageKey, false);
+        const storageToggle = new BooleanSetting(
+            `${storageKey}-${crypto.randomUUID()}`,
+            storedState
+        );
+
+        if (!toggles.has(storage)) toggles.set(storage, new Set());
+        toggles
+            .get(storage)
+            .add(storageToggle.formControl.querySelector('input'));
+
+        storageToggle.onInput(() => {
+            GM_setValue(storageKey, storageToggle.inputValue);
+            if (storageToggle.inputValue) {
+                shownBars.add(storage);
+            } else {
+                shownBars.delete(storage);
+            }
+            toggles
+                .get(storage)
+                .forEach(toggle => (toggle.checked = storageToggle.inputValue));
+            updateBarTypeStyle();
+        });
+        if (storedState) shownBars.add(storage);
+
+        return storageToggle.formControl;
+    };
+
+    /**
+     * @param {HTMLTableSectionElement} tbody
+     * @param {string} name
+     * @param {Date} start
+     * @param {Date} end
+     * @param {string} color
+     * @param {string} [storage='']
+     */
+    const addRow = (tbody, name, start, end, color, storage = '') => {
+        const row = tbody.insertRow();
+        row.classList.add(`table-${color}`);
+
+        const finishedBy =
+            now < start ? 0
+            : now > end ? 1
+            : (now - start) / (end - start);
+
+        [
+            name,
+            dateToString(start),
+            dateToString(end),
+            $t('semesterzeiten.table.finishedBy', {
+                finished: finishedBy,
+            }).toString(),
         ].forEach(content => (row.insertCell().textContent = content));
 
         const lastCell = row.insertCell();
@@ -5470,7 +10711,13 @@ ${Array.from(shownBars)
 
         updateBarTypeStyle();
     });
-}
+};
+registerFeature({
+    id: 'general.semesterzeiten',
+    settings: ['general.semesterzeiten'],
+    pages: ['my-index'],
+    enable: initSemesterzeiten,
+});
 // endregion
 
 // region Feature: general.prideLogo
@@ -5698,7 +10945,254 @@ if (prideLogoSetting.value !== 'off') {
                         var(${prideLogoGradientStartVar}) + 2 *
                             var(${prideLogoStripeSizeVar})
                     ),
-                #f3f3f3
+                #f3f3f3
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #868686
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #000000
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='ace'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 4);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #000000
+                    calc(
+                        var(${prideLogoGradientStartVar}) +
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #75005f
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #f3f3f3
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #868686
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='aroace'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #ce6600
+                    calc(
+                        var(${prideLogoGradientStartVar}) +
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #dbb600
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #f3f3f3
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #3592ca
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #000529
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='bi'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 3);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #d60270
+                    calc(
+                        var(${prideLogoGradientStartVar}) +
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #9b4f96
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #0038a8
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='genderfluid'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #f04e83
+                    calc(
+                        var(${prideLogoGradientStartVar}) +
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #f3f3f3
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #ca00c7
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #000000
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #0007a8
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='intersex'] {
+            /* TODO: Generalize this */
+            background-image: radial-gradient(
+                circle at 32%,
+                #f3c500 8%,
+                #680088 8% 15%,
+                #f3c500 15%
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='lesbian'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #c00000
+                    calc(
+                        var(${prideLogoGradientStartVar}) +
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #f07724
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #f3f3f3
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #bb3586
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 3 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #860035
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='enby'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 4);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #ece22c
+                    calc(
+                        var(${prideLogoGradientStartVar}) +
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #f3f3f3
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #7035b6
                     calc(
                         var(${prideLogoGradientStartVar}) + 2 *
                             var(${prideLogoStripeSizeVar})
@@ -5707,33 +11201,50 @@ if (prideLogoSetting.value !== 'off') {
                         var(${prideLogoGradientStartVar}) + 3 *
                             var(${prideLogoStripeSizeVar})
                     ),
-                #868686
+                #000000
                     calc(
                         var(${prideLogoGradientStartVar}) + 3 *
                             var(${prideLogoStripeSizeVar})
                     )
+            );
+        }
+
+        img[${prideLogoSelector}][${prideLogoSelector}='pan'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 3);
+            background-image: linear-gradient(
+                var(${prideLogoGradientRotationVar}),
+                #f3006d
                     calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
+                        var(${prideLogoGradientStartVar}) +
                             var(${prideLogoStripeSizeVar})
                     ),
-                #000000
+                #f0c500
                     calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
+                        var(${prideLogoGradientStartVar}) + 1 *
+                            var(${prideLogoStripeSizeVar})
+                    )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #0097f0
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 2 *
                             var(${prideLogoStripeSizeVar})
                     )
             );
         }
 
-        img[${prideLogoSelector}][${prideLogoSelector}='ace'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 4);
+        img[${prideLogoSelector}][${prideLogoSelector}='gay'] {
+            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
             background-image: linear-gradient(
                 var(${prideLogoGradientRotationVar}),
-                #000000
+                #006642
                     calc(
                         var(${prideLogoGradientStartVar}) +
                             var(${prideLogoStripeSizeVar})
                     ),
-                #75005f
+                #6dc79b
                     calc(
                         var(${prideLogoGradientStartVar}) + 1 *
                             var(${prideLogoStripeSizeVar})
@@ -5751,24 +11262,33 @@ if (prideLogoSetting.value !== 'off') {
                         var(${prideLogoGradientStartVar}) + 3 *
                             var(${prideLogoStripeSizeVar})
                     ),
-                #868686
+                #5086c2
                     calc(
                         var(${prideLogoGradientStartVar}) + 3 *
                             var(${prideLogoStripeSizeVar})
                     )
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    ),
+                #0f004b
+                    calc(
+                        var(${prideLogoGradientStartVar}) + 4 *
+                            var(${prideLogoStripeSizeVar})
+                    )
             );
         }
 
-        img[${prideLogoSelector}][${prideLogoSelector}='aroace'] {
+        img[${prideLogoSelector}][${prideLogoSelector}='trans'] {
             ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
             background-image: linear-gradient(
                 var(${prideLogoGradientRotationVar}),
-                #ce6600
+                #00b9ee
                     calc(
                         var(${prideLogoGradientStartVar}) +
                             var(${prideLogoStripeSizeVar})
                     ),
-                #dbb600
+                #ee86d8
                     calc(
                         var(${prideLogoGradientStartVar}) + 1 *
                             var(${prideLogoStripeSizeVar})
@@ -5786,7 +11306,7 @@ if (prideLogoSetting.value !== 'off') {
                         var(${prideLogoGradientStartVar}) + 3 *
                             var(${prideLogoStripeSizeVar})
                     ),
-                #3592ca
+                #ee86d8
                     calc(
                         var(${prideLogoGradientStartVar}) + 3 *
                             var(${prideLogoStripeSizeVar})
@@ -5795,2134 +11315,3424 @@ if (prideLogoSetting.value !== 'off') {
                         var(${prideLogoGradientStartVar}) + 4 *
                             var(${prideLogoStripeSizeVar})
                     ),
-                #000529
+                #00b9ee
                     calc(
                         var(${prideLogoGradientStartVar}) + 4 *
                             var(${prideLogoStripeSizeVar})
                     )
             );
-        }
+        }
+    `;
+
+    GM_addStyle(prideLogoStyle);
+}
+// endregion
+
+// region Feature: Darkmode
+GM_addStyle(css`
+    /* make the Logo glow beautifully when using dark mode of darkreader */
+    ${DARK_MODE_SELECTOR} .navbar.fixed-top .navbar-brand .logo,
+    ${DARK_MODE_SELECTOR} #logoimage {
+        filter: saturate(2) brightness(1.5) contrast(3) /*grayscale(1) contrast(200) invert(18%) sepia(93%)
+            saturate(2977%) hue-rotate(204deg) brightness(96%) contrast(95%)
+            brightness(60%) brightness(280%)*/;
+    }
+`);
+const updateDarkReaderMode = (live = false) => {
+    const darkModeSetting = getSetting('darkmode.mode', live);
+    if (darkModeSetting !== 'off') {
+        const settings = {
+            brightness: getSetting('darkmode.brightness', live),
+            contrast: getSetting('darkmode.contrast', live),
+            grayscale: getSetting('darkmode.grayscale', live),
+            sepia: getSetting('darkmode.sepia', live),
+        };
+        const fixes = {
+            css: css`
+                .eye {
+                    background-color: white;
+                }
+
+                ${prideLogoStyle}
+
+                /* Replace mix-blend-mode: multiply with mix-blend-mode: hard-light */
+                .activity-item.hiddenactivity .description .course-description-item, 
+                .activity-item.hiddenactivity .activityiconcontainer, 
+                .activity-item.hiddenactivity .badge,
+                .editing .activity-item:hover .activityiconcontainer,
+                .editing .activity-item:hover .description .course-description-item, 
+                .editing .activity-item:hover .activityiconcontainer, 
+                .editing .activity-item:hover .badge,
+                .path-mod .automatic-completion-conditions .badge {
+                    mix-blend-mode: hard-light !important;
+                }
+
+                /* fix for state machine tests */
+                .coderunner_graphcanvas {
+                    background-color: transparent !important;
+                    filter: invert(1);
+                }
+            `,
+        };
+        if (darkModeSetting === 'auto') DarkReader.auto(settings, fixes);
+        else {
+            DarkReader.auto(false);
+            DarkReader.enable(settings, fixes);
+        }
+    } else if (DarkReader.isEnabled()) {
+        DarkReader.auto(false);
+        DarkReader.disable();
+    }
+};
+// updateDarkReaderMode also handles disabling the dark mode, so there is nothing to clean up
+registerFeature({
+    id: 'darkmode',
+    settings: [
+        'darkmode.mode',
+        'darkmode.brightness',
+        'darkmode.contrast',
+        'darkmode.grayscale',
+        'darkmode.sepia',
+    ],
+    isEnabled: () => true,
+    enable: () => updateDarkReaderMode(),
+    disable: () => undefined,
+});
+// endregion
+
+// region Feature: general.quickRoleChange
+const initQuickRoleChange = () => {
+    ready(() => {
+        const usermenu = document.getElementById('usermenu-carousel');
+        const usermenuInner = usermenu?.querySelector('.carousel-inner');
+        const roleSelectBtn = usermenu?.querySelector(
+            '.dropdown-item[href*="switchrole.php"]'
+        );
+        if (!roleSelectBtn) return;
+
+        const rolesUrl = roleSelectBtn.href;
+        fetch(rolesUrl)
+            .then(response => response.text())
+            .then(html => {
+                const parser = new DOMParser();
+                const doc = parser.parseFromString(html, 'text/html');
+                return doc.querySelectorAll('form[action*="switchrole.php"]');
+            })
+            .then(forms => {
+                const roles = [];
+                forms.forEach(form => {
+                    const role = {
+                        id: form.querySelector('input[name="id"]').value,
+                        switchrole: form.querySelector(
+                            'input[name="switchrole"]'
+                        ).value,
+                        returnurl: form.querySelector('input[name="returnurl"]')
+                            .value,
+                        sesskey: form.querySelector('input[name="sesskey"]')
+                            .value,
+                        title: form.querySelector('button').textContent,
+                    };
+                    roles.push(role);
+                });
+                return roles;
+            })
+            .then(roles => {
+                if (roles.length === 0) return;
+
+                const roleSelecotrItemId = PREFIX('role-selector-item');
+                const roleSelectorItem = document.createElement('div');
+                roleSelectorItem.id = roleSelecotrItemId;
+                roleSelectorItem.classList.add('carousel-item', 'submenu');
+                roleSelectorItem.setAttribute('role', 'menu');
+                roleSelectorItem.setAttribute(
+                    'aria-label',
+                    $t('quickRoleChange.roleSelector')
+                );
+                roleSelectorItem.setAttribute('tabindex', -1);
+
+                roleSelectorItem.innerHTML = `
+                    <div class="d-flex flex-column h-100">
+                        <div class="header">
+                            <button type="button" class="btn btn-icon carousel-navigation-link text-decoration-none text-body" data-carousel-target-id="carousel-item-main" aria-label="${$t('quickRoleChange.goBack')}">
+                                <span class="dir-rtl-hide"><img class="icon " alt="" aria-hidden="true" src="/theme/image.php/boost/core/1718107763/i/arrow-left"></span>
+                                <span class="dir-ltr-hide"><img class="icon " alt="" aria-hidden="true" src="/theme/image.php/boost/core/1718107763/i/arrow-right"></span>
+                            </button>
+                            <span class="pl-2" id="${roleSelecotrItemId}-title">${$t('quickRoleChange.roleSelector')}</span>
+                        </div>
+                        <div class="dropdown-divider"></div>
+                        <div class="items h-100 overflow-auto" role="menu" aria-labelledby=""${roleSelecotrItemId}-title">
+                            ${Object.entries(roles)
+                                .map(
+                                    ([, role]) => `
+                                        <form method="post" action="/course/switchrole.php">
+                                            <input type="hidden" name="id" value="${role.id}">
+                                            <input type="hidden" name="switchrole" value="${role.switchrole}">
+                                            <input type="hidden" name="returnurl" value="${role.returnurl}">
+                                            <input type="hidden" name="sesskey" value="${role.sesskey}">
+                                            <button type="submit" class="dropdown-item text-truncate">${role.title}</button>
+                                        </form>
+                                    `
+                                )
+                                .join('')}
+                        </div>
+                        <div class="dropdown-divider"></div>
+                        <div class="footer d-flex justify-content-center">
+                            <a href="${rolesUrl}" class="small">${$t('quickRoleChange.defaultSwitchRole')}</a>
+                        </div>
+                    </div>
+                `;
+
+                usermenuInner?.append(roleSelectorItem);
+
+                roleSelectBtn.href = '#';
+                roleSelectBtn.classList.add('carousel-navigation-link');
+                roleSelectBtn.dataset.carouselTargetId = roleSelecotrItemId;
+            });
+    });
+};
+registerFeature({
+    id: 'general.quickRoleChange',
+    settings: ['general.quickRoleChange'],
+    enable: initQuickRoleChange,
+});
+// endregion
+
+// region Feature: Dashboard right sidebar
+// add a right sidebar with timeline and upcoming events on Dashboard
+// if (isDashboard) {
+//     createSidebar('dashboard-right', 'right', 'calendar', content => {
+//         // move blocks into sidebar
+//         content.append(document.querySelector('.block_timeline'));
+//         content.append(document.querySelector('.block_calendar_upcoming'));
+//     });
+// }
+// endregion
+
+// region Feature: myCourses.boxesPerRow
+/** @type {HTMLStyleElement} */
+let boxesPerRowStyle;
+registerFeature({
+    id: 'myCourses.boxesPerRow',
+    settings: ['myCourses.boxesPerRow'],
+    isEnabled: () => true,
+    enable: () => {
+        const myCoursesBoxesPerRow = getSetting('myCourses.boxesPerRow');
+        boxesPerRowStyle = GM_addStyle(css`
+            /* ${myCoursesBoxesPerRow} boxes per row in the "my courses" view, instead of 3 plus increase margin a little */
+            @media (min-width: 840px) {
+                .dashboard-card-deck:not(.fixed-width-cards) .dashboard-card {
+                    --margin: max(4px, min(10px, calc(100vw / 192)));
+                    width: calc(
+                        (100% / ${myCoursesBoxesPerRow}) - var(--margin) * 2
+                    );
+                    margin-left: var(--margin);
+                    margin-right: var(--margin);
+                }
+                .block-myoverview .card-grid[data-region='card-deck'] > .col {
+                    --width: calc(100% / ${myCoursesBoxesPerRow});
+                    min-width: var(--width) !important;
+                    width: var(--width) !important;
+                    max-width: var(--width) !important;
+                }
+            }
+        `);
+    },
+    disable: () => boxesPerRowStyle?.remove(),
+});
+// endregion
+
+// region Features: courses.grades, courses.gradesNewTab, courses.collapseAll
+const isCoursePage = () => Boolean(CURRENT_COURSE_ID);
+const getCourseIndexDrawer = () =>
+    document.getElementById('theme_boost-drawers-courseindex');
+
+// region Features: courses.grades, courses.gradesNewTab
+// add a link to Bewertungen on each course-sidebar
+const gradesLink = document.createElement('a');
+const gradesIcon = document.createElement('i');
+gradesIcon.classList.add('icon', 'fa', 'fa-calculator', 'fa-fw');
+gradesLink.classList.add('w-100', 'text-center');
+gradesLink.append(gradesIcon, $t('courses.grades').toString());
+registerFeature({
+    id: 'courses.grades',
+    settings: ['courses.grades', 'courses.gradesNewTab'],
+    pages: [isCoursePage],
+    enable: () =>
+        ready(() => {
+            gradesLink.href = `/grade/report/user/index.php?id=${M.cfg.courseId}`;
+            if (getSetting('courses.gradesNewTab')) {
+                gradesLink.target = '_blank';
+            } else {
+                gradesLink.removeAttribute('target');
+            }
+
+            getCourseIndexDrawer()
+                ?.querySelector('.drawerheader')
+                ?.append(gradesLink);
+        }),
+    disable: () => gradesLink.remove(),
+});
+// endregion
+
+// region Feature: course overrides
+// add a link to edit the course specific settings on each course-sidebar
+const courseOverridesLink = document.createElement('a');
+const courseOverridesIcon = document.createElement('i');
+courseOverridesIcon.classList.add('icon', 'fa', 'fa-sliders', 'fa-fw');
+courseOverridesLink.href = '#';
+courseOverridesLink.classList.add('w-100', 'text-center');
+courseOverridesLink.append(
+    courseOverridesIcon,
+    $t('courseOverrides.link').toString()
+);
+
+/**
+ * @param {boolean} value
+ * @returns {string}
+ */
+const courseOverrideValueToString = value =>
+    $t(`courseOverrides.${value ? 'on' : 'off'}`).toString();
+
+courseOverridesLink.addEventListener('click', e => {
+    e.preventDefault();
+
+    const stored = COURSE_OVERRIDES.get(CURRENT_COURSE_ID);
+    const courseName =
+        (MOODLE_PAGE_TYPE.startsWith('course-view') &&
+            document
+                .querySelector('.page-header-headings h1')
+                ?.textContent.trim()) ||
+        stored.name ||
+        document.title;
+
+    const form = document.createElement('form');
+    const description = document.createElement('p');
+    description.textContent = $t('courseOverrides.description').toString();
+    form.append(description);
+
+    /** @type {Map<string, HTMLSelectElement>} */
+    const selects = new Map();
+    Object.values(settingsById)
+        .filter(setting => setting.isOverridable)
+        .forEach(setting => {
+            const row = document.createElement('div');
+            row.classList.add('form-group', 'row', 'fitem');
+
+            const label = document.createElement('label');
+            label.classList.add('col-md-7', 'col-form-label');
+            label.textContent = setting.title;
+
+            const select = document.createElement('select');
+            select.classList.add('custom-select', 'col-md-5');
+            select.id = PREFIX(`course-override-${setting.id}`).replace(
+                /\./g,
+                '-'
+            );
+            label.htmlFor = select.id;
+            [
+                [
+                    '',
+                    $t('courseOverrides.inherit', {
+                        value: courseOverrideValueToString(setting.globalValue),
+                    }).toString(),
+                ],
+                ['true', courseOverrideValueToString(true)],
+                ['false', courseOverrideValueToString(false)],
+            ].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.append(option);
+            });
+            select.value =
+                Object.hasOwn(stored.settings, setting.id) ?
+                    String(stored.settings[setting.id])
+                :   '';
+            selects.set(setting.id, select);
+
+            row.append(label, select);
+            form.append(row);
+        });
 
-        img[${prideLogoSelector}][${prideLogoSelector}='bi'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 3);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #d60270
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #9b4f96
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #0038a8
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
+    require(['core/modal_factory', 'core/modal_events'], (
+        { create, types },
+        ModalEvents
+    ) =>
+        create({
+            type: types.SAVE_CANCEL,
+            title: $t('courseOverrides.title', { course: courseName }),
+            body: form,
+            removeOnClose: true,
+        }).then(modal => {
+            modal.getRoot().on(ModalEvents.save, () => {
+                const settings = Object.fromEntries(
+                    Array.from(selects.entries())
+                        .filter(([, select]) => select.value)
+                        .map(([id, select]) => [id, select.value === 'true'])
+                );
+                const changed = Array.from(selects.keys()).filter(
+                    id => stored.settings[id] !== settings[id]
+                );
+                COURSE_OVERRIDES.set(CURRENT_COURSE_ID, {
+                    name: courseName,
+                    settings,
+                });
+                if (changed.some(settingRequiresReload)) {
+                    window.location.reload();
+                }
+            });
+            modal.show();
+        }));
+});
+
+registerFeature({
+    id: 'courses.overrides',
+    settings: [],
+    pages: [isCoursePage],
+    isEnabled: () => true,
+    enable: () =>
+        ready(() =>
+            getCourseIndexDrawer()
+                ?.querySelector('.drawerheader')
+                ?.append(courseOverridesLink)
+        ),
+    disable: () => courseOverridesLink.remove(),
+});
+// endregion
+
+// region Feature: courses.collapseAll
+// collapse / un-collapse all sections on double-click on a section header
+/** @param {MouseEvent} e */
+const collapseAllSections = e => {
+    const drawer = getCourseIndexDrawer();
+    const target = e.target;
+    if (!(target instanceof HTMLElement) && !(target instanceof SVGElement)) {
+        return;
+    }
+    const collapseIcon = target.closest(
+        '.courseindex-section-title .icons-collapse-expand'
+    );
+    if (!collapseIcon) return;
+
+    e.preventDefault();
+
+    drawer
+        .querySelectorAll(
+            `.courseindex-section-title .icons-collapse-expand${
+                collapseIcon.classList.contains('collapsed') ?
+                    ':not(.collapsed)'
+                :   '.collapsed'
+            }`
+        )
+        .forEach(collapseIcon => collapseIcon.click());
+    collapseIcon.focus();
+};
+registerFeature({
+    id: 'courses.collapseAll',
+    settings: ['courses.collapseAll'],
+    pages: [isCoursePage],
+    enable: () =>
+        ready(() =>
+            getCourseIndexDrawer()?.addEventListener(
+                'dblclick',
+                collapseAllSections
+            )
+        ),
+    disable: () =>
+        getCourseIndexDrawer()?.removeEventListener(
+            'dblclick',
+            collapseAllSections
+        ),
+});
+// endregion
+// endregion
+
+// region Features: myCourses.navbarDropdown, Dashboard left sidebar
+// add a left sidebar with the users courses. Also manipulate my courses link to be a dropdown
+const isNotLoginPage = () => !window.location.pathname.startsWith('/login/');
+/** @param {FeatureHelpers} helpers */
+const initCourseNavigation = async ({ createSidebar }) => {
+    if (window.location.pathname === '/my/courses.php') {
+        require([
+            'jquery',
+            'block_myoverview/selectors',
+            'core/custom_interaction_events',
+        ], (jquery, selectors, { events }) => {
+            const block = jquery(document.querySelector('.block-myoverview'));
+            if (!block) return;
+            const filters = block.find(selectors.FILTERS);
+            if (!filters) return;
+
+            filters.on(events.activate, selectors.FILTER_OPTION, () =>
+                GM_setValue(MyCoursesFilterSyncChangeKey, Math.random())
             );
-        }
+        });
+    }
 
-        img[${prideLogoSelector}][${prideLogoSelector}='genderfluid'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #f04e83
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f3f3f3
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #ca00c7
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #000000
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #0007a8
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    )
+    /** @type {HTMLDivElement} */
+    let dropdownMenu;
+    /** @type {HTMLDivElement} */
+    let mobileDropdownMenu;
+
+    /** @type {HTMLDivElement} */
+    let sidebarContent;
+
+    /**
+     * @typedef {Object} Course
+     * @property {string} shortname
+     * @property {string} fullname
+     * @property {string} viewurl
+     * @property {boolean} isfavourite
+     */
+
+    /**
+     * @param {Course} course
+     */
+    const addDropdownItem = course => {
+        const createAnchor = () => {
+            const anchor = document.createElement('a');
+            anchor.classList.add('dropdown-item');
+            anchor.href = course.viewurl;
+            const shortName = document.createElement('strong');
+            shortName.textContent = course.shortname;
+            const fullName = document.createElement('small');
+            fullName.textContent = course.fullname;
+            anchor.append(
+                ...(course.shortname ? [shortName, '\u00a0'] : []),
+                fullName
             );
-        }
+            anchor.title = anchor.textContent;
 
-        img[${prideLogoSelector}][${prideLogoSelector}='intersex'] {
-            /* TODO: Generalize this */
-            background-image: radial-gradient(
-                circle at 32%,
-                #f3c500 8%,
-                #680088 8% 15%,
-                #f3c500 15%
+            if (course.isfavourite) {
+                const favouriteIcon = document.createElement('i');
+                favouriteIcon.classList.add('icon', 'fa', 'fa-star', 'fa-fw');
+                anchor.prepend(favouriteIcon);
+            }
+
+            return anchor;
+        };
+
+        if (dropdownMenu) {
+            const anchor = createAnchor();
+            anchor.classList.add('dropdown-item');
+            anchor.style.setProperty('overflow', 'hidden');
+            anchor.style.setProperty('text-overflow', 'ellipsis');
+            dropdownMenu.append(anchor);
+        }
+        if (mobileDropdownMenu) {
+            const anchor = createAnchor();
+            anchor.classList.add(
+                'pl-5',
+                'bg-light',
+                'list-group-item',
+                'list-group-item-action'
             );
+            mobileDropdownMenu.append(anchor);
         }
+    };
 
-        img[${prideLogoSelector}][${prideLogoSelector}='lesbian'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #c00000
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f07724
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f3f3f3
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #bb3586
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #860035
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-            );
+    /**
+     * @param {Course} course
+     */
+    const addSidebarItem = course => {
+        if (!sidebarContent) return;
+        const card = document.createElement('div');
+        card.classList.add('card', 'block', 'mb-3');
+        const cardBody = document.createElement('div');
+        cardBody.classList.add('card-body', 'p-3');
+
+        const anchor = document.createElement('a');
+        anchor.href = course.viewurl;
+        const shortName = document.createElement('strong');
+        shortName.textContent = course.shortname;
+        const fullName = document.createElement('small');
+        fullName.textContent = course.fullname;
+        anchor.append(
+            ...(course.shortname ?
+                [shortName, document.createElement('br')]
+            :   []),
+            fullName
+        );
+        anchor.title = anchor.textContent;
+
+        if (course.isfavourite) {
+            const favouriteIcon = document.createElement('i');
+            favouriteIcon.classList.add('icon', 'fa', 'fa-star', 'fa-fw');
+            anchor.prepend(favouriteIcon);
         }
 
-        img[${prideLogoSelector}][${prideLogoSelector}='enby'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 4);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #ece22c
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f3f3f3
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #7035b6
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #000000
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-            );
+        cardBody.append(anchor);
+        card.append(cardBody);
+        sidebarContent.append(card);
+    };
+
+    // convert the "my courses" link into a dropdown
+    /** @type {HTMLLIElement | null} */
+    const myCoursesLi = document.querySelector(
+        '.primary-navigation .nav-item[data-key="mycourses"]'
+    );
+    /** @type {HTMLAnchorElement | null} */
+    const myCoursesA = myCoursesLi?.querySelector('a');
+    if (myCoursesLi && myCoursesA) {
+        myCoursesLi.classList.add('dropdown');
+
+        const myCoursesLink = myCoursesA.href;
+
+        if (getSetting('myCourses.navbarDropdown')) {
+            myCoursesA.classList.add('dropdown-toggle');
+            myCoursesA.dataset.toggle = 'dropdown';
+            myCoursesA.href = myCoursesLink;
+            myCoursesA.id = PREFIX('my-courses-dropdown-toggle');
+
+            dropdownMenu = document.createElement('div');
+            dropdownMenu.classList.add('dropdown-menu');
+            dropdownMenu.style.setProperty('max-width', '500px');
+            dropdownMenu.role = 'menu';
+            dropdownMenu.id = PREFIX('my-courses-dropdown-menu');
+
+            myCoursesA.setAttribute('aria-controls', dropdownMenu.id);
+            dropdownMenu.setAttribute('aria-labelledby', myCoursesA.id);
+
+            myCoursesA.after(dropdownMenu);
+
+            // open my courses if clicked when dropdown is open and not already on my courses page
+            myCoursesA.addEventListener('click', e => {
+                if (
+                    myCoursesLi.classList.contains('show') &&
+                    !window.location.toString().includes(myCoursesLink)
+                ) {
+                    e.preventDefault();
+                    window.location.replace(myCoursesLink);
+                }
+            });
         }
 
-        img[${prideLogoSelector}][${prideLogoSelector}='pan'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 3);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #f3006d
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f0c500
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #0097f0
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
+        // mobile menu
+        const mobileA = document.querySelector(
+            `#theme_boost-drawers-primary .list-group-item[href="${myCoursesLink}"]`
+        );
+        if (mobileA) {
+            mobileA.classList.add(
+                'icons-collapse-expand',
+                'collapsed',
+                'd-flex'
             );
-        }
+            mobileA.dataset.toggle = 'collapse';
+            mobileA.href = '#';
 
-        img[${prideLogoSelector}][${prideLogoSelector}='gay'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #006642
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #6dc79b
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f3f3f3
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #5086c2
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #0f004b
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    )
+            mobileDropdownMenu = document.createElement('div');
+            mobileDropdownMenu.classList.add(
+                'collapse',
+                'list-group-item',
+                'p-0',
+                'border-0'
             );
-        }
+            mobileDropdownMenu.id = `dropdown-${crypto.randomUUID()}`;
+            mobileA.dataset.target = `#${mobileDropdownMenu.id}`;
 
-        img[${prideLogoSelector}][${prideLogoSelector}='trans'] {
-            ${prideLogoStripeSizeVar}: calc(var(${prideLogoGradientSizeVar}) / 5);
-            background-image: linear-gradient(
-                var(${prideLogoGradientRotationVar}),
-                #00b9ee
-                    calc(
-                        var(${prideLogoGradientStartVar}) +
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #ee86d8
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 1 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #f3f3f3
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 2 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #ee86d8
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 3 *
-                            var(${prideLogoStripeSizeVar})
-                    )
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    ),
-                #00b9ee
-                    calc(
-                        var(${prideLogoGradientStartVar}) + 4 *
-                            var(${prideLogoStripeSizeVar})
-                    )
+            const caretDown = document.createElement('span');
+            caretDown.classList.add(
+                'ml-auto',
+                'expanded-icon',
+                'icon-no-margin',
+                'mx-2'
+            );
+            const caretDownIcon = document.createElement('i');
+            caretDownIcon.classList.add('icon', 'fa', 'fa-caret-down', 'fa-fw');
+            caretDown.append(caretDownIcon);
+            const caretRight = document.createElement('span');
+            caretRight.classList.add(
+                'ml-auto',
+                'collapsed-icon',
+                'icon-no-margin',
+                'mx-2'
+            );
+            const caretRightIcon = document.createElement('i');
+            caretRightIcon.classList.add(
+                'icon',
+                'fa',
+                'fa-caret-right',
+                'fa-fw'
             );
+            caretRight.append(caretRightIcon);
+
+            mobileA.append(caretDown, caretRight);
+            mobileA.after(mobileDropdownMenu);
         }
-    `;
+    }
+
+    // add a left sidebar
+    if (isDashboard) {
+        createSidebar(
+            'dashboard-left',
+            'left',
+            'graduation-cap',
+            (content, header) => {
+                sidebarContent = content;
+
+                // add the my-courses link as a sidebar header
+                const myCoursesLink = document.createElement('a');
+                myCoursesLink.textContent = $t(
+                    'myCourses.lists.myCoursesLink'
+                ).toString();
+                myCoursesLink.href = '/my/courses.php';
+                myCoursesLink.classList.add('w-100', 'text-center');
+
+                // add the filter dropdown
+                const dropdownToggle = document.createElement('button');
+                dropdownToggle.classList.add(
+                    'btn',
+                    'icon-no-margin',
+                    'dropdown-toggle'
+                );
+                dropdownToggle.dataset.toggle = 'dropdown';
+                dropdownToggle.id = PREFIX(
+                    'dashboard-my-courses-filter-toggle'
+                );
+                const filterIcon = document.createElement('i');
+                filterIcon.classList.add('icon', 'fa', 'fa-filter', 'fa-fw');
+                dropdownToggle.append(filterIcon);
+                const dropdown = document.createElement('ul');
+                dropdown.classList.add('dropdown-menu', 'w-100');
+                dropdown.id = PREFIX('dashboard-my-courses-filter-menu');
 
-    GM_addStyle(prideLogoStyle);
-}
-// endregion
+                dropdownToggle.setAttribute('aria-controls', dropdown.id);
+                dropdown.setAttribute('aria-labelledby', dropdownToggle.id);
 
-// region Feature: Darkmode
-GM_addStyle(css`
-    /* make the Logo glow beautifully when using dark mode of darkreader */
-    ${DARK_MODE_SELECTOR} .navbar.fixed-top .navbar-brand .logo,
-    ${DARK_MODE_SELECTOR} #logoimage {
-        filter: saturate(2) brightness(1.5) contrast(3) /*grayscale(1) contrast(200) invert(18%) sepia(93%)
-            saturate(2977%) hue-rotate(204deg) brightness(96%) contrast(95%)
-            brightness(60%) brightness(280%)*/;
-    }
-`);
-const updateDarkReaderMode = (live = false) => {
-    const darkModeSetting = getSetting('darkmode.mode', live);
-    if (darkModeSetting !== 'off') {
-        const settings = {
-            brightness: getSetting('darkmode.brightness', live),
-            contrast: getSetting('darkmode.contrast', live),
-            grayscale: getSetting('darkmode.grayscale', live),
-            sepia: getSetting('darkmode.sepia', live),
-        };
-        const fixes = {
-            css: css`
-                .eye {
-                    background-color: white;
-                }
+                // move the dropdown after it has been initially opened
+                require(['jquery'], $ => {
+                    $(header).on('shown.bs.dropdown', () =>
+                        sidebarContent.prepend(dropdown)
+                    );
+                });
 
-                ${prideLogoStyle}
+                const settingId = 'dashboard.courseListFilter';
 
-                /* Replace mix-blend-mode: multiply with mix-blend-mode: hard-light */
-                .activity-item.hiddenactivity .description .course-description-item, 
-                .activity-item.hiddenactivity .activityiconcontainer, 
-                .activity-item.hiddenactivity .badge,
-                .editing .activity-item:hover .activityiconcontainer,
-                .editing .activity-item:hover .description .course-description-item, 
-                .editing .activity-item:hover .activityiconcontainer, 
-                .editing .activity-item:hover .badge,
-                .path-mod .automatic-completion-conditions .badge {
-                    mix-blend-mode: hard-light !important;
-                }
+                const value = getSetting(settingId);
 
-                /* fix for state machine tests */
-                .coderunner_graphcanvas {
-                    background-color: transparent !important;
-                    filter: invert(1);
-                }
-            `,
-        };
-        if (darkModeSetting === 'auto') DarkReader.auto(settings, fixes);
-        else {
-            DarkReader.auto(false);
-            DarkReader.enable(settings, fixes);
-        }
-    } else if (DarkReader.isEnabled()) {
-        DarkReader.auto(false);
-        DarkReader.disable();
-    }
-};
-updateDarkReaderMode();
-// endregion
+                getCourseGroupingOptions().then(options =>
+                    options.forEach(({ key, title }) => {
+                        const item = document.createElement('li');
+                        item.dataset.value = key;
+                        const link = document.createElement('a');
+                        link.classList.add('dropdown-item');
+                        link.href = '#';
+                        link.textContent = title;
+                        if (value === key) link.ariaCurrent = 'true';
+                        item.append(link);
+                        dropdown.append(item);
+                    })
+                );
 
-// region Feature: general.quickRoleChange
-if (getSetting('general.quickRoleChange')) {
-    ready(() => {
-        const usermenu = document.getElementById('usermenu-carousel');
-        const usermenuInner = usermenu?.querySelector('.carousel-inner');
-        const roleSelectBtn = usermenu?.querySelector(
-            '.dropdown-item[href*="switchrole.php"]'
-        );
-        if (!roleSelectBtn) return;
+                const updateSidebar = newValue => {
+                    dropdown
+                        .querySelector('[aria-current="true"]')
+                        ?.removeAttribute('aria-current');
+                    dropdown
+                        .querySelector(
+                            `[data-value=${JSON.stringify(newValue)}] a`
+                        )
+                        ?.setAttribute('aria-current', 'true');
 
-        const rolesUrl = roleSelectBtn.href;
-        fetch(rolesUrl)
-            .then(response => response.text())
-            .then(html => {
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-                return doc.querySelectorAll('form[action*="switchrole.php"]');
-            })
-            .then(forms => {
-                const roles = [];
-                forms.forEach(form => {
-                    const role = {
-                        id: form.querySelector('input[name="id"]').value,
-                        switchrole: form.querySelector(
-                            'input[name="switchrole"]'
-                        ).value,
-                        returnurl: form.querySelector('input[name="returnurl"]')
-                            .value,
-                        sesskey: form.querySelector('input[name="sesskey"]')
-                            .value,
-                        title: form.querySelector('button').textContent,
-                    };
-                    roles.push(role);
+                    fillSidebar();
+                };
+
+                dropdown.addEventListener('click', e => {
+                    e.preventDefault();
+                    const target = e.target;
+                    if (!(target instanceof HTMLElement)) return;
+                    const item = target.closest('[data-value]');
+                    if (!item) return;
+                    GM_setValue(getSettingKey(settingId), item.dataset.value);
                 });
-                return roles;
-            })
-            .then(roles => {
-                if (roles.length === 0) return;
 
-                const roleSelecotrItemId = PREFIX('role-selector-item');
-                const roleSelectorItem = document.createElement('div');
-                roleSelectorItem.id = roleSelecotrItemId;
-                roleSelectorItem.classList.add('carousel-item', 'submenu');
-                roleSelectorItem.setAttribute('role', 'menu');
-                roleSelectorItem.setAttribute(
-                    'aria-label',
-                    $t('quickRoleChange.roleSelector')
+                GM_addValueChangeListener(
+                    getSettingKey(settingId),
+                    (_, __, newValue) => updateSidebar(newValue)
+                );
+                GM_addValueChangeListener(MyCoursesFilterSyncChangeKey, () =>
+                    updateSidebar(getSetting(settingId))
                 );
-                roleSelectorItem.setAttribute('tabindex', -1);
 
-                roleSelectorItem.innerHTML = `
-                    <div class="d-flex flex-column h-100">
-                        <div class="header">
-                            <button type="button" class="btn btn-icon carousel-navigation-link text-decoration-none text-body" data-carousel-target-id="carousel-item-main" aria-label="${$t('quickRoleChange.goBack')}">
-                                <span class="dir-rtl-hide"><img class="icon " alt="" aria-hidden="true" src="/theme/image.php/boost/core/1718107763/i/arrow-left"></span>
-                                <span class="dir-ltr-hide"><img class="icon " alt="" aria-hidden="true" src="/theme/image.php/boost/core/1718107763/i/arrow-right"></span>
-                            </button>
-                            <span class="pl-2" id="${roleSelecotrItemId}-title">${$t('quickRoleChange.roleSelector')}</span>
-                        </div>
-                        <div class="dropdown-divider"></div>
-                        <div class="items h-100 overflow-auto" role="menu" aria-labelledby=""${roleSelecotrItemId}-title">
-                            ${Object.entries(roles)
-                                .map(
-                                    ([, role]) => `
-                                        <form method="post" action="/course/switchrole.php">
-                                            <input type="hidden" name="id" value="${role.id}">
-                                            <input type="hidden" name="switchrole" value="${role.switchrole}">
-                                            <input type="hidden" name="returnurl" value="${role.returnurl}">
-                                            <input type="hidden" name="sesskey" value="${role.sesskey}">
-                                            <button type="submit" class="dropdown-item text-truncate">${role.title}</button>
-                                        </form>
-                                    `
-                                )
-                                .join('')}
-                        </div>
-                        <div class="dropdown-divider"></div>
-                        <div class="footer d-flex justify-content-center">
-                            <a href="${rolesUrl}" class="small">${$t('quickRoleChange.defaultSwitchRole')}</a>
-                        </div>
-                    </div>
-                `;
+                GM_addStyle(css`
+                    #${dropdown.id} {
+                        transform: unset !important;
+                        position: sticky !important;
+                    }
 
-                usermenuInner?.append(roleSelectorItem);
+                    #${dropdown.id} a {
+                        width: 100%;
+                    }
+                `);
+
+                header.append(myCoursesLink, dropdownToggle, dropdown);
+            }
+        );
+    }
+
+    const loadingSpan = document.createElement('span');
+    loadingSpan.classList.add(
+        'loading-icon',
+        'icon-no-margin',
+        'text-center',
+        'd-block'
+    );
+    const loadingIcon = document.createElement('i');
+    loadingIcon.classList.add(
+        'icon',
+        'fa',
+        'fa-circle-o-notch',
+        'fa-spin',
+        'fa-fw'
+    );
+    loadingSpan.append(loadingIcon);
+
+    const fillSidebar = async () => {
+        if (!sidebarContent) return;
+
+        const loadingSpanEl = loadingSpan.cloneNode(true);
+
+        sidebarContent.innerHTML = '';
+        sidebarContent.append(loadingSpanEl);
+
+        const sidebarGroupingSetting = getSetting('dashboard.courseListFilter');
+        const sidebarGrouping =
+            sidebarGroupingSetting === '_sync' ?
+                await getCourseGroupings().then(
+                    courseGroupings =>
+                        courseGroupings.find(grouping => grouping.active) ??
+                        courseGroupings[0]
+                )
+            :   JSON.parse(sidebarGroupingSetting);
+
+        // fetch the courses
+        require(['block_myoverview/repository'], ({
+            getEnrolledCoursesByTimeline,
+        }) =>
+            getEnrolledCoursesByTimeline({
+                classification: sidebarGrouping.classification,
+                customfieldname: sidebarGrouping.customfieldname,
+                customfieldvalue: sidebarGrouping.customfieldvalue,
+                limit: 0,
+                offset: 0,
+                sort: 'shortname',
+            }).then(({ courses }) => {
+                loadingSpanEl.remove();
+                if (getSetting('dashboard.courseListFavouritesAtTop')) {
+                    courses.sort((a, b) => b.isfavourite - a.isfavourite);
+                }
+                courses.forEach(addSidebarItem);
+                if (!courses.length) {
+                    const noCoursesSpan = document.createElement('span');
+                    noCoursesSpan.classList.add('text-muted', 'text-center');
+                    noCoursesSpan.textContent = $t(
+                        'myCourses.lists.empty'
+                    ).toString();
+                    sidebarContent.append(noCoursesSpan);
+                }
+            }));
+    };
 
-                roleSelectBtn.href = '#';
-                roleSelectBtn.classList.add('carousel-navigation-link');
-                roleSelectBtn.dataset.carouselTargetId = roleSelecotrItemId;
-            });
-    });
-}
-// endregion
+    fillSidebar().then();
 
-// region Feature: Dashboard right sidebar
-// add a right sidebar with timeline and upcoming events on Dashboard
-// if (isDashboard) {
-//     createSidebar('dashboard-right', 'right', 'calendar', content => {
-//         // move blocks into sidebar
-//         content.append(document.querySelector('.block_timeline'));
-//         content.append(document.querySelector('.block_calendar_upcoming'));
-//     });
-// }
-// endregion
+    const fillDropdown = async () => {
+        if (dropdownMenu) dropdownMenu.innerHTML = '';
+        if (mobileDropdownMenu) mobileDropdownMenu.innerHTML = '';
 
-// region Feature: myCourses.boxesPerRow
-const myCoursesBoxesPerRow = getSetting('myCourses.boxesPerRow');
-GM_addStyle(css`
-    /* ${myCoursesBoxesPerRow} boxes per row in the "my courses" view, instead of 3 plus increase margin a little */
-    @media (min-width: 840px) {
-        .dashboard-card-deck:not(.fixed-width-cards) .dashboard-card {
-            --margin: max(4px, min(10px, calc(100vw / 192)));
-            width: calc((100% / ${myCoursesBoxesPerRow}) - var(--margin) * 2);
-            margin-left: var(--margin);
-            margin-right: var(--margin);
-        }
-        .block-myoverview .card-grid[data-region='card-deck'] > .col {
-            --width: calc(100% / ${myCoursesBoxesPerRow});
-            min-width: var(--width) !important;
-            width: var(--width) !important;
-            max-width: var(--width) !important;
-        }
-    }
-`);
-// endregion
+        const dropdownLoadingSpan = loadingSpan.cloneNode(true);
+        const mobileLoadingSpan = loadingSpan.cloneNode(true);
 
-// region Features: courses.grades, courses.gradesNewTab, courses.collapseAll
-ready(() => {
-    if (!M.cfg.courseId || M.cfg.courseId === 1) return;
+        dropdownMenu?.append(dropdownLoadingSpan);
+        mobileDropdownMenu?.append(mobileLoadingSpan);
 
-    const drawer = document.getElementById('theme_boost-drawers-courseindex');
-    if (!drawer) return;
+        const dropdownGroupingSetting = getSetting(
+            'myCourses.navbarDropdownFilter'
+        );
+        const dropdownGrouping =
+            dropdownGroupingSetting === '_sync' ?
+                await getCourseGroupings().then(
+                    courseGroupings =>
+                        courseGroupings.find(grouping => grouping.active) ??
+                        courseGroupings[0]
+                )
+            :   JSON.parse(dropdownGroupingSetting);
 
-    // region Features: courses.grades, courses.gradesNewTab
-    // add a link to Bewertungen on each course-sidebar
-    const header = drawer?.querySelector('.drawerheader');
-    if (header && getSetting('courses.grades')) {
-        const link = document.createElement('a');
-        const calcItem = document.createElement('i');
-        calcItem.classList.add('icon', 'fa', 'fa-calculator', 'fa-fw');
-        link.href = `/grade/report/user/index.php?id=${M.cfg.courseId}`;
-        link.classList.add('w-100', 'text-center');
-        link.append(calcItem, $t('courses.grades').toString());
+        if (dropdownGrouping) {
+            // fetch the courses
+            require(['block_myoverview/repository'], ({
+                getEnrolledCoursesByTimeline,
+            }) =>
+                getEnrolledCoursesByTimeline({
+                    classification: dropdownGrouping.classification,
+                    customfieldname: dropdownGrouping.customfieldname,
+                    customfieldvalue: dropdownGrouping.customfieldvalue,
+                    limit: 0,
+                    offset: 0,
+                    sort: 'shortname',
+                }).then(({ courses }) => {
+                    dropdownLoadingSpan.remove();
+                    mobileLoadingSpan.remove();
 
-        if (getSetting('courses.gradesNewTab')) link.target = '_blank';
+                    if (myCoursesA) {
+                        addDropdownItem({
+                            fullname: `[${$t('myCourses.lists.myCoursesLink')}]`,
+                            shortname: '',
+                            viewurl: '/my/courses.php',
+                        });
+                    }
 
-        header.append(link);
-    }
-    // endregion
+                    if (getSetting('myCourses.navbarDropdownFavouritesAtTop')) {
+                        courses.sort((a, b) => b.isfavourite - a.isfavourite);
+                    }
+                    courses.forEach(addDropdownItem);
 
-    // region Feature: courses.collapseAll
-    // collapse / un-collapse all sections on double-click on a section header
-    if (getSetting('courses.collapseAll')) {
-        drawer?.addEventListener('dblclick', e => {
-            const target = e.target;
-            if (
-                !(target instanceof HTMLElement) &&
-                !(target instanceof SVGElement)
-            ) {
-                return;
-            }
-            const collapseIcon = target.closest(
-                '.courseindex-section-title .icons-collapse-expand'
-            );
-            if (!collapseIcon) return;
+                    if (!courses.length) {
+                        const noCoursesSpan = document.createElement('span');
+                        noCoursesSpan.classList.add(
+                            'text-muted',
+                            'text-center'
+                        );
+                        noCoursesSpan.textContent = $t(
+                            'myCourses.lists.empty'
+                        ).toString();
+                        dropdownMenu?.append(noCoursesSpan);
+                        mobileDropdownMenu?.append(
+                            noCoursesSpan.cloneNode(true)
+                        );
+                    }
+                }));
+        }
+    };
 
-            e.preventDefault();
+    GM_addValueChangeListener(MyCoursesFilterSyncChangeKey, () =>
+        fillDropdown()
+    );
 
-            drawer
-                .querySelectorAll(
-                    `.courseindex-section-title .icons-collapse-expand${
-                        collapseIcon.classList.contains('collapsed') ?
-                            ':not(.collapsed)'
-                        :   '.collapsed'
-                    }`
-                )
-                .forEach(collapseIcon => collapseIcon.click());
-            collapseIcon.focus();
-        });
-    }
-    // endregion
+    fillDropdown().then();
+};
+registerFeature({
+    id: 'myCourses.navigation',
+    settings: [
+        'myCourses.navbarDropdown',
+        'myCourses.navbarDropdownFilter',
+        'myCourses.navbarDropdownFavouritesAtTop',
+        'dashboard.courseListFilter',
+        'dashboard.courseListFavouritesAtTop',
+    ],
+    pages: [isNotLoginPage],
+    requires: ['createSidebar'],
+    isEnabled: () => true,
+    enable: helpers => ready(() => initCourseNavigation(helpers)),
 });
 // endregion
 
-// region Features: myCourses.navbarDropdown, Dashboard left sidebar
-// add a left sidebar with the users courses. Also manipulate my courses link to be a dropdown
-ready(async () => {
-    if (window.location.pathname.startsWith('/login/')) return;
-
-    if (window.location.pathname === '/my/courses.php') {
-        require([
-            'jquery',
-            'block_myoverview/selectors',
-            'core/custom_interaction_events',
-        ], (jquery, selectors, { events }) => {
-            const block = jquery(document.querySelector('.block-myoverview'));
-            if (!block) return;
-            const filters = block.find(selectors.FILTERS);
-            if (!filters) return;
+// region Feature: courses.imgMaxWidth
+/** @type {HTMLStyleElement} */
+let imgMaxWidthStyle;
+registerFeature({
+    id: 'courses.imgMaxWidth',
+    settings: ['courses.imgMaxWidth'],
+    enable: () => {
+        imgMaxWidthStyle = GM_addStyle(css`
+            /* prevent images from overflowing */
+            #region-main img:not(.activityicon):not(.icon) {
+                max-width: 100%;
+            }
+        `);
+    },
+    disable: () => imgMaxWidthStyle?.remove(),
+});
+// endregion
 
-            filters.on(events.activate, selectors.FILTER_OPTION, () =>
-                GM_setValue(MyCoursesFilterSyncChangeKey, Math.random())
-            );
-        });
-    }
+// region Feature: courses.imageZoom
+{
+    const overlay = document.createElement('div');
+    overlay.id = PREFIX('image-zoom-overlay');
 
-    /** @type {HTMLDivElement} */
-    let dropdownMenu;
-    /** @type {HTMLDivElement} */
-    let mobileDropdownMenu;
+    let copyImage;
 
-    /** @type {HTMLDivElement} */
-    let sidebarContent;
+    const imageZoomCursorStyle = css`
+        #region-main img:not(.activityicon):not(.icon) {
+            cursor: zoom-in;
+        }
+    `;
+    /** @type {HTMLStyleElement} */
+    let imageZoomCursorStyleEl;
 
-    /**
-     * @typedef {Object} Course
-     * @property {string} shortname
-     * @property {string} fullname
-     * @property {string} viewurl
-     * @property {boolean} isfavourite
-     */
+    GM_addStyle(css`
+        /* background for image zooming */
+        #${overlay.id} {
+            position: fixed;
+            top: 0;
+            bottom: 0;
+            left: 0;
+            right: 0;
+            z-index: 2000;
+            opacity: 0;
 
-    /**
-     * @param {Course} course
-     */
-    const addDropdownItem = course => {
-        const createAnchor = () => {
-            const anchor = document.createElement('a');
-            anchor.classList.add('dropdown-item');
-            anchor.href = course.viewurl;
-            const shortName = document.createElement('strong');
-            shortName.textContent = course.shortname;
-            const fullName = document.createElement('small');
-            fullName.textContent = course.fullname;
-            anchor.append(
-                ...(course.shortname ? [shortName, '\u00a0'] : []),
-                fullName
-            );
-            anchor.title = anchor.textContent;
+            background: rgba(0, 0, 0, 0.75);
 
-            if (course.isfavourite) {
-                const favouriteIcon = document.createElement('i');
-                favouriteIcon.classList.add('icon', 'fa', 'fa-star', 'fa-fw');
-                anchor.prepend(favouriteIcon);
-            }
+            cursor: zoom-out;
 
-            return anchor;
-        };
+            transition: opacity 0.2s ease-in-out;
+            will-change: opacity;
 
-        if (dropdownMenu) {
-            const anchor = createAnchor();
-            anchor.classList.add('dropdown-item');
-            anchor.style.setProperty('overflow', 'hidden');
-            anchor.style.setProperty('text-overflow', 'ellipsis');
-            dropdownMenu.append(anchor);
-        }
-        if (mobileDropdownMenu) {
-            const anchor = createAnchor();
-            anchor.classList.add(
-                'pl-5',
-                'bg-light',
-                'list-group-item',
-                'list-group-item-action'
-            );
-            mobileDropdownMenu.append(anchor);
+            display: flex;
+            align-items: center;
+            justify-content: center;
         }
-    };
-
-    /**
-     * @param {Course} course
-     */
-    const addSidebarItem = course => {
-        if (!sidebarContent) return;
-        const card = document.createElement('div');
-        card.classList.add('card', 'block', 'mb-3');
-        const cardBody = document.createElement('div');
-        cardBody.classList.add('card-body', 'p-3');
-
-        const anchor = document.createElement('a');
-        anchor.href = course.viewurl;
-        const shortName = document.createElement('strong');
-        shortName.textContent = course.shortname;
-        const fullName = document.createElement('small');
-        fullName.textContent = course.fullname;
-        anchor.append(
-            ...(course.shortname ?
-                [shortName, document.createElement('br')]
-            :   []),
-            fullName
-        );
-        anchor.title = anchor.textContent;
 
-        if (course.isfavourite) {
-            const favouriteIcon = document.createElement('i');
-            favouriteIcon.classList.add('icon', 'fa', 'fa-star', 'fa-fw');
-            anchor.prepend(favouriteIcon);
+        /* image zooming */
+        #${overlay.id} > img {
+            cursor: zoom-out;
+            transform: scale(0);
+            transition: transform 0.2s ease-in-out;
+            will-change: transform;
+            /* need to unset width and height during zoomed */
+            width: unset !important;
+            height: unset !important;
         }
+    `);
 
-        cardBody.append(anchor);
-        card.append(cardBody);
-        sidebarContent.append(card);
+    const closeZoomedImage = () => {
+        overlay.remove();
+        copyImage?.remove();
+
+        overlay.style.removeProperty('opacity');
     };
 
-    // convert the "my courses" link into a dropdown
-    /** @type {HTMLLIElement | null} */
-    const myCoursesLi = document.querySelector(
-        '.primary-navigation .nav-item[data-key="mycourses"]'
-    );
-    /** @type {HTMLAnchorElement | null} */
-    const myCoursesA = myCoursesLi?.querySelector('a');
-    if (myCoursesLi && myCoursesA) {
-        myCoursesLi.classList.add('dropdown');
+    overlay.addEventListener('click', closeZoomedImage);
 
-        const myCoursesLink = myCoursesA.href;
+    const zoomImage = e => {
+        const target = e.target;
+        if (!(target instanceof HTMLImageElement)) return;
 
-        if (getSetting('myCourses.navbarDropdown')) {
-            myCoursesA.classList.add('dropdown-toggle');
-            myCoursesA.dataset.toggle = 'dropdown';
-            myCoursesA.href = myCoursesLink;
-            myCoursesA.id = PREFIX('my-courses-dropdown-toggle');
+        if (getComputedStyle(target).cursor !== 'zoom-in') return;
 
-            dropdownMenu = document.createElement('div');
-            dropdownMenu.classList.add('dropdown-menu');
-            dropdownMenu.style.setProperty('max-width', '500px');
-            dropdownMenu.role = 'menu';
-            dropdownMenu.id = PREFIX('my-courses-dropdown-menu');
+        e.preventDefault();
 
-            myCoursesA.setAttribute('aria-controls', dropdownMenu.id);
-            dropdownMenu.setAttribute('aria-labelledby', myCoursesA.id);
+        copyImage = target.cloneNode(true);
 
-            myCoursesA.after(dropdownMenu);
+        // remove additional styles that could produce weird results
+        copyImage.style.removeProperty('margin');
+        copyImage.style.removeProperty('width');
+        copyImage.style.removeProperty('height');
+        copyImage.style.setProperty('display', 'block');
+        copyImage.removeAttribute('width');
+        copyImage.removeAttribute('height');
 
-            // open my courses if clicked when dropdown is open and not already on my courses page
-            myCoursesA.addEventListener('click', e => {
-                if (
-                    myCoursesLi.classList.contains('show') &&
-                    !window.location.toString().includes(myCoursesLink)
-                ) {
-                    e.preventDefault();
-                    window.location.replace(myCoursesLink);
-                }
-            });
-        }
+        copyImage.addEventListener('load', () => {
+            const { naturalWidth: width, naturalHeight: height } = copyImage;
 
-        // mobile menu
-        const mobileA = document.querySelector(
-            `#theme_boost-drawers-primary .list-group-item[href="${myCoursesLink}"]`
-        );
-        if (mobileA) {
-            mobileA.classList.add(
-                'icons-collapse-expand',
-                'collapsed',
-                'd-flex'
-            );
-            mobileA.dataset.toggle = 'collapse';
-            mobileA.href = '#';
+            // a size could not be determined
+            if (!width || !height) {
+                copyImage.style.setProperty('max-width', `90%`);
+                copyImage.style.setProperty('max-height', `90%`);
+                copyImage.style.setProperty('transform', `scale(1)`);
+            }
 
-            mobileDropdownMenu = document.createElement('div');
-            mobileDropdownMenu.classList.add(
-                'collapse',
-                'list-group-item',
-                'p-0',
-                'border-0'
-            );
-            mobileDropdownMenu.id = `dropdown-${crypto.randomUUID()}`;
-            mobileA.dataset.target = `#${mobileDropdownMenu.id}`;
+            const maxWidth = window.innerWidth * 0.9;
+            const maxHeight = window.innerHeight * 0.9;
 
-            const caretDown = document.createElement('span');
-            caretDown.classList.add(
-                'ml-auto',
-                'expanded-icon',
-                'icon-no-margin',
-                'mx-2'
-            );
-            const caretDownIcon = document.createElement('i');
-            caretDownIcon.classList.add('icon', 'fa', 'fa-caret-down', 'fa-fw');
-            caretDown.append(caretDownIcon);
-            const caretRight = document.createElement('span');
-            caretRight.classList.add(
-                'ml-auto',
-                'collapsed-icon',
-                'icon-no-margin',
-                'mx-2'
-            );
-            const caretRightIcon = document.createElement('i');
-            caretRightIcon.classList.add(
-                'icon',
-                'fa',
-                'fa-caret-right',
-                'fa-fw'
+            const scale = Math.min(maxWidth / width, maxHeight / height);
+
+            copyImage.style.setProperty('transform', `scale(${scale})`);
+        });
+
+        overlay.append(copyImage);
+        document.body.append(overlay);
+
+        overlay.style.setProperty('opacity', '1');
+    };
+
+    registerFeature({
+        id: 'courses.imageZoom',
+        settings: ['courses.imageZoom'],
+        enable: () => {
+            imageZoomCursorStyleEl = GM_addStyle(imageZoomCursorStyle);
+            ready(() =>
+                document
+                    .querySelector('#region-main')
+                    ?.addEventListener('click', zoomImage)
             );
-            caretRight.append(caretRightIcon);
+        },
+        disable: () => {
+            imageZoomCursorStyleEl?.remove();
+            document
+                .querySelector('#region-main')
+                ?.removeEventListener('click', zoomImage);
+            closeZoomedImage();
+        },
+    });
+}
+// endregion
 
-            mobileA.append(caretDown, caretRight);
-            mobileA.after(mobileDropdownMenu);
-        }
+// region Feature: courses.hideSelfEnrolHint
+/** @type {HTMLStyleElement} */
+let hideSelfEnrolHintStyle;
+registerFeature({
+    id: 'courses.hideSelfEnrolHint',
+    settings: ['courses.hideSelfEnrolHint'],
+    enable: () => {
+        hideSelfEnrolHintStyle = GM_addStyle(css`
+            .course-hint-selfenrol.alert.alert-info {
+                display: none !important;
+            }
+        `);
+    },
+    disable: () => hideSelfEnrolHintStyle?.remove(),
+});
+// endregion
+
+// region Feature: clock.clock && clock.fuzzyClock
+/** @type {HTMLSpanElement[]} */
+const clockSpans = [];
+/** @type {() => void} */
+let stopClocks;
+/** @param {FeatureHelpers} helpers */
+const startClocks = ({ addMarqueeItems, animationInterval }) => {
+    if (getSetting('clock.fuzzyClock')) {
+        /** @type {number} */
+        const fuzziness = getSetting('clock.fuzzyClock.fuzziness');
+        const fuzzyClockSpan = document.createElement('span');
+        fuzzyClockSpan.dataset.clockFuzziness = fuzziness.toString();
+
+        addMarqueeItems(fuzzyClockSpan);
+        clockSpans.push(fuzzyClockSpan);
     }
+    if (getSetting('clock.clock')) {
+        const clockSpan = document.createElement('span');
+        clockSpan.dataset.clockFuzziness =
+            getSetting('clock.clock.seconds') ? '0' : '1';
 
-    // add a left sidebar
-    if (isDashboard) {
-        createSidebar(
-            'dashboard-left',
-            'left',
-            'graduation-cap',
-            (content, header) => {
-                sidebarContent = content;
+        addMarqueeItems(clockSpan);
+        clockSpans.push(clockSpan);
+    }
 
-                // add the my-courses link as a sidebar header
-                const myCoursesLink = document.createElement('a');
-                myCoursesLink.textContent = $t(
-                    'myCourses.lists.myCoursesLink'
-                ).toString();
-                myCoursesLink.href = '/my/courses.php';
-                myCoursesLink.classList.add('w-100', 'text-center');
+    /** @type {Map<number, string>} */
+    const timeStrings = new Map();
 
-                // add the filter dropdown
-                const dropdownToggle = document.createElement('button');
-                dropdownToggle.classList.add(
-                    'btn',
-                    'icon-no-margin',
-                    'dropdown-toggle'
-                );
-                dropdownToggle.dataset.toggle = 'dropdown';
-                dropdownToggle.id = PREFIX(
-                    'dashboard-my-courses-filter-toggle'
-                );
-                const filterIcon = document.createElement('i');
-                filterIcon.classList.add('icon', 'fa', 'fa-filter', 'fa-fw');
-                dropdownToggle.append(filterIcon);
-                const dropdown = document.createElement('ul');
-                dropdown.classList.add('dropdown-menu', 'w-100');
-                dropdown.id = PREFIX('dashboard-my-courses-filter-menu');
+    stopClocks = animationInterval(1000, () => {
+        timeStrings.clear();
 
-                dropdownToggle.setAttribute('aria-controls', dropdown.id);
-                dropdown.setAttribute('aria-labelledby', dropdownToggle.id);
+        const now = new Date();
+        const hour = now.getHours();
+        const twelveHour = hour % 12 || 12;
+        const minutes = now.getMinutes();
+        const exactMinutes = minutes + now.getSeconds() / 60;
+
+        timeStrings.set(0, timeToString(now, true));
+        timeStrings.set(1, timeToString(now, false));
+
+        document
+            .querySelectorAll('[data-clock-fuzziness]')
+            .forEach(clockSpan => {
+                const fuzziness = parseInt(clockSpan.dataset.clockFuzziness);
+                if (timeStrings.has(fuzziness)) {
+                    clockSpan.textContent = timeStrings.get(fuzziness);
+                }
+
+                /** @type {(string|number)[]} */
+                const timeString = [];
+
+                switch (fuzziness) {
+                    case 0: // 1 second, "normal" clock with seconds
+                    case 1: // 1 second, "normal" clock without seconds
+                        clockSpan.textContent = timeStrings.get(fuzziness);
+                        break;
+                    case 10: // 5 minutes
+                    case 20: {
+                        // 15 minutes
+                        const sectorSize = fuzziness === 10 ? 5 : 15;
+                        const sectors = 60 / sectorSize;
+                        const middleSector = sectors / 2;
+                        const nextHour = (twelveHour + 1) % 12;
+                        const minuteSector =
+                            Math.floor(
+                                (exactMinutes + sectorSize / 2) / sectorSize
+                            ) % 12;
+                        if (minuteSector === 0) {
+                            const shownHour =
+                                minutes < 30 ? twelveHour : nextHour;
+                            timeString.push(shownHour, 'oClock');
+                        } else if (minuteSector < middleSector) {
+                            timeString.push(
+                                minuteSector * sectorSize,
+                                'past',
+                                twelveHour
+                            );
+                        } else if (minuteSector === middleSector) {
+                            timeString.push('half', nextHour);
+                        } else if (minuteSector > middleSector) {
+                            timeString.push(
+                                60 - minuteSector * sectorSize,
+                                'to',
+                                nextHour
+                            );
+                        }
+                        break;
+                    }
+                    case 30:
+                    case 40: {
+                        /** @type {string[]} */
+                        const strings = $t(
+                            `clock.fuzzyClock.other.${fuzziness}`
+                        );
+                        const section = Math.floor(
+                            hour / (24 / strings.length)
+                        );
+                        timeString.push(`other.${fuzziness}.${section}`);
+                        break;
+                    }
+                    case 50: {
+                        const dayOfWeek = now.getDay();
+                        const weekString =
+                            dayOfWeek === 1 ?
+                                0 // Monday
+                            : dayOfWeek >= 2 && dayOfWeek <= 3 ?
+                                1 // Tuesday, Wednesday
+                            : dayOfWeek <= 5 ?
+                                2 // Thursday, Friday
+                            :   3; // Saturday, Sunday
+                        timeString.push(`other.50.${weekString}`);
+                    }
+                }
 
-                // move the dropdown after it has been initially opened
-                require(['jquery'], $ => {
-                    $(header).on('shown.bs.dropdown', () =>
-                        sidebarContent.prepend(dropdown)
+                if (timeString.length) {
+                    timeStrings.set(
+                        fuzziness,
+                        timeString
+                            .map(s => $t(`clock.fuzzyClock.${s}`))
+                            .join('\xa0')
                     );
-                });
-
-                const settingId = 'dashboard.courseListFilter';
+                    clockSpan.textContent = timeStrings.get(fuzziness);
+                    clockSpan.title = timeStrings.get(0);
+                }
+            });
+    });
+};
+registerFeature({
+    id: 'clock',
+    settings: [
+        'clock.clock',
+        'clock.clock.seconds',
+        'clock.fuzzyClock',
+        'clock.fuzzyClock.fuzziness',
+    ],
+    requires: ['addMarqueeItems', 'removeMarqueeItems', 'animationInterval'],
+    isEnabled: () =>
+        getSetting('clock.clock') || getSetting('clock.fuzzyClock'),
+    enable: startClocks,
+    disable: ({ removeMarqueeItems }) => {
+        stopClocks();
+        removeMarqueeItems(...clockSpans.splice(0));
+    },
+});
+// endregion
 
-                const value = getSetting(settingId);
+// region Feature: weatherDisplay
+const WEATHER_CITY = Object.freeze({
+    name: 'kiel',
+    lat: 54.3388,
+    lon: 10.1225,
+});
 
-                getCourseGroupingOptions().then(options =>
-                    options.forEach(({ key, title }) => {
-                        const item = document.createElement('li');
-                        item.dataset.value = key;
-                        const link = document.createElement('a');
-                        link.classList.add('dropdown-item');
-                        link.href = '#';
-                        link.textContent = title;
-                        if (value === key) link.ariaCurrent = 'true';
-                        item.append(link);
-                        dropdown.append(item);
-                    })
-                );
+/**
+ * the endpoints of all providers that need an API key
+ * @type {Record<'visualCrossing' | 'openWeatherMap' | 'pirateWeather', (apiKey: string) => string>}
+ */
+const WEATHER_API_KEY_URLS = {
+    visualCrossing: apiKey =>
+        `https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/${WEATHER_CITY.name}?unitGroup=metric&lang=id&iconSet=icons2&include=current&key=${apiKey}&contentType=json`,
+    openWeatherMap: apiKey =>
+        `https://api.openweathermap.org/data/2.5/weather?q=${WEATHER_CITY.name}&units=metric&appid=${apiKey}`,
+    pirateWeather: apiKey =>
+        `https://api.pirateweather.net/forecast/${apiKey}/${WEATHER_CITY.lat},${WEATHER_CITY.lon}?units=si`,
+};
 
-                const updateSidebar = newValue => {
-                    dropdown
-                        .querySelector('[aria-current="true"]')
-                        ?.removeAttribute('aria-current');
-                    dropdown
-                        .querySelector(
-                            `[data-value=${JSON.stringify(newValue)}] a`
+/**
+ * sends a test request to a weather provider, used as connection test in settings
+ * @param {keyof WEATHER_API_KEY_URLS} provider
+ * @param {string} apiKey
+ * @returns {Promise<string>} resolves with a success message, rejects with an error
+ */
+const testWeatherAPIKey = (provider, apiKey) =>
+    new Promise((resolve, reject) =>
+        GM_xmlhttpRequest({
+            method: 'GET',
+            url: WEATHER_API_KEY_URLS[provider](encodeURIComponent(apiKey)),
+            onload: ({ status }) => {
+                if (status === 200) {
+                    resolve(
+                        $t('modals.settings.validation.test.success').toString()
+                    );
+                } else if (status === 401 || status === 403) {
+                    reject(
+                        new Error(
+                            $t(
+                                'modals.settings.validation.test.unauthorized'
+                            ).toString()
                         )
-                        ?.setAttribute('aria-current', 'true');
-
-                    fillSidebar();
-                };
-
-                dropdown.addEventListener('click', e => {
-                    e.preventDefault();
-                    const target = e.target;
-                    if (!(target instanceof HTMLElement)) return;
-                    const item = target.closest('[data-value]');
-                    if (!item) return;
-                    GM_setValue(getSettingKey(settingId), item.dataset.value);
-                });
-
-                GM_addValueChangeListener(
-                    getSettingKey(settingId),
-                    (_, __, newValue) => updateSidebar(newValue)
-                );
-                GM_addValueChangeListener(MyCoursesFilterSyncChangeKey, () =>
-                    updateSidebar(getSetting(settingId))
-                );
-
-                GM_addStyle(css`
-                    #${dropdown.id} {
-                        transform: unset !important;
-                        position: sticky !important;
-                    }
+                    );
+                } else reject(new Error(`HTTP ${status}`));
+            },
+            onerror: () =>
+                reject(
+                    new Error(
+                        $t('modals.settings.validation.test.network').toString()
+                    )
+                ),
+        })
+    );
 
-                    #${dropdown.id} a {
-                        width: 100%;
-                    }
-                `);
+/** @type {() => void} */
+let disableWeatherDisplay;
+/** @param {FeatureHelpers} helpers */
+const enableWeatherDisplay = ({ animationInterval }) => {
+    const provider = getSetting('weatherDisplay.provider');
+    const units = getSetting('weatherDisplay.units');
+    const showTempInNavbar = getSetting('weatherDisplay.showTempInNavbar');
+    const toggleFeelsLike = getSetting('weatherDisplay.toggleFeelsLike');
 
-                header.append(myCoursesLink, dropdownToggle, dropdown);
-            }
-        );
-    }
+    const ONE_MINUTE = 1000 * 60;
+    const FIVE_MINUTES = ONE_MINUTE * 5;
 
-    const loadingSpan = document.createElement('span');
-    loadingSpan.classList.add(
-        'loading-icon',
-        'icon-no-margin',
-        'text-center',
-        'd-block'
+    const VISUALCROSSING_API_KEY = getSetting(
+        'weatherDisplay.visualCrossingAPIKey'
     );
-    const loadingIcon = document.createElement('i');
-    loadingIcon.classList.add(
-        'icon',
-        'fa',
-        'fa-circle-o-notch',
-        'fa-spin',
-        'fa-fw'
+    const OPENWEATHERMAP_API_KEY = getSetting(
+        'weatherDisplay.openWeatherMapAPIKey'
+    );
+    const PIRATEWEATHER_API_KEY = getSetting(
+        'weatherDisplay.pirateWeatherAPIKey'
     );
-    loadingSpan.append(loadingIcon);
 
-    const fillSidebar = async () => {
-        if (!sidebarContent) return;
+    const prefix = str => PREFIX(`weather-display-${str}`);
 
-        const loadingSpanEl = loadingSpan.cloneNode(true);
+    const weatherCodes = Object.freeze({
+        UNKNOWN: 'unknown',
 
-        sidebarContent.innerHTML = '';
-        sidebarContent.append(loadingSpanEl);
+        CLEAR: 'clear',
+        FEW_CLOUDS: 'fewClouds',
+        SCATTERED_CLOUDS: 'scatteredClouds',
+        BROKEN_CLOUDS: 'brokenClouds',
+        OVERCAST_CLOUDS: 'overcastClouds',
 
-        const sidebarGroupingSetting = getSetting('dashboard.courseListFilter');
-        const sidebarGrouping =
-            sidebarGroupingSetting === '_sync' ?
-                await getCourseGroupings().then(
-                    courseGroupings =>
-                        courseGroupings.find(grouping => grouping.active) ??
-                        courseGroupings[0]
-                )
-            :   JSON.parse(sidebarGroupingSetting);
+        MIST: 'mist',
+        FOG: 'fog',
+        FREEZING_FOG: 'freezingFog',
+        DUST: 'dust',
+        SAND: 'sand',
+        HAZE: 'haze',
+        SMOKE: 'smoke',
+        VOLCANIC_ASH: 'volcanicAsh',
 
-        // fetch the courses
-        require(['block_myoverview/repository'], ({
-            getEnrolledCoursesByTimeline,
-        }) =>
-            getEnrolledCoursesByTimeline({
-                classification: sidebarGrouping.classification,
-                customfieldname: sidebarGrouping.customfieldname,
-                customfieldvalue: sidebarGrouping.customfieldvalue,
-                limit: 0,
-                offset: 0,
-                sort: 'shortname',
-            }).then(({ courses }) => {
-                loadingSpanEl.remove();
-                if (getSetting('dashboard.courseListFavouritesAtTop')) {
-                    courses.sort((a, b) => b.isfavourite - a.isfavourite);
-                }
-                courses.forEach(addSidebarItem);
-                if (!courses.length) {
-                    const noCoursesSpan = document.createElement('span');
-                    noCoursesSpan.classList.add('text-muted', 'text-center');
-                    noCoursesSpan.textContent = $t(
-                        'myCourses.lists.empty'
-                    ).toString();
-                    sidebarContent.append(noCoursesSpan);
-                }
-            }));
-    };
+        WIND: 'wind',
+        SQUALLS: 'squalls',
+        TORNADO: 'tornado',
 
-    fillSidebar().then();
+        LIGHT_SNOW: 'lightSnow',
+        MODERATE_SNOW: 'moderateSnow',
+        HEAVY_SNOW: 'heavySnow',
 
-    const fillDropdown = async () => {
-        if (dropdownMenu) dropdownMenu.innerHTML = '';
-        if (mobileDropdownMenu) mobileDropdownMenu.innerHTML = '';
+        LIGHT_RAIN: 'lightRain',
+        MODERATE_RAIN: 'moderateRain',
+        HEAVY_RAIN: 'heavyRain',
 
-        const dropdownLoadingSpan = loadingSpan.cloneNode(true);
-        const mobileLoadingSpan = loadingSpan.cloneNode(true);
+        LIGHT_DRIZZLE: 'lightDrizzle',
+        MODERATE_DRIZZLE: 'moderateDrizzle',
+        HEAVY_DRIZZLE: 'heavyDrizzle',
 
-        dropdownMenu?.append(dropdownLoadingSpan);
-        mobileDropdownMenu?.append(mobileLoadingSpan);
+        LIGHT_SLEET: 'lightSleet',
+        MODERATE_SLEET: 'moderateSleet',
 
-        const dropdownGroupingSetting = getSetting(
-            'myCourses.navbarDropdownFilter'
-        );
-        const dropdownGrouping =
-            dropdownGroupingSetting === '_sync' ?
-                await getCourseGroupings().then(
-                    courseGroupings =>
-                        courseGroupings.find(grouping => grouping.active) ??
-                        courseGroupings[0]
-                )
-            :   JSON.parse(dropdownGroupingSetting);
+        LIGHT_THUNDERSTORM: 'lightThunderstorm',
+        MODERATE_THUNDERSTORM: 'moderateThunderstorm',
+        HEAVY_THUNDERSTORM: 'heavyThunderstorm',
 
-        if (dropdownGrouping) {
-            // fetch the courses
-            require(['block_myoverview/repository'], ({
-                getEnrolledCoursesByTimeline,
-            }) =>
-                getEnrolledCoursesByTimeline({
-                    classification: dropdownGrouping.classification,
-                    customfieldname: dropdownGrouping.customfieldname,
-                    customfieldvalue: dropdownGrouping.customfieldvalue,
-                    limit: 0,
-                    offset: 0,
-                    sort: 'shortname',
-                }).then(({ courses }) => {
-                    dropdownLoadingSpan.remove();
-                    mobileLoadingSpan.remove();
+        LIGHT_FREEZING_RAIN: 'lightFreezingRain',
+        MODERATE_FREEZING_RAIN: 'moderateFreezingRain',
 
-                    if (myCoursesA) {
-                        addDropdownItem({
-                            fullname: `[${$t('myCourses.lists.myCoursesLink')}]`,
-                            shortname: '',
-                            viewurl: '/my/courses.php',
-                        });
-                    }
+        LIGHT_FREEZING_DRIZZLE: 'lightFreezingDrizzle',
+        MODERATE_FREEZING_DRIZZLE: 'moderateFreezingDrizzle',
+        HEAVY_FREEZING_DRIZZLE: 'heavyFreezingDrizzle',
 
-                    if (getSetting('myCourses.navbarDropdownFavouritesAtTop')) {
-                        courses.sort((a, b) => b.isfavourite - a.isfavourite);
-                    }
-                    courses.forEach(addDropdownItem);
+        LIGHT_RAIN_SHOWERS: 'lightRainShowers',
+        MODERATE_RAIN_SHOWERS: 'moderateRainShowers',
+        HEAVY_RAIN_SHOWERS: 'heavyRainShowers',
 
-                    if (!courses.length) {
-                        const noCoursesSpan = document.createElement('span');
-                        noCoursesSpan.classList.add(
-                            'text-muted',
-                            'text-center'
-                        );
-                        noCoursesSpan.textContent = $t(
-                            'myCourses.lists.empty'
-                        ).toString();
-                        dropdownMenu?.append(noCoursesSpan);
-                        mobileDropdownMenu?.append(
-                            noCoursesSpan.cloneNode(true)
-                        );
-                    }
-                }));
-        }
-    };
+        LIGHT_SLEET_SHOWERS: 'lightSleetShowers',
+        MODERATE_SLEET_SHOWERS: 'moderateSleetShowers',
 
-    GM_addValueChangeListener(MyCoursesFilterSyncChangeKey, () =>
-        fillDropdown()
-    );
+        LIGHT_DRIZZLE_SHOWERS: 'lightDrizzleShowers',
+        MODERATE_DRIZZLE_SHOWERS: 'moderateDrizzleShowers',
+        HEAVY_DRIZZLE_SHOWERS: 'heavyDrizzleShowers',
 
-    fillDropdown().then();
-});
-// endregion
+        LIGHT_SNOW_SHOWERS: 'lightSnowShowers',
+        MODERATE_SNOW_SHOWERS: 'moderateSnowShowers',
+        HEAVY_SNOW_SHOWERS: 'heavySnowShowers',
 
-// region Feature: courses.imgMaxWidth
-if (getSetting('courses.imgMaxWidth')) {
-    GM_addStyle(css`
-        /* prevent images from overflowing */
-        #region-main img:not(.activityicon):not(.icon) {
-            max-width: 100%;
-        }
-    `);
-}
-// endregion
+        LIGHT_HAIL_SHOWERS: 'lightHailShowers',
+        MODERATE_HAIL_SHOWERS: 'moderateHailShowers',
 
-// region Feature: courses.imageZoom
-if (getSetting('courses.imageZoom')) {
-    const overlay = document.createElement('div');
-    overlay.id = PREFIX('image-zoom-overlay');
+        LIGHT_THUNDERSTORM_WITH_DRIZZLE: 'lightThunderstormWithDrizzle',
+        MODERATE_THUNDERSTORM_WITH_DRIZZLE: 'moderateThunderstormWithDrizzle',
+        HEAVY_THUNDERSTORM_WITH_DRIZZLE: 'heavyThunderstormWithDrizzle',
 
-    let copyImage;
+        LIGHT_THUNDERSTORM_WITH_RAIN: 'lightThunderstormWithRain',
+        MODERATE_THUNDERSTORM_WITH_RAIN: 'moderateThunderstormWithRain',
+        HEAVY_THUNDERSTORM_WITH_RAIN: 'heavyThunderstormWithRain',
 
-    GM_addStyle(css`
-        #region-main img:not(.activityicon):not(.icon) {
-            cursor: zoom-in;
-        }
+        LIGHT_THUNDERSTORM_WITH_SNOW: 'lightThunderstormWithSnow',
+        MODERATE_THUNDERSTORM_WITH_SNOW: 'moderateThunderstormWithSnow',
 
-        /* background for image zooming */
-        #${overlay.id} {
-            position: fixed;
-            top: 0;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            z-index: 2000;
-            opacity: 0;
+        MODERATE_THUNDERSTORM_WITH_HAIL: 'moderateThunderstormWithHail',
+        HEAVY_THUNDERSTORM_WITH_HAIL: 'heavyThunderstormWithHail',
 
-            background: rgba(0, 0, 0, 0.75);
+        MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS:
+            'moderateThunderstormWithRainShowers',
 
-            cursor: zoom-out;
+        EXTREME_SNOW: 'extremeSnow',
+        EXTREME_RAIN: 'extremeRain',
 
-            transition: opacity 0.2s ease-in-out;
-            will-change: opacity;
+        PATCHY_RAIN_NEARBY: 'patchyRainNearby',
+        PATCHY_SNOW_NEARBY: 'patchySnowNearby',
+        PATCHY_SLEET_NEARBY: 'patchySleetNearby',
+        PATCHY_FREEZING_DRIZZLE_NEARBY: 'patchyFreezingDrizzleNearby',
+        THUNDERY_OUTBREAKS_NEARBY: 'thunderyOutbreaksNearby',
+    });
 
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        }
+    const fetchJSON = url =>
+        new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url,
+                onload: ({ status, responseText }) => {
+                    if (status !== 200) return reject({ status });
+                    resolve(JSON.parse(responseText));
+                },
+                onerror: reject,
+            });
+        });
 
-        /* image zooming */
-        #${overlay.id} > img {
-            cursor: zoom-out;
-            transform: scale(0);
-            transition: transform 0.2s ease-in-out;
-            will-change: transform;
-            /* need to unset width and height during zoomed */
-            width: unset !important;
-            height: unset !important;
-        }
-    `);
+    const manageRateLimit = (rateLimit, url) => {
+        const now = Date.now();
+        const host = new URL(url).host;
+        const [lastRequest, cached] = JSON.parse(
+            atob(GM_getValue(prefix(host), btoa('[0, null]')))
+        );
 
-    overlay.addEventListener('click', () => {
-        overlay.remove();
-        copyImage.remove();
+        if (lastRequest + rateLimit > now) {
+            return new Promise(resolve => resolve(cached));
+        }
+        return fetchJSON(url).then(data => {
+            GM_setValue(prefix(host), btoa(JSON.stringify([now, data])));
+            return data;
+        });
+    };
 
-        overlay.style.removeProperty('opacity');
+    const fallback = () => ({
+        weatherType: weatherCodes.UNKNOWN,
     });
 
-    const zoomImage = e => {
-        const target = e.target;
-        if (!(target instanceof HTMLImageElement)) return;
-
-        if (getComputedStyle(target).cursor !== 'zoom-in') return;
+    const wttrIn = () => {
+        return manageRateLimit(
+            ONE_MINUTE,
+            `https://wttr.in/${WEATHER_CITY.name}?format=j1&lang`
+        ) // The `&lang` removes the faulty german translation
+            .then(data => {
+                const currentCondition = data.current_condition[0];
+                const weatherType =
+                    {
+                        113: weatherCodes.CLEAR,
+                        116: weatherCodes.FEW_CLOUDS,
+                        119: weatherCodes.BROKEN_CLOUDS,
+                        122: weatherCodes.OVERCAST_CLOUDS,
+                        143: weatherCodes.MIST,
+                        176: weatherCodes.PATCHY_RAIN_NEARBY,
+                        179: weatherCodes.PATCHY_SNOW_NEARBY,
+                        182: weatherCodes.PATCHY_SLEET_NEARBY,
+                        185: weatherCodes.PATCHY_FREEZING_DRIZZLE_NEARBY,
+                        200: weatherCodes.THUNDERY_OUTBREAKS_NEARBY,
+                        227: weatherCodes.HEAVY_SNOW,
+                        230: weatherCodes.EXTREME_SNOW,
+                        248: weatherCodes.FOG,
+                        260: weatherCodes.FREEZING_FOG,
+                        263: weatherCodes.LIGHT_DRIZZLE_SHOWERS,
+                        266: weatherCodes.LIGHT_DRIZZLE,
+                        281: weatherCodes.MODERATE_FREEZING_DRIZZLE,
+                        284: weatherCodes.HEAVY_FREEZING_DRIZZLE,
+                        293: weatherCodes.LIGHT_RAIN_SHOWERS,
+                        296: weatherCodes.LIGHT_RAIN,
+                        299: weatherCodes.MODERATE_RAIN_SHOWERS,
+                        302: weatherCodes.MODERATE_RAIN,
+                        305: weatherCodes.HEAVY_RAIN_SHOWERS,
+                        308: weatherCodes.HEAVY_RAIN,
+                        311: weatherCodes.LIGHT_FREEZING_RAIN,
+                        314: weatherCodes.MODERATE_FREEZING_RAIN,
+                        317: weatherCodes.LIGHT_SLEET,
+                        320: weatherCodes.MODERATE_SLEET,
+                        323: weatherCodes.LIGHT_SNOW_SHOWERS,
+                        326: weatherCodes.LIGHT_SNOW,
+                        329: weatherCodes.MODERATE_SNOW_SHOWERS,
+                        332: weatherCodes.MODERATE_SNOW,
+                        335: weatherCodes.HEAVY_SNOW_SHOWERS,
+                        338: weatherCodes.HEAVY_SNOW,
+                        350: weatherCodes.MODERATE_SLEET,
+                        353: weatherCodes.LIGHT_RAIN_SHOWERS,
+                        356: weatherCodes.MODERATE_RAIN_SHOWERS,
+                        359: weatherCodes.EXTREME_RAIN,
+                        362: weatherCodes.LIGHT_SLEET_SHOWERS,
+                        365: weatherCodes.MODERATE_SLEET_SHOWERS,
+                        368: weatherCodes.LIGHT_SNOW_SHOWERS,
+                        371: weatherCodes.MODERATE_SNOW_SHOWERS,
+                        374: weatherCodes.LIGHT_HAIL_SHOWERS,
+                        377: weatherCodes.MODERATE_HAIL_SHOWERS,
+                        386: weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
+                        389: weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
+                        392: weatherCodes.LIGHT_THUNDERSTORM_WITH_SNOW,
+                        395: weatherCodes.MODERATE_THUNDERSTORM_WITH_SNOW,
+                    }[new Number(currentCondition.weatherCode).valueOf()] ??
+                    weatherCodes.UNKNOWN;
 
-        e.preventDefault();
+                const parseLocalObsDateTime = (isoDate, utcTime) =>
+                    new Date(`${isoDate} ${utcTime} +00:00`);
 
-        copyImage = target.cloneNode(true);
+                return {
+                    temperature: currentCondition.temp_C,
+                    temperatureFeelsLike: currentCondition.FeelsLikeC,
+                    windDirection: currentCondition.winddirDegree,
+                    windSpeed: currentCondition.windspeedKmph,
+                    visibilityDistance: currentCondition.visibility,
+                    humidity: currentCondition.humidity,
+                    pressure: currentCondition.pressure,
+                    cloudCover: currentCondition.cloudcover,
+                    rainGauge: currentCondition.precipMM,
+                    weatherType,
+                    time: parseLocalObsDateTime(
+                        currentCondition.localObsDateTime.slice(0, 10),
+                        currentCondition.observation_time
+                    ),
+                };
+            })
+            .catch(fallback);
+    };
 
-        // remove additional styles that could produce weird results
-        copyImage.style.removeProperty('margin');
-        copyImage.style.removeProperty('width');
-        copyImage.style.removeProperty('height');
-        copyImage.style.setProperty('display', 'block');
-        copyImage.removeAttribute('width');
-        copyImage.removeAttribute('height');
+    const openMeteo = () => {
+        return manageRateLimit(
+            FIVE_MINUTES,
+            `https://api.open-meteo.com/v1/forecast?latitude=${WEATHER_CITY.lat}&longitude=${WEATHER_CITY.lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,cloud_cover,surface_pressure,wind_speed_10m,wind_direction_10m&minutely_15=visibility&timeformat=unixtime&timezone=Europe%2FBerlin&forecast_days=1`
+        )
+            .then(data => {
+                const now = Math.floor(Date.now() / 1000);
+                let visibilityIndex = 0;
+                for (let i = 0; i < data.minutely_15.length; i++) {
+                    if (data.minutely_15.time[i] > now) {
+                        visibilityIndex = i;
+                        break;
+                    }
+                }
+                const weatherType =
+                    {
+                        0: weatherCodes.CLEAR,
+                        1: weatherCodes.FEW_CLOUDS,
+                        2: weatherCodes.BROKEN_CLOUDS,
+                        3: weatherCodes.OVERCAST_CLOUDS,
+                        45: weatherCodes.FOG,
+                        48: weatherCodes.FREEZING_FOG,
+                        51: weatherCodes.LIGHT_DRIZZLE,
+                        53: weatherCodes.MODERATE_DRIZZLE,
+                        55: weatherCodes.HEAVY_DRIZZLE,
+                        56: weatherCodes.LIGHT_FREEZING_DRIZZLE,
+                        57: weatherCodes.MODERATE_FREEZING_DRIZZLE,
+                        61: weatherCodes.LIGHT_RAIN,
+                        63: weatherCodes.MODERATE_RAIN,
+                        65: weatherCodes.HEAVY_RAIN,
+                        66: weatherCodes.LIGHT_FREEZING_RAIN,
+                        67: weatherCodes.MODERATE_FREEZING_RAIN,
+                        71: weatherCodes.LIGHT_SNOW,
+                        73: weatherCodes.MODERATE_SNOW,
+                        75: weatherCodes.HEAVY_SNOW,
+                        77: weatherCodes.MODERATE_FREEZING_DRIZZLE,
+                        80: weatherCodes.LIGHT_RAIN_SHOWERS,
+                        81: weatherCodes.MODERATE_RAIN_SHOWERS,
+                        82: weatherCodes.HEAVY_RAIN_SHOWERS,
+                        85: weatherCodes.MODERATE_SNOW_SHOWERS,
+                        86: weatherCodes.HEAVY_SNOW_SHOWERS,
+                        95: weatherCodes.MODERATE_THUNDERSTORM,
+                        96: weatherCodes.MODERATE_THUNDERSTORM_WITH_HAIL,
+                        99: weatherCodes.HEAVY_THUNDERSTORM_WITH_HAIL,
+                    }[data.current.weather_code] ?? weatherCodes.UNKNOWN;
+                return {
+                    temperature: data.current.temperature_2m,
+                    temperatureFeelsLike: data.current.apparent_temperature,
+                    windDirection: data.current.wind_direction_10m,
+                    windSpeed: data.current.wind_speed_10m,
+                    visibilityDistance:
+                        data.minutely_15.visibility[visibilityIndex] / 1000,
+                    humidity: data.current.relative_humidity_2m,
+                    pressure: data.current.surface_pressure,
+                    cloudCover: data.current.cloud_cover,
+                    rainGauge: data.current.precipitation,
+                    weatherType,
+                    time: new Date(data.current.time * 1000),
+                };
+            })
+            .catch(fallback);
+    };
 
-        copyImage.addEventListener('load', () => {
-            const { naturalWidth: width, naturalHeight: height } = copyImage;
+    const visualCrossing = () => {
+        return manageRateLimit(
+            FIVE_MINUTES,
+            WEATHER_API_KEY_URLS.visualCrossing(VISUALCROSSING_API_KEY)
+        )
+            .then(data => {
+                const weatherType =
+                    {
+                        'snow': weatherCodes.MODERATE_SNOW,
+                        'snow-showers-day': weatherCodes.MODERATE_SNOW_SHOWERS,
+                        'snow-showers-night':
+                            weatherCodes.MODERATE_SNOW_SHOWERS,
+                        'thunder-rain':
+                            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
+                        'thunder-showers-day':
+                            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
+                        'thunder-showers-night':
+                            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
+                        'rain': weatherCodes.MODERATE_RAIN,
+                        'rain-showers-day': weatherCodes.MODERATE_RAIN_SHOWERS,
+                        'rain-showers-night':
+                            weatherCodes.MODERATE_RAIN_SHOWERS,
+                        'fog': weatherCodes.FOG,
+                        'wind': weatherCodes.WIND,
+                        'cloudy': weatherCodes.OVERCAST_CLOUDS,
+                        'partly-cloudy-day': weatherCodes.SCATTERED_CLOUDS,
+                        'partly-cloudy-night': weatherCodes.SCATTERED_CLOUDS,
+                        'clear-day': weatherCodes.CLEAR,
+                        'clear-night': weatherCodes.CLEAR,
+                    }[data.currentConditions.icon] ?? weatherCodes.UNKNOWN;
 
-            // a size could not be determined
-            if (!width || !height) {
-                copyImage.style.setProperty('max-width', `90%`);
-                copyImage.style.setProperty('max-height', `90%`);
-                copyImage.style.setProperty('transform', `scale(1)`);
-            }
+                return {
+                    temperature: data.currentConditions.temp,
+                    temperatureFeelsLike: data.currentConditions.feelslike,
+                    windDirection: data.currentConditions.winddir,
+                    windSpeed: data.currentConditions.windspeed,
+                    visibilityDistance: data.currentConditions.visibility,
+                    humidity: data.currentConditions.humidity,
+                    pressure: data.currentConditions.pressure,
+                    cloudCover: data.currentConditions.cloudcover,
+                    rainGauge: data.currentConditions.precip,
+                    weatherType,
+                    time: new Date(data.currentConditions.datetimeEpoch * 1000),
+                };
+            })
+            .catch(fallback);
+    };
 
-            const maxWidth = window.innerWidth * 0.9;
-            const maxHeight = window.innerHeight * 0.9;
+    const openWeatherMap = () => {
+        return manageRateLimit(
+            FIVE_MINUTES,
+            WEATHER_API_KEY_URLS.openWeatherMap(OPENWEATHERMAP_API_KEY)
+        )
+            .then(data => {
+                const weatherType =
+                    {
+                        200: weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
+                        201: weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
+                        202: weatherCodes.HEAVY_THUNDERSTORM_WITH_RAIN,
+                        210: weatherCodes.LIGHT_THUNDERSTORM,
+                        211: weatherCodes.MODERATE_THUNDERSTORM,
+                        212: weatherCodes.HEAVY_THUNDERSTORM,
+                        221: weatherCodes.MODERATE_THUNDERSTORM,
+                        230: weatherCodes.LIGHT_THUNDERSTORM_WITH_DRIZZLE,
+                        231: weatherCodes.MODERATE_THUNDERSTORM_WITH_DRIZZLE,
+                        232: weatherCodes.HEAVY_THUNDERSTORM_WITH_DRIZZLE,
+                        300: weatherCodes.LIGHT_DRIZZLE,
+                        301: weatherCodes.MODERATE_DRIZZLE,
+                        302: weatherCodes.HEAVY_DRIZZLE,
+                        310: weatherCodes.LIGHT_DRIZZLE,
+                        311: weatherCodes.MODERATE_DRIZZLE,
+                        312: weatherCodes.HEAVY_DRIZZLE,
+                        313: weatherCodes.LIGHT_DRIZZLE_SHOWERS,
+                        314: weatherCodes.MODERATE_DRIZZLE_SHOWERS,
+                        321: weatherCodes.HEAVY_DRIZZLE_SHOWERS,
+                        500: weatherCodes.LIGHT_RAIN,
+                        501: weatherCodes.MODERATE_RAIN,
+                        502: weatherCodes.HEAVY_RAIN,
+                        503: weatherCodes.HEAVY_RAIN,
+                        504: weatherCodes.EXTREME_RAIN,
+                        511: weatherCodes.MODERATE_FREEZING_RAIN,
+                        520: weatherCodes.LIGHT_RAIN_SHOWERS,
+                        521: weatherCodes.MODERATE_RAIN_SHOWERS,
+                        522: weatherCodes.HEAVY_RAIN_SHOWERS,
+                        531: weatherCodes.MODERATE_RAIN_SHOWERS,
+                        600: weatherCodes.LIGHT_SNOW,
+                        601: weatherCodes.MODERATE_SNOW,
+                        602: weatherCodes.HEAVY_SNOW,
+                        611: weatherCodes.MODERATE_SLEET,
+                        612: weatherCodes.LIGHT_SLEET_SHOWERS,
+                        613: weatherCodes.MODERATE_SLEET_SHOWERS,
+                        615: weatherCodes.LIGHT_SLEET,
+                        616: weatherCodes.MODERATE_SLEET,
+                        620: weatherCodes.LIGHT_SNOW_SHOWERS,
+                        621: weatherCodes.MODERATE_SNOW_SHOWERS,
+                        622: weatherCodes.HEAVY_SNOW_SHOWERS,
+                        701: weatherCodes.MIST,
+                        711: weatherCodes.SMOKE,
+                        721: weatherCodes.HAZE,
+                        731: weatherCodes.DUST,
+                        741: weatherCodes.FOG,
+                        751: weatherCodes.SAND,
+                        761: weatherCodes.DUST,
+                        762: weatherCodes.VOLCANIC_ASH,
+                        771: weatherCodes.SQUALLS,
+                        781: weatherCodes.TORNADO,
+                        800: weatherCodes.CLEAR,
+                        801: weatherCodes.FEW_CLOUDS,
+                        802: weatherCodes.SCATTERED_CLOUDS,
+                        803: weatherCodes.BROKEN_CLOUDS,
+                        804: weatherCodes.OVERCAST_CLOUDS,
+                    }[data.weather[0].id] ?? weatherCodes.UNKNOWN;
+                return {
+                    temperature: data.main.temp,
+                    temperatureFeelsLike: data.main.feels_like,
+                    windDirection: data.wind.deg,
+                    windSpeed: data.wind.speed,
+                    visibilityDistance: data.visibility / 1000,
+                    humidity: data.main.humidity,
+                    pressure: data.main.pressure,
+                    cloudCover: data.clouds.all,
+                    rainGauge: data.rain?.['1h'] ?? 0,
+                    weatherType,
+                    time: new Date(data.dt * 1000),
+                };
+            })
+            .catch(fallback);
+    };
 
-            const scale = Math.min(maxWidth / width, maxHeight / height);
+    const pirateWeather = () => {
+        return manageRateLimit(
+            FIVE_MINUTES,
+            WEATHER_API_KEY_URLS.pirateWeather(PIRATEWEATHER_API_KEY)
+        )
+            .then(data => {
+                const weatherType =
+                    {
+                        'clear-day': weatherCodes.CLEAR,
+                        'clear-night': weatherCodes.CLEAR,
+                        'rain': weatherCodes.MODERATE_RAIN,
+                        'snow': weatherCodes.MODERATE_SNOW,
+                        'sleet': weatherCodes.MODERATE_SLEET,
+                        'wind': weatherCodes.WIND,
+                        'fog': weatherCodes.FOG,
+                        'cloudy': weatherCodes.OVERCAST_CLOUDS,
+                        'partly-cloudy-day': weatherCodes.SCATTERED_CLOUDS,
+                        'partly-cloudy-night': weatherCodes.SCATTERED_CLOUDS,
+                    }[data.currently.icon] ?? weatherCodes.UNKNOWN;
+                return {
+                    temperature: data.currently.temperature,
+                    temperatureFeelsLike: data.currently.apparentTemperature,
+                    windDirection: data.currently.windBearing,
+                    windSpeed: data.currently.windSpeed,
+                    visibilityDistance: data.currently.visibility,
+                    humidity: data.currently.humidity * 100,
+                    pressure: data.currently.pressure,
+                    cloudCover: data.currently.cloudCover,
+                    rainGauge: data.currently.precipIntensity,
+                    weatherType,
+                    time: new Date(data.currently.time * 1000),
+                };
+            })
+            .catch(fallback);
+    };
 
-            copyImage.style.setProperty('transform', `scale(${scale})`);
-        });
+    const weatherProvider = (() => {
+        switch (provider) {
+            case 'wttrIn':
+                return wttrIn;
+            case 'openMeteo':
+                return openMeteo;
+            case 'visualCrossing':
+                return visualCrossing;
+            case 'openWeatherMap':
+                return openWeatherMap;
+            case 'pirateWeather':
+                return pirateWeather;
+        }
+    })();
 
-        overlay.append(copyImage);
-        document.body.append(overlay);
+    const displayData = (key, data) => {
+        const round = (value, precision, fixed = false) => {
+            const factor = 10 ** precision;
+            const roundedValue = Math.round(value * factor) / factor;
+            return Intl.NumberFormat(BETTER_MOODLE_LANG, {
+                maximumFractionDigits: precision,
+                minimumFractionDigits: fixed ? precision : 0,
+            }).format(roundedValue);
+        };
+        const unitConverter = {
+            temperature: {
+                metric: celsius => [round(celsius, 1), '&#x202F;°C'],
+                scientific: celsius => [
+                    round(celsius + 273.15, 2, true),
+                    '&#x202F;K',
+                ],
+                imperial: celsius => [
+                    round((celsius * 9) / 5 + 32, 1),
+                    '&#x202F;°F',
+                ],
+            },
+            temperatureFeelsLike: {
+                metric: celsius => [round(celsius, 1), '&#x202F;°C'],
+                scientific: celsius => [
+                    round(celsius + 273.15, 2, true),
+                    '&#x202F;K',
+                ],
+                imperial: celsius => [
+                    round((celsius * 9) / 5 + 32, 1),
+                    '&#x202F;°F',
+                ],
+            },
+            windDirection: {
+                metric: deg => [round(deg, 0), '°'],
+                scientific: deg => [
+                    round((deg * Math.PI) / 180, 2, true),
+                    '&#x202F;rad',
+                ],
+                imperial: deg => [round(deg, 0), '°'],
+            },
+            windSpeed: {
+                metric: kmh => [round(kmh, 1), '&#x202F;km/h'],
+                scientific: kmh => [
+                    round((kmh * 1000) / 3600, 2, true),
+                    '&#x202F;m/s',
+                ],
+                imperial: kmh => [round(kmh / 1.609344, 1), '&#x202F;mph'],
+            },
+            visibilityDistance: {
+                metric: km => [round(km, 1), '&#x202F;km'],
+                scientific: km => [round(km * 1000, 0, true), '&#x202F;m'],
+                imperial: km => [round(km / 1.609344, 1), '&#x202F;mi'],
+            },
+            humidity: {
+                metric: percent => [round(percent, 1), '&#x202F;%'],
+                scientific: percent => [round(percent / 100, 2, true), ''],
+                imperial: percent => [round(percent, 1), '&#x202F;%'],
+            },
+            pressure: {
+                metric: hPa => [round(hPa, 1), '&#x202F;hPa'],
+                scientific: hPa => [round(hPa * 100, 2, true), '&#x202F;Pa'],
+                imperial: hPa => [
+                    round(hPa * 0.02952998751, 1),
+                    '&#x202F;inHg',
+                ],
+            },
+            cloudCover: {
+                metric: percent => [round(percent, 1), '&#x202F;%'],
+                scientific: percent => [round(percent / 100, 2, true), ''],
+                imperial: percent => [round(percent, 1), '&#x202F;%'],
+            },
+            rainGauge: {
+                metric: mm => [round(mm, 1), '&#x202F;mm'],
+                scientific: mm => [round(mm / 1000, 3, true), '&#x202F;m'],
+                imperial: mm => [round(mm / 25.4, 1), '&#x202F;in'],
+            },
+        };
 
-        overlay.style.setProperty('opacity', '1');
+        return unitConverter[key][units](Number(data[key])).join('');
     };
 
-    ready(() =>
-        document
-            .querySelector('#region-main')
-            ?.addEventListener('click', zoomImage)
-    );
-}
-// endregion
-
-// region Feature: courses.hideSelfEnrolHint
-if (getSetting('courses.hideSelfEnrolHint')) {
-    GM_addStyle(css`
-        .course-hint-selfenrol.alert.alert-info {
-            display: none !important;
-        }
-    `);
-}
-// endregion
-
-// region Feature: clock.clock && clock.fuzzyClock
-const clockEnabled = getSetting('clock.clock');
-const fuzzyClockEnabled = getSetting('clock.fuzzyClock');
-if (clockEnabled || fuzzyClockEnabled) {
-    if (fuzzyClockEnabled) {
-        /** @type {number} */
-        const fuzziness = getSetting('clock.fuzzyClock.fuzziness');
-        const fuzzyClockSpan = document.createElement('span');
-        fuzzyClockSpan.dataset.clockFuzziness = fuzziness.toString();
-
-        addMarqueeItems(fuzzyClockSpan);
-    }
-    if (clockEnabled) {
-        const clockSpan = document.createElement('span');
-        clockSpan.dataset.clockFuzziness =
-            getSetting('clock.clock.seconds') ? '0' : '1';
-
-        addMarqueeItems(clockSpan);
-    }
-
-    /** @type {Map<number, string>} */
-    const timeStrings = new Map();
-
-    animationInterval(1000, () => {
-        timeStrings.clear();
+    const weatherEmojiSets = {
+        '❓': new Set([weatherCodes.UNKNOWN]),
 
-        const now = new Date();
-        const hour = now.getHours();
-        const twelveHour = hour % 12 || 12;
-        const minutes = now.getMinutes();
-        const exactMinutes = minutes + now.getSeconds() / 60;
+        '☀️': new Set([weatherCodes.CLEAR]),
+        '🌤️': new Set([weatherCodes.FEW_CLOUDS]),
+        '⛅': new Set([weatherCodes.SCATTERED_CLOUDS]),
+        '🌥️': new Set([weatherCodes.BROKEN_CLOUDS]),
+        '☁️': new Set([weatherCodes.OVERCAST_CLOUDS]),
 
-        timeStrings.set(0, timeToString(now, true));
-        timeStrings.set(1, timeToString(now, false));
+        '🌫️': new Set([
+            weatherCodes.MIST,
+            weatherCodes.FOG,
+            weatherCodes.FREEZING_FOG,
+            weatherCodes.HAZE,
+            weatherCodes.SMOKE,
+        ]),
+        '🌪️': new Set([
+            weatherCodes.DUST,
+            weatherCodes.SAND,
+            weatherCodes.TORNADO,
+        ]),
+        '🌋': new Set([weatherCodes.VOLCANIC_ASH]),
 
-        document
-            .querySelectorAll('[data-clock-fuzziness]')
-            .forEach(clockSpan => {
-                const fuzziness = parseInt(clockSpan.dataset.clockFuzziness);
-                if (timeStrings.has(fuzziness)) {
-                    clockSpan.textContent = timeStrings.get(fuzziness);
-                }
+        '🌬️': new Set([weatherCodes.WIND, weatherCodes.SQUALLS]),
 
-                /** @type {(string|number)[]} */
-                const timeString = [];
+        '🌨️': new Set([
+            weatherCodes.LIGHT_SNOW,
+            weatherCodes.MODERATE_SNOW,
+            weatherCodes.LIGHT_SLEET,
+            weatherCodes.MODERATE_SLEET,
+            weatherCodes.LIGHT_SNOW_SHOWERS,
+            weatherCodes.MODERATE_SNOW_SHOWERS,
+            weatherCodes.HEAVY_SNOW_SHOWERS,
+            weatherCodes.LIGHT_SLEET_SHOWERS,
+            weatherCodes.MODERATE_SLEET_SHOWERS,
+            weatherCodes.LIGHT_THUNDERSTORM_WITH_SNOW,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_SNOW,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_HAIL,
+            weatherCodes.HEAVY_THUNDERSTORM_WITH_HAIL,
+            weatherCodes.PATCHY_SNOW_NEARBY,
+        ]),
+        '❄️': new Set([weatherCodes.HEAVY_SNOW, weatherCodes.EXTREME_SNOW]),
 
-                switch (fuzziness) {
-                    case 0: // 1 second, "normal" clock with seconds
-                    case 1: // 1 second, "normal" clock without seconds
-                        clockSpan.textContent = timeStrings.get(fuzziness);
-                        break;
-                    case 10: // 5 minutes
-                    case 20: {
-                        // 15 minutes
-                        const sectorSize = fuzziness === 10 ? 5 : 15;
-                        const sectors = 60 / sectorSize;
-                        const middleSector = sectors / 2;
-                        const nextHour = (twelveHour + 1) % 12;
-                        const minuteSector =
-                            Math.floor(
-                                (exactMinutes + sectorSize / 2) / sectorSize
-                            ) % 12;
-                        if (minuteSector === 0) {
-                            const shownHour =
-                                minutes < 30 ? twelveHour : nextHour;
-                            timeString.push(shownHour, 'oClock');
-                        } else if (minuteSector < middleSector) {
-                            timeString.push(
-                                minuteSector * sectorSize,
-                                'past',
-                                twelveHour
-                            );
-                        } else if (minuteSector === middleSector) {
-                            timeString.push('half', nextHour);
-                        } else if (minuteSector > middleSector) {
-                            timeString.push(
-                                60 - minuteSector * sectorSize,
-                                'to',
-                                nextHour
-                            );
-                        }
-                        break;
-                    }
-                    case 30:
-                    case 40: {
-                        /** @type {string[]} */
-                        const strings = $t(
-                            `clock.fuzzyClock.other.${fuzziness}`
-                        );
-                        const section = Math.floor(
-                            hour / (24 / strings.length)
-                        );
-                        timeString.push(`other.${fuzziness}.${section}`);
-                        break;
-                    }
-                    case 50: {
-                        const dayOfWeek = now.getDay();
-                        const weekString =
-                            dayOfWeek === 1 ?
-                                0 // Monday
-                            : dayOfWeek >= 2 && dayOfWeek <= 3 ?
-                                1 // Tuesday, Wednesday
-                            : dayOfWeek <= 5 ?
-                                2 // Thursday, Friday
-                            :   3; // Saturday, Sunday
-                        timeString.push(`other.50.${weekString}`);
-                    }
-                }
+        '🌦️': new Set([
+            weatherCodes.LIGHT_RAIN,
+            weatherCodes.LIGHT_DRIZZLE,
+            weatherCodes.LIGHT_RAIN_SHOWERS,
+            weatherCodes.LIGHT_DRIZZLE_SHOWERS,
+            weatherCodes.PATCHY_RAIN_NEARBY,
+            weatherCodes.LIGHT_THUNDERSTORM_WITH_DRIZZLE,
+            weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
+        ]),
+        '🌧️': new Set([
+            weatherCodes.MODERATE_RAIN,
+            weatherCodes.HEAVY_RAIN,
+            weatherCodes.MODERATE_DRIZZLE,
+            weatherCodes.HEAVY_DRIZZLE,
+            weatherCodes.MODERATE_RAIN_SHOWERS,
+            weatherCodes.HEAVY_RAIN_SHOWERS,
+            weatherCodes.MODERATE_DRIZZLE_SHOWERS,
+            weatherCodes.HEAVY_DRIZZLE_SHOWERS,
+            weatherCodes.LIGHT_FREEZING_RAIN,
+            weatherCodes.MODERATE_FREEZING_RAIN,
+            weatherCodes.LIGHT_FREEZING_DRIZZLE,
+            weatherCodes.MODERATE_FREEZING_DRIZZLE,
+            weatherCodes.HEAVY_FREEZING_DRIZZLE,
+            weatherCodes.PATCHY_SLEET_NEARBY,
+            weatherCodes.PATCHY_FREEZING_DRIZZLE_NEARBY,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_DRIZZLE,
+            weatherCodes.HEAVY_THUNDERSTORM_WITH_DRIZZLE,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
+            weatherCodes.HEAVY_THUNDERSTORM_WITH_RAIN,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
+            weatherCodes.LIGHT_HAIL_SHOWERS,
+            weatherCodes.MODERATE_HAIL_SHOWERS,
+        ]),
 
-                if (timeString.length) {
-                    timeStrings.set(
-                        fuzziness,
-                        timeString
-                            .map(s => $t(`clock.fuzzyClock.${s}`))
-                            .join('\xa0')
-                    );
-                    clockSpan.textContent = timeStrings.get(fuzziness);
-                    clockSpan.title = timeStrings.get(0);
-                }
-            });
-    });
-}
-// endregion
+        '🌩️': new Set([
+            weatherCodes.LIGHT_THUNDERSTORM,
+            weatherCodes.LIGHT_THUNDERSTORM_WITH_DRIZZLE,
+            weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
+            weatherCodes.LIGHT_THUNDERSTORM_WITH_SNOW,
+        ]),
+        '⛈️': new Set([
+            weatherCodes.MODERATE_THUNDERSTORM,
+            weatherCodes.HEAVY_THUNDERSTORM,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_DRIZZLE,
+            weatherCodes.HEAVY_THUNDERSTORM_WITH_DRIZZLE,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
+            weatherCodes.HEAVY_THUNDERSTORM_WITH_RAIN,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_SNOW,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_HAIL,
+            weatherCodes.HEAVY_THUNDERSTORM_WITH_HAIL,
+            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
+            weatherCodes.THUNDERY_OUTBREAKS_NEARBY,
+        ]),
 
-// region Feature: weatherDisplay
-if (getSetting('weatherDisplay.show')) {
-    const city = {
-        name: 'kiel',
-        lat: 54.3388,
-        lon: 10.1225,
+        '🌊': new Set([weatherCodes.EXTREME_RAIN]),
     };
-    const provider = getSetting('weatherDisplay.provider');
-    const units = getSetting('weatherDisplay.units');
-    const showTempInNavbar = getSetting('weatherDisplay.showTempInNavbar');
-    const toggleFeelsLike = getSetting('weatherDisplay.toggleFeelsLike');
 
-    const ONE_MINUTE = 1000 * 60;
-    const FIVE_MINUTES = ONE_MINUTE * 5;
+    const getWeatherEmoji = weatherType =>
+        (Object.entries(weatherEmojiSets).find(([, weatherCodes]) =>
+            weatherCodes.has(weatherType)
+        ) ?? '❓')[0];
 
-    const VISUALCROSSING_API_KEY = getSetting(
-        'weatherDisplay.visualCrossingAPIKey'
-    );
-    const OPENWEATHERMAP_API_KEY = getSetting(
-        'weatherDisplay.openWeatherMapAPIKey'
-    );
-    const PIRATEWEATHER_API_KEY = getSetting(
-        'weatherDisplay.pirateWeatherAPIKey'
-    );
+    const windDirectionToArrow = deg => {
+        const arrows = ['↑', '↗', '→', '↘', '↓', '↙', '←', '↖'];
+        return arrows[Math.round(deg / 45) % 8];
+    };
 
-    const prefix = str => PREFIX(`weather-display-${str}`);
+    const WEATHER_ATTRIBUTES = [
+        'temperature',
+        'temperatureFeelsLike',
+        'windSpeed',
+        'visibilityDistance',
+        'humidity',
+        'pressure',
+        'cloudCover',
+        'rainGauge',
+    ];
+    let weatherModal = null;
 
-    const weatherCodes = Object.freeze({
-        UNKNOWN: 'unknown',
+    const openWeatherDisplayModal = e => {
+        e.preventDefault();
 
-        CLEAR: 'clear',
-        FEW_CLOUDS: 'fewClouds',
-        SCATTERED_CLOUDS: 'scatteredClouds',
-        BROKEN_CLOUDS: 'brokenClouds',
-        OVERCAST_CLOUDS: 'overcastClouds',
+        require(['core/modal_factory'], ({ create, types }) =>
+            weatherProvider().then(data => {
+                new Promise(resolve => {
+                    if (weatherModal) {
+                        resolve(weatherModal);
+                        return;
+                    }
+                    create({
+                        type: types.ALERT,
+                        large: true,
+                        scrollable: true,
+                        title: `${getWeatherEmoji(
+                            data.weatherType
+                        )}\xa0${$t('weatherDisplay.title')}`,
+                        body: '',
+                    }).then(modal => {
+                        modal.setButtonText(
+                            'cancel',
+                            `${$t('modals.weatherDisplay.close')}`
+                        );
 
-        MIST: 'mist',
-        FOG: 'fog',
-        FREEZING_FOG: 'freezingFog',
-        DUST: 'dust',
-        SAND: 'sand',
-        HAZE: 'haze',
-        SMOKE: 'smoke',
-        VOLCANIC_ASH: 'volcanicAsh',
+                        const credits = document.createElement('span');
+                        credits.classList.add('text-muted', 'small', 'mr-auto');
+                        credits.innerHTML = `${$t(
+                            'weatherDisplay.credits._long'
+                        )} <a href="${$t(
+                            `weatherDisplay.credits.${provider}.url`
+                        )}">${$t(`weatherDisplay.credits.${provider}.name`)}</a>`;
+                        modal.getFooter().prepend(credits);
 
-        WIND: 'wind',
-        SQUALLS: 'squalls',
-        TORNADO: 'tornado',
+                        weatherModal = modal;
+                        resolve(modal);
+                    });
+                }).then(modal => {
+                    const modalBody = modal.getBody()[0];
 
-        LIGHT_SNOW: 'lightSnow',
-        MODERATE_SNOW: 'moderateSnow',
-        HEAVY_SNOW: 'heavySnow',
+                    if (data.weatherType === weatherCodes.UNKNOWN) {
+                        modalBody.innerHTML = `<div><p>${$t(
+                            `weatherDisplay.weatherCodes.${weatherCodes.UNKNOWN}`
+                        )}</p></div>`;
+                        modal.show();
+                        return;
+                    }
 
-        LIGHT_RAIN: 'lightRain',
-        MODERATE_RAIN: 'moderateRain',
-        HEAVY_RAIN: 'heavyRain',
+                    modalBody.innerHTML = `
+                        <div>
+                            <dl class="row">
+                                ${WEATHER_ATTRIBUTES.map(
+                                    attr => `
+                                    <dt class="col-sm-4">${$t(`modals.weatherDisplay.attributes.${attr}`)}</dt>
+                                    <dd class="col-sm-8">${displayData(attr, data)}</dd>`
+                                ).join('')}
+                            </dl>
+                        </div>
+                    `;
 
-        LIGHT_DRIZZLE: 'lightDrizzle',
-        MODERATE_DRIZZLE: 'moderateDrizzle',
-        HEAVY_DRIZZLE: 'heavyDrizzle',
+                    modal.show();
+                });
+            }));
 
-        LIGHT_SLEET: 'lightSleet',
-        MODERATE_SLEET: 'moderateSleet',
+        document
+            .getElementById(e.target.getAttribute('aria-describedby'))
+            .remove();
+        e.target.removeAttribute('aria-describedby');
+    };
 
-        LIGHT_THUNDERSTORM: 'lightThunderstorm',
-        MODERATE_THUNDERSTORM: 'moderateThunderstorm',
-        HEAVY_THUNDERSTORM: 'heavyThunderstorm',
+    const weatherBtnWrapper = document.createElement('div');
+    weatherBtnWrapper.id = PREFIX('weather-button');
+    const weatherBtn = document.createElement('a');
+    weatherBtn.innerText = `${getWeatherEmoji(0)}`;
+    weatherBtn.dataset.originalTitle = $t(
+        `weatherDisplay.weatherCodes.${weatherCodes.UNKNOWN}`
+    );
+    weatherBtn.classList.add('nav-link', 'position-relative');
+    weatherBtn.href = '#';
+    weatherBtn.role = 'button';
+    weatherBtn.dataset.toggle = 'tooltip';
+    weatherBtn.dataset.placement = 'bottom';
+    weatherBtn.dataset.html = 'true';
+    weatherBtn.addEventListener('click', openWeatherDisplayModal);
+    weatherBtnWrapper.append(weatherBtn);
 
-        LIGHT_FREEZING_RAIN: 'lightFreezingRain',
-        MODERATE_FREEZING_RAIN: 'moderateFreezingRain',
+    ready(() => {
+        document
+            .querySelector('#usernavigation .usermenu-container')
+            ?.before(weatherBtnWrapper);
+    });
 
-        LIGHT_FREEZING_DRIZZLE: 'lightFreezingDrizzle',
-        MODERATE_FREEZING_DRIZZLE: 'moderateFreezingDrizzle',
-        HEAVY_FREEZING_DRIZZLE: 'heavyFreezingDrizzle',
+    const stopWeatherUpdates = animationInterval(
+        ONE_MINUTE,
+        () => {
+            weatherProvider().then(data => {
+                const weatherEmoji = getWeatherEmoji(data.weatherType);
 
-        LIGHT_RAIN_SHOWERS: 'lightRainShowers',
-        MODERATE_RAIN_SHOWERS: 'moderateRainShowers',
-        HEAVY_RAIN_SHOWERS: 'heavyRainShowers',
+                if (data.weatherType === weatherCodes.UNKNOWN) {
+                    weatherBtn.innerHTML = weatherEmoji;
+                    weatherBtn.dataset.originalTitle = $t(
+                        `weatherDisplay.weatherCodes.${weatherCodes.UNKNOWN}`
+                    );
+                    return;
+                }
 
-        LIGHT_SLEET_SHOWERS: 'lightSleetShowers',
-        MODERATE_SLEET_SHOWERS: 'moderateSleetShowers',
+                weatherBtn.innerHTML =
+                    weatherEmoji +
+                    (showTempInNavbar ?
+                        ` ${displayData(
+                            toggleFeelsLike ?
+                                'temperatureFeelsLike'
+                            :   'temperature',
+                            data
+                        )}`
+                    :   '');
+                weatherBtn.dataset.originalTitle = `<strong>${weatherEmoji}\xa0${$t(
+                    `weatherDisplay.weatherCodes.${data.weatherType}`
+                )}</strong><br>🌡️:&nbsp;${
+                    displayData('temperature', data) +
+                    (toggleFeelsLike ?
+                        ` (${displayData('temperatureFeelsLike', data)})`
+                    :   '')
+                }<br>🪁:&nbsp;${displayData(
+                    'windSpeed',
+                    data
+                )}&nbsp;(${windDirectionToArrow(
+                    data.windDirection
+                )})<br>💦:&nbsp;${displayData(
+                    'rainGauge',
+                    data
+                )}<br><br><small>${$t('weatherDisplay.credits._short')}: ${$t(
+                    `weatherDisplay.credits.${provider}.name`
+                )}<br>${$t(
+                    'weatherDisplay.updated'
+                )}:&nbsp;${timeToString(data.time, false)}</small>`;
+            });
+        },
+        true
+    );
 
-        LIGHT_DRIZZLE_SHOWERS: 'lightDrizzleShowers',
-        MODERATE_DRIZZLE_SHOWERS: 'moderateDrizzleShowers',
-        HEAVY_DRIZZLE_SHOWERS: 'heavyDrizzleShowers',
+    disableWeatherDisplay = () => {
+        stopWeatherUpdates();
+        weatherBtnWrapper.remove();
+        weatherModal?.destroy();
+    };
+};
+registerFeature({
+    id: 'weatherDisplay',
+    settings: [
+        'weatherDisplay.show',
+        'weatherDisplay.provider',
+        'weatherDisplay.visualCrossingAPIKey',
+        'weatherDisplay.openWeatherMapAPIKey',
+        'weatherDisplay.pirateWeatherAPIKey',
+        'weatherDisplay.units',
+        'weatherDisplay.showTempInNavbar',
+        'weatherDisplay.toggleFeelsLike',
+    ],
+    requires: ['animationInterval'],
+    enable: enableWeatherDisplay,
+    disable: () => disableWeatherDisplay(),
+});
+// endregion
 
-        LIGHT_SNOW_SHOWERS: 'lightSnowShowers',
-        MODERATE_SNOW_SHOWERS: 'moderateSnowShowers',
-        HEAVY_SNOW_SHOWERS: 'heavySnowShowers',
+// region Message app
+const messageInputFieldRegion = PREFIX('send-message-txt');
 
-        LIGHT_HAIL_SHOWERS: 'lightHailShowers',
-        MODERATE_HAIL_SHOWERS: 'moderateHailShowers',
+/**
+ * calls a web service of Moodle with the session of the current user
+ * @param {string} methodname
+ * @param {Record<string, unknown>} args
+ * @returns {Promise<unknown>}
+ */
+const callMoodleWebService = (methodname, args) =>
+    new Promise((resolve, reject) =>
+        require(['core/ajax'], ({ call }) =>
+            call([{ methodname, args }])[0].then(resolve, reject))
+    );
 
-        LIGHT_THUNDERSTORM_WITH_DRIZZLE: 'lightThunderstormWithDrizzle',
-        MODERATE_THUNDERSTORM_WITH_DRIZZLE: 'moderateThunderstormWithDrizzle',
-        HEAVY_THUNDERSTORM_WITH_DRIZZLE: 'heavyThunderstormWithDrizzle',
+/**
+ * gets the input field of the message app, also if the markdown feature has swapped it with its dummy field
+ * @param {Element} messageApp
+ * @returns {HTMLTextAreaElement | null}
+ */
+const getMessageInputField = messageApp =>
+    messageApp.querySelector(
+        `textarea[data-region="send-message-txt"]:not(.d-none), textarea[data-region="${messageInputFieldRegion}"]`
+    );
 
-        LIGHT_THUNDERSTORM_WITH_RAIN: 'lightThunderstormWithRain',
-        MODERATE_THUNDERSTORM_WITH_RAIN: 'moderateThunderstormWithRain',
-        HEAVY_THUNDERSTORM_WITH_RAIN: 'heavyThunderstormWithRain',
+/**
+ * the name of the other user shown in the header of the open conversation
+ * @param {Element} messageApp
+ * @returns {string}
+ */
+const getMessageRecipient = messageApp =>
+    messageApp
+        .querySelector('[data-region="header-content"] strong')
+        ?.textContent.trim() ?? '';
 
-        LIGHT_THUNDERSTORM_WITH_SNOW: 'lightThunderstormWithSnow',
-        MODERATE_THUNDERSTORM_WITH_SNOW: 'moderateThunderstormWithSnow',
+/**
+ * @typedef {Object} MessageConversation
+ * @property {string} [conversationId]
+ * @property {string} [userId] the other user, Moodle does not always know the conversation yet
+ */
+
+/**
+ * Calls the callback with the conversation opened on the messages page and with every conversation opened in the message app afterwards.
+ * The callback is called before Moodle switches the conversation.
+ * @param {Element} messageApp
+ * @param {(conversation: MessageConversation) => void} callback
+ */
+const onMessageConversationOpen = (messageApp, callback) => {
+    const urlParams = new URLSearchParams(window.location.search);
+    if (
+        window.location.pathname === '/message/index.php' &&
+        (urlParams.has('convid') || urlParams.has('id'))
+    ) {
+        callback({
+            conversationId: urlParams.get('convid') ?? undefined,
+            userId: urlParams.get('id') ?? undefined,
+        });
+    }
+
+    messageApp.addEventListener(
+        'click',
+        e => {
+            if (!(e.target instanceof Element)) return;
+            const conversation = e.target.closest(
+                '[data-conversation-id], [data-route="view-conversation"][data-user-id]'
+            );
+            if (!conversation) return;
+            callback({
+                conversationId: conversation.dataset.conversationId,
+                userId: conversation.dataset.userId,
+            });
+        },
+        true
+    );
+};
+// endregion
+
+// region Feature messages.sendHotkey
+const messagesSendHotkey = getSetting('messages.sendHotkey');
+const initSendHotkey = () => {
+    ready(() => {
+        // .message-app
+        const messageApp = document.querySelector('.message-app');
+        if (!messageApp) return;
 
-        MODERATE_THUNDERSTORM_WITH_HAIL: 'moderateThunderstormWithHail',
-        HEAVY_THUNDERSTORM_WITH_HAIL: 'heavyThunderstormWithHail',
+        const inputField = messageApp.querySelector(
+            'textarea[data-region="send-message-txt"]'
+        );
+        const sendBtn = messageApp.querySelector(
+            '[data-action="send-message"]'
+        );
 
-        MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS:
-            'moderateThunderstormWithRainShowers',
+        if (!inputField || !sendBtn) return;
 
-        EXTREME_SNOW: 'extremeSnow',
-        EXTREME_RAIN: 'extremeRain',
+        inputField.addEventListener('keydown', e => {
+            if (!HotkeySetting.matches(messagesSendHotkey, e)) return;
+            if (
+                messageApp.querySelector(
+                    '.emoji-auto-complete-container:not(.hidden)'
+                )
+            ) {
+                return;
+            }
 
-        PATCHY_RAIN_NEARBY: 'patchyRainNearby',
-        PATCHY_SNOW_NEARBY: 'patchySnowNearby',
-        PATCHY_SLEET_NEARBY: 'patchySleetNearby',
-        PATCHY_FREEZING_DRIZZLE_NEARBY: 'patchyFreezingDrizzleNearby',
-        THUNDERY_OUTBREAKS_NEARBY: 'thunderyOutbreaksNearby',
+            sendBtn.click();
+            e.preventDefault();
+        });
     });
+};
+registerFeature({
+    id: 'messages.sendHotkey',
+    settings: ['messages.sendHotkey'],
+    enable: initSendHotkey,
+});
+// endregion
 
-    const fetchJSON = url =>
-        new Promise((resolve, reject) => {
-            GM_xmlhttpRequest({
-                method: 'GET',
-                url,
-                onload: ({ status, responseText }) => {
-                    if (status !== 200) return reject({ status });
-                    resolve(JSON.parse(responseText));
-                },
-                onerror: reject,
-            });
-        });
+// region Feature messages.markdown
+const messagePreviewId = PREFIX('message-preview');
+// elements that Moodle removes from messages when sending them, mapped to their translation key
+const MOODLE_STRIPPED_MESSAGE_ELEMENTS = {
+    input: 'checkbox',
+    details: 'details',
+    summary: 'details',
+    mark: 'mark',
+};
 
-    const manageRateLimit = (rateLimit, url) => {
-        const now = Date.now();
-        const host = new URL(url).host;
-        const [lastRequest, cached] = JSON.parse(
-            atob(GM_getValue(prefix(host), btoa('[0, null]')))
-        );
+GM_addStyle(css`
+    #${messagePreviewId} {
+        max-height: 30vh;
+        overflow: auto;
+    }
+`);
 
-        if (lastRequest + rateLimit > now) {
-            return new Promise(resolve => resolve(cached));
-        }
-        return fetchJSON(url).then(data => {
-            GM_setValue(prefix(host), btoa(JSON.stringify([now, data])));
-            return data;
-        });
-    };
+// $$…$$, \(…\) and \[…\] are understood by MathJax, $…$ is converted to \(…\)
+const MESSAGE_MATH =
+    /\$\$[^]*?\$\$|\\\([^]*?\\\)|\\\[[^]*?\\\]|(?<!\\)\$(.*?)(?<!\\)\$/g;
+// a private use character, so that Markdown neither changes nor escapes the placeholders
+const MESSAGE_MATH_PLACEHOLDER = '\uE000';
 
-    const fallback = () => ({
-        weatherType: weatherCodes.UNKNOWN,
-    });
+/**
+ * renders the raw input of the message app into the HTML that is sent
+ * @param {string} raw
+ * @returns {string}
+ */
+const renderMessageMarkdown = raw => {
+    // formulas are kept away from Markdown, as it would remove the backslashes of \( and \) and turn * and _ into emphasis
+    /** @type {string[]} */
+    const formulas = [];
+    const withoutMath = raw.replace(
+        MESSAGE_MATH,
+        (math, inlineFormula) =>
+            `${MESSAGE_MATH_PLACEHOLDER}${
+                formulas.push(
+                    inlineFormula === undefined ? math : (
+                        `\\(${inlineFormula}\\)`
+                    )
+                ) - 1
+            }${MESSAGE_MATH_PLACEHOLDER}`
+    );
+    let restored = 0;
+    /** @param {string} html */
+    const restoreMath = html =>
+        html.replace(
+            new RegExp(
+                `${MESSAGE_MATH_PLACEHOLDER}(\\d+)${MESSAGE_MATH_PLACEHOLDER}`,
+                'g'
+            ),
+            (match, index) => {
+                if (!(index in formulas)) return match;
+                restored++;
+                return escapeMdHtml(formulas[index]);
+            }
+        );
 
-    const wttrIn = () => {
-        return manageRateLimit(
-            ONE_MINUTE,
-            `https://wttr.in/${city.name}?format=j1&lang`
-        ) // The `&lang` removes the faulty german translation
-            .then(data => {
-                const currentCondition = data.current_condition[0];
-                const weatherType =
-                    {
-                        113: weatherCodes.CLEAR,
-                        116: weatherCodes.FEW_CLOUDS,
-                        119: weatherCodes.BROKEN_CLOUDS,
-                        122: weatherCodes.OVERCAST_CLOUDS,
-                        143: weatherCodes.MIST,
-                        176: weatherCodes.PATCHY_RAIN_NEARBY,
-                        179: weatherCodes.PATCHY_SNOW_NEARBY,
-                        182: weatherCodes.PATCHY_SLEET_NEARBY,
-                        185: weatherCodes.PATCHY_FREEZING_DRIZZLE_NEARBY,
-                        200: weatherCodes.THUNDERY_OUTBREAKS_NEARBY,
-                        227: weatherCodes.HEAVY_SNOW,
-                        230: weatherCodes.EXTREME_SNOW,
-                        248: weatherCodes.FOG,
-                        260: weatherCodes.FREEZING_FOG,
-                        263: weatherCodes.LIGHT_DRIZZLE_SHOWERS,
-                        266: weatherCodes.LIGHT_DRIZZLE,
-                        281: weatherCodes.MODERATE_FREEZING_DRIZZLE,
-                        284: weatherCodes.HEAVY_FREEZING_DRIZZLE,
-                        293: weatherCodes.LIGHT_RAIN_SHOWERS,
-                        296: weatherCodes.LIGHT_RAIN,
-                        299: weatherCodes.MODERATE_RAIN_SHOWERS,
-                        302: weatherCodes.MODERATE_RAIN,
-                        305: weatherCodes.HEAVY_RAIN_SHOWERS,
-                        308: weatherCodes.HEAVY_RAIN,
-                        311: weatherCodes.LIGHT_FREEZING_RAIN,
-                        314: weatherCodes.MODERATE_FREEZING_RAIN,
-                        317: weatherCodes.LIGHT_SLEET,
-                        320: weatherCodes.MODERATE_SLEET,
-                        323: weatherCodes.LIGHT_SNOW_SHOWERS,
-                        326: weatherCodes.LIGHT_SNOW,
-                        329: weatherCodes.MODERATE_SNOW_SHOWERS,
-                        332: weatherCodes.MODERATE_SNOW,
-                        335: weatherCodes.HEAVY_SNOW_SHOWERS,
-                        338: weatherCodes.HEAVY_SNOW,
-                        350: weatherCodes.MODERATE_SLEET,
-                        353: weatherCodes.LIGHT_RAIN_SHOWERS,
-                        356: weatherCodes.MODERATE_RAIN_SHOWERS,
-                        359: weatherCodes.EXTREME_RAIN,
-                        362: weatherCodes.LIGHT_SLEET_SHOWERS,
-                        365: weatherCodes.MODERATE_SLEET_SHOWERS,
-                        368: weatherCodes.LIGHT_SNOW_SHOWERS,
-                        371: weatherCodes.MODERATE_SNOW_SHOWERS,
-                        374: weatherCodes.LIGHT_HAIL_SHOWERS,
-                        377: weatherCodes.MODERATE_HAIL_SHOWERS,
-                        386: weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
-                        389: weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
-                        392: weatherCodes.LIGHT_THUNDERSTORM_WITH_SNOW,
-                        395: weatherCodes.MODERATE_THUNDERSTORM_WITH_SNOW,
-                    }[new Number(currentCondition.weatherCode).valueOf()] ??
-                    weatherCodes.UNKNOWN;
+    const dummy = document.createElement('span');
+    dummy.innerHTML = withoutMath;
+    unsafeWindow.MathJax?.Hub.Queue([
+        'Typeset',
+        unsafeWindow.MathJax.Hub,
+        dummy,
+    ]);
+    const mathJaxed = dummy.innerHTML;
 
-                const parseLocalObsDateTime = (isoDate, utcTime) =>
-                    new Date(`${isoDate} ${utcTime} +00:00`);
+    let markdowned = restoreMath(mdToHtml(mathJaxed, 1, false));
+    // a formula that got lost in Markdown (e.g. in a link destination) must not be sent mangled, so the message is sent without Markdown instead
+    if (restored !== formulas.length) {
+        restored = 0;
+        markdowned = sanitizeHtml(restoreMath(mathJaxed));
+    }
 
-                return {
-                    temperature: currentCondition.temp_C,
-                    temperatureFeelsLike: currentCondition.FeelsLikeC,
-                    windDirection: currentCondition.winddirDegree,
-                    windSpeed: currentCondition.windspeedKmph,
-                    visibilityDistance: currentCondition.visibility,
-                    humidity: currentCondition.humidity,
-                    pressure: currentCondition.pressure,
-                    cloudCover: currentCondition.cloudcover,
-                    rainGauge: currentCondition.precipMM,
-                    weatherType,
-                    time: parseLocalObsDateTime(
-                        currentCondition.localObsDateTime.slice(0, 10),
-                        currentCondition.observation_time
-                    ),
-                };
-            })
-            .catch(fallback);
-    };
+    // Moodle does weird stuff with spaces (for 15 years...)
+    const spacecaped = markdowned.replaceAll('> <', '>&#32;<');
 
-    const openMeteo = () => {
-        return manageRateLimit(
-            FIVE_MINUTES,
-            `https://api.open-meteo.com/v1/forecast?latitude=${city.lat}&longitude=${city.lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,cloud_cover,surface_pressure,wind_speed_10m,wind_direction_10m&minutely_15=visibility&timeformat=unixtime&timezone=Europe%2FBerlin&forecast_days=1`
-        )
-            .then(data => {
-                const now = Math.floor(Date.now() / 1000);
-                let visibilityIndex = 0;
-                for (let i = 0; i < data.minutely_15.length; i++) {
-                    if (data.minutely_15.time[i] > now) {
-                        visibilityIndex = i;
-                        break;
-                    }
-                }
-                const weatherType =
-                    {
-                        0: weatherCodes.CLEAR,
-                        1: weatherCodes.FEW_CLOUDS,
-                        2: weatherCodes.BROKEN_CLOUDS,
-                        3: weatherCodes.OVERCAST_CLOUDS,
-                        45: weatherCodes.FOG,
-                        48: weatherCodes.FREEZING_FOG,
-                        51: weatherCodes.LIGHT_DRIZZLE,
-                        53: weatherCodes.MODERATE_DRIZZLE,
-                        55: weatherCodes.HEAVY_DRIZZLE,
-                        56: weatherCodes.LIGHT_FREEZING_DRIZZLE,
-                        57: weatherCodes.MODERATE_FREEZING_DRIZZLE,
-                        61: weatherCodes.LIGHT_RAIN,
-                        63: weatherCodes.MODERATE_RAIN,
-                        65: weatherCodes.HEAVY_RAIN,
-                        66: weatherCodes.LIGHT_FREEZING_RAIN,
-                        67: weatherCodes.MODERATE_FREEZING_RAIN,
-                        71: weatherCodes.LIGHT_SNOW,
-                        73: weatherCodes.MODERATE_SNOW,
-                        75: weatherCodes.HEAVY_SNOW,
-                        77: weatherCodes.MODERATE_FREEZING_DRIZZLE,
-                        80: weatherCodes.LIGHT_RAIN_SHOWERS,
-                        81: weatherCodes.MODERATE_RAIN_SHOWERS,
-                        82: weatherCodes.HEAVY_RAIN_SHOWERS,
-                        85: weatherCodes.MODERATE_SNOW_SHOWERS,
-                        86: weatherCodes.HEAVY_SNOW_SHOWERS,
-                        95: weatherCodes.MODERATE_THUNDERSTORM,
-                        96: weatherCodes.MODERATE_THUNDERSTORM_WITH_HAIL,
-                        99: weatherCodes.HEAVY_THUNDERSTORM_WITH_HAIL,
-                    }[data.current.weather_code] ?? weatherCodes.UNKNOWN;
-                return {
-                    temperature: data.current.temperature_2m,
-                    temperatureFeelsLike: data.current.apparent_temperature,
-                    windDirection: data.current.wind_direction_10m,
-                    windSpeed: data.current.wind_speed_10m,
-                    visibilityDistance:
-                        data.minutely_15.visibility[visibilityIndex] / 1000,
-                    humidity: data.current.relative_humidity_2m,
-                    pressure: data.current.surface_pressure,
-                    cloudCover: data.current.cloud_cover,
-                    rainGauge: data.current.precipitation,
-                    weatherType,
-                    time: new Date(data.current.time * 1000),
-                };
-            })
-            .catch(fallback);
-    };
+    return raw.length > 0 ? spacecaped : '';
+};
 
-    const visualCrossing = () => {
-        return manageRateLimit(
-            FIVE_MINUTES,
-            `https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/${city.name}?unitGroup=metric&lang=id&iconSet=icons2&include=current&key=${VISUALCROSSING_API_KEY}&contentType=json`
-        )
-            .then(data => {
-                const weatherType =
-                    {
-                        'snow': weatherCodes.MODERATE_SNOW,
-                        'snow-showers-day': weatherCodes.MODERATE_SNOW_SHOWERS,
-                        'snow-showers-night':
-                            weatherCodes.MODERATE_SNOW_SHOWERS,
-                        'thunder-rain':
-                            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
-                        'thunder-showers-day':
-                            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
-                        'thunder-showers-night':
-                            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
-                        'rain': weatherCodes.MODERATE_RAIN,
-                        'rain-showers-day': weatherCodes.MODERATE_RAIN_SHOWERS,
-                        'rain-showers-night':
-                            weatherCodes.MODERATE_RAIN_SHOWERS,
-                        'fog': weatherCodes.FOG,
-                        'wind': weatherCodes.WIND,
-                        'cloudy': weatherCodes.OVERCAST_CLOUDS,
-                        'partly-cloudy-day': weatherCodes.SCATTERED_CLOUDS,
-                        'partly-cloudy-night': weatherCodes.SCATTERED_CLOUDS,
-                        'clear-day': weatherCodes.CLEAR,
-                        'clear-night': weatherCodes.CLEAR,
-                    }[data.currentConditions.icon] ?? weatherCodes.UNKNOWN;
+const initMessagesMarkdown = () => {
+    const awaitMathJax = () =>
+        new Promise(resolve => {
+            const interval = setInterval(() => {
+                if (unsafeWindow.MathJax) {
+                    clearInterval(interval);
+                    resolve(unsafeWindow.MathJax);
+                }
+            }, 10);
+        });
 
-                return {
-                    temperature: data.currentConditions.temp,
-                    temperatureFeelsLike: data.currentConditions.feelslike,
-                    windDirection: data.currentConditions.winddir,
-                    windSpeed: data.currentConditions.windspeed,
-                    visibilityDistance: data.currentConditions.visibility,
-                    humidity: data.currentConditions.humidity,
-                    pressure: data.currentConditions.pressure,
-                    cloudCover: data.currentConditions.cloudcover,
-                    rainGauge: data.currentConditions.precip,
-                    weatherType,
-                    time: new Date(data.currentConditions.datetimeEpoch * 1000),
-                };
-            })
-            .catch(fallback);
-    };
+    const dummyField = document.createElement('textarea');
+    dummyField.dataset.region = 'send-message-txt';
+    dummyField.classList.add('d-none');
 
-    const openWeatherMap = () => {
-        return manageRateLimit(
-            FIVE_MINUTES,
-            `https://api.openweathermap.org/data/2.5/weather?q=${city.name}&units=metric&appid=${OPENWEATHERMAP_API_KEY}`
-        )
-            .then(data => {
-                const weatherType =
-                    {
-                        200: weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
-                        201: weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
-                        202: weatherCodes.HEAVY_THUNDERSTORM_WITH_RAIN,
-                        210: weatherCodes.LIGHT_THUNDERSTORM,
-                        211: weatherCodes.MODERATE_THUNDERSTORM,
-                        212: weatherCodes.HEAVY_THUNDERSTORM,
-                        221: weatherCodes.MODERATE_THUNDERSTORM,
-                        230: weatherCodes.LIGHT_THUNDERSTORM_WITH_DRIZZLE,
-                        231: weatherCodes.MODERATE_THUNDERSTORM_WITH_DRIZZLE,
-                        232: weatherCodes.HEAVY_THUNDERSTORM_WITH_DRIZZLE,
-                        300: weatherCodes.LIGHT_DRIZZLE,
-                        301: weatherCodes.MODERATE_DRIZZLE,
-                        302: weatherCodes.HEAVY_DRIZZLE,
-                        310: weatherCodes.LIGHT_DRIZZLE,
-                        311: weatherCodes.MODERATE_DRIZZLE,
-                        312: weatherCodes.HEAVY_DRIZZLE,
-                        313: weatherCodes.LIGHT_DRIZZLE_SHOWERS,
-                        314: weatherCodes.MODERATE_DRIZZLE_SHOWERS,
-                        321: weatherCodes.HEAVY_DRIZZLE_SHOWERS,
-                        500: weatherCodes.LIGHT_RAIN,
-                        501: weatherCodes.MODERATE_RAIN,
-                        502: weatherCodes.HEAVY_RAIN,
-                        503: weatherCodes.HEAVY_RAIN,
-                        504: weatherCodes.EXTREME_RAIN,
-                        511: weatherCodes.MODERATE_FREEZING_RAIN,
-                        520: weatherCodes.LIGHT_RAIN_SHOWERS,
-                        521: weatherCodes.MODERATE_RAIN_SHOWERS,
-                        522: weatherCodes.HEAVY_RAIN_SHOWERS,
-                        531: weatherCodes.MODERATE_RAIN_SHOWERS,
-                        600: weatherCodes.LIGHT_SNOW,
-                        601: weatherCodes.MODERATE_SNOW,
-                        602: weatherCodes.HEAVY_SNOW,
-                        611: weatherCodes.MODERATE_SLEET,
-                        612: weatherCodes.LIGHT_SLEET_SHOWERS,
-                        613: weatherCodes.MODERATE_SLEET_SHOWERS,
-                        615: weatherCodes.LIGHT_SLEET,
-                        616: weatherCodes.MODERATE_SLEET,
-                        620: weatherCodes.LIGHT_SNOW_SHOWERS,
-                        621: weatherCodes.MODERATE_SNOW_SHOWERS,
-                        622: weatherCodes.HEAVY_SNOW_SHOWERS,
-                        701: weatherCodes.MIST,
-                        711: weatherCodes.SMOKE,
-                        721: weatherCodes.HAZE,
-                        731: weatherCodes.DUST,
-                        741: weatherCodes.FOG,
-                        751: weatherCodes.SAND,
-                        761: weatherCodes.DUST,
-                        762: weatherCodes.VOLCANIC_ASH,
-                        771: weatherCodes.SQUALLS,
-                        781: weatherCodes.TORNADO,
-                        800: weatherCodes.CLEAR,
-                        801: weatherCodes.FEW_CLOUDS,
-                        802: weatherCodes.SCATTERED_CLOUDS,
-                        803: weatherCodes.BROKEN_CLOUDS,
-                        804: weatherCodes.OVERCAST_CLOUDS,
-                    }[data.weather[0].id] ?? weatherCodes.UNKNOWN;
-                return {
-                    temperature: data.main.temp,
-                    temperatureFeelsLike: data.main.feels_like,
-                    windDirection: data.wind.deg,
-                    windSpeed: data.wind.speed,
-                    visibilityDistance: data.visibility / 1000,
-                    humidity: data.main.humidity,
-                    pressure: data.main.pressure,
-                    cloudCover: data.clouds.all,
-                    rainGauge: data.rain?.['1h'] ?? 0,
-                    weatherType,
-                    time: new Date(data.dt * 1000),
-                };
-            })
-            .catch(fallback);
-    };
+    ready(() => {
+        const messageApp = document.querySelector('.message-app');
+        if (!messageApp) return;
 
-    const pirateWeather = () => {
-        return manageRateLimit(
-            FIVE_MINUTES,
-            `https://api.pirateweather.net/forecast/${PIRATEWEATHER_API_KEY}/${city.lat},${city.lon}?units=si`
-        )
-            .then(data => {
-                const weatherType =
-                    {
-                        'clear-day': weatherCodes.CLEAR,
-                        'clear-night': weatherCodes.CLEAR,
-                        'rain': weatherCodes.MODERATE_RAIN,
-                        'snow': weatherCodes.MODERATE_SNOW,
-                        'sleet': weatherCodes.MODERATE_SLEET,
-                        'wind': weatherCodes.WIND,
-                        'fog': weatherCodes.FOG,
-                        'cloudy': weatherCodes.OVERCAST_CLOUDS,
-                        'partly-cloudy-day': weatherCodes.SCATTERED_CLOUDS,
-                        'partly-cloudy-night': weatherCodes.SCATTERED_CLOUDS,
-                    }[data.currently.icon] ?? weatherCodes.UNKNOWN;
-                return {
-                    temperature: data.currently.temperature,
-                    temperatureFeelsLike: data.currently.apparentTemperature,
-                    windDirection: data.currently.windBearing,
-                    windSpeed: data.currently.windSpeed,
-                    visibilityDistance: data.currently.visibility,
-                    humidity: data.currently.humidity * 100,
-                    pressure: data.currently.pressure,
-                    cloudCover: data.currently.cloudCover,
-                    rainGauge: data.currently.precipIntensity,
-                    weatherType,
-                    time: new Date(data.currently.time * 1000),
-                };
-            })
-            .catch(fallback);
-    };
+        const sendBtn = messageApp.querySelector(
+            '[data-action="send-message"]'
+        );
+        const inputField = messageApp.querySelector(
+            'textarea[data-region="send-message-txt"]'
+        );
 
-    const weatherProvider = (() => {
-        switch (provider) {
-            case 'wttrIn':
-                return wttrIn;
-            case 'openMeteo':
-                return openMeteo;
-            case 'visualCrossing':
-                return visualCrossing;
-            case 'openWeatherMap':
-                return openWeatherMap;
-            case 'pirateWeather':
-                return pirateWeather;
-        }
-    })();
+        inputField.dataset.region = messageInputFieldRegion;
+        inputField.after(dummyField);
 
-    const displayData = (key, data) => {
-        const round = (value, precision, fixed = false) => {
-            const factor = 10 ** precision;
-            const roundedValue = Math.round(value * factor) / factor;
-            return Intl.NumberFormat(BETTER_MOODLE_LANG, {
-                maximumFractionDigits: precision,
-                minimumFractionDigits: fixed ? precision : 0,
-            }).format(roundedValue);
-        };
-        const unitConverter = {
-            temperature: {
-                metric: celsius => [round(celsius, 1), '&#x202F;°C'],
-                scientific: celsius => [
-                    round(celsius + 273.15, 2, true),
-                    '&#x202F;K',
-                ],
-                imperial: celsius => [
-                    round((celsius * 9) / 5 + 32, 1),
-                    '&#x202F;°F',
-                ],
-            },
-            temperatureFeelsLike: {
-                metric: celsius => [round(celsius, 1), '&#x202F;°C'],
-                scientific: celsius => [
-                    round(celsius + 273.15, 2, true),
-                    '&#x202F;K',
-                ],
-                imperial: celsius => [
-                    round((celsius * 9) / 5 + 32, 1),
-                    '&#x202F;°F',
-                ],
-            },
-            windDirection: {
-                metric: deg => [round(deg, 0), '°'],
-                scientific: deg => [
-                    round((deg * Math.PI) / 180, 2, true),
-                    '&#x202F;rad',
-                ],
-                imperial: deg => [round(deg, 0), '°'],
-            },
-            windSpeed: {
-                metric: kmh => [round(kmh, 1), '&#x202F;km/h'],
-                scientific: kmh => [
-                    round((kmh * 1000) / 3600, 2, true),
-                    '&#x202F;m/s',
-                ],
-                imperial: kmh => [round(kmh / 1.609344, 1), '&#x202F;mph'],
-            },
-            visibilityDistance: {
-                metric: km => [round(km, 1), '&#x202F;km'],
-                scientific: km => [round(km * 1000, 0, true), '&#x202F;m'],
-                imperial: km => [round(km / 1.609344, 1), '&#x202F;mi'],
-            },
-            humidity: {
-                metric: percent => [round(percent, 1), '&#x202F;%'],
-                scientific: percent => [round(percent / 100, 2, true), ''],
-                imperial: percent => [round(percent, 1), '&#x202F;%'],
-            },
-            pressure: {
-                metric: hPa => [round(hPa, 1), '&#x202F;hPa'],
-                scientific: hPa => [round(hPa * 100, 2, true), '&#x202F;Pa'],
-                imperial: hPa => [
-                    round(hPa * 0.02952998751, 1),
-                    '&#x202F;inHg',
-                ],
-            },
-            cloudCover: {
-                metric: percent => [round(percent, 1), '&#x202F;%'],
-                scientific: percent => [round(percent / 100, 2, true), ''],
-                imperial: percent => [round(percent, 1), '&#x202F;%'],
-            },
-            rainGauge: {
-                metric: mm => [round(mm, 1), '&#x202F;mm'],
-                scientific: mm => [round(mm / 1000, 3, true), '&#x202F;m'],
-                imperial: mm => [round(mm / 25.4, 1), '&#x202F;in'],
-            },
-        };
+        dummyField.addEventListener('focus', () => {
+            inputField.focus();
+        });
+        sendBtn.addEventListener('click', () => {
+            inputField.value = '';
+        });
+
+        awaitMathJax().then(MathJax => {
+            inputField.addEventListener('input', () => {
+                dummyField.value = renderMessageMarkdown(inputField.value);
+            });
+            dummyField.value = renderMessageMarkdown(inputField.value);
+
+            // region live preview
+            const preview = document.createElement('div');
+            preview.id = messagePreviewId;
+            preview.classList.add('border', 'rounded', 'p-2', 'mb-1');
+            const previewTitle = document.createElement('div');
+            previewTitle.classList.add('small', 'text-muted');
+            previewTitle.textContent = $t('messages.preview.title').toString();
+            const previewWarning = document.createElement('div');
+            previewWarning.classList.add(
+                'alert',
+                'alert-warning',
+                'small',
+                'p-1',
+                'mb-1',
+                'd-none'
+            );
+            const previewContent = document.createElement('div');
+            preview.append(previewTitle, previewWarning, previewContent);
+            inputField.parentElement.after(preview);
+
+            const updatePreview = () => {
+                if (preview.classList.contains('d-none')) return;
+
+                const html = renderMessageMarkdown(inputField.value);
+                if (html) {
+                    previewContent.innerHTML = html;
+                    previewContent.classList.remove('text-muted');
+                    MathJax.Hub.Queue(['Typeset', MathJax.Hub, previewContent]);
+                } else {
+                    previewContent.textContent = $t(
+                        'messages.preview.empty'
+                    ).toString();
+                    previewContent.classList.add('text-muted');
+                }
+
+                const strippedElements = new Set(
+                    Array.from(
+                        previewContent.querySelectorAll(
+                            Object.keys(MOODLE_STRIPPED_MESSAGE_ELEMENTS).join()
+                        ),
+                        element =>
+                            $t(
+                                `messages.preview.stripped.${
+                                    MOODLE_STRIPPED_MESSAGE_ELEMENTS[
+                                        element.localName
+                                    ]
+                                }`
+                            ).toString()
+                    )
+                );
+                previewWarning.textContent = $t('messages.preview.warning', {
+                    elements: Array.from(strippedElements).join(', '),
+                }).toString();
+                previewWarning.classList.toggle(
+                    'd-none',
+                    !strippedElements.size
+                );
+            };
+            const debouncedPreviewUpdate = debounce(updatePreview, 300);
+            inputField.addEventListener('input', debouncedPreviewUpdate);
+            sendBtn.addEventListener('click', debouncedPreviewUpdate);
+
+            const previewToggle = document.createElement('button');
+            previewToggle.type = 'button';
+            previewToggle.classList.add(
+                'btn',
+                'btn-link',
+                'btn-icon',
+                'icon-size-3',
+                'ml-1'
+            );
+            previewToggle.title = previewToggle.ariaLabel = $t(
+                'messages.preview.toggle'
+            ).toString();
+            const previewToggleIcon = document.createElement('i');
+            previewToggleIcon.classList.add('icon', 'fa', 'fa-fw', 'm-0');
+            previewToggle.append(previewToggleIcon);
+            sendBtn.before(previewToggle);
+
+            /** @param {boolean} open */
+            const togglePreview = open => {
+                preview.classList.toggle('d-none', !open);
+                previewToggle.ariaPressed = String(open);
+                previewToggleIcon.classList.toggle('fa-eye-slash', open);
+                previewToggleIcon.classList.toggle('fa-eye', !open);
+                updatePreview();
+            };
+            previewToggle.addEventListener('click', () => {
+                const open = preview.classList.contains('d-none');
+                // the preview stays open or closed on the next visit
+                settingsById['messages.markdownPreview'].value = open;
+                togglePreview(open);
+            });
+            togglePreview(getSetting('messages.markdownPreview'));
+            // endregion
+        });
+    });
+};
+registerFeature({
+    id: 'messages.markdown',
+    settings: ['messages.markdown', 'messages.markdownPreview'],
+    enable: initMessagesMarkdown,
+});
+// endregion
 
-        return unitConverter[key][units](Number(data[key])).join('');
-    };
+// region Feature messages.snippets
+const snippetsDropdownId = PREFIX('message-snippets');
 
-    const weatherEmojiSets = {
-        '❓': new Set([weatherCodes.UNKNOWN]),
+/**
+ * replaces the placeholders of a snippet with the values of the current conversation
+ * @param {string} text
+ * @param {Element} messageApp
+ * @returns {string}
+ */
+const fillSnippetPlaceholders = (text, messageApp) => {
+    const placeholders = {
+        course:
+            (CURRENT_COURSE_ID &&
+                document
+                    .querySelector('.page-header-headings h1')
+                    ?.textContent.trim()) ||
+            '',
+        recipient: getMessageRecipient(messageApp),
+        date: dateToString(new Date()),
+    };
+    return text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+        name in placeholders ? placeholders[name] : match
+    );
+};
 
-        '☀️': new Set([weatherCodes.CLEAR]),
-        '🌤️': new Set([weatherCodes.FEW_CLOUDS]),
-        '⛅': new Set([weatherCodes.SCATTERED_CLOUDS]),
-        '🌥️': new Set([weatherCodes.BROKEN_CLOUDS]),
-        '☁️': new Set([weatherCodes.OVERCAST_CLOUDS]),
+const initMessageSnippets = () => {
+    ready(() => {
+        const messageApp = document.querySelector('.message-app');
+        if (!messageApp) return;
 
-        '🌫️': new Set([
-            weatherCodes.MIST,
-            weatherCodes.FOG,
-            weatherCodes.FREEZING_FOG,
-            weatherCodes.HAZE,
-            weatherCodes.SMOKE,
-        ]),
-        '🌪️': new Set([
-            weatherCodes.DUST,
-            weatherCodes.SAND,
-            weatherCodes.TORNADO,
-        ]),
-        '🌋': new Set([weatherCodes.VOLCANIC_ASH]),
+        const sendBtn = messageApp.querySelector(
+            '[data-action="send-message"]'
+        );
+        const inputField = getMessageInputField(messageApp);
+        if (!sendBtn || !inputField) return;
+
+        const dropdownWrapper = document.createElement('div');
+        dropdownWrapper.id = snippetsDropdownId;
+        dropdownWrapper.classList.add('dropup');
+
+        const dropdownToggle = document.createElement('button');
+        dropdownToggle.type = 'button';
+        dropdownToggle.classList.add(
+            'btn',
+            'btn-link',
+            'btn-icon',
+            'icon-size-3',
+            'ml-1'
+        );
+        dropdownToggle.dataset.toggle = 'dropdown';
+        dropdownToggle.ariaHasPopup = 'true';
+        dropdownToggle.ariaExpanded = 'false';
+        dropdownToggle.title = dropdownToggle.ariaLabel = $t(
+            'messages.snippets.insert'
+        ).toString();
+        const dropdownIcon = document.createElement('i');
+        dropdownIcon.classList.add(
+            'icon',
+            'fa',
+            'fa-clipboard',
+            'fa-fw',
+            'm-0'
+        );
+        dropdownToggle.append(dropdownIcon);
 
-        '🌬️': new Set([weatherCodes.WIND, weatherCodes.SQUALLS]),
+        const dropdown = document.createElement('div');
+        dropdown.classList.add('dropdown-menu', 'dropdown-menu-right');
+        getSetting('messages.snippets').forEach(({ title, text }) => {
+            const snippetBtn = document.createElement('button');
+            snippetBtn.type = 'button';
+            snippetBtn.classList.add('dropdown-item', 'text-truncate');
+            snippetBtn.textContent = title || text;
+            snippetBtn.title = text;
+            snippetBtn.addEventListener('click', () => {
+                inputField.focus();
+                inputField.setRangeText(
+                    fillSnippetPlaceholders(text, messageApp),
+                    inputField.selectionStart,
+                    inputField.selectionEnd,
+                    'end'
+                );
+                // lets Moodle and the markdown feature know about the new content
+                inputField.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+            dropdown.append(snippetBtn);
+        });
 
-        '🌨️': new Set([
-            weatherCodes.LIGHT_SNOW,
-            weatherCodes.MODERATE_SNOW,
-            weatherCodes.LIGHT_SLEET,
-            weatherCodes.MODERATE_SLEET,
-            weatherCodes.LIGHT_SNOW_SHOWERS,
-            weatherCodes.MODERATE_SNOW_SHOWERS,
-            weatherCodes.HEAVY_SNOW_SHOWERS,
-            weatherCodes.LIGHT_SLEET_SHOWERS,
-            weatherCodes.MODERATE_SLEET_SHOWERS,
-            weatherCodes.LIGHT_THUNDERSTORM_WITH_SNOW,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_SNOW,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_HAIL,
-            weatherCodes.HEAVY_THUNDERSTORM_WITH_HAIL,
-            weatherCodes.PATCHY_SNOW_NEARBY,
-        ]),
-        '❄️': new Set([weatherCodes.HEAVY_SNOW, weatherCodes.EXTREME_SNOW]),
+        dropdownWrapper.append(dropdownToggle, dropdown);
+        sendBtn.before(dropdownWrapper);
+    });
+};
+registerFeature({
+    id: 'messages.snippets',
+    settings: ['messages.snippets'],
+    isEnabled: () => getSetting('messages.snippets').length > 0,
+    enable: initMessageSnippets,
+    disable: () => document.getElementById(snippetsDropdownId)?.remove(),
+});
+// endregion
 
-        '🌦️': new Set([
-            weatherCodes.LIGHT_RAIN,
-            weatherCodes.LIGHT_DRIZZLE,
-            weatherCodes.LIGHT_RAIN_SHOWERS,
-            weatherCodes.LIGHT_DRIZZLE_SHOWERS,
-            weatherCodes.PATCHY_RAIN_NEARBY,
-            weatherCodes.LIGHT_THUNDERSTORM_WITH_DRIZZLE,
-            weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
-        ]),
-        '🌧️': new Set([
-            weatherCodes.MODERATE_RAIN,
-            weatherCodes.HEAVY_RAIN,
-            weatherCodes.MODERATE_DRIZZLE,
-            weatherCodes.HEAVY_DRIZZLE,
-            weatherCodes.MODERATE_RAIN_SHOWERS,
-            weatherCodes.HEAVY_RAIN_SHOWERS,
-            weatherCodes.MODERATE_DRIZZLE_SHOWERS,
-            weatherCodes.HEAVY_DRIZZLE_SHOWERS,
-            weatherCodes.LIGHT_FREEZING_RAIN,
-            weatherCodes.MODERATE_FREEZING_RAIN,
-            weatherCodes.LIGHT_FREEZING_DRIZZLE,
-            weatherCodes.MODERATE_FREEZING_DRIZZLE,
-            weatherCodes.HEAVY_FREEZING_DRIZZLE,
-            weatherCodes.PATCHY_SLEET_NEARBY,
-            weatherCodes.PATCHY_FREEZING_DRIZZLE_NEARBY,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_DRIZZLE,
-            weatherCodes.HEAVY_THUNDERSTORM_WITH_DRIZZLE,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
-            weatherCodes.HEAVY_THUNDERSTORM_WITH_RAIN,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
-            weatherCodes.LIGHT_HAIL_SHOWERS,
-            weatherCodes.MODERATE_HAIL_SHOWERS,
-        ]),
+// region Feature messages.drafts
+const messageDraftClass = PREFIX('message-draft');
 
-        '🌩️': new Set([
-            weatherCodes.LIGHT_THUNDERSTORM,
-            weatherCodes.LIGHT_THUNDERSTORM_WITH_DRIZZLE,
-            weatherCodes.LIGHT_THUNDERSTORM_WITH_RAIN,
-            weatherCodes.LIGHT_THUNDERSTORM_WITH_SNOW,
-        ]),
-        '⛈️': new Set([
-            weatherCodes.MODERATE_THUNDERSTORM,
-            weatherCodes.HEAVY_THUNDERSTORM,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_DRIZZLE,
-            weatherCodes.HEAVY_THUNDERSTORM_WITH_DRIZZLE,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN,
-            weatherCodes.HEAVY_THUNDERSTORM_WITH_RAIN,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_SNOW,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_HAIL,
-            weatherCodes.HEAVY_THUNDERSTORM_WITH_HAIL,
-            weatherCodes.MODERATE_THUNDERSTORM_WITH_RAIN_SHOWERS,
-            weatherCodes.THUNDERY_OUTBREAKS_NEARBY,
-        ]),
+/**
+ * @typedef {Object} MessageDraft
+ * @property {string} text
+ * @property {number} timestamp
+ */
 
-        '🌊': new Set([weatherCodes.EXTREME_RAIN]),
-    };
+/**
+ * Drafts are stored per conversation. If Moodle only knows the other user, e.g. when opening a conversation via a profile, the user id is used instead.
+ */
+const MESSAGE_DRAFTS = {
+    /** @returns {Record<string, MessageDraft>} */
+    getAll: () => GM_getValue(MESSAGE_DRAFTS_STORAGE, {}),
+    /**
+     * @param {string} key
+     * @returns {string}
+     */
+    get: key => MESSAGE_DRAFTS.getAll()[key]?.text ?? '',
+    /**
+     * stores a draft, empty drafts are removed
+     * @param {string} key
+     * @param {string} text
+     */
+    set: (key, text) => {
+        const drafts = MESSAGE_DRAFTS.getAll();
+        if (text.trim()) drafts[key] = { text, timestamp: Date.now() };
+        else delete drafts[key];
+        GM_setValue(MESSAGE_DRAFTS_STORAGE, drafts);
+    },
+    /**
+     * @param {MessageConversation} conversation
+     * @returns {string | undefined}
+     */
+    getKey: ({ conversationId, userId }) =>
+        conversationId ? `conversation-${conversationId}`
+        : userId ? `user-${userId}`
+        : undefined,
+};
 
-    const getWeatherEmoji = weatherType =>
-        (Object.entries(weatherEmojiSets).find(([, weatherCodes]) =>
-            weatherCodes.has(weatherType)
-        ) ?? '❓')[0];
+GM_addStyle(css`
+    .${messageDraftClass} {
+        font-size: 0.75rem;
+    }
+`);
 
-    const windDirectionToArrow = deg => {
-        const arrows = ['↑', '↗', '→', '↘', '↓', '↙', '←', '↖'];
-        return arrows[Math.round(deg / 45) % 8];
-    };
+const initMessageDrafts = () => {
+    ready(() => {
+        const messageApp = document.querySelector('.message-app');
+        if (!messageApp) return;
 
-    const WEATHER_ATTRIBUTES = [
-        'temperature',
-        'temperatureFeelsLike',
-        'windSpeed',
-        'visibilityDistance',
-        'humidity',
-        'pressure',
-        'cloudCover',
-        'rainGauge',
-    ];
-    let weatherModal = null;
+        const sendBtn = messageApp.querySelector(
+            '[data-action="send-message"]'
+        );
+        const inputField = getMessageInputField(messageApp);
+        if (!sendBtn || !inputField) return;
+
+        /** @type {string | undefined} */
+        let currentKey;
+        /** @type {string | undefined} */
+        let restoredKey;
+        /** @type {string | undefined} the conversation the input has been made in */
+        let pendingKey;
+
+        const saveDraft = () => {
+            if (!pendingKey) return;
+            MESSAGE_DRAFTS.set(pendingKey, inputField.value);
+            pendingKey = undefined;
+        };
+        const debouncedSaveDraft = debounce(saveDraft, 300);
+        inputField.addEventListener('input', () => {
+            pendingKey = currentKey;
+            debouncedSaveDraft();
+        });
 
-    const openWeatherDisplayModal = e => {
-        e.preventDefault();
+        const restoreDraft = () => {
+            if (!currentKey || currentKey === restoredKey) return;
+            restoredKey = currentKey;
+            inputField.value = MESSAGE_DRAFTS.get(currentKey);
+            // lets Moodle and the markdown feature know about the restored content
+            inputField.dispatchEvent(new Event('input', { bubbles: true }));
+        };
 
-        require(['core/modal_factory'], ({ create, types }) =>
-            weatherProvider().then(data => {
-                new Promise(resolve => {
-                    if (weatherModal) {
-                        resolve(weatherModal);
-                        return;
-                    }
-                    create({
-                        type: types.ALERT,
-                        large: true,
-                        scrollable: true,
-                        title: `${getWeatherEmoji(
-                            data.weatherType
-                        )}\xa0${$t('weatherDisplay.title')}`,
-                        body: '',
-                    }).then(modal => {
-                        modal.setButtonText(
-                            'cancel',
-                            `${$t('modals.weatherDisplay.close')}`
+        const updateDraftIndicators = () => {
+            const drafts = MESSAGE_DRAFTS.getAll();
+            messageApp
+                .querySelectorAll('[data-conversation-id]')
+                .forEach(conversation => {
+                    const hasDraft = [
+                        MESSAGE_DRAFTS.getKey(conversation.dataset),
+                        MESSAGE_DRAFTS.getKey({
+                            userId: conversation.dataset.userId,
+                        }),
+                    ].some(key => key && key in drafts);
+                    const indicator = conversation.querySelector(
+                        `.${messageDraftClass}`
+                    );
+                    if (hasDraft && !indicator) {
+                        const badge = document.createElement('span');
+                        badge.classList.add(
+                            messageDraftClass,
+                            'badge',
+                            'badge-secondary',
+                            'ml-1'
                         );
+                        badge.textContent = $t(
+                            'messages.drafts.indicator'
+                        ).toString();
+                        conversation.querySelector('strong')?.after(badge);
+                    } else if (!hasDraft) {
+                        indicator?.remove();
+                    }
+                });
+        };
 
-                        const credits = document.createElement('span');
-                        credits.classList.add('text-muted', 'small', 'mr-auto');
-                        credits.innerHTML = `${$t(
-                            'weatherDisplay.credits._long'
-                        )} <a href="${$t(
-                            `weatherDisplay.credits.${provider}.url`
-                        )}">${$t(`weatherDisplay.credits.${provider}.name`)}</a>`;
-                        modal.getFooter().prepend(credits);
+        onMessageConversationOpen(messageApp, conversation => {
+            const key = MESSAGE_DRAFTS.getKey(conversation);
+            if (!key) return;
 
-                        weatherModal = modal;
-                        resolve(modal);
-                    });
-                }).then(modal => {
-                    const modalBody = modal.getBody()[0];
+            saveDraft();
+            // a draft started via the profile belongs to this conversation now
+            const userKey = MESSAGE_DRAFTS.getKey({
+                userId: conversation.userId,
+            });
+            if (userKey && userKey !== key) {
+                const userDraft = MESSAGE_DRAFTS.get(userKey);
+                if (userDraft && !MESSAGE_DRAFTS.get(key)) {
+                    MESSAGE_DRAFTS.set(key, userDraft);
+                    MESSAGE_DRAFTS.set(userKey, '');
+                }
+            }
+            currentKey = key;
+            // Moodle resets the input field when (re)opening a conversation
+            restoredKey = undefined;
+        });
 
-                    if (data.weatherType === weatherCodes.UNKNOWN) {
-                        modalBody.innerHTML = `<div><p>${$t(
-                            `weatherDisplay.weatherCodes.${weatherCodes.UNKNOWN}`
-                        )}</p></div>`;
-                        modal.show();
-                        return;
-                    }
+        // the input field is reset when Moodle has rendered the conversation, so restoring waits for the DOM to settle
+        new MutationObserver(
+            debounce(() => {
+                restoreDraft();
+                updateDraftIndicators();
+            })
+        ).observe(messageApp, { childList: true, subtree: true });
+        GM_addValueChangeListener(
+            MESSAGE_DRAFTS_STORAGE,
+            updateDraftIndicators
+        );
 
-                    modalBody.innerHTML = `
-                        <div>
-                            <dl class="row">
-                                ${WEATHER_ATTRIBUTES.map(
-                                    attr => `
-                                    <dt class="col-sm-4">${$t(`modals.weatherDisplay.attributes.${attr}`)}</dt>
-                                    <dd class="col-sm-8">${displayData(attr, data)}</dd>`
-                                ).join('')}
-                            </dl>
-                        </div>
-                    `;
+        sendBtn.addEventListener('click', () => {
+            if (!currentKey) return;
+            pendingKey = undefined;
+            MESSAGE_DRAFTS.set(currentKey, '');
+        });
 
-                    modal.show();
-                });
-            }));
+        restoreDraft();
+        updateDraftIndicators();
+    });
+};
+registerFeature({
+    id: 'messages.drafts',
+    settings: ['messages.drafts'],
+    enable: initMessageDrafts,
+});
+// endregion
 
-        document
-            .getElementById(e.target.getAttribute('aria-describedby'))
-            .remove();
-        e.target.removeAttribute('aria-describedby');
-    };
+// region Feature messages.export
+const CONVERSATION_EXPORT_PAGE_SIZE = 100;
 
-    const weatherBtnWrapper = document.createElement('div');
-    weatherBtnWrapper.id = PREFIX('weather-button');
-    const weatherBtn = document.createElement('a');
-    weatherBtn.innerText = `${getWeatherEmoji(0)}`;
-    weatherBtn.dataset.originalTitle = $t(
-        `weatherDisplay.weatherCodes.${weatherCodes.UNKNOWN}`
+/**
+ * @typedef {Object} ConversationExportMessage
+ * @property {number} id
+ * @property {{id: number, fullname: string}} sender
+ * @property {string} timestamp ISO 8601
+ * @property {string} date
+ * @property {string} time
+ * @property {string} text the HTML of the message
+ * @property {{name: string, url: string}[]} attachments
+ */
+
+/**
+ * @typedef {Object} ConversationExport
+ * @property {number} id
+ * @property {string} name
+ * @property {{id: number, fullname: string}[]} members
+ * @property {string} exportedAt ISO 8601
+ * @property {ConversationExportMessage[]} messages
+ */
+
+/**
+ * files and images of a message, Moodle does not have real attachments for messages
+ * @param {string} html
+ * @returns {{name: string, url: string}[]}
+ */
+const getMessageAttachments = html => {
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeHtml(html);
+    return Array.from(
+        template.content.querySelectorAll(
+            'a[href*="/pluginfile.php/"], img[src]'
+        ),
+        element => {
+            // the template is not connected to the page, so relative URLs are resolved manually
+            const url = new URL(
+                element.getAttribute('href') ?? element.getAttribute('src'),
+                window.location.href
+            );
+            return {
+                name:
+                    element.textContent.trim() ||
+                    element.alt ||
+                    decodeURIComponent(url.pathname.split('/').pop()),
+                url: url.href,
+            };
+        }
     );
-    weatherBtn.classList.add('nav-link', 'position-relative');
-    weatherBtn.href = '#';
-    weatherBtn.role = 'button';
-    weatherBtn.dataset.toggle = 'tooltip';
-    weatherBtn.dataset.placement = 'bottom';
-    weatherBtn.dataset.html = 'true';
-    weatherBtn.addEventListener('click', openWeatherDisplayModal);
-    weatherBtnWrapper.append(weatherBtn);
+};
 
-    ready(() => {
-        document
-            .querySelector('#usernavigation .usermenu-container')
-            ?.before(weatherBtnWrapper);
-    });
+/**
+ * loads a conversation with all of its messages
+ * @param {MessageConversation} conversation
+ * @returns {Promise<ConversationExport>}
+ */
+const loadConversationExport = async ({ conversationId, userId }) => {
+    const currentUserId = M.cfg.userId;
+    const conversation = await (conversationId ?
+        callMoodleWebService('core_message_get_conversation', {
+            userid: currentUserId,
+            conversationid: conversationId,
+            includecontactrequests: false,
+            includeprivacyinfo: false,
+        })
+    :   callMoodleWebService('core_message_get_conversation_between_users', {
+            userid: currentUserId,
+            otheruserid: userId,
+            includecontactrequests: false,
+            includeprivacyinfo: false,
+        }));
 
-    animationInterval(
-        ONE_MINUTE,
-        () => {
-            weatherProvider().then(data => {
-                const weatherEmoji = getWeatherEmoji(data.weatherType);
+    /** @type {Map<number, string>} */
+    const members = new Map(
+        conversation.members.map(({ id, fullname }) => [id, fullname])
+    );
+    const messages = [];
+    for (let limitfrom = 0; ; limitfrom += CONVERSATION_EXPORT_PAGE_SIZE) {
+        const page = await callMoodleWebService(
+            'core_message_get_conversation_messages',
+            {
+                currentuserid: currentUserId,
+                convid: conversation.id,
+                limitfrom,
+                limitnum: CONVERSATION_EXPORT_PAGE_SIZE,
+                newest: false,
+            }
+        );
+        page.members.forEach(({ id, fullname }) => members.set(id, fullname));
+        messages.push(...page.messages);
+        if (page.messages.length < CONVERSATION_EXPORT_PAGE_SIZE) break;
+    }
 
-                if (data.weatherType === weatherCodes.UNKNOWN) {
-                    weatherBtn.innerHTML = weatherEmoji;
-                    weatherBtn.dataset.originalTitle = $t(
-                        `weatherDisplay.weatherCodes.${weatherCodes.UNKNOWN}`
-                    );
-                    return;
+    return {
+        id: conversation.id,
+        name:
+            conversation.name ||
+            Array.from(members)
+                .filter(([id]) => id !== Number(currentUserId))
+                .map(([, fullname]) => fullname)
+                .join(', '),
+        members: Array.from(members, ([id, fullname]) => ({ id, fullname })),
+        exportedAt: new Date().toISOString(),
+        messages: messages.map(({ id, useridfrom, text, timecreated }) => {
+            const date = new Date(timecreated * 1000);
+            return {
+                id,
+                sender: {
+                    id: useridfrom,
+                    fullname: members.get(useridfrom) ?? String(useridfrom),
+                },
+                timestamp: date.toISOString(),
+                date: dateToString(date),
+                time: timeToString(date, false),
+                text,
+                attachments: getMessageAttachments(text),
+            };
+        }),
+    };
+};
+
+/** @type {Record<string, {type: string, serialize: (conversation: ConversationExport) => string}>} */
+const CONVERSATION_EXPORT_FORMATS = {
+    md: {
+        type: 'text/markdown',
+        serialize: ({ name, exportedAt, messages }) => {
+            const blocks = [
+                `# ${name}`,
+                `*${$t('messages.export.exportedAt', {
+                    date: dateToString(new Date(exportedAt)),
+                    time: timeToString(new Date(exportedAt), false),
+                })}*`,
+                ...messages.map(({ sender, date, time, text, attachments }) =>
+                    [
+                        `## ${sender.fullname} (${date}, ${time})`,
+                        htmlToMd(text),
+                        attachments.length ?
+                            [
+                                `**${$t('messages.export.attachments')}:**`,
+                                ...attachments.map(
+                                    ({ name, url }) =>
+                                        `- [${name.replace(/[\\[\]]/g, '\\$&')}](<${url}>)`
+                                ),
+                            ].join('\n')
+                        :   '',
+                    ]
+                        .filter(Boolean)
+                        .join('\n\n')
+                ),
+            ];
+            return `${blocks.join('\n\n')}\n`;
+        },
+    },
+    html: {
+        type: 'text/html',
+        serialize: ({ name, exportedAt, messages }) => {
+            const doc = document.implementation.createHTMLDocument(name);
+            const charset = doc.createElement('meta');
+            charset.setAttribute('charset', 'utf-8');
+            const style = doc.createElement('style');
+            style.textContent = css`
+                body {
+                    font-family: sans-serif;
+                    max-width: 50rem;
+                    margin: auto;
+                }
+                article {
+                    border-bottom: 1px solid #ccc;
+                }
+            `;
+            doc.head.prepend(charset);
+            doc.head.append(style);
+
+            const heading = doc.createElement('h1');
+            heading.textContent = name;
+            const exportInfo = doc.createElement('p');
+            exportInfo.textContent = $t('messages.export.exportedAt', {
+                date: dateToString(new Date(exportedAt)),
+                time: timeToString(new Date(exportedAt), false),
+            }).toString();
+            doc.body.append(heading, exportInfo);
+
+            messages.forEach(
+                ({ sender, timestamp, date, time, text, attachments }) => {
+                    const article = doc.createElement('article');
+                    const header = doc.createElement('h2');
+                    const senderName = doc.createElement('strong');
+                    senderName.textContent = sender.fullname;
+                    const sentAt = doc.createElement('time');
+                    sentAt.dateTime = timestamp;
+                    sentAt.textContent = `${date}, ${time}`;
+                    header.append(senderName, ' ', sentAt);
+                    const content = doc.createElement('div');
+                    content.innerHTML = sanitizeHtml(text);
+                    article.append(header, content);
+
+                    if (attachments.length) {
+                        const attachmentsTitle = doc.createElement('p');
+                        attachmentsTitle.textContent = `${$t(
+                            'messages.export.attachments'
+                        )}:`;
+                        const attachmentsList = doc.createElement('ul');
+                        attachments.forEach(attachment => {
+                            const item = doc.createElement('li');
+                            const link = doc.createElement('a');
+                            link.href = attachment.url;
+                            link.textContent = attachment.name;
+                            item.append(link);
+                            attachmentsList.append(item);
+                        });
+                        article.append(attachmentsTitle, attachmentsList);
+                    }
+                    doc.body.append(article);
                 }
+            );
 
-                weatherBtn.innerHTML =
-                    weatherEmoji +
-                    (showTempInNavbar ?
-                        ` ${displayData(
-                            toggleFeelsLike ?
-                                'temperatureFeelsLike'
-                            :   'temperature',
-                            data
-                        )}`
-                    :   '');
-                weatherBtn.dataset.originalTitle = `<strong>${weatherEmoji}\xa0${$t(
-                    `weatherDisplay.weatherCodes.${data.weatherType}`
-                )}</strong><br>🌡️:&nbsp;${
-                    displayData('temperature', data) +
-                    (toggleFeelsLike ?
-                        ` (${displayData('temperatureFeelsLike', data)})`
-                    :   '')
-                }<br>🪁:&nbsp;${displayData(
-                    'windSpeed',
-                    data
-                )}&nbsp;(${windDirectionToArrow(
-                    data.windDirection
-                )})<br>💦:&nbsp;${displayData(
-                    'rainGauge',
-                    data
-                )}<br><br><small>${$t('weatherDisplay.credits._short')}: ${$t(
-                    `weatherDisplay.credits.${provider}.name`
-                )}<br>${$t(
-                    'weatherDisplay.updated'
-                )}:&nbsp;${timeToString(data.time, false)}</small>`;
-            });
+            return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
         },
-        true
-    );
-}
-// endregion
+    },
+    json: {
+        type: 'application/json',
+        serialize: conversation => JSON.stringify(conversation, null, 4),
+    },
+};
 
-// region Feature messages.sendHotkey
-const messagesSendHotkey = getSetting('messages.sendHotkey');
-if (messagesSendHotkey) {
+const initConversationExport = () => {
     ready(() => {
-        // .message-app
         const messageApp = document.querySelector('.message-app');
         if (!messageApp) return;
 
-        const inputField = messageApp.querySelector(
-            'textarea[data-region="send-message-txt"]'
-        );
         const sendBtn = messageApp.querySelector(
             '[data-action="send-message"]'
         );
+        if (!sendBtn) return;
 
-        if (!inputField || !sendBtn) return;
+        /** @type {MessageConversation | undefined} */
+        let currentConversation;
+        onMessageConversationOpen(
+            messageApp,
+            conversation => (currentConversation = conversation)
+        );
 
-        inputField.addEventListener('keydown', e => {
-            if (e.key !== 'Enter') return;
-            if (
-                messageApp.querySelector(
-                    '.emoji-auto-complete-container:not(.hidden)'
-                )
-            ) {
-                return;
-            }
+        const exportBtn = document.createElement('button');
+        exportBtn.type = 'button';
+        exportBtn.classList.add(
+            'btn',
+            'btn-link',
+            'btn-icon',
+            'icon-size-3',
+            'ml-1'
+        );
+        exportBtn.title = exportBtn.ariaLabel = $t(
+            'messages.export.title'
+        ).toString();
+        const exportIcon = document.createElement('i');
+        exportIcon.classList.add('icon', 'fa', 'fa-download', 'fa-fw', 'm-0');
+        exportBtn.append(exportIcon);
+        sendBtn.before(exportBtn);
+
+        exportBtn.addEventListener('click', () => {
+            const conversation = currentConversation;
+
+            const body = document.createElement('div');
+            const formatLabel = document.createElement('label');
+            formatLabel.textContent = $t('messages.export.format').toString();
+            const formatSelect = document.createElement('select');
+            formatSelect.classList.add('custom-select', 'w-100');
+            formatSelect.id = formatLabel.htmlFor = PREFIX(
+                'conversation-export-format'
+            );
+            Object.keys(CONVERSATION_EXPORT_FORMATS).forEach(format => {
+                const option = document.createElement('option');
+                option.value = format;
+                option.textContent = $t(
+                    `messages.export.formats.${format}`
+                ).toString();
+                formatSelect.append(option);
+            });
+            const feedback = document.createElement('div');
+            feedback.classList.add('alert', 'mt-2', 'mb-0', 'd-none');
+            body.append(formatLabel, formatSelect, feedback);
+
+            /**
+             * @param {string} key
+             * @param {'info' | 'danger'} type
+             */
+            const showFeedback = (key, type) => {
+                feedback.textContent = $t(key).toString();
+                feedback.classList.remove(
+                    'd-none',
+                    'alert-info',
+                    'alert-danger'
+                );
+                feedback.classList.add(`alert-${type}`);
+            };
 
-            switch (messagesSendHotkey) {
-                case 'shiftEnter':
-                    if (e.shiftKey) {
-                        sendBtn.click();
-                        e.preventDefault();
+            require(['core/modal_factory', 'core/modal_events'], (
+                { create, types },
+                ModalEvents
+            ) =>
+                create({
+                    type: types.SAVE_CANCEL,
+                    title: $t('messages.export.title'),
+                    body,
+                    removeOnClose: true,
+                }).then(modal => {
+                    modal.setButtonText('save', $t('messages.export.export'));
+                    if (!conversation) {
+                        formatSelect.disabled = true;
+                        showFeedback('messages.export.noConversation', 'info');
+                        modal
+                            .getFooter()[0]
+                            .querySelector('[data-action="save"]').disabled =
+                            true;
                     }
-                    break;
-                case 'ctrlEnter':
-                    if (e.ctrlKey) {
-                        sendBtn.click();
+                    modal.getRoot().on(ModalEvents.save, e => {
                         e.preventDefault();
-                    }
-                    break;
-            }
+                        const format = formatSelect.value;
+                        const { type, serialize } =
+                            CONVERSATION_EXPORT_FORMATS[format];
+                        showFeedback('messages.export.loading', 'info');
+                        loadConversationExport(conversation)
+                            .then(conversationExport => {
+                                const blob = new Blob(
+                                    [serialize(conversationExport)],
+                                    { type }
+                                );
+                                const link = document.createElement('a');
+                                link.download = `conversation-${
+                                    conversationExport.id
+                                }.${format}`;
+                                link.href = URL.createObjectURL(blob);
+                                link.click();
+                                modal.hide();
+                            })
+                            .catch(error => {
+                                console.error(error);
+                                showFeedback('messages.export.error', 'danger');
+                            });
+                    });
+                    modal.show();
+                }));
         });
     });
-}
+};
+registerFeature({
+    id: 'messages.export',
+    settings: ['messages.export'],
+    enable: initConversationExport,
+});
 // endregion
 
-// region Feature messages.markdown
-if (getSetting('messages.markdown')) {
-    const awaitMathJax = () =>
-        new Promise(resolve => {
-            const interval = setInterval(() => {
-                if (unsafeWindow.MathJax) {
-                    clearInterval(interval);
-                    resolve(unsafeWindow.MathJax);
-                }
-            }, 10);
+// region Feature messages.sendLater
+const MESSAGE_QUEUE_TAB_ID = crypto.randomUUID();
+// changes to the GM storage reach other tabs with a delay, so a claimed lock is only trusted after this time
+const MESSAGE_QUEUE_LOCK_SETTLE_TIME = 1000;
+const MESSAGE_QUEUE_LOCK_TIMEOUT = 60 * 1000;
+const sendLaterBtnId = PREFIX('send-later');
+
+/**
+ * @typedef {Object} QueuedMessage
+ * @property {string} id
+ * @property {MessageConversation} conversation
+ * @property {string} recipient
+ * @property {string} raw the text as typed, used for editing
+ * @property {string} text the rendered text that is sent
+ * @property {boolean} markdown whether the text has been rendered from Markdown
+ * @property {number} dueAt
+ * @property {'scheduled' | 'sending' | 'failed'} status
+ * @property {string} [error]
+ */
+
+const MESSAGE_QUEUE = {
+    /** @returns {QueuedMessage[]} */
+    getAll: () => GM_getValue(MESSAGE_QUEUE_STORAGE, []),
+    /** @param {QueuedMessage[]} queue */
+    save: queue => GM_setValue(MESSAGE_QUEUE_STORAGE, queue),
+    /** @param {Omit<QueuedMessage, 'id' | 'status'>} message */
+    add: message =>
+        MESSAGE_QUEUE.save([
+            ...MESSAGE_QUEUE.getAll(),
+            { ...message, id: crypto.randomUUID(), status: 'scheduled' },
+        ]),
+    /**
+     * @param {string} id
+     * @param {Partial<QueuedMessage>} changes
+     */
+    update: (id, changes) =>
+        MESSAGE_QUEUE.save(
+            MESSAGE_QUEUE.getAll().map(message =>
+                message.id === id ? { ...message, ...changes } : message
+            )
+        ),
+    /** @param {string} id */
+    remove: id =>
+        MESSAGE_QUEUE.save(
+            MESSAGE_QUEUE.getAll().filter(message => message.id !== id)
+        ),
+    /**
+     * Claims the queue for this tab, so that no message is sent by multiple tabs.
+     * @returns {Promise<boolean>} whether this tab holds the lock
+     */
+    claimLock: async () => {
+        const lock = GM_getValue(MESSAGE_QUEUE_LOCK_STORAGE);
+        if (
+            lock &&
+            lock.tab !== MESSAGE_QUEUE_TAB_ID &&
+            lock.expires > Date.now()
+        ) {
+            return false;
+        }
+        MESSAGE_QUEUE.refreshLock();
+        await new Promise(resolve =>
+            setTimeout(resolve, MESSAGE_QUEUE_LOCK_SETTLE_TIME)
+        );
+        return (
+            GM_getValue(MESSAGE_QUEUE_LOCK_STORAGE)?.tab ===
+            MESSAGE_QUEUE_TAB_ID
+        );
+    },
+    refreshLock: () =>
+        GM_setValue(MESSAGE_QUEUE_LOCK_STORAGE, {
+            tab: MESSAGE_QUEUE_TAB_ID,
+            expires: Date.now() + MESSAGE_QUEUE_LOCK_TIMEOUT,
+        }),
+    releaseLock: () => {
+        if (
+            GM_getValue(MESSAGE_QUEUE_LOCK_STORAGE)?.tab ===
+            MESSAGE_QUEUE_TAB_ID
+        ) {
+            GM_deleteValue(MESSAGE_QUEUE_LOCK_STORAGE);
+        }
+    },
+};
+
+/**
+ * @param {QueuedMessage} message
+ * @returns {Promise<void>}
+ */
+const sendQueuedMessage = ({ conversation, text }) =>
+    conversation.conversationId ?
+        callMoodleWebService('core_message_send_messages_to_conversation', {
+            conversationid: conversation.conversationId,
+            messages: [{ text }],
+        })
+    :   callMoodleWebService('core_message_send_instant_messages', {
+            messages: [{ touserid: conversation.userId, text }],
+        }).then(([result]) => {
+            if (result.errormessage) throw new Error(result.errormessage);
         });
 
-    const inputFieldRegion = PREFIX('send-message-txt');
+/**
+ * @param {QueuedMessage} message
+ * @param {string} [error] the reason why sending failed
+ */
+const notifyQueuedMessage = ({ recipient }, error) =>
+    GM_notification({
+        title: $t(
+            `messages.sendLater.notification.${error ? 'failed' : 'sent'}.title`
+        ).toString(),
+        text: $t(
+            `messages.sendLater.notification.${error ? 'failed' : 'sent'}.text`,
+            { recipient, error }
+        ).toString(),
+    });
 
-    const dummyField = document.createElement('textarea');
-    dummyField.dataset.region = 'send-message-txt';
-    dummyField.classList.add('d-none');
+let processingMessageQueue = false;
+const processMessageQueue = async () => {
+    /** @param {QueuedMessage} message */
+    const isDue = ({ status, dueAt }) =>
+        status === 'scheduled' && dueAt <= Date.now();
+    // web services cannot be used without a session
+    if (window.location.pathname.startsWith('/login/')) return;
+    if (processingMessageQueue || !MESSAGE_QUEUE.getAll().some(isDue)) return;
+
+    processingMessageQueue = true;
+    try {
+        if (!(await MESSAGE_QUEUE.claimLock())) return;
+
+        // messages that are still sending belong to a tab that has been closed while sending, so they may have been sent already
+        MESSAGE_QUEUE.getAll()
+            .filter(({ status }) => status === 'sending')
+            .forEach(message => {
+                const error = $t('messages.sendLater.interrupted').toString();
+                MESSAGE_QUEUE.update(message.id, { status: 'failed', error });
+                notifyQueuedMessage(message, error);
+            });
+
+        const dueIds = MESSAGE_QUEUE.getAll()
+            .filter(isDue)
+            .map(({ id }) => id);
+        for (const id of dueIds) {
+            // the message may have been edited or removed in another tab while previous messages were sent
+            const message = MESSAGE_QUEUE.getAll().find(
+                message => message.id === id
+            );
+            if (!message || !isDue(message)) continue;
+
+            MESSAGE_QUEUE.refreshLock();
+            MESSAGE_QUEUE.update(message.id, { status: 'sending' });
+            try {
+                await sendQueuedMessage(message);
+                MESSAGE_QUEUE.remove(message.id);
+                notifyQueuedMessage(message);
+            } catch (error) {
+                const errorMessage = error?.message ?? String(error);
+                MESSAGE_QUEUE.update(message.id, {
+                    status: 'failed',
+                    error: errorMessage,
+                });
+                notifyQueuedMessage(message, errorMessage);
+            }
+        }
+    } finally {
+        MESSAGE_QUEUE.releaseLock();
+        processingMessageQueue = false;
+    }
+};
+
+/**
+ * formats a date as value of a datetime-local input
+ * @param {Date} date
+ */
+const toDateTimeInputValue = date =>
+    new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000)
+        .toISOString()
+        .slice(0, 16);
+
+const openMessageQueueModal = () => {
+    const body = document.createElement('div');
+    const emptyInfo = document.createElement('p');
+    emptyInfo.textContent = $t('messages.sendLater.empty').toString();
+
+    const table = document.createElement('table');
+    table.classList.add('table', 'table-sm', 'table-hover');
+    const tableHead = table.createTHead().insertRow();
+    ['recipient', 'dueAt', 'message', 'status', 'actions'].forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = $t(`messages.sendLater.table.${column}`).toString();
+        tableHead.append(th);
+    });
+    const tableBody = table.createTBody();
+
+    // region edit form
+    const editForm = document.createElement('form');
+    editForm.classList.add('d-none', 'border-top', 'pt-2');
+    const editText = document.createElement('textarea');
+    editText.classList.add('form-control', 'mb-2');
+    editText.rows = 4;
+    editText.required = true;
+    const editDueAt = document.createElement('input');
+    editDueAt.type = 'datetime-local';
+    editDueAt.classList.add('form-control', 'mb-2');
+    editDueAt.required = true;
+    const editSaveBtn = document.createElement('button');
+    editSaveBtn.type = 'submit';
+    editSaveBtn.classList.add('btn', 'btn-primary', 'mr-1');
+    editSaveBtn.textContent = $t('messages.sendLater.save').toString();
+    const editCancelBtn = document.createElement('button');
+    editCancelBtn.type = 'button';
+    editCancelBtn.classList.add('btn', 'btn-secondary');
+    editCancelBtn.textContent = $t('messages.sendLater.cancelEdit').toString();
+    editForm.append(editText, editDueAt, editSaveBtn, editCancelBtn);
+
+    /** @type {string | undefined} */
+    let editingId;
+    const closeEditForm = () => {
+        editingId = undefined;
+        editForm.classList.add('d-none');
+    };
+    editCancelBtn.addEventListener('click', closeEditForm);
+    // endregion
+
+    const renderQueue = () => {
+        const queue = MESSAGE_QUEUE.getAll().toSorted(
+            (a, b) => a.dueAt - b.dueAt
+        );
+        emptyInfo.classList.toggle('d-none', queue.length > 0);
+        table.classList.toggle('d-none', !queue.length);
+        tableBody.replaceChildren();
+        if (editingId && !queue.some(({ id }) => id === editingId)) {
+            closeEditForm();
+        }
+
+        queue.forEach(message => {
+            const row = tableBody.insertRow();
+            const dueAt = new Date(message.dueAt);
+            row.insertCell().textContent = message.recipient;
+            row.insertCell().textContent = `${dateToString(dueAt)}, ${timeToString(dueAt, false)}`;
+            const textCell = row.insertCell();
+            textCell.classList.add('text-truncate');
+            textCell.style.setProperty('max-width', '15rem');
+            textCell.textContent = textCell.title = message.raw;
+
+            const statusCell = row.insertCell();
+            const status = document.createElement('span');
+            status.classList.add(
+                'badge',
+                {
+                    scheduled: 'badge-info',
+                    sending: 'badge-warning',
+                    failed: 'badge-danger',
+                }[message.status]
+            );
+            status.textContent = $t(
+                `messages.sendLater.status.${message.status}`
+            ).toString();
+            if (message.error) status.title = message.error;
+            statusCell.append(status);
+
+            const actionsCell = row.insertCell();
+            actionsCell.classList.add('text-nowrap');
+            if (message.status === 'sending') return;
+            [
+                ['edit', 'fa-pencil'],
+                ['remove', 'fa-trash'],
+            ].forEach(([action, icon]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.classList.add('btn', 'btn-link', 'btn-icon', 'p-0', 'mr-2');
+                btn.title = btn.ariaLabel = $t(
+                    `messages.sendLater.${action}`
+                ).toString();
+                const btnIcon = document.createElement('i');
+                btnIcon.classList.add('icon', 'fa', icon, 'fa-fw', 'm-0');
+                btn.append(btnIcon);
+                btn.addEventListener('click', () => {
+                    if (action === 'remove') {
+                        MESSAGE_QUEUE.remove(message.id);
+                        return renderQueue();
+                    }
+                    editingId = message.id;
+                    editText.value = message.raw;
+                    editDueAt.value = toDateTimeInputValue(dueAt);
+                    editDueAt.min = toDateTimeInputValue(new Date());
+                    editForm.classList.remove('d-none');
+                    editText.focus();
+                });
+                actionsCell.append(btn);
+            });
+        });
+    };
+
+    editForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const message = MESSAGE_QUEUE.getAll().find(
+            ({ id }) => id === editingId
+        );
+        // another tab might have sent the message in the meantime
+        if (message && message.status !== 'sending') {
+            MESSAGE_QUEUE.update(editingId, {
+                raw: editText.value,
+                text:
+                    message.markdown ?
+                        renderMessageMarkdown(editText.value)
+                    :   editText.value,
+                dueAt: new Date(editDueAt.value).getTime(),
+                status: 'scheduled',
+                error: undefined,
+            });
+        }
+        closeEditForm();
+        renderQueue();
+    });
+
+    body.append(emptyInfo, table, editForm);
+    renderQueue();
+
+    // other tabs may send messages while the modal is open
+    const queueListener = GM_addValueChangeListener(
+        MESSAGE_QUEUE_STORAGE,
+        renderQueue
+    );
+
+    require(['core/modal_factory', 'core/modal_events'], (
+        { create, types },
+        ModalEvents
+    ) =>
+        create({
+            type: types.ALERT,
+            large: true,
+            title: $t('messages.sendLater.queue'),
+            body,
+            removeOnClose: true,
+        }).then(modal => {
+            modal
+                .getRoot()
+                .on(ModalEvents.hidden, () =>
+                    GM_removeValueChangeListener(queueListener)
+                );
+            modal.show();
+        }));
+};
 
+const initSendLater = () => {
     ready(() => {
         const messageApp = document.querySelector('.message-app');
         if (!messageApp) return;
@@ -7930,46 +14740,133 @@ if (getSetting('messages.markdown')) {
         const sendBtn = messageApp.querySelector(
             '[data-action="send-message"]'
         );
-        const inputField = messageApp.querySelector(
-            'textarea[data-region="send-message-txt"]'
+        const inputField = getMessageInputField(messageApp);
+        if (!sendBtn || !inputField) return;
+
+        /** @type {MessageConversation | undefined} */
+        let currentConversation;
+        onMessageConversationOpen(
+            messageApp,
+            conversation => (currentConversation = conversation)
         );
 
-        inputField.dataset.region = inputFieldRegion;
-        inputField.after(dummyField);
-
-        dummyField.addEventListener('focus', () => {
-            inputField.focus();
-        });
-        sendBtn.addEventListener('click', () => {
-            inputField.value = '';
-        });
-
-        awaitMathJax().then(MathJax => {
-            const parseMarkdown = inputElem => {
-                const raw = inputElem.value;
-
-                const dummy = document.createElement('span');
-                dummy.innerHTML = raw.replace(
-                    /(?<!\\)\$(.*?)(?<!\\)\$/g,
-                    '\\($1\\)'
-                );
-                MathJax.Hub.Queue(['Typeset', MathJax.Hub, dummy]);
-                const mathJaxed = dummy.innerHTML;
-
-                const markdowned = mdToHtml(`\n${mathJaxed}`, 1, false);
+        const sendLaterBtn = document.createElement('button');
+        sendLaterBtn.id = sendLaterBtnId;
+        sendLaterBtn.type = 'button';
+        sendLaterBtn.classList.add(
+            'btn',
+            'btn-link',
+            'btn-icon',
+            'icon-size-3',
+            'ml-1'
+        );
+        sendLaterBtn.title = sendLaterBtn.ariaLabel = $t(
+            'messages.sendLater.title'
+        ).toString();
+        const sendLaterIcon = document.createElement('i');
+        sendLaterIcon.classList.add('icon', 'fa', 'fa-clock-o', 'fa-fw', 'm-0');
+        sendLaterBtn.append(sendLaterIcon);
+        sendBtn.before(sendLaterBtn);
+
+        sendLaterBtn.addEventListener('click', () => {
+            const body = document.createElement('div');
+            const dueAtLabel = document.createElement('label');
+            dueAtLabel.textContent = $t('messages.sendLater.dueAt').toString();
+            const dueAtInput = document.createElement('input');
+            dueAtInput.type = 'datetime-local';
+            dueAtInput.classList.add('form-control');
+            dueAtInput.id = dueAtLabel.htmlFor = PREFIX('send-later-due-at');
+            dueAtInput.min = toDateTimeInputValue(new Date());
+            // tomorrow morning is a reasonable time to write to lecturers
+            const tomorrowMorning = new Date();
+            tomorrowMorning.setDate(tomorrowMorning.getDate() + 1);
+            tomorrowMorning.setHours(8, 0, 0, 0);
+            dueAtInput.value = toDateTimeInputValue(tomorrowMorning);
+
+            const feedback = document.createElement('div');
+            feedback.classList.add('alert', 'alert-danger', 'mt-2', 'd-none');
+
+            const queueLink = document.createElement('a');
+            queueLink.href = '#';
+            queueLink.classList.add('d-inline-block', 'mt-2');
+            queueLink.textContent = $t(
+                'messages.sendLater.showQueue'
+            ).toString();
+            queueLink.addEventListener('click', e => {
+                e.preventDefault();
+                openMessageQueueModal();
+            });
+            body.append(dueAtLabel, dueAtInput, feedback, queueLink);
 
-                // Moodle does weird stuff with spaces (for 15 years...)
-                const spacecaped = markdowned.replaceAll('> <', '>&#32;<');
+            require(['core/modal_factory', 'core/modal_events'], (
+                { create, types },
+                ModalEvents
+            ) =>
+                create({
+                    type: types.SAVE_CANCEL,
+                    title: $t('messages.sendLater.title'),
+                    body,
+                    removeOnClose: true,
+                }).then(modal => {
+                    modal.setButtonText(
+                        'save',
+                        $t('messages.sendLater.schedule')
+                    );
+                    modal.getRoot().on(ModalEvents.save, e => {
+                        // the field Moodle sends, it contains the rendered Markdown if the markdown feature is enabled
+                        const text = messageApp.querySelector(
+                            'textarea[data-region="send-message-txt"]'
+                        ).value;
+                        const dueAt = new Date(dueAtInput.value).getTime();
+                        const error =
+                            !currentConversation ? 'noConversation'
+                            : !text.trim() ? 'noMessage'
+                            : !(dueAt > Date.now()) ? 'pastDueAt'
+                            : undefined;
+                        if (error) {
+                            e.preventDefault();
+                            feedback.textContent = $t(
+                                `messages.sendLater.${error}`
+                            ).toString();
+                            feedback.classList.remove('d-none');
+                            return;
+                        }
 
-                return raw.length > 0 ? spacecaped : '';
-            };
-            inputField.addEventListener('input', () => {
-                dummyField.value = parseMarkdown(inputField);
-            });
-            dummyField.value = parseMarkdown(inputField);
+                        MESSAGE_QUEUE.add({
+                            conversation: currentConversation,
+                            recipient: getMessageRecipient(messageApp),
+                            raw: inputField.value,
+                            text,
+                            markdown: text !== inputField.value,
+                            dueAt,
+                        });
+                        inputField.value = '';
+                        // lets Moodle and the other message features know that the input has been cleared
+                        inputField.dispatchEvent(
+                            new Event('input', { bubbles: true })
+                        );
+                    });
+                    modal.show();
+                }));
         });
     });
-}
+};
+
+/** @type {number} */
+let messageQueueInterval;
+registerFeature({
+    id: 'messages.sendLater',
+    settings: ['messages.sendLater'],
+    enable: () => {
+        processMessageQueue();
+        messageQueueInterval = setInterval(processMessageQueue, 30 * 1000);
+        initSendLater();
+    },
+    disable: () => {
+        clearInterval(messageQueueInterval);
+        document.getElementById(sendLaterBtnId)?.remove();
+    },
+});
 // endregion
 
 // region Feature: NINA integration
@@ -8192,9 +15089,10 @@ const NINA = {
 
         let modalBody = '';
         if (onset && expires) {
-            modalBody += `<span class="small">${onset.toLocaleString(
-                BETTER_MOODLE_LANG
-            )} - ${expires.toLocaleString(BETTER_MOODLE_LANG)}</span><br>`;
+            modalBody += `<span class="small">${$t('nina.period', {
+                onset,
+                expires,
+            })}</span><br>`;
         }
         if (description) {
             modalBody += `<h5>${$t('nina.description')}</h5><p>${description}</p>`;
@@ -8426,8 +15324,8 @@ const NINA = {
                 $t('nina.msgType.cancel')
             :   `${$t('nina.severity.name')}: ${
                     provider === 'DWD' ?
-                        $t(`nina.severityWeather.${severity}`)
-                    :   $t(`nina.severity.${severity}`)
+                        $t('nina.severityWeather.level', { severity })
+                    :   $t('nina.severity.level', { severity })
                 }`
         }"data-toggle="tooltip">${
             msgType === CommonAlertingProtocol.MsgType.CANCEL ?
@@ -8655,6 +15553,229 @@ if (getSetting('nina.enabled')) {
 }
 // endregion
 
+// region Feature: sync
+/**
+ * @typedef {Object} SyncState
+ * @property {string} [lastModified] the Last-Modified header of the remote document at the last sync
+ * @property {string} [syncedValues] the serialized values at the last sync
+ * @property {number} [lastSyncAt]
+ * @property {boolean} [conflict] whether the last background sync ended in a conflict
+ */
+
+/**
+ * @typedef {'upToDate' | 'pushed' | 'pulled' | 'conflict'} SyncResult
+ */
+
+/**
+ * Synchronisation of settings and bookmarks via a WebDAV file.
+ * Conflicts are detected by comparing the Last-Modified header of the remote document and the local values with the state of the last sync.
+ */
+const SYNC = {
+    /** @returns {SyncState} */
+    getState: () => GM_getValue(SYNC_STATE_STORAGE, {}),
+    /** @param {SyncState} state */
+    saveState: state => GM_setValue(SYNC_STATE_STORAGE, state),
+    /** @returns {boolean} */
+    isConfigured: () =>
+        Boolean(getSetting('sync.enabled') && getSetting('sync.url')),
+    /**
+     * The sync settings are device specific and are therefore not synced.
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isDeviceSpecific: key => key.startsWith(getSettingKey('sync.')),
+    /**
+     * Creates the document that is synced: settings and bookmarks without secrets.
+     * @returns {SettingsExport}
+     */
+    createDocument: () => {
+        const syncDocument = createSettingsExport({
+            categories: ['settings', 'bookmarks'],
+            secrets: false,
+        });
+        syncDocument.values = Object.fromEntries(
+            Object.entries(syncDocument.values).filter(
+                ([key]) => !SYNC.isDeviceSpecific(key)
+            )
+        );
+        return syncDocument;
+    },
+    /**
+     * Sends a request to the configured WebDAV file.
+     * @param {string} method
+     * @param {Record<string, string>} [headers]
+     * @param {string} [data]
+     * @returns {Promise<{status: number, responseText: string, lastModified?: string}>}
+     */
+    request: (method, headers = {}, data) =>
+        new Promise((resolve, reject) => {
+            const credentials = `${getSetting('sync.username')}:${getSetting('sync.password')}`;
+            GM_xmlhttpRequest({
+                method,
+                url: getSetting('sync.url'),
+                headers: {
+                    // btoa only supports latin1, so we need to encode the credentials first
+                    Authorization: `Basic ${btoa(
+                        String.fromCharCode(
+                            ...new TextEncoder().encode(credentials)
+                        )
+                    )}`,
+                    ...headers,
+                },
+                data,
+                timeout: 30000,
+                onload: ({ status, responseText, responseHeaders }) =>
+                    resolve({
+                        status,
+                        responseText,
+                        lastModified: responseHeaders
+                            .match(/^last-modified:\s*(.*?)\s*$/im)
+                            ?.at(1),
+                    }),
+                onerror: () => reject(new Error('network error')),
+                ontimeout: () => reject(new Error('timeout')),
+            });
+        }),
+    /**
+     * Uploads the local document.
+     * @param {string} [ifUnmodifiedSince] only upload if the remote document has not been modified since
+     * @returns {Promise<boolean>} false if the remote document has been modified in the meantime
+     */
+    push: async ifUnmodifiedSince => {
+        const syncDocument = SYNC.createDocument();
+        const { status } = await SYNC.request(
+            'PUT',
+            {
+                'Content-Type': 'application/json',
+                ...(ifUnmodifiedSince ?
+                    { 'If-Unmodified-Since': ifUnmodifiedSince }
+                :   {}),
+            },
+            JSON.stringify(syncDocument)
+        );
+        if (status === 412) return false;
+        if (status < 200 || status >= 300) throw new Error(`HTTP ${status}`);
+
+        // WebDAV servers do not need to send the Last-Modified header on PUT
+        const { lastModified } = await SYNC.request('HEAD');
+        SYNC.saveState({
+            lastModified,
+            syncedValues: JSON.stringify(syncDocument.values),
+            lastSyncAt: Date.now(),
+        });
+        return true;
+    },
+    /**
+     * Applies a remote document. Invalid values are skipped.
+     * @param {string} responseText
+     * @param {string} lastModified
+     * @returns {Promise<string[]>} the keys that have been changed
+     */
+    pull: async (responseText, lastModified) => {
+        const { entries } = await analyzeImport(JSON.parse(responseText));
+        const changed = entries.filter(
+            ({ key }) => !SYNC.isDeviceSpecific(key) && !isSecretStorageKey(key)
+        );
+        changed.forEach(({ key, incoming }) => GM_setValue(key, incoming));
+        SETTINGS_HISTORY.recordImport(changed, 'sync');
+
+        SYNC.saveState({
+            lastModified,
+            syncedValues: JSON.stringify(SYNC.createDocument().values),
+            lastSyncAt: Date.now(),
+        });
+        return changed.map(({ key }) => key);
+    },
+    /**
+     * Synchronises the local data with the WebDAV file.
+     * @param {'local' | 'remote'} [resolveConflict] which data to keep in case of a conflict
+     * @returns {Promise<{result: SyncResult, changed: string[]}>}
+     */
+    sync: async resolveConflict => {
+        const state = SYNC.getState();
+        // on a device that has never been synced, the remote document is authoritative and is pulled instead of reporting a conflict
+        const neverSynced = state.syncedValues === undefined;
+        const localChanged =
+            !neverSynced &&
+            JSON.stringify(SYNC.createDocument().values) !== state.syncedValues;
+
+        const remote = await SYNC.request('GET');
+        if (remote.status === 404) {
+            await SYNC.push();
+            return { result: 'pushed', changed: [] };
+        }
+        if (remote.status !== 200) throw new Error(`HTTP ${remote.status}`);
+
+        const remoteChanged =
+            neverSynced || remote.lastModified !== state.lastModified;
+
+        if (!remoteChanged && !localChanged) {
+            SYNC.saveState({ ...state, lastSyncAt: Date.now() });
+            return { result: 'upToDate', changed: [] };
+        }
+        if (remoteChanged && localChanged && !resolveConflict) {
+            SYNC.saveState({ ...state, conflict: true });
+            return { result: 'conflict', changed: [] };
+        }
+        if (remoteChanged && (!localChanged || resolveConflict === 'remote')) {
+            return {
+                result: 'pulled',
+                changed: await SYNC.pull(
+                    remote.responseText,
+                    remote.lastModified
+                ),
+            };
+        }
+        // the remote document might have been changed by another device since our GET request
+        const pushed = await SYNC.push(
+            resolveConflict ? undefined : state.lastModified
+        );
+        if (!pushed) {
+            SYNC.saveState({ ...state, conflict: true });
+            return { result: 'conflict', changed: [] };
+        }
+        return { result: 'pushed', changed: [] };
+    },
+};
+
+// background sync. Every tab checks regularly whether a sync is due, the first tab to notice claims it
+/** @type {number} */
+let syncInterval;
+const syncIfDue = () => {
+    const state = SYNC.getState();
+    const interval = getSetting('sync.interval') * 60 * 1000;
+    if (state.conflict || Date.now() - (state.lastSyncAt ?? 0) < interval) {
+        return;
+    }
+    SYNC.saveState({ ...state, lastSyncAt: Date.now() });
+    SYNC.sync()
+        .then(({ result }) => {
+            if (result !== 'conflict') return;
+            GM_notification({
+                title: $t('sync.conflict.title').toString(),
+                text: $t('sync.conflict.notification').toString(),
+            });
+        })
+        .catch(error => console.warn('Better-Moodle: sync failed', error));
+};
+registerFeature({
+    id: 'sync',
+    settings: [
+        'sync.enabled',
+        'sync.url',
+        'sync.username',
+        'sync.password',
+        'sync.interval',
+    ],
+    isEnabled: SYNC.isConfigured,
+    enable: () => {
+        syncIfDue();
+        syncInterval = setInterval(syncIfDue, 60 * 1000);
+    },
+    disable: () => clearInterval(syncInterval),
+});
+// endregion
+
 // region Settings modal
 // A settings modal
 ready(() => {
@@ -8704,6 +15825,8 @@ ready(() => {
 
     let fieldsetCounter = 0;
     let currentFieldset;
+    /** @type {(ReturnType<createFieldset> & {name: string, rows: {setting: Setting, row: HTMLDivElement, labelText: HTMLSpanElement}[]})[]} */
+    const settingsFieldsets = [];
 
     /**
      * @param {string} name
@@ -8716,6 +15839,8 @@ ready(() => {
         );
         currentFieldset = fieldset.fieldset;
         form.append(currentFieldset);
+        const settingsFieldset = { ...fieldset, name, rows: [] };
+        settingsFieldsets.push(settingsFieldset);
 
         if (
             unseenSettingsGroups.has(name) &&
@@ -8736,6 +15861,29 @@ ready(() => {
         // on first fieldset, show the help button
         if (!fieldsetCounter) fieldset.heading.append(helpBtn);
 
+        const resetGroupBtn = document.createElement('a');
+        resetGroupBtn.classList.add(
+            fieldsetCounter ? 'ml-auto' : 'ml-2',
+            'font-weight-normal',
+            'z-index-1'
+        );
+        resetGroupBtn.style.setProperty('font-size', 'small');
+        resetGroupBtn.href = '#';
+        resetGroupBtn.role = 'button';
+        resetGroupBtn.title = resetGroupBtn.ariaLabel = $t(
+            'modals.settings.reset.group'
+        ).toString();
+        const resetGroupIcon = document.createElement('i');
+        resetGroupIcon.classList.add('fa', 'fa-undo', 'fa-fw');
+        resetGroupBtn.append(resetGroupIcon);
+        resetGroupBtn.addEventListener('click', e => {
+            e.preventDefault();
+            settingsFieldset.rows.forEach(({ setting }) =>
+                setting.resetInputToDefault()
+            );
+        });
+        fieldset.heading.append(resetGroupBtn);
+
         // all fieldsets are collapsed by default except the first one
         if (!fieldsetCounter) {
             fieldset.collapseBtn.classList.remove('collapsed');
@@ -8745,6 +15893,111 @@ ready(() => {
         fieldsetCounter++;
     };
 
+    const settingModifiedClass = PREFIX('settings-modified');
+    const settingResetBtnClass = PREFIX('settings-reset-btn');
+    const settingModifiedMarkerClass = PREFIX('settings-modified-marker');
+    GM_addStyle(css`
+        .${settingModifiedMarkerClass} {
+            font-size: 0.5em;
+            vertical-align: middle;
+        }
+        .fitem:not(.${settingModifiedClass}) .${settingModifiedMarkerClass} {
+            display: none;
+        }
+        .fitem:not(.${settingModifiedClass}) .${settingResetBtnClass} {
+            visibility: hidden;
+        }
+    `);
+
+    /** @type {Map<Setting, HTMLDivElement>} */
+    const settingFeedbacks = new Map();
+    /** @type {Map<Setting, HTMLButtonElement>} */
+    const connectionTestBtns = new Map();
+
+    /**
+     * shows an inline message below the input of a setting
+     * @param {Setting} setting
+     * @param {'valid' | 'invalid' | 'pending' | ''} state an empty state hides the message
+     * @param {string} [message]
+     */
+    const showSettingFeedback = (setting, state, message = '') => {
+        const feedback = settingFeedbacks.get(setting);
+        if (!feedback) return;
+        feedback.className =
+            state === 'pending' ? 'small text-muted w-100'
+            : state ? `${state}-feedback d-block w-100`
+            : 'd-none';
+        feedback.textContent = message;
+    };
+
+    /**
+     * validates the input of a setting and shows the error inline
+     * @param {Setting} setting
+     * @returns {Promise<boolean>} whether the input is valid
+     */
+    const validateSetting = setting =>
+        setting.validateInput(settingsById).then(error => {
+            setting.formControl.classList.toggle('is-invalid', !!error);
+            showSettingFeedback(setting, error ? 'invalid' : '', error || '');
+            return !error;
+        });
+
+    /**
+     * @returns {Promise<boolean>} whether all inputs are valid
+     */
+    const validateAllSettings = () =>
+        Promise.all(
+            SETTINGS.filter(setting => typeof setting !== 'string').map(
+                validateSetting
+            )
+        ).then(results => results.every(Boolean));
+
+    const settingNestedClass = PREFIX('settings-nested');
+    const settingDepthProperty = `--${PREFIX('setting-depth')}`;
+    const settingCopyLinkBtnClass = PREFIX('settings-copy-link-btn');
+    const deepLinkTargetClass = PREFIX('settings-deep-link-target');
+    GM_addStyle(css`
+        /* settings that depend on another setting are indented below it */
+        .${settingNestedClass} > .col-form-label {
+            padding-left: calc(15px + var(${settingDepthProperty}) * 1.25rem);
+            background-image: linear-gradient(
+                var(--gray-300, #dee2e6),
+                var(--gray-300, #dee2e6)
+            );
+            background-size: 2px 100%;
+            background-position: calc(
+                    15px + (var(${settingDepthProperty}) - 0.5) * 1.25rem
+                )
+                0;
+            background-repeat: no-repeat;
+        }
+
+        /* only show the copy link button when hovering the label */
+        .fitem:not(:hover, :focus-within) .${settingCopyLinkBtnClass} {
+            visibility: hidden;
+        }
+
+        @keyframes ${deepLinkTargetClass} {
+            from {
+                background-color: var(--warning);
+            }
+        }
+        .${deepLinkTargetClass} {
+            animation: ${deepLinkTargetClass} 2s ease-out;
+        }
+    `);
+
+    /**
+     * a link that opens the settings modal at this setting. The dashboard is used, as it is accessible for everyone
+     * @param {string} id
+     * @returns {string}
+     */
+    const getSettingDeepLink = id => {
+        const url = new URL('/my/', window.location.origin);
+        url.hash = `${SETTINGS_DEEP_LINK_PARAM}=${encodeURIComponent(id)}`;
+        return url.href;
+    };
+
     let prevSettingIsString;
 
     SETTINGS.forEach(setting => {
@@ -8768,6 +16021,15 @@ ready(() => {
             const settingRow = document.createElement('div');
             settingRow.classList.add('form-group', 'row', 'fitem');
 
+            const depth = setting.dependencyDepth(settingsById);
+            if (depth) {
+                settingRow.classList.add(settingNestedClass);
+                settingRow.style.setProperty(
+                    settingDepthProperty,
+                    depth.toString()
+                );
+            }
+
             const labelWrapper = document.createElement('div');
             labelWrapper.classList.add(
                 'col-md-5',
@@ -8778,7 +16040,9 @@ ready(() => {
             );
             const label = document.createElement('label');
             label.classList.add('d-inline', 'word-break');
-            label.textContent = setting.title;
+            const labelText = document.createElement('span');
+            labelText.textContent = setting.title;
+            label.append(labelText);
             setting.setLabel(label);
 
             if (
@@ -8827,6 +16091,75 @@ ready(() => {
             descWrapper.append(descBtn);
             labelWrapper.append(label, descWrapper);
 
+            const copyLinkBtn = document.createElement('a');
+            copyLinkBtn.classList.add(
+                'btn',
+                'btn-link',
+                'p-0',
+                settingCopyLinkBtnClass
+            );
+            copyLinkBtn.href = getSettingDeepLink(setting.id);
+            copyLinkBtn.role = 'button';
+            copyLinkBtn.title = copyLinkBtn.ariaLabel = $t(
+                'modals.settings.copyLink'
+            ).toString();
+            const copyLinkIcon = document.createElement('i');
+            copyLinkIcon.classList.add('icon', 'fa', 'fa-link', 'fa-fw');
+            copyLinkBtn.append(copyLinkIcon);
+            copyLinkBtn.addEventListener('click', e => {
+                e.preventDefault();
+                navigator.clipboard.writeText(copyLinkBtn.href).then(() => {
+                    copyLinkIcon.classList.replace('fa-link', 'fa-check');
+                    copyLinkBtn.title = $t(
+                        'modals.settings.linkCopied'
+                    ).toString();
+                    setTimeout(() => {
+                        copyLinkIcon.classList.replace('fa-check', 'fa-link');
+                        copyLinkBtn.title = $t(
+                            'modals.settings.copyLink'
+                        ).toString();
+                    }, 2000);
+                });
+            });
+            descWrapper.append(copyLinkBtn);
+
+            if (!(setting instanceof ActionSetting)) {
+                const resetBtn = document.createElement('a');
+                resetBtn.classList.add(
+                    'btn',
+                    'btn-link',
+                    'p-0',
+                    settingResetBtnClass
+                );
+                resetBtn.href = '#';
+                resetBtn.role = 'button';
+                resetBtn.title = resetBtn.ariaLabel = $t(
+                    'modals.settings.reset.setting'
+                ).toString();
+                const resetIcon = document.createElement('i');
+                resetIcon.classList.add('icon', 'fa', 'fa-undo', 'fa-fw');
+                resetBtn.append(resetIcon);
+                resetBtn.addEventListener('click', e => {
+                    e.preventDefault();
+                    setting.resetInputToDefault();
+                });
+                descWrapper.append(resetBtn);
+
+                const modifiedMarker = document.createElement('i');
+                modifiedMarker.classList.add(
+                    'fa',
+                    'fa-circle',
+                    'text-info',
+                    'ml-1',
+                    settingModifiedMarkerClass
+                );
+                modifiedMarker.role = 'img';
+                modifiedMarker.title = modifiedMarker.ariaLabel = $t(
+                    'modals.settings.reset.modified'
+                ).toString();
+                label.append(modifiedMarker);
+            }
+
             const inputWrapper = document.createElement('div');
             inputWrapper.classList.add(
                 'col-md-7',
@@ -8838,23 +16171,388 @@ ready(() => {
             inputWrapper.dataset.setting = setting.id;
             inputWrapper.append(setting.formControl);
 
+            if (setting.connectionTest) {
+                const testBtn = document.createElement('button');
+                testBtn.type = 'button';
+                testBtn.classList.add('btn', 'btn-outline-secondary', 'ml-2');
+                testBtn.textContent = $t(
+                    'modals.settings.validation.test.button'
+                ).toString();
+                testBtn.addEventListener('click', () =>
+                    validateSetting(setting).then(valid => {
+                        if (!valid) return;
+                        testBtn.disabled = true;
+                        showSettingFeedback(
+                            setting,
+                            'pending',
+                            $t(
+                                'modals.settings.validation.test.running'
+                            ).toString()
+                        );
+                        return setting
+                            .connectionTest(setting.inputValue, settingsById)
+                            .then(
+                                message =>
+                                    showSettingFeedback(
+                                        setting,
+                                        'valid',
+                                        message
+                                    ),
+                                error =>
+                                    showSettingFeedback(
+                                        setting,
+                                        'invalid',
+                                        $t(
+                                            'modals.settings.validation.test.failed',
+                                            { error: error?.message ?? error }
+                                        ).toString()
+                                    )
+                            )
+                            .finally(
+                                () =>
+                                    (testBtn.disabled =
+                                        setting.formControl.disabled)
+                            );
+                    })
+                );
+                connectionTestBtns.set(setting, testBtn);
+                inputWrapper.append(testBtn);
+            }
+
+            if (!(setting instanceof ActionSetting)) {
+                const feedback = document.createElement('div');
+                feedback.ariaLive = 'polite';
+                settingFeedbacks.set(setting, feedback);
+                showSettingFeedback(setting, '');
+                inputWrapper.append(feedback);
+            }
+
             label.htmlFor = setting.inputId;
 
             settingRow.append(labelWrapper, inputWrapper);
             currentFieldset.querySelector('.fcontainer')?.append(settingRow);
+            settingsFieldsets
+                .at(-1)
+                .rows.push({ setting, row: settingRow, labelText });
+        }
+    });
+
+    // region settings search
+    const searchRow = document.createElement('div');
+    searchRow.id = PREFIX('settings-search');
+    searchRow.classList.add(
+        'form-group',
+        'd-flex',
+        'flex-wrap',
+        'align-items-center'
+    );
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.classList.add('form-control', 'flex-grow-1', 'mr-3');
+    searchInput.placeholder = $t(
+        'modals.settings.search.placeholder'
+    ).toString();
+    searchInput.ariaLabel = searchInput.placeholder;
+
+    const onlyChangedWrapper = document.createElement('div');
+    onlyChangedWrapper.classList.add('custom-control', 'custom-switch');
+    const onlyChangedInput = document.createElement('input');
+    onlyChangedInput.type = 'checkbox';
+    onlyChangedInput.classList.add('custom-control-input');
+    onlyChangedInput.id = PREFIX('settings-search-only-changed');
+    const onlyChangedLabel = document.createElement('label');
+    onlyChangedLabel.classList.add('custom-control-label');
+    onlyChangedLabel.htmlFor = onlyChangedInput.id;
+    onlyChangedLabel.textContent = $t(
+        'modals.settings.search.onlyChanged'
+    ).toString();
+    onlyChangedWrapper.append(onlyChangedInput, onlyChangedLabel);
+
+    searchRow.append(searchInput, onlyChangedWrapper);
+
+    const noResults = document.createElement('p');
+    noResults.classList.add('text-muted', 'text-center', 'd-none');
+    noResults.textContent = $t('modals.settings.search.noResults').toString();
+
+    form.prepend(searchRow);
+    form.append(noResults);
+
+    const searchHitClass = PREFIX('settings-search-hit');
+    GM_addStyle(css`
+        /* keep the search bar visible while scrolling through the settings */
+        #${searchRow.id} {
+            position: sticky;
+            top: -1rem; /* this is the padding of .modal-body */
+            z-index: 2;
+            margin: -1rem -1rem 1rem;
+            padding: 1rem;
+            background-color: var(--white, #fff);
+        }
+
+        .${searchHitClass} {
+            box-shadow: inset 3px 0 0 var(--primary);
+        }
+        .${searchHitClass} mark {
+            padding: 0;
+        }
+    `);
+
+    /**
+     * all texts of a setting that are searchable in the current language
+     * @param {Setting} setting
+     * @returns {string[]}
+     */
+    const getSearchTexts = setting => [
+        setting.title,
+        setting.description,
+        ...Array.from(setting.formControl.querySelectorAll('option')).map(
+            option => option.label || option.textContent
+        ),
+    ];
+
+    /**
+     * replaces the content of an element with the text, highlighting all occurrences of query
+     * @param {HTMLElement} element
+     * @param {string} text
+     * @param {string} query a lowercase search query
+     */
+    const highlightText = (element, text, query) => {
+        if (!query) {
+            element.textContent = text;
+            return;
+        }
+        const lowerText = text.toLowerCase();
+        const parts = [];
+        let index = 0;
+        let matchIndex;
+        while ((matchIndex = lowerText.indexOf(query, index)) !== -1) {
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(
+                matchIndex,
+                matchIndex + query.length
+            );
+            parts.push(text.slice(index, matchIndex), mark);
+            index = matchIndex + query.length;
         }
+        parts.push(text.slice(index));
+        element.replaceChildren(...parts);
+    };
+
+    const filterSettings = () => {
+        const query = searchInput.value.trim().toLowerCase();
+        const onlyChanged = onlyChangedInput.checked;
+        const filterActive = !!query || onlyChanged;
+        let anyMatch = false;
+
+        settingsFieldsets.forEach(
+            ({ fieldset, container, collapseBtn, rows }) => {
+                let groupMatches = false;
+                rows.forEach(({ setting, row, labelText }) => {
+                    const matches =
+                        (!query ||
+                            getSearchTexts(setting).some(text =>
+                                text.toLowerCase().includes(query)
+                            )) &&
+                        (!onlyChanged || setting.isModified);
+                    row.classList.toggle('d-none', !matches);
+                    row.classList.toggle(searchHitClass, !!query && matches);
+                    highlightText(
+                        labelText,
+                        setting.title,
+                        matches ? query : ''
+                    );
+                    groupMatches ||= matches;
+                });
+
+                fieldset.classList.toggle('d-none', !groupMatches);
+                if (filterActive && groupMatches) {
+                    collapseBtn.classList.remove('collapsed');
+                    collapseBtn.ariaExpanded = 'true';
+                    container.classList.add('show');
+                }
+                anyMatch ||= groupMatches;
+            }
+        );
+
+        noResults.classList.toggle('d-none', anyMatch);
+    };
+
+    searchInput.addEventListener('input', debounce(filterSettings));
+    // pressing enter would otherwise submit the settings form
+    searchInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') e.preventDefault();
+    });
+    onlyChangedInput.addEventListener('change', filterSettings);
+    // endregion
+
+    // region settings profiles
+    const profileRow = document.createElement('div');
+    profileRow.classList.add('form-group', 'row', 'fitem');
+    const profileLabelWrapper = document.createElement('div');
+    profileLabelWrapper.classList.add(
+        'col-md-5',
+        'col-form-label',
+        'd-flex',
+        'pb-0',
+        'pt-0'
+    );
+    const profileLabel = document.createElement('label');
+    profileLabel.classList.add('d-inline', 'word-break');
+    profileLabel.textContent = $t('profiles.title').toString();
+    profileLabelWrapper.append(profileLabel);
+
+    const profileInputWrapper = document.createElement('div');
+    profileInputWrapper.classList.add(
+        'col-md-7',
+        'form-inline',
+        'align-items-start',
+        'felement'
+    );
+    const profileSelect = document.createElement('select');
+    profileSelect.id = PREFIX('settings-profile-select');
+    profileSelect.classList.add('custom-select', 'mr-2');
+    profileLabel.htmlFor = profileSelect.id;
+
+    const fillProfileSelect = () =>
+        profileSelect.replaceChildren(
+            ...PROFILES.list().map(({ id, name, active }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                option.selected = active;
+                return option;
+            })
+        );
+    fillProfileSelect();
+
+    const profileBtns = document.createElement('div');
+    profileBtns.classList.add('btn-group');
+    /**
+     * @param {string} icon
+     * @param {string} titleKey
+     * @param {() => void} action
+     * @returns {HTMLButtonElement}
+     */
+    const createProfileBtn = (icon, titleKey, action) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.classList.add('btn', 'btn-outline-secondary');
+        btn.title = btn.ariaLabel = $t(titleKey).toString();
+        const btnIcon = document.createElement('i');
+        btnIcon.classList.add('fa', `fa-${icon}`, 'fa-fw');
+        btn.append(btnIcon);
+        btn.addEventListener('click', e => {
+            e.preventDefault();
+            action();
+        });
+        profileBtns.append(btn);
+        return btn;
+    };
+
+    createProfileBtn('plus', 'profiles.create', () =>
+        PROFILES.promptName(
+            $t('profiles.create').toString(),
+            $t('profiles.newName').toString()
+        ).then(name => {
+            PROFILES.switchTo(PROFILES.create(name));
+            window.location.reload();
+        })
+    );
+    createProfileBtn('pencil', 'profiles.rename', () =>
+        PROFILES.promptName(
+            $t('profiles.rename').toString(),
+            profileSelect.selectedOptions[0]?.textContent
+        ).then(name => {
+            PROFILES.rename(profileSelect.value, name);
+            fillProfileSelect();
+        })
+    );
+    createProfileBtn('clone', 'profiles.duplicate', () => {
+        PROFILES.duplicate(profileSelect.value);
+        fillProfileSelect();
+        deleteProfileBtn.disabled = false;
+    });
+    const deleteProfileBtn = createProfileBtn('trash', 'profiles.delete', () =>
+        require(['core/modal_factory', 'core/modal_events'], (
+            { create, types },
+            ModalEvents
+        ) =>
+            create({
+                type: types.SAVE_CANCEL,
+                title: $t('profiles.delete'),
+                body: $t('profiles.deleteConfirm', {
+                    name: profileSelect.selectedOptions[0]?.textContent,
+                }),
+                removeOnClose: true,
+            }).then(modal => {
+                modal.setButtonText('save', $t('profiles.delete'));
+                modal.getRoot().on(ModalEvents.save, () => {
+                    const activeProfile = PROFILES.getStore().active;
+                    PROFILES.delete(profileSelect.value);
+                    if (activeProfile !== PROFILES.getStore().active) {
+                        window.location.reload();
+                    } else {
+                        fillProfileSelect();
+                        deleteProfileBtn.disabled =
+                            profileSelect.options.length < 2;
+                    }
+                });
+                modal.show();
+            }))
+    );
+    deleteProfileBtn.classList.replace(
+        'btn-outline-secondary',
+        'btn-outline-danger'
+    );
+    deleteProfileBtn.disabled = profileSelect.options.length < 2;
+
+    profileSelect.addEventListener('change', e => {
+        // don't trigger the general form change listener
+        e.stopPropagation();
+        PROFILES.switchTo(profileSelect.value);
+        window.location.reload();
     });
 
+    profileInputWrapper.append(profileSelect, profileBtns);
+    profileRow.append(profileLabelWrapper, profileInputWrapper);
+    searchRow.after(profileRow);
+    // endregion
+
     const updateDisabledStates = () => {
         SETTINGS.forEach(setting => {
             if (typeof setting === 'string') return;
 
             setting.toggleDisabled(settingsById);
         });
+        connectionTestBtns.forEach(
+            (testBtn, setting) =>
+                (testBtn.disabled = setting.formControl.disabled)
+        );
     };
 
     form.addEventListener('change', updateDisabledStates);
 
+    // (un)checking a setting may change which settings are relevant, so validate all inputs
+    form.addEventListener('change', () => validateAllSettings());
+    form.addEventListener(
+        'input',
+        debounce(() => validateAllSettings())
+    );
+
+    // mark all settings whose input differs from the default value
+    const updateModifiedMarkers = () =>
+        settingsFieldsets.forEach(({ rows }) =>
+            rows.forEach(({ setting, row }) =>
+                row.classList.toggle(
+                    settingModifiedClass,
+                    setting.isInputModified
+                )
+            )
+        );
+
+    form.addEventListener('input', updateModifiedMarkers);
+    form.addEventListener('change', updateModifiedMarkers);
+
     /** @type {string} */
     let changelogHtml;
 
@@ -8944,6 +16642,7 @@ ready(() => {
             // open the modal on click onto the settings button
             settingsBtnWrapper.addEventListener('click', () => {
                 GM_setValue(EVER_OPENED_SETTINGS_KEY, true);
+                updateModifiedMarkers();
                 updateCheck().then();
                 if (settingsBtnNewTooltip) {
                     settingsBtnNewTooltip.hide();
@@ -9064,6 +16763,63 @@ ready(() => {
                 }
             });
 
+            // region deep links
+            /**
+             * opens the modal, expands the fieldset and focuses the setting
+             * @param {string} target a setting id or the name of a settings group
+             */
+            const openDeepLink = target => {
+                const fieldset = settingsFieldsets.find(
+                    ({ name, rows }) =>
+                        name === target ||
+                        rows.some(({ setting }) => setting.id === target)
+                );
+                if (!fieldset) return;
+                const row =
+                    fieldset.rows.find(({ setting }) => setting.id === target)
+                        ?.row ?? fieldset.fieldset;
+
+                // the setting should not be hidden by a previous search
+                searchInput.value = '';
+                onlyChangedInput.checked = false;
+                filterSettings();
+
+                fieldset.collapseBtn.classList.remove('collapsed');
+                fieldset.collapseBtn.ariaExpanded = 'true';
+                fieldset.container.classList.add('show');
+
+                modal.getRoot().one(ModalEvents.shown, () => {
+                    row.scrollIntoView({ block: 'center' });
+                    row.classList.remove(deepLinkTargetClass);
+                    // restart the animation
+                    void row.offsetWidth;
+                    row.classList.add(deepLinkTargetClass);
+                    row.querySelector('input, select, textarea, button')?.focus(
+                        { preventScroll: true }
+                    );
+                });
+                settingsBtnWrapper.click();
+            };
+
+            const checkDeepLink = () => {
+                const url = new URL(window.location.href);
+                const target =
+                    new URLSearchParams(url.hash.slice(1)).get(
+                        SETTINGS_DEEP_LINK_PARAM
+                    ) ?? url.searchParams.get(SETTINGS_DEEP_LINK_PARAM);
+                if (!target) return;
+
+                // otherwise, the modal would be opened again after saving as this reloads the page
+                url.searchParams.delete(SETTINGS_DEEP_LINK_PARAM);
+                url.hash = '';
+                window.history.replaceState(window.history.state, '', url.href);
+
+                openDeepLink(target);
+            };
+            checkDeepLink();
+            window.addEventListener('hashchange', checkDeepLink);
+            // endregion
+
             // region link to moodle settings
             // add a link to moodle settings
             const moodleSettingsLink = document.createElement('a');
@@ -9086,24 +16842,65 @@ ready(() => {
 
             // region save & cancel
             // handle the save & cancel buttons
-            modal.getRoot().on(ModalEvents.save, () => {
+            let inputsValidated = false;
+            modal.getRoot().on(ModalEvents.save, e => {
+                // validators may be async, so saving is retried as soon as all inputs are known to be valid
+                if (!inputsValidated) {
+                    e.preventDefault();
+                    validateAllSettings().then(valid => {
+                        if (valid) {
+                            inputsValidated = true;
+                            modal
+                                .getFooter()[0]
+                                .querySelector('[data-action="save"]')
+                                ?.click();
+                            return;
+                        }
+                        const invalidInput = form.querySelector('.is-invalid');
+                        const { collapseBtn } =
+                            settingsFieldsets.find(({ container }) =>
+                                container.contains(invalidInput)
+                            ) ?? {};
+                        if (collapseBtn?.classList.contains('collapsed')) {
+                            collapseBtn.click();
+                        }
+                        invalidInput?.scrollIntoView({
+                            block: 'center',
+                            behavior: 'smooth',
+                        });
+                    });
+                    return;
+                }
+                inputsValidated = false;
                 ignoreNextModalHide = true;
 
+                // live settings are applied by their features, all other settings need a reload
+                const reloadRequired = SETTINGS.some(
+                    setting =>
+                        typeof setting !== 'string' &&
+                        !(setting instanceof ActionSetting) &&
+                        settingRequiresReload(setting.id) &&
+                        JSON.stringify(setting.inputValue) !==
+                            JSON.stringify(setting.globalValue)
+                );
+
                 SETTINGS.forEach(setting => {
                     if (typeof setting === 'string') return;
 
-                    setting.saveInput();
+                    setting.saveInputToHistory('modal');
                 });
 
                 markAllSettingsAsSeen();
 
-                window.location.reload();
+                if (reloadRequired) window.location.reload();
             });
             const cancelSettings = () => {
                 SETTINGS.forEach(setting => {
                     if (!setting.id) return;
 
                     setting.resetInput();
+                    setting.formControl.classList.remove('is-invalid');
+                    showSettingFeedback(setting, '');
                 });
                 markAllSettingsAsSeen();
                 updateDarkReaderMode();
@@ -9317,6 +17114,437 @@ ready(() => {
             });
             // endregion
 
+            // region feature modules
+            const modulesBtn = document.createElement('button');
+            modulesBtn.classList.add('btn', 'btn-outline-primary');
+            const modulesIcon = document.createElement('i');
+            modulesIcon.classList.add('fa', 'fa-puzzle-piece', 'fa-fw');
+            const modulesText = document.createElement('span');
+            modulesText.textContent = $t(
+                'modals.settings.modules.button'
+            ).toString();
+            modulesBtn.append(modulesIcon, modulesText);
+
+            /**
+             * @param {PageRule} rule
+             * @returns {string}
+             */
+            const pageRuleToString = rule =>
+                typeof rule === 'function' ?
+                    `${rule.name || 'ƒ'}()`
+                :   String(rule);
+
+            modulesBtn.addEventListener('click', e => {
+                e.preventDefault();
+
+                const table = document.createElement('table');
+                table.classList.add('table', 'table-sm', 'table-striped');
+                const head = table.createTHead().insertRow();
+                ['module', 'pages', 'requires', 'status'].forEach(column => {
+                    const th = document.createElement('th');
+                    th.textContent = $t(
+                        `modals.settings.modules.${column}`
+                    ).toString();
+                    head.append(th);
+                });
+
+                const tbody = table.createTBody();
+                // modules that are active on this page first
+                Array.from(FEATURE_MODULES.values())
+                    .toSorted((a, b) => Number(b.active) - Number(a.active))
+                    .forEach(({ module, active, enabled }) => {
+                        const row = tbody.insertRow();
+
+                        const nameCell = row.insertCell();
+                        nameCell.textContent =
+                            settingsById[module.settings[0]]?.title ??
+                            module.id;
+                        const idSmall = document.createElement('small');
+                        idSmall.classList.add('d-block', 'text-muted');
+                        idSmall.textContent = module.id;
+                        nameCell.append(idSmall);
+
+                        row.insertCell().textContent =
+                            module.pages?.length ?
+                                module.pages.map(pageRuleToString).join(', ')
+                            :   $t(
+                                    'modals.settings.modules.allPages'
+                                ).toString();
+                        row.insertCell().textContent = (
+                            module.requires ?? []
+                        ).join(', ');
+
+                        const statusCell = row.insertCell();
+                        const status =
+                            !active ? 'inactive'
+                            : enabled ? 'enabled'
+                            : 'disabled';
+                        const statusBadge = document.createElement('span');
+                        statusBadge.classList.add(
+                            'badge',
+                            {
+                                enabled: 'badge-success',
+                                disabled: 'badge-secondary',
+                                inactive: 'badge-light',
+                            }[status]
+                        );
+                        statusBadge.textContent = $t(
+                            `modals.settings.modules.${status}`
+                        ).toString();
+                        statusCell.append(statusBadge);
+                        if (module.disable) {
+                            const liveBadge = document.createElement('span');
+                            liveBadge.classList.add(
+                                'badge',
+                                'badge-info',
+                                'ml-1'
+                            );
+                            liveBadge.textContent = $t(
+                                'modals.settings.modules.live'
+                            ).toString();
+                            liveBadge.title = $t(
+                                'modals.settings.modules.liveHint'
+                            ).toString();
+                            statusCell.append(liveBadge);
+                        }
+                    });
+
+                create({
+                    type: types.ALERT,
+                    large: true,
+                    scrollable: true,
+                    title: $t('modals.settings.modules.title'),
+                    body: table,
+                    removeOnClose: true,
+                }).then(modal => modal.show());
+            });
+            footerBtnGroup.append(modulesBtn);
+            // endregion
+
+            // region translation developer overlay
+            if (TRANSLATION_DEV_MODE) {
+                const translationsOverlay = document.createElement('div');
+                translationsOverlay.id = PREFIX('settings-translations');
+                translationsOverlay.classList.add('d-none', 'bg-white', 'p-3');
+                modal
+                    .getRoot()[0]
+                    .querySelector('.modal-content')
+                    ?.append(translationsOverlay);
+
+                GM_addStyle(css`
+                    #${translationsOverlay.id} {
+                        position: absolute;
+                        inset: 0;
+                        z-index: 10;
+                        overflow: auto;
+                    }
+                    #${translationsOverlay.id} td {
+                        word-break: break-all;
+                    }
+                `);
+
+                /**
+                 * @param {string} key
+                 * @param {Record<string, unknown>} [args]
+                 * @returns {string}
+                 */
+                const overlayT = (key, args) =>
+                    $t(`modals.settings.translations.${key}`, args).toString();
+
+                const renderTranslationsOverlay = () => {
+                    const { missing } = analyzeTranslations();
+
+                    const header = document.createElement('div');
+                    header.classList.add(
+                        'd-flex',
+                        'align-items-center',
+                        'mb-2'
+                    );
+                    const title = document.createElement('h5');
+                    title.classList.add('mb-0', 'mr-auto');
+                    title.textContent = overlayT('title');
+                    const refreshBtn = document.createElement('button');
+                    refreshBtn.type = 'button';
+                    refreshBtn.classList.add(
+                        'btn',
+                        'btn-outline-primary',
+                        'btn-sm',
+                        'mr-2'
+                    );
+                    refreshBtn.textContent = overlayT('refresh');
+                    refreshBtn.addEventListener('click', () =>
+                        renderTranslationsOverlay()
+                    );
+                    const closeBtn = document.createElement('button');
+                    closeBtn.type = 'button';
+                    closeBtn.classList.add('btn', 'btn-primary', 'btn-sm');
+                    closeBtn.textContent = overlayT('close');
+                    closeBtn.addEventListener('click', () =>
+                        translationsOverlay.classList.add('d-none')
+                    );
+                    header.append(title, refreshBtn, closeBtn);
+
+                    const hint = document.createElement('p');
+                    hint.classList.add('small', 'text-muted');
+                    hint.textContent = overlayT('hint', {
+                        chain: TRANSLATION_FALLBACK_CHAIN.join(' → '),
+                    });
+
+                    const missingDetails = document.createElement('details');
+                    missingDetails.open = true;
+                    const missingSummary = document.createElement('summary');
+                    missingSummary.textContent = overlayT('missing', {
+                        count: missing.length,
+                    });
+                    missingDetails.append(missingSummary);
+                    if (missing.length) {
+                        const table = document.createElement('table');
+                        table.classList.add('table', 'table-sm', 'small');
+                        const head = table.createTHead().insertRow();
+                        ['key', 'languages', 'places'].forEach(column => {
+                            const th = document.createElement('th');
+                            th.textContent = overlayT(column);
+                            head.append(th);
+                        });
+                        const tbody = table.createTBody();
+                        missing.forEach(({ key, languages, places }) => {
+                            const row = tbody.insertRow();
+                            const keyCode = document.createElement('code');
+                            keyCode.textContent = key;
+                            row.insertCell().append(keyCode);
+                            row.insertCell().textContent = languages.join(', ');
+                            const placesCell = row.insertCell();
+                            if (places.length) {
+                                places.forEach(place => {
+                                    const placeCode =
+                                        document.createElement('code');
+                                    placeCode.classList.add('d-block');
+                                    placeCode.textContent = place;
+                                    placesCell.append(placeCode);
+                                });
+                            } else {
+                                placesCell.classList.add('text-muted');
+                                placesCell.textContent =
+                                    overlayT('notRequested');
+                            }
+                        });
+                        missingDetails.append(table);
+                    } else {
+                        missingDetails.append(overlayT('none'));
+                    }
+
+                    translationsOverlay.replaceChildren(
+                        header,
+                        hint,
+                        missingDetails
+                    );
+                };
+
+                const translationsBtn = document.createElement('button');
+                translationsBtn.classList.add('btn', 'btn-outline-primary');
+                const translationsIcon = document.createElement('i');
+                translationsIcon.classList.add('fa', 'fa-language', 'fa-fw');
+                const translationsText = document.createElement('span');
+                translationsText.textContent = overlayT('button');
+                translationsBtn.append(translationsIcon, translationsText);
+                translationsBtn.addEventListener('click', e => {
+                    e.preventDefault();
+                    renderTranslationsOverlay();
+                    translationsOverlay.classList.remove('d-none');
+                    translationsOverlay.scrollTop = 0;
+                });
+                footerBtnGroup.append(translationsBtn);
+
+                modal
+                    .getRoot()
+                    .on(ModalEvents.hidden, () =>
+                        translationsOverlay.classList.add('d-none')
+                    );
+            }
+            // endregion
+
+            // region course overrides
+            const courseOverridesBtn = document.createElement('button');
+            courseOverridesBtn.classList.add('btn', 'btn-outline-primary');
+            const courseOverridesBtnIcon = document.createElement('i');
+            courseOverridesBtnIcon.classList.add('fa', 'fa-sliders', 'fa-fw');
+            const courseOverridesText = document.createElement('span');
+            courseOverridesText.textContent = $t(
+                'courseOverrides.overview'
+            ).toString();
+            courseOverridesBtn.append(
+                courseOverridesBtnIcon,
+                courseOverridesText
+            );
+
+            courseOverridesBtn.addEventListener('click', e => {
+                e.preventDefault();
+
+                const overrides = Object.entries(COURSE_OVERRIDES.getAll());
+
+                const body = document.createElement('div');
+                if (!overrides.length) {
+                    const empty = document.createElement('p');
+                    empty.textContent = $t('courseOverrides.empty').toString();
+                    body.append(empty);
+                }
+
+                overrides.forEach(([courseId, { name, settings }]) => {
+                    const heading = document.createElement('h5');
+                    heading.classList.add('d-flex', 'align-items-center');
+                    const courseLink = document.createElement('a');
+                    courseLink.href = `/course/view.php?id=${courseId}`;
+                    courseLink.textContent = name || `#${courseId}`;
+                    courseLink.classList.add('mr-auto');
+                    const removeBtn = document.createElement('button');
+                    removeBtn.classList.add(
+                        'btn',
+                        'btn-sm',
+                        'btn-outline-danger'
+                    );
+                    removeBtn.textContent = $t(
+                        'courseOverrides.remove'
+                    ).toString();
+                    heading.append(courseLink, removeBtn);
+
+                    const table = document.createElement('table');
+                    table.classList.add('table', 'table-sm');
+                    const head = table.createTHead().insertRow();
+                    ['setting', 'value'].forEach(column => {
+                        const th = document.createElement('th');
+                        th.textContent = $t(
+                            `courseOverrides.${column}`
+                        ).toString();
+                        head.append(th);
+                    });
+                    const tbody = table.createTBody();
+                    Object.entries(settings).forEach(([id, value]) => {
+                        const row = tbody.insertRow();
+                        row.insertCell().textContent =
+                            settingsById[id]?.title ?? id;
+                        row.insertCell().textContent =
+                            courseOverrideValueToString(value);
+                    });
+
+                    removeBtn.addEventListener('click', () => {
+                        COURSE_OVERRIDES.set(courseId, { name, settings: {} });
+                        heading.remove();
+                        table.remove();
+                    });
+
+                    body.append(heading, table);
+                });
+
+                create({
+                    type: types.ALERT,
+                    large: true,
+                    scrollable: true,
+                    title: $t('courseOverrides.overview'),
+                    body,
+                    removeOnClose: true,
+                }).then(modal => modal.show());
+            });
+            footerBtnGroup.append(courseOverridesBtn);
+            // endregion
+
+            // region sync now
+            const syncBtn = document.createElement('button');
+            syncBtn.classList.add('btn', 'btn-outline-primary');
+            const syncIcon = document.createElement('i');
+            syncIcon.classList.add('fa', 'fa-refresh', 'fa-fw');
+            const syncText = document.createElement('span');
+            syncText.textContent = $t('sync.now').toString();
+            syncBtn.append(syncIcon, syncText);
+
+            /**
+             * @param {string} message
+             */
+            const showSyncMessage = message =>
+                create({
+                    type: types.ALERT,
+                    title: $t('sync.title'),
+                    body: message,
+                    removeOnClose: true,
+                }).then(modal => modal.show());
+
+            /**
+             * @param {'local' | 'remote'} [resolveConflict]
+             */
+            const runSync = resolveConflict => {
+                syncBtn.disabled = true;
+                syncIcon.classList.add('fa-spin');
+                SYNC.sync(resolveConflict)
+                    .then(({ result, changed }) => {
+                        if (result === 'conflict') {
+                            openSyncConflictModal();
+                            return;
+                        }
+                        const settingKeyPrefix = getSettingKey('');
+                        const reloadRequired = changed.some(
+                            key =>
+                                !key.startsWith(settingKeyPrefix) ||
+                                settingRequiresReload(
+                                    key.slice(settingKeyPrefix.length)
+                                )
+                        );
+                        showSyncMessage(
+                            `${$t(`sync.results.${result}`)} ${
+                                reloadRequired ? $t('sync.reloadHint') : ''
+                            }`
+                        );
+                    })
+                    .catch(error =>
+                        showSyncMessage(
+                            $t('sync.error', { error: error.message })
+                        )
+                    )
+                    .finally(() => {
+                        syncBtn.disabled = false;
+                        syncIcon.classList.remove('fa-spin');
+                    });
+            };
+
+            const openSyncConflictModal = () => {
+                const body = document.createElement('div');
+                const description = document.createElement('p');
+                description.textContent = $t(
+                    'sync.conflict.description'
+                ).toString();
+                body.append(description);
+
+                create({
+                    type: types.ALERT,
+                    title: $t('sync.conflict.title'),
+                    body,
+                    removeOnClose: true,
+                }).then(modal => {
+                    ['local', 'remote'].forEach(resolution => {
+                        const btn = document.createElement('button');
+                        btn.classList.add('btn', 'btn-outline-primary', 'mr-2');
+                        btn.textContent = $t(
+                            `sync.conflict.${resolution}`
+                        ).toString();
+                        btn.addEventListener('click', () => {
+                            modal.hide();
+                            runSync(resolution);
+                        });
+                        body.append(btn);
+                    });
+                    modal.show();
+                });
+            };
+
+            syncBtn.addEventListener('click', e => {
+                e.preventDefault();
+                if (!SYNC.isConfigured()) {
+                    showSyncMessage($t('sync.notConfigured').toString());
+                    return;
+                }
+                runSync();
+            });
+            footerBtnGroup.append(syncBtn);
+            // endregion
+
             // region export
             const exportBtn = document.createElement('button');
             exportBtn.classList.add('btn', 'btn-outline-primary');
@@ -9329,23 +17557,282 @@ ready(() => {
 
             exportBtn.addEventListener('click', e => {
                 e.preventDefault();
-                const config = Object.fromEntries(
-                    GM_listValues()
-                        .toSorted()
-                        .map(key => [key, GM_getValue(key)])
+
+                const body = document.createElement('div');
+                const description = document.createElement('p');
+                description.textContent = $t(
+                    'modals.settings.exportDialog.description'
+                ).toString();
+                body.append(description);
+
+                /**
+                 * @param {string} id
+                 * @param {string} label
+                 * @param {boolean} checked
+                 * @returns {HTMLInputElement}
+                 */
+                const addCheckbox = (id, label, checked) => {
+                    const wrapper = document.createElement('div');
+                    wrapper.classList.add('custom-control', 'custom-checkbox');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = checked;
+                    checkbox.classList.add('custom-control-input');
+                    checkbox.id = PREFIX(`export-${id}`);
+                    const checkboxLabel = document.createElement('label');
+                    checkboxLabel.classList.add('custom-control-label');
+                    checkboxLabel.htmlFor = checkbox.id;
+                    checkboxLabel.textContent = label;
+                    wrapper.append(checkbox, checkboxLabel);
+                    body.append(wrapper);
+                    return checkbox;
+                };
+
+                /** @type {Record<ExportCategory, boolean>} */
+                const defaultCategories = {
+                    settings: true,
+                    bookmarks: true,
+                    caches: false,
+                    internal: false,
+                };
+                const categoryCheckboxes = Object.entries(
+                    defaultCategories
+                ).map(([category, checked]) => [
+                    category,
+                    addCheckbox(
+                        category,
+                        $t(
+                            `modals.settings.exportDialog.categories.${category}`
+                        ).toString(),
+                        checked
+                    ),
+                ]);
+
+                const secretsCheckbox = addCheckbox(
+                    'secrets',
+                    $t('modals.settings.exportDialog.secrets').toString(),
+                    false
                 );
-                const blob = new Blob([JSON.stringify(config)], {
-                    type: 'application/json',
+                secretsCheckbox.parentElement.classList.add('mt-3');
+                const secretsHint = document.createElement('small');
+                secretsHint.classList.add('form-text', 'text-muted');
+                secretsHint.textContent = $t(
+                    'modals.settings.exportDialog.secretsHint'
+                ).toString();
+                body.append(secretsHint);
+
+                create({
+                    type: types.SAVE_CANCEL,
+                    title: $t('modals.settings.export'),
+                    body,
+                    removeOnClose: true,
+                }).then(modal => {
+                    modal.setButtonText(
+                        'save',
+                        $t('modals.settings.exportDialog.export')
+                    );
+                    modal.getRoot().on(ModalEvents.save, () => {
+                        const settingsExport = createSettingsExport({
+                            categories: categoryCheckboxes
+                                .filter(([, checkbox]) => checkbox.checked)
+                                .map(([category]) => category),
+                            secrets: secretsCheckbox.checked,
+                        });
+                        const blob = new Blob(
+                            [JSON.stringify(settingsExport)],
+                            { type: 'application/json' }
+                        );
+                        const link = document.createElement('a');
+                        link.download = 'better-moodle-settings.json';
+                        link.href = URL.createObjectURL(blob);
+                        link.click();
+                    });
+                    modal.show();
                 });
-                const link = document.createElement('a');
-                link.download = 'better-moodle-settings.json';
-                link.href = URL.createObjectURL(blob);
-                link.click();
             });
             footerBtnGroup.append(exportBtn);
             // endregion
 
             // region import
+            /**
+             * @param {unknown} value
+             * @returns {HTMLElement}
+             */
+            const formatImportValue = value => {
+                const code = document.createElement('code');
+                const json = JSON.stringify(value) ?? String(value);
+                code.textContent =
+                    json.length > 60 ? `${json.slice(0, 59)}…` : json;
+                code.title = json;
+                return code;
+            };
+
+            /**
+             * @param {string} type
+             * @param {string} text
+             * @param {string[]} keys
+             * @returns {HTMLDivElement}
+             */
+            const createImportAlert = (type, text, keys) => {
+                const alert = document.createElement('div');
+                alert.classList.add('alert', `alert-${type}`);
+                const list = document.createElement('ul');
+                list.classList.add('mb-0');
+                keys.forEach(key => {
+                    const item = document.createElement('li');
+                    const code = document.createElement('code');
+                    code.textContent = key;
+                    item.append(code);
+                    list.append(item);
+                });
+                alert.append(text, list);
+                return alert;
+            };
+
+            /**
+             * shows a preview of an import and lets the user select which groups shall be applied
+             * @param {ImportAnalysis} analysis
+             */
+            const openImportWizard = ({
+                entries,
+                unchanged,
+                invalid,
+                unknown,
+            }) => {
+                const body = document.createElement('div');
+
+                if (unknown.length) {
+                    body.append(
+                        createImportAlert(
+                            'warning',
+                            $t('modals.settings.importWizard.unknownKeys'),
+                            unknown
+                        )
+                    );
+                }
+                if (invalid.length) {
+                    body.append(
+                        createImportAlert(
+                            'danger',
+                            $t('modals.settings.importWizard.invalidValues'),
+                            invalid.map(({ key }) => key)
+                        )
+                    );
+                }
+                if (!entries.length) {
+                    const noChanges = document.createElement('p');
+                    noChanges.textContent = $t(
+                        'modals.settings.importWizard.noChanges'
+                    ).toString();
+                    body.append(noChanges);
+                }
+                if (unchanged.length) {
+                    const unchangedHint = document.createElement('p');
+                    unchangedHint.classList.add('small', 'text-muted');
+                    unchangedHint.textContent = $t(
+                        'modals.settings.importWizard.unchanged',
+                        { count: unchanged.length }
+                    ).toString();
+                    body.append(unchangedHint);
+                }
+
+                /** @type {Map<string, ImportEntry[]>} */
+                const groups = new Map();
+                entries.forEach(entry => {
+                    if (!groups.has(entry.group)) groups.set(entry.group, []);
+                    groups.get(entry.group).push(entry);
+                });
+
+                /** @type {Map<string, HTMLInputElement>} */
+                const groupCheckboxes = new Map();
+                groups.forEach((groupEntries, group) => {
+                    const checkboxWrapper = document.createElement('div');
+                    checkboxWrapper.classList.add(
+                        'custom-control',
+                        'custom-checkbox',
+                        'mb-2'
+                    );
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = true;
+                    checkbox.classList.add('custom-control-input');
+                    checkbox.id = PREFIX(`import-group-${group}`);
+                    const checkboxLabel = document.createElement('label');
+                    checkboxLabel.classList.add(
+                        'custom-control-label',
+                        'font-weight-bold'
+                    );
+                    checkboxLabel.htmlFor = checkbox.id;
+                    checkboxLabel.textContent = `${
+                        groupEntries[0].setting ?
+                            $t(`settings.${group}._title`)
+                        :   $t(`modals.settings.importWizard.groups.${group}`)
+                    } (${groupEntries.length})`;
+                    checkboxWrapper.append(checkbox, checkboxLabel);
+                    groupCheckboxes.set(group, checkbox);
+
+                    const table = document.createElement('table');
+                    table.classList.add('table', 'table-sm', 'small');
+                    const thead = table.createTHead().insertRow();
+                    ['setting', 'current', 'incoming'].forEach(column => {
+                        const th = document.createElement('th');
+                        th.textContent = $t(
+                            `modals.settings.importWizard.${column}`
+                        ).toString();
+                        thead.append(th);
+                    });
+                    const tbody = table.createTBody();
+                    groupEntries.forEach(
+                        ({ key, setting, current, incoming }) => {
+                            const row = tbody.insertRow();
+                            row.insertCell().textContent =
+                                setting?.title ?? key;
+                            row.insertCell().append(formatImportValue(current));
+                            row.insertCell().append(
+                                formatImportValue(incoming)
+                            );
+                        }
+                    );
+                    checkbox.addEventListener('change', () =>
+                        table.classList.toggle('text-muted', !checkbox.checked)
+                    );
+
+                    body.append(checkboxWrapper, table);
+                });
+
+                create({
+                    type: types.SAVE_CANCEL,
+                    large: true,
+                    scrollable: true,
+                    title: $t('modals.settings.importWizard.title'),
+                    body,
+                    removeOnClose: true,
+                }).then(modal => {
+                    modal.setButtonText(
+                        'save',
+                        $t('modals.settings.importWizard.apply')
+                    );
+                    if (!entries.length) {
+                        modal
+                            .getFooter()[0]
+                            .querySelector('[data-action="save"]')
+                            ?.setAttribute('disabled', '');
+                    }
+                    modal.getRoot().on(ModalEvents.save, () => {
+                        const selected = entries.filter(
+                            ({ group }) => groupCheckboxes.get(group).checked
+                        );
+                        if (!selected.length) return;
+                        selected.forEach(({ key, incoming }) =>
+                            GM_setValue(key, incoming)
+                        );
+                        SETTINGS_HISTORY.recordImport(selected, 'import');
+                        window.location.reload();
+                    });
+                    modal.show();
+                });
+            };
+
             const importBtn = document.createElement('button');
             importBtn.classList.add('btn', 'btn-outline-primary');
 
@@ -9366,11 +17853,26 @@ ready(() => {
                     if (!file) return;
                     const reader = new FileReader();
                     reader.addEventListener('load', () => {
-                        const config = JSON.parse(reader.result);
-                        Object.entries(config).forEach(([key, value]) =>
-                            GM_setValue(key, value)
-                        );
-                        window.location.reload();
+                        let config;
+                        try {
+                            config = JSON.parse(reader.result);
+                        } catch {
+                            config = null;
+                        }
+                        analyzeImport(config)
+                            .then(openImportWizard)
+                            .catch(() =>
+                                create({
+                                    type: types.ALERT,
+                                    title: $t(
+                                        'modals.settings.importWizard.title'
+                                    ),
+                                    body: $t(
+                                        'modals.settings.importWizard.parseError'
+                                    ),
+                                    removeOnClose: true,
+                                }).then(modal => modal.show())
+                            );
                     });
                     reader.readAsText(file);
                 });
@@ -9378,6 +17880,221 @@ ready(() => {
             });
             footerBtnGroup.append(importBtn);
             // endregion
+
+            // region settings history
+            const historyBtn = document.createElement('button');
+            historyBtn.classList.add('btn', 'btn-outline-primary');
+            const historyIcon = document.createElement('i');
+            historyIcon.classList.add('fa', 'fa-clock-o', 'fa-fw');
+            const historyText = document.createElement('span');
+            historyText.textContent = $t(
+                'modals.settings.history.button'
+            ).toString();
+            historyBtn.append(historyIcon, historyText);
+
+            /**
+             * reloads the page if a changed setting can't be applied live
+             * @param {string[]} changed the ids of the changed settings
+             * @returns {boolean} whether the page is reloaded
+             */
+            const applyHistoryChanges = changed => {
+                if (changed.some(id => settingRequiresReload(id))) {
+                    window.location.reload();
+                    return true;
+                }
+                updateDisabledStates();
+                updateModifiedMarkers();
+                return false;
+            };
+
+            /**
+             * @param {number} timestamp
+             * @returns {string} the value for a datetime-local input
+             */
+            const toDateTimeLocal = timestamp =>
+                new Date(
+                    timestamp - new Date(timestamp).getTimezoneOffset() * 60000
+                )
+                    .toISOString()
+                    .slice(0, 16);
+
+            /**
+             * @param {() => void} rerender
+             * @returns {HTMLDivElement}
+             */
+            const createHistoryBody = rerender => {
+                const body = document.createElement('div');
+                const entries = SETTINGS_HISTORY.getAll();
+
+                const hint = document.createElement('p');
+                hint.classList.add('small', 'text-muted');
+                hint.textContent = $t('modals.settings.history.hint', {
+                    max: SETTINGS_HISTORY_MAX_ENTRIES,
+                }).toString();
+                body.append(hint);
+
+                if (!entries.length) {
+                    const empty = document.createElement('p');
+                    empty.textContent = $t(
+                        'modals.settings.history.empty'
+                    ).toString();
+                    body.append(empty);
+                    return body;
+                }
+
+                const restoreRow = document.createElement('div');
+                restoreRow.classList.add('form-inline', 'mb-3');
+                const restoreInput = document.createElement('input');
+                restoreInput.type = 'datetime-local';
+                restoreInput.id = PREFIX('settings-history-restore');
+                restoreInput.classList.add('form-control', 'mx-2');
+                restoreInput.min = toDateTimeLocal(entries.at(-1).timestamp);
+                restoreInput.max = toDateTimeLocal(Date.now());
+                const restoreLabel = document.createElement('label');
+                restoreLabel.htmlFor = restoreInput.id;
+                restoreLabel.textContent = $t(
+                    'modals.settings.history.restoreLabel'
+                ).toString();
+                const restoreBtn = document.createElement('button');
+                restoreBtn.type = 'button';
+                restoreBtn.classList.add('btn', 'btn-outline-primary');
+                restoreBtn.textContent = $t(
+                    'modals.settings.history.restore'
+                ).toString();
+                restoreBtn.addEventListener('click', () => {
+                    if (!restoreInput.value) return;
+                    const changed = SETTINGS_HISTORY.restore(
+                        new Date(restoreInput.value).getTime()
+                    );
+                    if (!applyHistoryChanges(changed)) rerender();
+                });
+                restoreRow.append(restoreLabel, restoreInput, restoreBtn);
+                body.append(restoreRow);
+
+                const table = document.createElement('table');
+                table.classList.add('table', 'table-sm', 'small');
+                const thead = table.createTHead().insertRow();
+                [
+                    'time',
+                    'setting',
+                    'oldValue',
+                    'newValue',
+                    'source',
+                    '',
+                ].forEach(column => {
+                    const th = document.createElement('th');
+                    th.textContent =
+                        column ?
+                            $t(`modals.settings.history.${column}`).toString()
+                        :   '';
+                    thead.append(th);
+                });
+                const tbody = table.createTBody();
+                entries.forEach(
+                    ({
+                        id,
+                        timestamp,
+                        setting,
+                        oldValue,
+                        newValue,
+                        source,
+                    }) => {
+                        const row = tbody.insertRow();
+                        const date = new Date(timestamp);
+                        row.insertCell().textContent = `${dateToString(
+                            date
+                        )} ${timeToString(date, false)}`;
+                        row.insertCell().textContent =
+                            settingsById[setting]?.title ?? setting;
+                        row.insertCell().append(formatImportValue(oldValue));
+                        row.insertCell().append(formatImportValue(newValue));
+                        row.insertCell().textContent = $t(
+                            `modals.settings.history.sources.${source}`
+                        ).toString();
+
+                        const undoBtn = document.createElement('button');
+                        undoBtn.type = 'button';
+                        undoBtn.classList.add('btn', 'btn-link', 'p-0');
+                        undoBtn.title = undoBtn.ariaLabel = $t(
+                            'modals.settings.history.undo'
+                        ).toString();
+                        undoBtn.disabled = !settingsById[setting];
+                        const undoIcon = document.createElement('i');
+                        undoIcon.classList.add('fa', 'fa-undo', 'fa-fw');
+                        undoBtn.append(undoIcon);
+                        undoBtn.addEventListener('click', () => {
+                            if (
+                                !applyHistoryChanges(SETTINGS_HISTORY.undo(id))
+                            ) {
+                                rerender();
+                            }
+                        });
+                        row.insertCell().append(undoBtn);
+                    }
+                );
+                body.append(table);
+
+                return body;
+            };
+
+            historyBtn.addEventListener('click', e => {
+                e.preventDefault();
+                create({
+                    type: types.ALERT,
+                    large: true,
+                    scrollable: true,
+                    title: $t('modals.settings.history.title'),
+                    removeOnClose: true,
+                }).then(modal => {
+                    const render = () =>
+                        modal
+                            .getBody()[0]
+                            .replaceChildren(createHistoryBody(render));
+                    render();
+                    modal.show();
+                });
+            });
+            footerBtnGroup.append(historyBtn);
+            // endregion
+
+            // region reset all
+            const resetAllBtn = document.createElement('button');
+            resetAllBtn.classList.add('btn', 'btn-outline-danger');
+            const resetAllIcon = document.createElement('i');
+            resetAllIcon.classList.add('fa', 'fa-undo', 'fa-fw');
+            const resetAllText = document.createElement('span');
+            resetAllText.textContent = $t(
+                'modals.settings.reset.all'
+            ).toString();
+            resetAllBtn.append(resetAllIcon, resetAllText);
+
+            resetAllBtn.addEventListener('click', e => {
+                e.preventDefault();
+                create({
+                    type: types.SAVE_CANCEL,
+                    title: $t('modals.settings.reset.all'),
+                    body: mdToHtml(
+                        $t('modals.settings.reset.allConfirm').toString()
+                    ),
+                    removeOnClose: true,
+                }).then(modal => {
+                    modal.setButtonText(
+                        'save',
+                        $t('modals.settings.reset.all')
+                    );
+                    // only the inputs are reset, so bookmarks and other stored data are not affected
+                    modal.getRoot().on(ModalEvents.save, () =>
+                        SETTINGS.forEach(setting => {
+                            if (typeof setting === 'string') return;
+
+                            setting.resetInputToDefault();
+                        })
+                    );
+                    modal.show();
+                });
+            });
+            footerBtnGroup.append(resetAllBtn);
+            // endregion
         }));
 });
 // endregion